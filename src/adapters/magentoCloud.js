@@ -3,6 +3,8 @@ import { access, constants, mkdir } from 'fs/promises';
 import { promisify } from 'util';
 import { exec } from 'child_process';
 import { logger, magentoLogger, logMagentoOperation } from '../services/logger.js';
+import { execCancellable, spawnCancellable } from '../services/executionCancellationService.js';
+import { cliExecutionScheduler } from '../services/cliExecutionScheduler.js';
 import { paths } from '../config/paths.js';
 import path from 'path';
 import os from 'os';
@@ -84,13 +86,16 @@ class MagentoCloudAdapter {
     }
 
     /**
-     * Executes a Magento Cloud CLI command with modified environment variables.
+     * Executes a Magento Cloud CLI command with modified environment variables. The command waits
+     * for a slot of the CLI scheduler first (see cliExecutionScheduler).
      * @param {string} command - The command to execute
      * @param {string} apiToken - The API token for authentication
      * @param {string} userId - The unique identifier for the user
+     * @param {Object} [options] - { signal, maxBuffer } AbortSignal that kills the command and everything it
+     *                              spawned, and the output size at which the command is stopped
      * @returns {Object} - The stdout and stderr from the command
      */
-    async executeCommand(command, apiToken, userId) {
+    async executeCommand(command, apiToken, userId, { signal, maxBuffer = 10 * 1024 * 1024 } = {}) {
         if (!apiToken) {
             logMagentoOperation('error', 'API token is required for Magento Cloud CLI commands', {
                 userId: userId,
@@ -151,10 +156,14 @@ class MagentoCloudAdapter {
         });
 
         try {
-            const { stdout, stderr } = await execAsync(`${this.executablePath} ${command}`, {
+            const options = {
                 env: envVars,
-                maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-            });
+                maxBuffer
+            };
+            const { stdout, stderr } = await cliExecutionScheduler.run(userId, () => (signal
+                ? execCancellable(`${this.executablePath} ${command}`, { ...options, signal })
+                : execAsync(`${this.executablePath} ${command}`, options)
+            ), { signal, label: `${commandType} ${projectId}/${environment}` });
 
             logMagentoOperation('debug', 'Command executed successfully', {
                 commandType: commandType,
@@ -169,6 +178,17 @@ class MagentoCloudAdapter {
 
             return { stdout, stderr };
         } catch (error) {
+            if (error.code === 'EXECUTION_CANCELLED') {
+                logMagentoOperation('info', 'Magento Cloud command cancelled', {
+                    commandType: commandType,
+                    projectId: projectId,
+                    environment: environment,
+                    userId: userId,
+                    timestamp: new Date().toISOString()
+                });
+                throw error;
+            }
+
             // Check for authentication errors in stderr
             const stderr = error.stderr || '';
             const stdout = error.stdout || '';
@@ -242,9 +262,10 @@ class MagentoCloudAdapter {
      * @param {string} command - The command to execute
      * @param {string} apiToken - The API token for authentication
      * @param {string} userId - The unique identifier for the user
+     * @param {Object} [options] - { signal } AbortSignal that kills the command and everything it spawned
      * @returns {Object} - The child process
      */
-    executeCommandStream(command, apiToken, userId) {
+    executeCommandStream(command, apiToken, userId, { signal } = {}) {
         if (!apiToken) {
             logMagentoOperation('error', 'API token is required for Magento Cloud CLI commands', {
                 userId: userId,
@@ -277,15 +298,18 @@ class MagentoCloudAdapter {
         // Destructure to exclude unwanted environment variables
         const { MAGENTO_CLOUD_APPLICATION_NAME, MAGENTO_CLOUD_BRANCH, ...cleanEnv } = process.env;
 
-        const tunnelProcess = exec(`${this.executablePath} ${command}`, {
-            env: {
-                ...cleanEnv,
-                PATH: `/usr/local/bin:/usr/bin:${cleanEnv.PATH}`, // To allow using PHP from PATH
-                MAGENTO_CLOUD_CLI_TOKEN: apiToken,
-                MAGENTO_CLOUD_HOME: homeDir
-            },
-            maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-        });
+        const env = {
+            ...cleanEnv,
+            PATH: `/usr/local/bin:/usr/bin:${cleanEnv.PATH}`, // To allow using PHP from PATH
+            MAGENTO_CLOUD_CLI_TOKEN: apiToken,
+            MAGENTO_CLOUD_HOME: homeDir
+        };
+        const tunnelProcess = signal
+            ? spawnCancellable(`${this.executablePath} ${command}`, { env, signal })
+            : exec(`${this.executablePath} ${command}`, {
+                env,
+                maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+            });
         // Log output to console for debugging
         tunnelProcess.stdout.on('data', (data) => {
             logMagentoOperation('debug', 'Stream output received', {
@@ -0,0 +1,28 @@
+// src/adapters/tunnelProviders/index.js
+import { MagentoCloudTunnelProvider } from './magentoCloudTunnelProvider.js';
+import { StaticTunnelProvider } from './staticTunnelProvider.js';
+
+/**
+ * A tunnel provider gives TunnelManager access to the services of a project environment:
+ *   name                 provider name, as in tunnelConfig.provider
+ *   stabilizeDelayMs     wait after open() before the first health check
+ *   getInfo(projectId, environment, apiToken, userId) => services of the open tunnel, or null
+ *   open(projectId, environment, apiToken, userId)    => services once created (may not be ready yet)
+ *   close(projectId, environment, apiToken, userId)
+ * Services are keyed by relationship name: { database: [{ host, port, username, password, path }], ... }
+ */
+const providers = {
+    'magento-cloud': () => new MagentoCloudTunnelProvider(),
+    static: (config) => new StaticTunnelProvider(config.static)
+};
+
+/**
+ * @param {Object} config - tunnelConfig (src/config/tunnels.js)
+ */
+export function createTunnelProvider(config) {
+    const create = providers[config.provider];
+    if (!create) {
+        throw new Error(`Unsupported tunnel provider: ${config.provider}`);
+    }
+    return create(config);
+}
@@ -0,0 +1,65 @@
+// src/adapters/tunnelProviders/staticTunnelProvider.js
+import { logger } from '../../services/logger.js';
+
+/**
+ * Services at fixed addresses instead of SSH tunnels, typically local MySQL/Redis/OpenSearch
+ * containers. Every project environment is always "open"; opening and closing do nothing.
+ */
+export class StaticTunnelProvider {
+    /**
+     * @param {Object} config - tunnelConfig.static: { relationships: { name: url }, environments }
+     */
+    constructor(config = {}) {
+        this.name = 'static';
+        this.stabilizeDelayMs = 0;
+        this.relationships = config.relationships || {};
+        this.environments = config.environments || {};
+    }
+
+    /**
+     * Services of the project environment, in the shape of "tunnel:info":
+     * { database: [{ host, port, username, password, path, url }], redis: [...], ... }
+     * @returns {Promise<Object|null>} - null when no service is configured
+     */
+    async getInfo(projectId, environment) {
+        const relationships = {
+            ...this.relationships,
+            ...(this.environments[`${projectId}:${environment}`] || {})
+        };
+
+        const services = {};
+        Object.entries(relationships).forEach(([name, url]) => {
+            try {
+                services[name] = [this.parseUrl(url)];
+            } catch (error) {
+                logger.warn('Invalid static tunnel URL', { relationship: name, projectId, environment, error: error.message });
+            }
+        });
+        return Object.keys(services).length > 0 ? services : null;
+    }
+
+    async open(projectId, environment) {
+        const services = await this.getInfo(projectId, environment);
+        if (!services) {
+            throw new Error(`No static tunnel services configured for ${projectId}:${environment}`);
+        }
+        return services;
+    }
+
+    async close() {
+        // Nothing to close
+    }
+
+    parseUrl(url) {
+        const urlObj = new URL(url);
+        return {
+            scheme: urlObj.protocol.replace(/:$/, ''),
+            username: decodeURIComponent(urlObj.username) || null,
+            password: decodeURIComponent(urlObj.password) || null,
+            host: urlObj.hostname,
+            port: urlObj.port,
+            path: urlObj.pathname?.slice(1) || null,
+            url
+        };
+    }
+}
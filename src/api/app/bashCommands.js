@@ -45,7 +45,12 @@ export async function runCommands(req, res) {
             commands,
             userId,
             context,
-            apiToken
+            apiToken,
+            {
+                reporter: req.executionContext?.reporter,
+                signal: req.executionContext?.signal,
+                policies: req.executionContext?.policies
+            }
         );
 
         res.json(result);
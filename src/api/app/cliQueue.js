@@ -0,0 +1,13 @@
+// src/api/app/cliQueue.js
+import { cliExecutionScheduler } from '../../services/cliExecutionScheduler.js';
+import { logger } from '../../services/logger.js';
+
+// GET /admin/cli-queue
+export async function getQueueStatus(req, res) {
+    try {
+        res.json(cliExecutionScheduler.getStats());
+    } catch (error) {
+        logger.error('Failed to get CLI queue status:', { error: error.message });
+        res.status(500).json({ error: 'Failed to get CLI queue status', details: error.message });
+    }
+}
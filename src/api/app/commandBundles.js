@@ -0,0 +1,54 @@
+// src/api/app/commandBundles.js
+import { CommandBundleService } from '../../services/commandBundleService.js';
+import { logger } from '../../services/logger.js';
+
+const bundleService = new CommandBundleService();
+
+// GET /commands/export?ids=1,2,3&serviceType=sql&format=yaml
+export async function exportCommands(req, res) {
+    const format = req.query.format === 'yaml' ? 'yaml' : 'json';
+    const ids = String(req.query.ids || '')
+        .split(',')
+        .map(id => parseInt(id, 10))
+        .filter(id => !isNaN(id));
+
+    try {
+        const bundle = await bundleService.exportBundle({
+            ids,
+            serviceType: req.query.serviceType || null
+        }, req.session.user);
+
+        const date = bundle.exportedAt.slice(0, 10);
+        res.setHeader('Content-Type', format === 'yaml' ? 'application/yaml' : 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="commands-${date}.${format}"`);
+        res.send(bundleService.serialize(bundle, format));
+    } catch (error) {
+        logger.error('Failed to export commands:', { error: error.message, userId: req.session?.user?.id });
+        res.status(500).json({ error: 'Failed to export commands', details: error.message });
+    }
+}
+
+// POST /commands/import?dryRun=false
+// Body: the bundle itself (JSON or YAML text), or { bundle, dryRun }
+export async function importCommands(req, res) {
+    const body = req.body;
+    const wrapped = body && typeof body === 'object' && 'bundle' in body;
+    const input = wrapped ? body.bundle : body;
+    const dryRunFlag = req.query.dryRun ?? (wrapped ? body.dryRun : undefined);
+    const dryRun = !(dryRunFlag === false || dryRunFlag === 'false');
+
+    if (!input || (typeof input === 'object' && Object.keys(input).length === 0)) {
+        return res.status(400).json({ error: 'A command bundle is required' });
+    }
+
+    try {
+        const result = await bundleService.importBundle(input, { dryRun, user: req.session.user });
+        res.json(result);
+    } catch (error) {
+        if (error.code === 'INVALID_BUNDLE') {
+            return res.status(400).json({ error: error.message, code: error.code, details: error.details });
+        }
+        logger.error('Failed to import commands:', { error: error.message, userId: req.session?.user?.id });
+        res.status(500).json({ error: 'Failed to import commands', details: error.message });
+    }
+}
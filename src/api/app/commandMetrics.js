@@ -0,0 +1,44 @@
+// src/api/app/commandMetrics.js
+import { CommandMetricService } from '../../services/commandMetricService.js';
+import { logger } from '../../services/logger.js';
+
+const metricService = new CommandMetricService();
+
+const ERROR_STATUS = {
+    INVALID_METRIC_FILTER: 400,
+    INVALID_EXTRACTORS: 400
+};
+
+function sendError(res, error, fallbackMessage) {
+    if (ERROR_STATUS[error.code]) {
+        return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code, details: error.details });
+    }
+    res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+// GET /:projectId/:environment/metrics?commandId=&name=&nodeId=&from=&to=  (from defaults to 24h ago)
+export async function getMetrics(req, res) {
+    const { projectId, environment } = req.params;
+    try {
+        const result = await metricService.getSeries({ ...req.query, projectId, environment });
+        res.json({ projectId, environment, ...result });
+    } catch (error) {
+        logger.error('Failed to get command metrics:', { error: error.message, projectId, environment, query: req.query });
+        sendError(res, error, 'Failed to get command metrics');
+    }
+}
+
+// POST /commands/extractors/preview  { extractors, output }
+export async function previewExtractors(req, res) {
+    const { extractors, output } = req.body || {};
+    if (!Array.isArray(extractors) || output === undefined) {
+        return res.status(400).json({ error: 'extractors (array) and output are required' });
+    }
+
+    try {
+        res.json(metricService.preview(extractors, output));
+    } catch (error) {
+        logger.error('Failed to preview command extractors:', { error: error.message });
+        sendError(res, error, 'Failed to preview command extractors');
+    }
+}
@@ -0,0 +1,127 @@
+// src/api/app/commandPipelines.js
+import { CommandPipelineService } from '../../services/commandPipelineService.js';
+import { CommandExecutionService } from '../../services/commandExecutionService.js';
+import { logger } from '../../services/logger.js';
+
+const pipelineService = new CommandPipelineService();
+const commandExecutionService = new CommandExecutionService();
+
+const ERROR_STATUS = {
+    PIPELINE_NOT_FOUND: 404,
+    PIPELINE_NAME_TAKEN: 409,
+    INVALID_PIPELINE: 400,
+    INVALID_PARAMETER_VALUES: 400,
+    PIPELINE_COMMAND_NOT_RUNNABLE: 409
+};
+
+function sendError(res, error, fallbackMessage) {
+    if (ERROR_STATUS[error.code]) {
+        return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code, details: error.details });
+    }
+    if (error.message === 'HIPAA_PROJECT_DETECTED') {
+        return res.status(403).json({
+            error: 'HIPAA_PROJECT_DETECTED',
+            message: 'This is a HIPAA project and cannot be opened',
+            hipaaInfo: error.hipaaInfo
+        });
+    }
+    res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+// GET /pipelines
+export async function listPipelines(req, res) {
+    try {
+        const pipelines = await pipelineService.listPipelines();
+        res.json({ pipelines });
+    } catch (error) {
+        logger.error('Failed to list command pipelines:', { error: error.message });
+        sendError(res, error, 'Failed to list command pipelines');
+    }
+}
+
+// GET /pipelines/:id
+export async function getPipeline(req, res) {
+    try {
+        const pipeline = await pipelineService.getPipeline(req.params.id);
+        res.json(pipeline);
+    } catch (error) {
+        logger.error('Failed to get command pipeline:', { error: error.message, pipelineId: req.params.id });
+        sendError(res, error, 'Failed to get command pipeline');
+    }
+}
+
+// POST /pipelines  { name, description, steps }
+export async function createPipeline(req, res) {
+    try {
+        const pipeline = await pipelineService.createPipeline(req.body, req.session.user);
+        res.status(201).json(pipeline);
+    } catch (error) {
+        logger.error('Failed to create command pipeline:', { error: error.message, userId: req.session?.user?.id });
+        sendError(res, error, 'Failed to create command pipeline');
+    }
+}
+
+// PUT /pipelines/:id  { name, description, steps }
+export async function updatePipeline(req, res) {
+    try {
+        const pipeline = await pipelineService.updatePipeline(req.params.id, req.body, req.session.user);
+        res.json(pipeline);
+    } catch (error) {
+        logger.error('Failed to update command pipeline:', {
+            error: error.message,
+            pipelineId: req.params.id,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to update command pipeline');
+    }
+}
+
+// DELETE /pipelines/:id
+export async function deletePipeline(req, res) {
+    try {
+        await pipelineService.deletePipeline(req.params.id, req.session.user);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Failed to delete command pipeline:', {
+            error: error.message,
+            pipelineId: req.params.id,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to delete command pipeline');
+    }
+}
+
+// POST /:projectId/:environment/pipelines/:id/run  { tabId, inputs }
+export async function runPipeline(req, res) {
+    const { projectId, environment, id } = req.params;
+    const userId = req.session?.user?.id;
+    const tabId = req.query.tabId || req.body?.tabId;
+    const apiToken = req.session.decryptedApiToken;
+
+    if (!apiToken) {
+        return res.status(401).json({ error: 'API token not found for user' });
+    }
+
+    try {
+        const result = await commandExecutionService.executePipeline(
+            id,
+            projectId,
+            environment,
+            userId,
+            apiToken,
+            tabId,
+            req.body?.inputs || {}
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to run command pipeline:', {
+            error: error.message,
+            pipelineId: id,
+            projectId,
+            environment,
+            userId,
+            tabId
+        });
+        sendError(res, error, 'Failed to run command pipeline');
+    }
+}
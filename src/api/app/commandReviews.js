@@ -0,0 +1,108 @@
+// src/api/app/commandReviews.js
+import { CommandReviewService } from '../../services/commandReviewService.js';
+import { logger } from '../../services/logger.js';
+
+const reviewService = new CommandReviewService();
+
+const ERROR_STATUS = {
+    CHANGE_REQUEST_NOT_FOUND: 404,
+    COMMAND_NOT_FOUND: 404,
+    CHANGE_REQUEST_NOT_PENDING: 409,
+    CHANGE_REQUEST_STALE: 409,
+    SELF_REVIEW_FORBIDDEN: 403,
+    NOT_REQUESTER: 403,
+    COMMENT_REQUIRED: 400,
+    INVALID_STATUS: 400
+};
+
+function sendError(res, error, fallbackMessage) {
+    if (ERROR_STATUS[error.code]) {
+        return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    if (error.message === 'This command is locked and cannot be modified') {
+        return res.status(409).json({ error: error.message, code: 'COMMAND_LOCKED' });
+    }
+    res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+// GET /commands/reviews?status=pending&commandId=&mine=true
+export async function listReviews(req, res) {
+    try {
+        const requests = await reviewService.listRequests({
+            status: req.query.status || 'pending',
+            commandId: req.query.commandId ? parseInt(req.query.commandId, 10) : null,
+            requestedBy: req.query.mine === 'true' ? req.session.user.id : null
+        });
+        res.json({ requests });
+    } catch (error) {
+        logger.error('Failed to list command change requests:', { error: error.message, query: req.query });
+        sendError(res, error, 'Failed to list command change requests');
+    }
+}
+
+// GET /commands/:id/reviews
+export async function listCommandReviews(req, res) {
+    try {
+        const requests = await reviewService.listRequests({ status: 'all', commandId: parseInt(req.params.id, 10) });
+        res.json({ commandId: parseInt(req.params.id, 10), requests });
+    } catch (error) {
+        logger.error('Failed to list change requests for command:', { error: error.message, commandId: req.params.id });
+        sendError(res, error, 'Failed to list command change requests');
+    }
+}
+
+// GET /commands/reviews/:requestId
+export async function getReview(req, res) {
+    try {
+        const request = await reviewService.getRequest(req.params.requestId);
+        res.json(request);
+    } catch (error) {
+        logger.error('Failed to get command change request:', { error: error.message, requestId: req.params.requestId });
+        sendError(res, error, 'Failed to get command change request');
+    }
+}
+
+// POST /commands/reviews/:requestId/approve  { comment }
+export async function approveReview(req, res) {
+    try {
+        const result = await reviewService.approve(req.params.requestId, req.session.user, req.body?.comment || null);
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to approve command change request:', {
+            error: error.message,
+            requestId: req.params.requestId,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to approve command change request');
+    }
+}
+
+// POST /commands/reviews/:requestId/reject  { comment }
+export async function rejectReview(req, res) {
+    try {
+        const result = await reviewService.reject(req.params.requestId, req.session.user, req.body?.comment);
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to reject command change request:', {
+            error: error.message,
+            requestId: req.params.requestId,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to reject command change request');
+    }
+}
+
+// POST /commands/reviews/:requestId/withdraw
+export async function withdrawReview(req, res) {
+    try {
+        const result = await reviewService.withdraw(req.params.requestId, req.session.user);
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to withdraw command change request:', {
+            error: error.message,
+            requestId: req.params.requestId,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to withdraw command change request');
+    }
+}
@@ -0,0 +1,74 @@
+// src/api/app/commandRevisions.js
+import { CommandRevisionService } from '../../services/commandRevisionService.js';
+import { logger } from '../../services/logger.js';
+
+const revisionService = new CommandRevisionService();
+
+function sendError(res, error, fallbackMessage) {
+    if (error.code === 'COMMAND_NOT_FOUND' || error.code === 'REVISION_NOT_FOUND') {
+        return res.status(404).json({ error: error.message, code: error.code });
+    }
+    if (error.message === 'This command is locked and cannot be modified') {
+        return res.status(409).json({ error: error.message, code: 'COMMAND_LOCKED' });
+    }
+    res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+// GET /commands/:id/revisions
+export async function getRevisions(req, res) {
+    try {
+        const revisions = await revisionService.listRevisions(req.params.id);
+        res.json({ commandId: parseInt(req.params.id, 10), revisions });
+    } catch (error) {
+        logger.error('Failed to list command revisions:', { error: error.message, commandId: req.params.id });
+        sendError(res, error, 'Failed to list command revisions');
+    }
+}
+
+// GET /commands/:id/revisions/diff?from=&to=
+export async function diffRevisions(req, res) {
+    try {
+        const diff = await revisionService.diffRevisions(req.params.id, req.query.from, req.query.to);
+        res.json(diff);
+    } catch (error) {
+        logger.error('Failed to diff command revisions:', {
+            error: error.message,
+            commandId: req.params.id,
+            from: req.query.from,
+            to: req.query.to
+        });
+        sendError(res, error, 'Failed to diff command revisions');
+    }
+}
+
+// GET /commands/:id/revisions/:revision
+export async function getRevision(req, res) {
+    try {
+        const revision = await revisionService.getRevision(req.params.id, req.params.revision);
+        res.json(revision);
+    } catch (error) {
+        logger.error('Failed to get command revision:', {
+            error: error.message,
+            commandId: req.params.id,
+            revision: req.params.revision
+        });
+        sendError(res, error, 'Failed to get command revision');
+    }
+}
+
+// POST /commands/:id/revisions/:revision/restore
+export async function restoreRevision(req, res) {
+    try {
+        const result = await revisionService.restoreRevision(req.params.id, req.params.revision, req.session.user);
+        // The restore is a change request and takes effect once it is approved
+        res.status(result.status === 'pending' ? 202 : 200).json(result);
+    } catch (error) {
+        logger.error('Failed to restore command revision:', {
+            error: error.message,
+            commandId: req.params.id,
+            revision: req.params.revision,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to restore command revision');
+    }
+}
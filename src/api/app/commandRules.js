@@ -0,0 +1,102 @@
+// src/api/app/commandRules.js
+import { HealthRuleService } from '../../services/healthRuleService.js';
+import { logger } from '../../services/logger.js';
+
+const healthRuleService = new HealthRuleService();
+
+const ERROR_STATUS = {
+    RULE_NOT_FOUND: 404,
+    INVALID_RULE: 400
+};
+
+function sendError(res, error, fallbackMessage) {
+    if (ERROR_STATUS[error.code]) {
+        return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code, details: error.details });
+    }
+    res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+// GET /rules?commandId=
+export async function listRules(req, res) {
+    try {
+        const rules = await healthRuleService.listRules(req.query);
+        res.json({ rules });
+    } catch (error) {
+        logger.error('Failed to list health rules:', { error: error.message });
+        sendError(res, error, 'Failed to list health rules');
+    }
+}
+
+// GET /rules/:id
+export async function getRule(req, res) {
+    try {
+        const rule = await healthRuleService.getRule(req.params.id);
+        res.json(rule);
+    } catch (error) {
+        logger.error('Failed to get health rule:', { error: error.message, ruleId: req.params.id });
+        sendError(res, error, 'Failed to get health rule');
+    }
+}
+
+// POST /rules  { commandId, name, expression, severity, remediation, enabled }
+export async function createRule(req, res) {
+    try {
+        const rule = await healthRuleService.createRule(req.body, req.session.user);
+        res.status(201).json(rule);
+    } catch (error) {
+        logger.error('Failed to create health rule:', { error: error.message, userId: req.session?.user?.id });
+        sendError(res, error, 'Failed to create health rule');
+    }
+}
+
+// PUT /rules/:id  { commandId, name, expression, severity, remediation, enabled }
+export async function updateRule(req, res) {
+    try {
+        const rule = await healthRuleService.updateRule(req.params.id, req.body, req.session.user);
+        res.json(rule);
+    } catch (error) {
+        logger.error('Failed to update health rule:', {
+            error: error.message,
+            ruleId: req.params.id,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to update health rule');
+    }
+}
+
+// DELETE /rules/:id
+export async function deleteRule(req, res) {
+    try {
+        await healthRuleService.deleteRule(req.params.id, req.session.user);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Failed to delete health rule:', {
+            error: error.message,
+            ruleId: req.params.id,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to delete health rule');
+    }
+}
+
+// POST /rules/test  { expression, output, status, metrics: [{ name, value, labels }] }
+export async function testRule(req, res) {
+    const { expression, ...sample } = req.body || {};
+    try {
+        res.json(healthRuleService.test(expression, sample));
+    } catch (error) {
+        logger.error('Failed to test health rule:', { error: error.message });
+        sendError(res, error, 'Failed to test health rule');
+    }
+}
+
+// GET /:projectId/:environment/verdicts
+export async function getVerdicts(req, res) {
+    const { projectId, environment } = req.params;
+    try {
+        res.json(await healthRuleService.getEnvironmentVerdict(projectId, environment));
+    } catch (error) {
+        logger.error('Failed to get health verdicts:', { error: error.message, projectId, environment });
+        sendError(res, error, 'Failed to get health verdicts');
+    }
+}
@@ -0,0 +1,130 @@
+// src/api/app/commandSchedules.js
+import { CommandScheduleService } from '../../services/commandScheduleService.js';
+import { logger } from '../../services/logger.js';
+
+const scheduleService = new CommandScheduleService();
+
+const ERROR_STATUS = {
+    SCHEDULE_NOT_FOUND: 404,
+    SNAPSHOT_NOT_FOUND: 404,
+    INVALID_SCHEDULE: 400,
+    INVALID_SNAPSHOT_FILTER: 400,
+    SCHEDULE_TOKEN_SECRET_MISSING: 503
+};
+
+function sendError(res, error, fallbackMessage) {
+    if (ERROR_STATUS[error.code]) {
+        return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code, details: error.details });
+    }
+    res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+// GET /schedules?projectId=&environment=
+export async function listSchedules(req, res) {
+    try {
+        const schedules = await scheduleService.listSchedules({
+            projectId: req.query.projectId || null,
+            environment: req.query.environment || null
+        });
+        res.json({ schedules });
+    } catch (error) {
+        logger.error('Failed to list command schedules:', { error: error.message, query: req.query });
+        sendError(res, error, 'Failed to list command schedules');
+    }
+}
+
+// GET /schedules/:id
+export async function getSchedule(req, res) {
+    try {
+        const schedule = await scheduleService.getSchedule(req.params.id);
+        res.json(schedule);
+    } catch (error) {
+        logger.error('Failed to get command schedule:', { error: error.message, scheduleId: req.params.id });
+        sendError(res, error, 'Failed to get command schedule');
+    }
+}
+
+// POST /schedules  { name, projectId, environment, commandIds, parameterValues, cronExpression, enabled, retentionDays, apiToken }
+export async function createSchedule(req, res) {
+    try {
+        const schedule = await scheduleService.createSchedule(req.body, req.session.user);
+        res.status(201).json(schedule);
+    } catch (error) {
+        logger.error('Failed to create command schedule:', { error: error.message, userId: req.session?.user?.id });
+        sendError(res, error, 'Failed to create command schedule');
+    }
+}
+
+// PUT /schedules/:id  (apiToken is optional; the stored token is kept without it)
+export async function updateSchedule(req, res) {
+    try {
+        const schedule = await scheduleService.updateSchedule(req.params.id, req.body, req.session.user);
+        res.json(schedule);
+    } catch (error) {
+        logger.error('Failed to update command schedule:', {
+            error: error.message,
+            scheduleId: req.params.id,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to update command schedule');
+    }
+}
+
+// DELETE /schedules/:id
+export async function deleteSchedule(req, res) {
+    try {
+        await scheduleService.deleteSchedule(req.params.id, req.session.user);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Failed to delete command schedule:', {
+            error: error.message,
+            scheduleId: req.params.id,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to delete command schedule');
+    }
+}
+
+// POST /schedules/:id/run - runs the schedule now, without moving its next run
+export async function runSchedule(req, res) {
+    try {
+        const schedule = await scheduleService.getSchedule(req.params.id);
+        const snapshot = await scheduleService.runSchedule(schedule, { manual: true });
+        res.json(snapshot);
+    } catch (error) {
+        logger.error('Failed to run command schedule:', {
+            error: error.message,
+            scheduleId: req.params.id,
+            userId: req.session?.user?.id
+        });
+        sendError(res, error, 'Failed to run command schedule');
+    }
+}
+
+// GET /snapshots?scheduleId=&projectId=&environment=&commandId=&from=&to=&limit=&offset=
+// GET /:projectId/:environment/snapshots?commandId=&from=&to=&limit=&offset=
+export async function listSnapshots(req, res) {
+    try {
+        const result = await scheduleService.listSnapshots({
+            ...req.query,
+            projectId: req.params.projectId || req.query.projectId,
+            environment: req.params.environment || req.query.environment
+        });
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to list command snapshots:', { error: error.message, query: req.query, params: req.params });
+        sendError(res, error, 'Failed to list command snapshots');
+    }
+}
+
+// GET /snapshots/:id?commandId=
+export async function getSnapshot(req, res) {
+    try {
+        const commandId = req.query.commandId ? parseInt(req.query.commandId, 10) : null;
+        const snapshot = await scheduleService.getSnapshot(req.params.id, commandId);
+        res.json(snapshot);
+    } catch (error) {
+        logger.error('Failed to get command snapshot:', { error: error.message, snapshotId: req.params.id });
+        sendError(res, error, 'Failed to get command snapshot');
+    }
+}
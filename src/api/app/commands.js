@@ -3,12 +3,15 @@
 
 import { CommandService } from '../../services/commandsManagerService.js';
 import { CommandExecutionService } from '../../services/commandExecutionService.js';
+import { CommandReviewService } from '../../services/commandReviewService.js';
 import { UserActivityService } from '../../services/userActivityService.js';
 import { WebSocketService } from '../../services/webSocketService.js';
 import { logger } from '../../services/logger.js';
+import { logActivity } from '../../services/activityLogger.js';
 
 const commandService = new CommandService();
 const commandExecutionService = new CommandExecutionService();
+const commandReviewService = new CommandReviewService();
 
 // Service handlers moved to CommandExecutionService
 
@@ -73,7 +76,8 @@ export async function executeAllCommands(req, res) {
             req.sessionID,
             req.session.user.groups,
             req.ip,
-            req.get('User-Agent')
+            req.get('User-Agent'),
+            { refresh: req.query.refresh === 'true' }
         );
 
         res.json(finalResults);
@@ -167,6 +171,27 @@ export async function executeAllCommands(req, res) {
     }
 }
 
+export async function cancelExecution(req, res) {
+    const tabId = req.body.tabId || req.query.tabId;
+    const userId = req.session.user.id;
+
+    if (!tabId) {
+        return res.status(400).json({ error: 'Tab ID is required' });
+    }
+
+    try {
+        const report = commandExecutionService.cancelExecution(tabId, userId);
+        res.json(report);
+    } catch (error) {
+        logger.error('Failed to cancel executions:', {
+            error: error.message,
+            userId,
+            tabId
+        });
+        res.status(500).json({ error: 'Failed to cancel executions' });
+    }
+}
+
 export async function refreshService(req, res) {
     const { serviceType, projectId, environment, tabId } = req.body;
     const userId = req.session.user.id;
@@ -247,7 +272,7 @@ export async function getCommands(req, res) {
 
 export async function createCommand(req, res) {
     try {
-        const id = await commandService.create(req.body);
+        const { id, changeRequestId } = await commandReviewService.submitCreate(req.body, req.session.user);
         
         // Track command creation activity
         try {
@@ -270,19 +295,32 @@ export async function createCommand(req, res) {
             logger.error('Failed to track command creation activity:', trackingError);
         }
 
-        res.status(201).json({ id });
+        res.status(201).json({ id, changeRequestId, status: 'pending' });
     } catch (error) {
         logger.error('Failed to create command:', error);
+        if (['INVALID_PARAMETERS', 'INVALID_EXTRACTORS', 'INVALID_EXECUTION_POLICY', 'INVALID_RELATIONSHIP', 'INVALID_NODE_TARGET'].includes(error.code)) {
+            return res.status(400).json({ error: error.message, code: error.code, details: error.details });
+        }
         res.status(500).json({ error: error.message });
     }
 }
 
 export async function updateCommand(req, res) {
     try {
-        await commandService.update(req.params.id, req.body);
-        res.status(200).json({ success: true });
+        // Edits are stored as a change request; the command keeps its approved version until review
+        const result = await commandReviewService.submitUpdate(req.params.id, req.body, req.session.user);
+        res.status(result.status === 'pending' ? 202 : 200).json(result);
     } catch (error) {
         logger.error('Failed to update command:', error);
+        if (['INVALID_PARAMETERS', 'INVALID_EXTRACTORS', 'INVALID_EXECUTION_POLICY', 'INVALID_RELATIONSHIP', 'INVALID_NODE_TARGET'].includes(error.code)) {
+            return res.status(400).json({ error: error.message, code: error.code, details: error.details });
+        }
+        if (error.code === 'COMMAND_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+        if (error.message === 'This command is locked and cannot be modified') {
+            return res.status(409).json({ error: error.message, code: 'COMMAND_LOCKED' });
+        }
         res.status(500).json({ error: error.message });
     }
 }
@@ -301,6 +339,8 @@ export async function toggleCommand(req, res) {
                 error: 'Access denied. Admin privileges required.',
                 code: 'ADMIN_REQUIRED'
             });
+        } else if (error.code === 'REVIEW_REQUIRED') {
+            res.status(409).json({ error: error.message, code: error.code });
         } else {
             res.status(500).json({ error: error.message });
         }
@@ -318,6 +358,15 @@ export async function deleteCommand(req, res) {
 }
 
 export async function executeSingleCommand(req, res) {
+    return runSingleCommand(req, res);
+}
+
+// Admin view of a command's output with secrets left in; every use is audited
+export async function executeSingleCommandUnredacted(req, res) {
+    return runSingleCommand(req, res, { unredacted: true });
+}
+
+async function runSingleCommand(req, res, { unredacted = false } = {}) {
     const { commandId, projectId } = req.body;
     const environment = req.body.environment || null;
     const userId = req.session?.user?.id;
@@ -334,6 +383,11 @@ export async function executeSingleCommand(req, res) {
             return res.status(401).json({ error: 'API token not found for user' });
         }
 
+        if (unredacted) {
+            logger.warn('Unredacted command output requested', { commandId, projectId, environment, userId });
+            logActivity.command.unredactedViewed(userId, req.session.user.email, projectId, environment, commandId);
+        }
+
         // Delegate to service
         const result = await commandExecutionService.executeSingleCommand(
             commandId,
@@ -341,12 +395,22 @@ export async function executeSingleCommand(req, res) {
             environment,
             userId,
             apiToken,
-            tabId
+            tabId,
+            req.body.parameters || {},
+            { unredacted }
         );
 
             res.json(result);
 
     } catch (error) {
+        if (error.code === 'INVALID_PARAMETER_VALUES') {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                details: error.details
+            });
+        }
+
         // Handle HIPAA project detection error specifically
         if (error.message === 'HIPAA_PROJECT_DETECTED') {
             logger.warn('HIPAA project detected, blocking command execution:', {
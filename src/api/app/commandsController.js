@@ -56,6 +56,16 @@ export async function executeSingleCommand(req, res) {
     return await commands.executeSingleCommand(req, res);
 }
 
+// Execute single command without secret redaction (admin, audited)
+export async function executeSingleCommandUnredacted(req, res) {
+    return await commands.executeSingleCommandUnredacted(req, res);
+}
+
+// Cancel a tab's executions
+export async function cancelExecution(req, res) {
+    return await commands.cancelExecution(req, res);
+}
+
 // Refresh service
 export async function refreshService(req, res) {
     return await commands.refreshService(req, res);
@@ -2,9 +2,9 @@
 import { MagentoCloudDirectAccessService } from '../../services/magentoCloudDirectAccessService.js';
 
 // Export the executeCommand function for backward compatibility with other modules
-export async function executeCommand(magentoCloud, command, context, apiToken, userId) {
+export async function executeCommand(magentoCloud, command, context, apiToken, userId, options = {}) {
     const service = new MagentoCloudDirectAccessService();
-    return await service.executeCommand(magentoCloud, command, context, apiToken, userId);
+    return await service.executeCommand(magentoCloud, command, context, apiToken, userId, options);
 }
 
 /**
@@ -32,7 +32,11 @@ export async function executeCommands(req, res) {
     try {
         // Delegate to service
         const service = new MagentoCloudDirectAccessService();
-        const result = await service.executeCommands(projectId, environment, instance, commands, apiToken, userId);
+        const result = await service.executeCommands(projectId, environment, instance, commands, apiToken, userId, {
+            reporter: req.executionContext?.reporter,
+            signal: req.executionContext?.signal,
+            policies: req.executionContext?.policies
+        });
 
         res.status(result.statusCode).json(result.success ? {
             projectId: result.projectId,
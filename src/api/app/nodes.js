@@ -9,6 +9,7 @@ export async function execute(projectId, environment, apiToken, userId) {
 
 /**
  * API handler for getting nodes information.
+ * Nodes come from the node inventory cache; ?refresh=true discovers them again.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -25,9 +26,16 @@ export async function getNodes(req, res) {
     try {
         // Delegate to service
         const nodesService = new NodesManagementService();
-        const result = await nodesService.getNodes(projectId, environment, apiToken, userId);
+        const result = await nodesService.getNodes(projectId, environment, apiToken, userId, {
+            refresh: req.query.refresh === 'true'
+        });
 
-        res.status(result.statusCode).json(result.success ? { nodes: result.nodes } : {
+        res.status(result.statusCode).json(result.success ? {
+            nodes: result.nodes,
+            architecture: result.architecture,
+            discoveredAt: result.discoveredAt,
+            cache: result.cache
+        } : {
             error: result.error,
             details: result.details
         });
@@ -22,7 +22,11 @@ export async function runQueries(req, res) {
     try {
         // Delegate to service
         const openSearchService = new OpenSearchManagementService();
-        const result = await openSearchService.runQueries(projectId, environment, queries, apiToken, userId);
+        const result = await openSearchService.runQueries(projectId, environment, queries, apiToken, userId, {
+            reporter: req.executionContext?.reporter,
+            signal: req.executionContext?.signal,
+            policies: req.executionContext?.policies
+        });
 
         res.status(result.statusCode).json(result.success ? {
             projectId: result.projectId,
@@ -38,7 +38,12 @@ export async function runCommands(req, res) {
             environment,
             commands,
             apiToken,
-            userId
+            userId,
+            {
+                reporter: req.executionContext?.reporter,
+                signal: req.executionContext?.signal,
+                policies: req.executionContext?.policies
+            }
         );
 
         res.json(result);
@@ -32,7 +32,12 @@ export async function runQueries(req, res) {
             environment,
             queries,
             apiToken,
-            userId
+            userId,
+            {
+                reporter: req.executionContext?.reporter,
+                signal: req.executionContext?.signal,
+                policies: req.executionContext?.policies
+            }
         );
 
         res.json(result);
@@ -0,0 +1,46 @@
+// src/api/app/resultComparisons.js
+import { ResultComparisonService } from '../../services/resultComparisonService.js';
+import { logger } from '../../services/logger.js';
+
+const comparisonService = new ResultComparisonService();
+
+const ERROR_STATUS = {
+    INVALID_COMPARISON: 400,
+    INVALID_PARAMETER_VALUES: 400,
+    SNAPSHOT_NOT_FOUND: 404
+};
+
+// POST /commands/compare
+// { left: { snapshotId } | { projectId, environment, relationships }, right: ..., commandIds, parameterValues, tabId }
+// relationships: { sql: 'database-slave' } runs that side's SQL commands against the replica
+export async function compareResults(req, res) {
+    const userId = req.session?.user?.id;
+    const tabId = req.query.tabId || req.body?.tabId;
+
+    try {
+        const result = await comparisonService.compare({
+            left: req.body?.left,
+            right: req.body?.right,
+            commandIds: req.body?.commandIds,
+            parameterValues: req.body?.parameterValues || {}
+        }, {
+            userId,
+            apiToken: req.session.decryptedApiToken,
+            tabId
+        });
+        res.json(result);
+    } catch (error) {
+        if (ERROR_STATUS[error.code]) {
+            return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code, details: error.details });
+        }
+        if (error.message === 'HIPAA_PROJECT_DETECTED') {
+            return res.status(403).json({
+                error: 'HIPAA_PROJECT_DETECTED',
+                message: 'This is a HIPAA project and cannot be opened',
+                hipaaInfo: error.hipaaInfo
+            });
+        }
+        logger.error('Failed to compare command results:', { error: error.message, userId, tabId });
+        res.status(500).json({ error: 'Failed to compare command results', details: error.message });
+    }
+}
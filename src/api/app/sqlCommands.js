@@ -9,15 +9,23 @@ import { ServiceExecutionService } from '../../services/serviceExecutionService.
 // Main API handler for executing SQL queries
 async function runQueries(req, res) {
     const { projectId, environment } = req.params;
-    const { queries } = req.body;
     const userId = req.session.user.id;
 
+    // The write capability is only honoured for catalog commands executed by the server itself
+    // (CommandExecutionService sets executionContext); anything sent over HTTP is read-only.
+    const trusted = req.executionContext?.trusted === true;
+    const queries = Array.isArray(req.body.queries)
+        ? req.body.queries.map(query => ({ ...query, allowWrite: trusted && query.allowWrite === true }))
+        : req.body.queries;
+
     // Validate queries using service
     const validationService = new CommandValidationService();
     const validation = validationService.validateSQLQueries(queries);
     if (!validation.valid) {
+        const rejectedByPolicy = validation.errors.some(error => error.violations);
         return res.status(400).json({
-            error: 'Invalid query format',
+            error: rejectedByPolicy ? 'Query rejected by read-only policy' : 'Invalid query format',
+            ...(rejectedByPolicy && { code: 'SQL_NOT_READ_ONLY' }),
             details: validation.errors
         });
     }
@@ -35,7 +43,12 @@ async function runQueries(req, res) {
             environment,
             queries,
             apiToken,
-            userId
+            userId,
+            {
+                reporter: req.executionContext?.reporter,
+                signal: req.executionContext?.signal,
+                policies: req.executionContext?.policies
+            }
         );
 
         res.json({
@@ -21,7 +21,8 @@ export async function runCommands(req, res) {
             title: cmd.title,
             command: cmd.command,
             allowAi: cmd.allowAi,
-            executeOnAllNodes: cmd.executeOnAllNodes
+            executeOnAllNodes: cmd.executeOnAllNodes,
+            nodeTarget: cmd.nodeTarget
         })),
         hasApiToken: !!apiToken,
         timestamp: new Date().toISOString()
@@ -54,7 +55,12 @@ export async function runCommands(req, res) {
             environment,
             commands,
             apiToken,
-            userId
+            userId,
+            {
+                reporter: req.executionContext?.reporter,
+                signal: req.executionContext?.signal,
+                policies: req.executionContext?.policies
+            }
         );
 
         res.json(result);
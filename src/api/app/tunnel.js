@@ -1,6 +1,7 @@
 // src/api/app/tunnel.js
 import { TunnelManagementService } from '../../services/tunnelManagementService.js';
 import { logger } from '../../services/logger.js';
+import { logActivity } from '../../services/activityLogger.js';
 
 export async function openTunnel(req, res) {
     try {
@@ -32,3 +33,72 @@ export async function openTunnel(req, res) {
         });
     }
 }
+
+function sendResult(res, result, body) {
+    res.status(result.statusCode).json(result.success ? body : {
+        error: result.error,
+        details: result.details
+    });
+}
+
+// GET /:projectId/:environment/relationships - services of the environment's tunnel by relationship name
+export async function listRelationships(req, res) {
+    const { projectId, environment } = req.params;
+    const tunnelService = new TunnelManagementService();
+    const result = await tunnelService.listRelationships(projectId, environment, req.session.decryptedApiToken, req.session.user.id);
+    sendResult(res, result, { projectId, environment, relationships: result.relationships });
+}
+
+// GET /tunnels - tunnels the current user is using
+export async function listTunnels(req, res) {
+    const tunnelService = new TunnelManagementService();
+    const result = await tunnelService.listTunnels(req.session.user.id);
+    sendResult(res, result, { tunnels: result.tunnels });
+}
+
+// GET /admin/tunnels
+export async function listAllTunnels(req, res) {
+    const tunnelService = new TunnelManagementService();
+    const result = await tunnelService.listTunnels(null);
+    sendResult(res, result, { tunnels: result.tunnels });
+}
+
+// POST /tunnels/:projectId/:environment/extend
+// Body: { minutes }. Extends the current user's idle timer.
+export async function extendTunnel(req, res) {
+    return extend(req, res, { allUsers: false });
+}
+
+// POST /admin/tunnels/:projectId/:environment/extend
+// Body: { minutes }. Extends every user's idle timer.
+export async function extendTunnelForAll(req, res) {
+    return extend(req, res, { allUsers: true });
+}
+
+async function extend(req, res, { allUsers }) {
+    const { projectId, environment } = req.params;
+    const { id: userId, email } = req.session.user;
+    const minutes = Number(req.body?.minutes);
+
+    const tunnelService = new TunnelManagementService();
+    const result = await tunnelService.extendTunnel(
+        projectId, environment, req.session.decryptedApiToken, userId, minutes, { allUsers }
+    );
+    if (result.success) {
+        logActivity.tunnel.extended(userId, email, projectId, environment, minutes);
+    }
+    sendResult(res, result, { message: 'Tunnel idle timeout extended', tunnel: result.tunnel });
+}
+
+// POST /admin/tunnels/:projectId/:environment/close
+export async function forceCloseTunnel(req, res) {
+    const { projectId, environment } = req.params;
+    const { id: userId, email } = req.session.user;
+
+    const tunnelService = new TunnelManagementService();
+    const result = await tunnelService.forceCloseTunnel(projectId, environment, req.session.decryptedApiToken, userId);
+    if (result.success) {
+        logActivity.tunnel.forceClosed(userId, email, projectId, environment);
+    }
+    sendResult(res, result, { message: 'Tunnel closed' });
+}
@@ -19,14 +19,151 @@ const tables = {
             allow_ai BOOLEAN DEFAULT FALSE,
             auto_run BOOLEAN DEFAULT TRUE,
             component_code TEXT,
+            parameters LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(parameters)),
+            extractors LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(extractors)),
+            execution_policy LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(execution_policy)),
+            relationship VARCHAR(64) DEFAULT NULL,
+            node_target VARCHAR(512) DEFAULT NULL,
+            allow_write BOOLEAN DEFAULT FALSE,
             locked BOOLEAN DEFAULT FALSE,
             reviewed BOOLEAN DEFAULT FALSE,
+            revision INT NOT NULL DEFAULT 0,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
             INDEX idx_service_type (service_type),
             INDEX idx_created_at (created_at)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `,
+    command_revisions: `
+        CREATE TABLE IF NOT EXISTS command_revisions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            command_id INT NOT NULL,
+            revision INT NOT NULL,
+            action ENUM('baseline', 'create', 'update', 'toggle', 'restore') NOT NULL,
+            snapshot LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(snapshot)), -- Full command state after this revision
+            changed_fields LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(changed_fields)),
+            author_id VARCHAR(255) DEFAULT NULL,
+            author_email VARCHAR(255) DEFAULT NULL,
+            note VARCHAR(500) DEFAULT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_command_revision (command_id, revision),
+            INDEX idx_command_id (command_id),
+            INDEX idx_author_id (author_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `,
+    command_change_requests: `
+        CREATE TABLE IF NOT EXISTS command_change_requests (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            command_id INT NOT NULL,
+            type ENUM('create', 'update', 'restore', 'import') NOT NULL,
+            status ENUM('pending', 'approved', 'rejected', 'withdrawn', 'superseded') NOT NULL DEFAULT 'pending',
+            base_revision INT NOT NULL DEFAULT 0,
+            proposed LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(proposed)), -- Proposed column values
+            original LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(original)), -- Values they replace, used to detect stale requests
+            changed_fields LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(changed_fields)),
+            requested_by VARCHAR(255) DEFAULT NULL,
+            requested_by_email VARCHAR(255) DEFAULT NULL,
+            note VARCHAR(500) DEFAULT NULL,
+            reviewed_by VARCHAR(255) DEFAULT NULL,
+            reviewed_by_email VARCHAR(255) DEFAULT NULL,
+            review_comment TEXT DEFAULT NULL,
+            applied_revision INT DEFAULT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            reviewed_at TIMESTAMP NULL DEFAULT NULL,
+            INDEX idx_status (status),
+            INDEX idx_command_status (command_id, status),
+            INDEX idx_requested_by (requested_by)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `,
+    command_pipelines: `
+        CREATE TABLE IF NOT EXISTS command_pipelines (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            steps LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(steps)), -- DAG of catalog command steps
+            created_by VARCHAR(255) DEFAULT NULL,
+            updated_by VARCHAR(255) DEFAULT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_pipeline_name (name)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `,
+    command_schedules: `
+        CREATE TABLE IF NOT EXISTS command_schedules (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            project_id VARCHAR(255) NOT NULL,
+            environment VARCHAR(255) NOT NULL,
+            command_ids LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(command_ids)), -- Catalog commands run together
+            parameter_values LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (parameter_values IS NULL OR json_valid(parameter_values)), -- { [commandId]: { name: value } }
+            cron_expression VARCHAR(100) NOT NULL,
+            enabled TINYINT(1) NOT NULL DEFAULT 1,
+            api_token TEXT NOT NULL, -- Service account token, encrypted with SCHEDULE_TOKEN_SECRET
+            retention_days INT NOT NULL DEFAULT 30,
+            next_run_at DATETIME DEFAULT NULL,
+            last_run_at DATETIME DEFAULT NULL,
+            last_status VARCHAR(20) DEFAULT NULL,
+            last_error TEXT,
+            created_by VARCHAR(255) DEFAULT NULL,
+            updated_by VARCHAR(255) DEFAULT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_due (enabled, next_run_at),
+            INDEX idx_project_env (project_id, environment)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `,
+    command_snapshots: `
+        CREATE TABLE IF NOT EXISTS command_snapshots (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            schedule_id INT DEFAULT NULL,
+            project_id VARCHAR(255) NOT NULL,
+            environment VARCHAR(255) NOT NULL,
+            status VARCHAR(20) NOT NULL, -- SUCCESS, PARTIAL or ERROR
+            command_ids LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(command_ids)),
+            results LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(results)), -- Per-command, per-node results of the run
+            error TEXT,
+            started_at DATETIME(3) NOT NULL,
+            finished_at DATETIME(3) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_schedule_started (schedule_id, started_at),
+            INDEX idx_project_env_started (project_id, environment, started_at),
+            CONSTRAINT fk_snapshot_schedule FOREIGN KEY (schedule_id) REFERENCES command_schedules (id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `,
+    command_metrics: `
+        CREATE TABLE IF NOT EXISTS command_metrics (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            command_id INT NOT NULL,
+            project_id VARCHAR(255) NOT NULL,
+            environment VARCHAR(255) NOT NULL,
+            node_id VARCHAR(255) DEFAULT NULL,
+            name VARCHAR(100) NOT NULL,
+            labels VARCHAR(1024) NOT NULL DEFAULT '{}', -- JSON with sorted keys, identifies the series
+            value_number DOUBLE DEFAULT NULL,
+            value_text VARCHAR(1024) DEFAULT NULL,
+            unit VARCHAR(32) DEFAULT NULL,
+            collected_at DATETIME(3) NOT NULL,
+            INDEX idx_series (project_id, environment, command_id, name, collected_at),
+            INDEX idx_collected_at (collected_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `,
+    command_rules: `
+        CREATE TABLE IF NOT EXISTS command_rules (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            command_id INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            expression TEXT NOT NULL, -- See src/services/ruleExpression.js
+            severity VARCHAR(20) NOT NULL DEFAULT 'warning', -- info, warning or critical
+            remediation TEXT,
+            enabled BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by VARCHAR(255) DEFAULT NULL,
+            updated_by VARCHAR(255) DEFAULT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_command_id (command_id),
+            CONSTRAINT fk_rule_command FOREIGN KEY (command_id) REFERENCES commands (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `,
     users: `
         CREATE TABLE IF NOT EXISTS users (
             user_id VARCHAR(255) PRIMARY KEY,
@@ -0,0 +1,77 @@
+// src/config/redaction.js
+
+// Secrets removed from command output before it leaves the backend (see RedactionService).
+// Every match is replaced by "[REDACTED:<rule name>]".
+//
+//   patterns:        { name, pattern, group } regular expressions; with a group only that capture
+//                    group is replaced, so "DB_PASSWORD=[REDACTED:env_assignment]" keeps the name.
+//                    A list of groups replaces the first of them that matched (alternative forms)
+//   sensitiveKeys:   key names whose values are replaced wherever they appear as JSON keys,
+//                    PHP array keys ('key' => 'value') or in row objects (SQL results)
+//   envPhpKeyPaths:  app/etc/env.php settings, as dotted paths with * for any key, whose values
+//                    are replaced even though their own key name is not sensitive (e.g. crypt.key)
+//   entropy:         long random-looking tokens (API keys, base64 blobs) not caught by the rules above
+//   allow:           values that are never redacted
+
+const SENSITIVE_NAME = '[A-Za-z0-9_]*(?:PASSWORD|PASSWD|PASS|SECRET|TOKEN|API_?KEY|PRIVATE_?KEY|CREDENTIALS?|AUTH)[A-Za-z0-9_]*';
+
+export const redactionConfig = {
+    enabled: process.env.REDACTION_ENABLED !== 'false',
+
+    patterns: [
+        { name: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+        { name: 'url_credentials', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"]+:([^\s@'"]+)@/gi, group: 1 },
+        { name: 'bearer_token', pattern: /\bBearer\s+([A-Za-z0-9._~+/=-]{8,})/g, group: 1 },
+        { name: 'aws_access_key', pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g },
+        { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+        { name: 'env_assignment', pattern: new RegExp(`^\\s*(?:export\\s+)?${SENSITIVE_NAME}\\s*=\\s*(.+)$`, 'gim'), group: 1 },
+        // Only within a mysql/mariadb client invocation: -p is also -print0, -project, -permanent elsewhere.
+        // Covers -pSecret, -p'Secret', --password=Secret, --password="Secret" and --password Secret
+        // (mysql -u main -p alone prompts and has no value to redact)
+        {
+            name: 'mysql_password_flag',
+            pattern: /\b(?:mysql|mysqldump|mysqladmin|mariadb|mariadb-dump|mariadb-admin)\b[^\n;&|]*?\s(?:-p|--password=|--password\s+)(?:'([^'\n]{3,})'|"([^"\n]{3,})"|([^\s'"]{3,}))/g,
+            group: [1, 2, 3]
+        }
+    ],
+
+    sensitiveKeys: [
+        'password',
+        'passwd',
+        'pass',
+        'secret',
+        'token',
+        'api_key',
+        'apikey',
+        'access_key',
+        'secret_key',
+        'private_key',
+        'client_secret',
+        'auth',
+        'credentials',
+        'encryption_key'
+    ],
+
+    envPhpKeyPaths: [
+        'crypt.key',
+        'db.connection.*.password',
+        'session.redis.password',
+        'cache.frontend.*.backend_options.password',
+        'cache.frontend.*.backend_options.remote_backend_options.password',
+        'queue.amqp.password',
+        'system.*.*.*.api_key',
+        'system.*.*.*.secret'
+    ],
+
+    entropy: {
+        enabled: true,
+        minLength: 24,
+        // Bits per character; hex strings (hashes, ids) stay at or below 4
+        threshold: 4.3
+    },
+
+    allow: [
+        /^[0-9a-f]{40}$/i, // git commit hashes
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i // UUIDs
+    ]
+};
@@ -0,0 +1,98 @@
+// src/config/redisCommandPolicy.js
+
+// Commands that may run against a customer's Redis/Valkey through the tunnel.
+// Anything that is not listed is rejected (defaultAction: 'deny').
+//
+// Rule options:
+//   deny:        reason shown to the user; the command is never allowed
+//   subcommands: rules for "<COMMAND> <SUBCOMMAND>" (unlisted subcommands are rejected)
+//   minArgs/maxArgs: number of arguments after the command (and subcommand) name
+//   options:     { NAME: { required, max } } for "NAME <integer>" options such as SCAN's COUNT
+//   range:       { start, stop, max } zero-based argument positions of an index range that must be explicit and bounded
+
+const MAX_SCAN_COUNT = 10000;
+const MAX_RANGE = 1000;
+const MAX_KEYS = 100;
+
+const scan = (keyed) => ({
+    minArgs: keyed ? 2 : 1,
+    options: { COUNT: { required: true, max: MAX_SCAN_COUNT } }
+});
+
+export const redisCommandPolicy = {
+    defaultAction: 'deny',
+    commands: {
+        // Server
+        PING: { maxArgs: 1 },
+        INFO: { maxArgs: 1 },
+        DBSIZE: { maxArgs: 0 },
+        TIME: { maxArgs: 0 },
+        LASTSAVE: { maxArgs: 0 },
+        ROLE: { maxArgs: 0 },
+        CONFIG: { subcommands: { GET: { minArgs: 1 } } },
+        CLIENT: { subcommands: { LIST: {}, INFO: { maxArgs: 0 }, GETNAME: { maxArgs: 0 } } },
+        SLOWLOG: { subcommands: { GET: { maxArgs: 1 }, LEN: { maxArgs: 0 } } },
+        LATENCY: { subcommands: { LATEST: { maxArgs: 0 }, DOCTOR: { maxArgs: 0 }, HISTORY: { minArgs: 1, maxArgs: 1 } } },
+        MEMORY: { subcommands: { USAGE: { minArgs: 1 }, STATS: { maxArgs: 0 }, DOCTOR: { maxArgs: 0 } } },
+        CLUSTER: { subcommands: { INFO: { maxArgs: 0 }, NODES: { maxArgs: 0 } } },
+
+        // Keyspace
+        SCAN: scan(false),
+        EXISTS: { minArgs: 1, maxArgs: MAX_KEYS },
+        TYPE: { minArgs: 1, maxArgs: 1 },
+        TTL: { minArgs: 1, maxArgs: 1 },
+        PTTL: { minArgs: 1, maxArgs: 1 },
+        OBJECT: { subcommands: { ENCODING: { minArgs: 1, maxArgs: 1 }, IDLETIME: { minArgs: 1, maxArgs: 1 }, FREQ: { minArgs: 1, maxArgs: 1 }, REFCOUNT: { minArgs: 1, maxArgs: 1 } } },
+
+        // Strings
+        GET: { minArgs: 1, maxArgs: 1 },
+        MGET: { minArgs: 1, maxArgs: MAX_KEYS },
+        STRLEN: { minArgs: 1, maxArgs: 1 },
+        GETRANGE: { minArgs: 3, maxArgs: 3 },
+
+        // Hashes (Magento cache and session entries)
+        HGET: { minArgs: 2, maxArgs: 2 },
+        HMGET: { minArgs: 2, maxArgs: MAX_KEYS + 1 },
+        HGETALL: { minArgs: 1, maxArgs: 1 },
+        HKEYS: { minArgs: 1, maxArgs: 1 },
+        HLEN: { minArgs: 1, maxArgs: 1 },
+        HEXISTS: { minArgs: 2, maxArgs: 2 },
+        HSCAN: scan(true),
+
+        // Lists, sets and sorted sets
+        LLEN: { minArgs: 1, maxArgs: 1 },
+        LINDEX: { minArgs: 2, maxArgs: 2 },
+        LRANGE: { minArgs: 3, maxArgs: 3, range: { start: 1, stop: 2, max: MAX_RANGE } },
+        SCARD: { minArgs: 1, maxArgs: 1 },
+        SISMEMBER: { minArgs: 2, maxArgs: 2 },
+        SSCAN: scan(true),
+        ZCARD: { minArgs: 1, maxArgs: 1 },
+        ZSCORE: { minArgs: 2, maxArgs: 2 },
+        ZCOUNT: { minArgs: 3, maxArgs: 3 },
+        ZRANGE: { minArgs: 3, maxArgs: 4, range: { start: 1, stop: 2, max: MAX_RANGE } },
+        ZSCAN: scan(true),
+
+        // Explicitly denied, with the reason shown to the user
+        KEYS: { deny: 'KEYS blocks the server on large keyspaces; use SCAN 0 MATCH <pattern> COUNT <n> instead' },
+        SMEMBERS: { deny: 'SMEMBERS can return very large sets (e.g. Magento cache tags); use SSCAN <key> 0 COUNT <n> instead' },
+        FLUSHALL: { deny: 'FLUSHALL deletes every key on the server' },
+        FLUSHDB: { deny: 'FLUSHDB deletes every key in the database' },
+        DEBUG: { deny: 'DEBUG can block or crash the server' },
+        SHUTDOWN: { deny: 'SHUTDOWN stops the server' },
+        MONITOR: { deny: 'MONITOR streams every command and degrades performance' },
+        SAVE: { deny: 'SAVE blocks the server while writing a snapshot' },
+        BGSAVE: { deny: 'Snapshots are managed by the platform' },
+        BGREWRITEAOF: { deny: 'AOF rewrites are managed by the platform' },
+        REPLICAOF: { deny: 'Replication is managed by the platform' },
+        SLAVEOF: { deny: 'Replication is managed by the platform' },
+        MIGRATE: { deny: 'MIGRATE moves keys to another server' },
+        SWAPDB: { deny: 'SWAPDB swaps whole databases' },
+        EVAL: { deny: 'Lua scripts can modify data and block the server' },
+        EVALSHA: { deny: 'Lua scripts can modify data and block the server' },
+        SCRIPT: { deny: 'Lua scripts can modify data and block the server' },
+        FUNCTION: { deny: 'Functions can modify data and block the server' },
+        FCALL: { deny: 'Functions can modify data and block the server' },
+        MODULE: { deny: 'Modules change the server' },
+        ACL: { deny: 'ACLs are managed by the platform' }
+    }
+};
@@ -0,0 +1,33 @@
+// src/middleware/redaction.js
+import { RedactionService } from '../services/redactionService.js';
+import { logger } from '../services/logger.js';
+
+const redactionService = new RedactionService();
+
+/**
+ * Redacts secrets from the node results of the direct service endpoints (sshcommand, sqlquery, ...)
+ * before the response is sent. Catalog runs call the same handlers without Express and are
+ * redacted by CommandExecutionService.
+ */
+export function redactCommandResults(req, res, next) {
+  const originalJson = res.json;
+
+  res.json = function(data) {
+    try {
+      const redactions = redactionService.redactResults(data);
+      if (redactions > 0) {
+        logger.info('Secrets redacted from command output', {
+          path: req.originalUrl,
+          userId: req.session?.user?.id,
+          redactions
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to redact command output:', { path: req.originalUrl, error: error.message });
+      return originalJson.call(this, { error: 'Failed to prepare command output' });
+    }
+    return originalJson.call(this, data);
+  };
+
+  next();
+}
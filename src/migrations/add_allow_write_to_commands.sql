@@ -0,0 +1,7 @@
+-- src/migrations/add_allow_write_to_commands.sql
+-- Migration: Write capability for SQL commands
+-- Description: SQL commands are read-only unless an admin grants the write capability.
+-- Without it, DML/DDL, SET, multi-statements, INTO OUTFILE, LOAD_FILE and locking reads are rejected.
+
+ALTER TABLE commands
+ADD COLUMN allow_write BOOLEAN DEFAULT FALSE AFTER parameters;
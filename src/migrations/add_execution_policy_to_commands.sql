@@ -0,0 +1,8 @@
+-- src/migrations/add_execution_policy_to_commands.sql
+-- Migration: Command execution policy
+-- Description: Per-command timeout, retries with backoff, output size cap and allowed parallelism.
+-- Commands without a policy use the defaults (COMMAND_DEFAULT_TIMEOUT_MS, COMMAND_DEFAULT_MAX_OUTPUT_BYTES).
+-- Format: { "timeoutMs": 30000, "retries": 2, "backoff": "exponential", "backoffMs": 1000, "maxOutputBytes": 1048576, "parallelism": 1 }
+
+ALTER TABLE commands
+ADD COLUMN execution_policy JSON DEFAULT NULL AFTER extractors;
@@ -0,0 +1,25 @@
+-- src/migrations/add_extractors_to_commands.sql
+-- Migration: Command output extractors and metrics
+-- Description: Extractors declared per command turn raw output into typed values (metrics) that
+-- are returned with the output and stored in command_metrics for trends and alerts.
+-- Format: [{ "name": "disk_used_pct", "type": "table", "column": "Use%", "labelColumns": ["Mounted"], "valueType": "number", "unit": "%" }, ...]
+-- Supported types: regex, json_path, table, key_value
+
+ALTER TABLE commands
+ADD COLUMN extractors JSON DEFAULT NULL AFTER parameters;
+
+CREATE TABLE IF NOT EXISTS command_metrics (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    command_id INT NOT NULL,
+    project_id VARCHAR(255) NOT NULL,
+    environment VARCHAR(255) NOT NULL,
+    node_id VARCHAR(255) DEFAULT NULL,
+    name VARCHAR(100) NOT NULL,
+    labels VARCHAR(1024) NOT NULL DEFAULT '{}', -- JSON with sorted keys, identifies the series
+    value_number DOUBLE DEFAULT NULL,
+    value_text VARCHAR(1024) DEFAULT NULL,
+    unit VARCHAR(32) DEFAULT NULL,
+    collected_at DATETIME(3) NOT NULL,
+    INDEX idx_series (project_id, environment, command_id, name, collected_at),
+    INDEX idx_collected_at (collected_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
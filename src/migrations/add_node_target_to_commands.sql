@@ -0,0 +1,8 @@
+-- src/migrations/add_node_target_to_commands.sql
+-- Migration: Command node target
+-- Description: Nodes an ssh or sql command runs on: all, first, role:<web|core|unified|services> or
+-- nodes:<id>,<id> with the stable node ids of the node inventory (e.g. 1.ent-abc-production-xyz).
+-- Commands without a target keep using execute_on_all_nodes (all, else first).
+
+ALTER TABLE commands
+ADD COLUMN node_target VARCHAR(512) DEFAULT NULL AFTER relationship;
@@ -0,0 +1,8 @@
+-- src/migrations/add_parameters_to_commands.sql
+-- Migration: Parameterized command templates
+-- Description: Named, typed parameters ({{name}} placeholders) declared per command.
+-- Format: [{ "name": "since", "type": "date_range", "default": { "from": "-1h", "to": "now" } }, ...]
+-- Supported types: string, integer, enum, date_range, node_id
+
+ALTER TABLE commands
+ADD COLUMN parameters JSON DEFAULT NULL AFTER component_code;
@@ -0,0 +1,7 @@
+-- src/migrations/add_relationship_to_commands.sql
+-- Migration: Command relationship
+-- Description: Tunnel relationship a sql, redis or opensearch command runs against, e.g. database-slave
+-- or redis-session. Commands without one use the service's primary relationship (database, redis, opensearch).
+
+ALTER TABLE commands
+ADD COLUMN relationship VARCHAR(64) DEFAULT NULL AFTER execution_policy;
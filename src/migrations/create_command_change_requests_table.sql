@@ -0,0 +1,27 @@
+-- src/migrations/create_command_change_requests_table.sql
+-- Migration: Two-person review of command changes
+-- Description: Creates, edits, restores and imports of commands are stored as change requests.
+-- A different admin approves (applying the change as a reviewed revision) or rejects them with a comment.
+
+CREATE TABLE IF NOT EXISTS command_change_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    command_id INT NOT NULL,
+    type ENUM('create', 'update', 'restore', 'import') NOT NULL,
+    status ENUM('pending', 'approved', 'rejected', 'withdrawn', 'superseded') NOT NULL DEFAULT 'pending',
+    base_revision INT NOT NULL DEFAULT 0,
+    proposed JSON NOT NULL, -- Proposed column values
+    original JSON NOT NULL, -- Values they replace, used to detect stale requests
+    changed_fields JSON DEFAULT NULL,
+    requested_by VARCHAR(255) DEFAULT NULL,
+    requested_by_email VARCHAR(255) DEFAULT NULL,
+    note VARCHAR(500) DEFAULT NULL,
+    reviewed_by VARCHAR(255) DEFAULT NULL,
+    reviewed_by_email VARCHAR(255) DEFAULT NULL,
+    review_comment TEXT DEFAULT NULL,
+    applied_revision INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_status (status),
+    INDEX idx_command_status (command_id, status),
+    INDEX idx_requested_by (requested_by)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
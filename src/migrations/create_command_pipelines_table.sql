@@ -0,0 +1,16 @@
+-- src/migrations/create_command_pipelines_table.sql
+-- Migration: Command pipelines
+-- Description: A pipeline is a DAG of steps, each running a catalog command. Steps extract values
+-- from their output that later steps pass as parameter values to their own commands.
+
+CREATE TABLE IF NOT EXISTS command_pipelines (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    steps JSON NOT NULL, -- DAG of catalog command steps
+    created_by VARCHAR(255) DEFAULT NULL,
+    updated_by VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_pipeline_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
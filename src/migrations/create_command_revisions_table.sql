@@ -0,0 +1,23 @@
+-- src/migrations/create_command_revisions_table.sql
+-- Migration: Versioned command catalog
+-- Description: Track every create/update/toggle/restore of a command as an immutable revision.
+-- Revisions are intentionally not tied to commands with a foreign key so history survives deletes.
+
+ALTER TABLE commands
+ADD COLUMN revision INT NOT NULL DEFAULT 0 AFTER reviewed;
+
+CREATE TABLE IF NOT EXISTS command_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    command_id INT NOT NULL,
+    revision INT NOT NULL,
+    action ENUM('baseline', 'create', 'update', 'toggle', 'restore') NOT NULL,
+    snapshot JSON NOT NULL, -- Full command state after this revision
+    changed_fields JSON DEFAULT NULL,
+    author_id VARCHAR(255) DEFAULT NULL,
+    author_email VARCHAR(255) DEFAULT NULL,
+    note VARCHAR(500) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_command_revision (command_id, revision),
+    INDEX idx_command_id (command_id),
+    INDEX idx_author_id (author_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
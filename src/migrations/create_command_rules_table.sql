@@ -0,0 +1,20 @@
+-- src/migrations/create_command_rules_table.sql
+-- Migration: Command health rules
+-- Description: Threshold rules evaluated against a command's extracted values and output after
+-- every execution. Matches produce health verdicts with a severity and a remediation hint.
+
+CREATE TABLE IF NOT EXISTS command_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    command_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    expression TEXT NOT NULL, -- See src/services/ruleExpression.js
+    severity VARCHAR(20) NOT NULL DEFAULT 'warning', -- info, warning or critical
+    remediation TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(255) DEFAULT NULL,
+    updated_by VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_command_id (command_id),
+    CONSTRAINT fk_rule_command FOREIGN KEY (command_id) REFERENCES commands (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,44 @@
+-- src/migrations/create_command_schedules_tables.sql
+-- Migration: Scheduled command runs and snapshots
+-- Description: A schedule runs a set of catalog commands against a project environment on a cron
+-- expression, with a stored service account token. Every run is stored as a timestamped snapshot.
+
+CREATE TABLE IF NOT EXISTS command_schedules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    project_id VARCHAR(255) NOT NULL,
+    environment VARCHAR(255) NOT NULL,
+    command_ids JSON NOT NULL, -- Catalog commands run together
+    parameter_values JSON DEFAULT NULL, -- { [commandId]: { name: value } }
+    cron_expression VARCHAR(100) NOT NULL,
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    api_token TEXT NOT NULL, -- Service account token, encrypted with SCHEDULE_TOKEN_SECRET
+    retention_days INT NOT NULL DEFAULT 30,
+    next_run_at DATETIME DEFAULT NULL,
+    last_run_at DATETIME DEFAULT NULL,
+    last_status VARCHAR(20) DEFAULT NULL,
+    last_error TEXT,
+    created_by VARCHAR(255) DEFAULT NULL,
+    updated_by VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_due (enabled, next_run_at),
+    INDEX idx_project_env (project_id, environment)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS command_snapshots (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    schedule_id INT DEFAULT NULL,
+    project_id VARCHAR(255) NOT NULL,
+    environment VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL, -- SUCCESS, PARTIAL or ERROR
+    command_ids JSON NOT NULL,
+    results JSON NOT NULL, -- Per-command, per-node results of the run
+    error TEXT,
+    started_at DATETIME(3) NOT NULL,
+    finished_at DATETIME(3) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_schedule_started (schedule_id, started_at),
+    INDEX idx_project_env_started (project_id, environment, started_at),
+    CONSTRAINT fk_snapshot_schedule FOREIGN KEY (schedule_id) REFERENCES command_schedules (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -1,6 +1,7 @@
 // src/routes/appRoutes.js
 import express from 'express';
-import { requireAuth, conditionalAuth } from '../middleware/auth.js';
+import { requireAuth, requireAdmin, conditionalAuth } from '../middleware/auth.js';
+import { redactCommandResults } from '../middleware/redaction.js';
 import * as environment from '../api/app/environment.js';
 import * as nodes from '../api/app/nodes.js';
 import * as sshCommands from '../api/app/sshCommands.js';
@@ -9,8 +10,17 @@ import * as redisCommands from '../api/app/redisCommands.js';
 import * as openSearchCommands from '../api/app/openSearchCommands.js';
 import * as magentoCloudDirectAccess from '../api/app/magentoCloudDirectAccess.js';
 import * as commandsController from '../api/app/commandsController.js';
+import * as commandRevisions from '../api/app/commandRevisions.js';
+import * as commandBundles from '../api/app/commandBundles.js';
+import * as commandReviews from '../api/app/commandReviews.js';
+import * as commandPipelines from '../api/app/commandPipelines.js';
+import * as commandSchedules from '../api/app/commandSchedules.js';
+import * as resultComparisons from '../api/app/resultComparisons.js';
+import * as commandMetrics from '../api/app/commandMetrics.js';
+import * as commandRules from '../api/app/commandRules.js';
 import * as bashCommands from '../api/app/bashCommands.js';
-import { openTunnel } from '../api/app/tunnel.js';
+import * as cliQueue from '../api/app/cliQueue.js';
+import * as tunnel from '../api/app/tunnel.js';
 import * as ai from '../api/app/ai.js';
 import { getChatMessages } from '../api/app/chatApi.js';
 import chatRoutes from './chatRoutes.js';
@@ -27,18 +37,60 @@ router.use('/', aiSettingsRoutes);
 
 router.get('/:projectId/environments', requireAuth, environment.getEnvironments);
 router.get('/:projectId/:environment/nodes', conditionalAuth, nodes.getNodes);
-router.post('/:projectId/:environment/open-tunnel', requireAuth, openTunnel);
-router.post('/:projectId/:environment/sshcommand', requireAuth, sshCommands.runCommands);
-router.post('/:projectId/:environment/sqlquery', requireAuth, sqlCommands.runQueries);
-router.post('/:projectId/:environment/redisquery', requireAuth, redisCommands.runQueries);
-router.post('/:projectId/:environment/searchquery', requireAuth, openSearchCommands.runQueries);
-router.post('/:projectId/:environment/magentocloud/:instance?', requireAuth, magentoCloudDirectAccess.executeCommands);
+router.post('/:projectId/:environment/open-tunnel', requireAuth, tunnel.openTunnel);
+router.get('/:projectId/:environment/relationships', requireAuth, tunnel.listRelationships);
+router.post('/:projectId/:environment/sshcommand', requireAuth, redactCommandResults, sshCommands.runCommands);
+router.post('/:projectId/:environment/sqlquery', requireAuth, redactCommandResults, sqlCommands.runQueries);
+router.post('/:projectId/:environment/redisquery', requireAuth, redactCommandResults, redisCommands.runQueries);
+router.post('/:projectId/:environment/searchquery', requireAuth, redactCommandResults, openSearchCommands.runQueries);
+router.post('/:projectId/:environment/magentocloud/:instance?', requireAuth, redactCommandResults, magentoCloudDirectAccess.executeCommands);
 router.get('/command/:id', requireAuth, commandsController.getCommand);
 router.get('/commands', requireAuth, commandsController.getCommands);
+router.get('/commands/export', requireAuth, commandBundles.exportCommands);
+router.post('/commands/import',
+    requireAdmin,
+    express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'], limit: '10mb' }),
+    commandBundles.importCommands
+);
 router.post('/commands', requireAuth, commandsController.createCommand);
 router.put('/commands/:id', requireAuth, commandsController.updateCommand);
 router.put('/commands/toggle/:id', requireAuth, commandsController.toggleCommand);
+router.get('/commands/reviews', requireAuth, commandReviews.listReviews);
+router.get('/commands/reviews/:requestId', requireAuth, commandReviews.getReview);
+router.post('/commands/reviews/:requestId/approve', requireAdmin, commandReviews.approveReview);
+router.post('/commands/reviews/:requestId/reject', requireAdmin, commandReviews.rejectReview);
+router.post('/commands/reviews/:requestId/withdraw', requireAuth, commandReviews.withdrawReview);
+router.get('/commands/:id/reviews', requireAuth, commandReviews.listCommandReviews);
+router.get('/commands/:id/revisions', requireAuth, commandRevisions.getRevisions);
+router.get('/commands/:id/revisions/diff', requireAuth, commandRevisions.diffRevisions);
+router.get('/commands/:id/revisions/:revision', requireAuth, commandRevisions.getRevision);
+router.post('/commands/:id/revisions/:revision/restore', requireAuth, commandRevisions.restoreRevision);
 router.delete('/command/:id', requireAuth, commandsController.deleteCommand);
+router.get('/pipelines', requireAuth, commandPipelines.listPipelines);
+router.get('/pipelines/:id', requireAuth, commandPipelines.getPipeline);
+router.post('/pipelines', requireAdmin, commandPipelines.createPipeline);
+router.put('/pipelines/:id', requireAdmin, commandPipelines.updatePipeline);
+router.delete('/pipelines/:id', requireAdmin, commandPipelines.deletePipeline);
+router.post('/:projectId/:environment/pipelines/:id/run', requireAuth, commandPipelines.runPipeline);
+router.get('/schedules', requireAuth, commandSchedules.listSchedules);
+router.get('/schedules/:id', requireAuth, commandSchedules.getSchedule);
+router.post('/schedules', requireAdmin, commandSchedules.createSchedule);
+router.put('/schedules/:id', requireAdmin, commandSchedules.updateSchedule);
+router.delete('/schedules/:id', requireAdmin, commandSchedules.deleteSchedule);
+router.post('/schedules/:id/run', requireAdmin, commandSchedules.runSchedule);
+router.get('/snapshots', requireAuth, commandSchedules.listSnapshots);
+router.get('/snapshots/:id', requireAuth, commandSchedules.getSnapshot);
+router.get('/:projectId/:environment/snapshots', requireAuth, commandSchedules.listSnapshots);
+router.post('/commands/compare', requireAuth, resultComparisons.compareResults);
+router.post('/commands/extractors/preview', requireAuth, commandMetrics.previewExtractors);
+router.get('/:projectId/:environment/metrics', requireAuth, commandMetrics.getMetrics);
+router.get('/rules', requireAuth, commandRules.listRules);
+router.post('/rules/test', requireAuth, commandRules.testRule);
+router.get('/rules/:id', requireAuth, commandRules.getRule);
+router.post('/rules', requireAdmin, commandRules.createRule);
+router.put('/rules/:id', requireAdmin, commandRules.updateRule);
+router.delete('/rules/:id', requireAdmin, commandRules.deleteRule);
+router.get('/:projectId/:environment/verdicts', requireAuth, commandRules.getVerdicts);
 router.get('/:projectId/:environment/commands', 
     commandsController.logCommandRouteHit,
     requireAuth, 
@@ -46,8 +98,16 @@ router.get('/:projectId/:environment/commands',
 );
 // New route for single command execution
 router.post('/command/execute', requireAuth, commandsController.executeSingleCommand);
-router.post('/bashcommand', requireAuth, bashCommands.runCommands);
+router.post('/admin/command/execute-unredacted', requireAdmin, commandsController.executeSingleCommandUnredacted);
+router.post('/bashcommand', requireAuth, redactCommandResults, bashCommands.runCommands);
 router.post('/command/refresh-service', requireAuth, commandsController.refreshService);
+router.post('/command/cancel', requireAuth, commandsController.cancelExecution);
+router.get('/admin/cli-queue', requireAdmin, cliQueue.getQueueStatus);
+router.get('/tunnels', requireAuth, tunnel.listTunnels);
+router.post('/tunnels/:projectId/:environment/extend', requireAuth, tunnel.extendTunnel);
+router.get('/admin/tunnels', requireAdmin, tunnel.listAllTunnels);
+router.post('/admin/tunnels/:projectId/:environment/extend', requireAdmin, tunnel.extendTunnelForAll);
+router.post('/admin/tunnels/:projectId/:environment/close', requireAdmin, tunnel.forceCloseTunnel);
 router.post('/ai/generate-component-code', requireAuth, ai.generateComponentCode);
 router.get('/ai/chat/:chatId', requireAuth, getChatMessages); //Use in IntelligencePage.js
 
@@ -210,6 +210,17 @@ export const logActivity = {
                 error: error.message || error,
                 timestamp: new Date().toISOString()
             });
+        },
+        unredactedViewed: (userId, email, projectId, environment, commandId) => {
+            activityLogger.warn('Unredacted command output viewed', {
+                activity: 'command.unredacted_viewed',
+                userId,
+                email,
+                projectId,
+                environment,
+                commandId,
+                timestamp: new Date().toISOString()
+            });
         }
     },
 
@@ -234,6 +245,27 @@ export const logActivity = {
                 environment,
                 timestamp: new Date().toISOString()
             });
+        },
+        forceClosed: (userId, email, projectId, environment) => {
+            activityLogger.warn('Tunnel force-closed', {
+                activity: 'tunnel.force_closed',
+                userId,
+                email,
+                projectId,
+                environment,
+                timestamp: new Date().toISOString()
+            });
+        },
+        extended: (userId, email, projectId, environment, minutes) => {
+            activityLogger.info('Tunnel idle timeout extended', {
+                activity: 'tunnel.extended',
+                userId,
+                email,
+                projectId,
+                environment,
+                minutes,
+                timestamp: new Date().toISOString()
+            });
         }
     },
 
@@ -7,6 +7,8 @@ import { AiSettingsDao } from '../../../dao/aiSettingsDao.js';
 import { TokenQuotaService } from '../../../tokenQuotaService.js';
 import { ContextWindowService } from '../../../contextWindowService.js';
 import transactionAnalysisService from '../../../transactionAnalysisService.js';
+import { HealthRuleService } from '../../../healthRuleService.js';
+import { RedactionService } from '../../../redactionService.js';
 import fs from 'fs/promises';
 
 const defaultConfig = {
@@ -117,6 +119,34 @@ const formatTransactionAnalysisData = (analyses) => {
   return formattedData;
 };
 
+// Format health rule verdicts (latest run of each command) for AI context
+const formatHealthVerdicts = (verdict) => {
+  const flagged = (verdict?.commands || []).filter(command => command.status !== 'ok');
+  if (flagged.length === 0) {
+    return '';
+  }
+
+  let formattedData = `\n\nHealth Rule Findings (overall status: ${verdict.status}):\n`;
+  formattedData += 'Threshold rules flagged these results of recently executed commands:\n\n';
+
+  flagged.forEach(command => {
+    formattedData += `--- ${command.title} [${command.status}] (evaluated ${new Date(command.evaluatedAt).toLocaleString()}) ---\n`;
+    command.findings.forEach(finding => {
+      const evidence = finding.evidence
+        .map(item => `${item.name}=${item.value}${Object.keys(item.labels || {}).length ? ` ${JSON.stringify(item.labels)}` : ''}`)
+        .join(', ');
+      formattedData += `- ${finding.severity.toUpperCase()}: ${finding.rule} (${finding.expression})`;
+      formattedData += `${finding.nodeId !== null ? ` on node ${finding.nodeId}` : ''}${evidence ? `: ${evidence}` : ''}\n`;
+      if (finding.remediation) {
+        formattedData += `  Remediation: ${finding.remediation}\n`;
+      }
+    });
+    formattedData += '\n';
+  });
+
+  return formattedData;
+};
+
 const chatAgent = {
   async createNewChatSession(userId) {
     const chatId = await ChatDao.createChatSession(userId);
@@ -217,7 +247,8 @@ const chatAgent = {
 
       
       if (hasServerData) {
-        const formattedData = formatServerData(dashboardData);
+        // Dashboard data comes from the browser and may hold output of the admin unredacted view
+        const formattedData = new RedactionService().redactText(formatServerData(dashboardData));
         serverDataText = `\n\nCurrent Environment: You are now working with the \"${environment}\" environment${projectId ? ` for project \"${projectId}\"` : ''}.\n\nServer data available:\n` + formattedData;
       } else if (!projectId || !environment) {
         serverDataText = '\n\nNo server data is attached. Ask the user to load a Project ID, select an environment, and then click the "Attach Server Data" button.';
@@ -250,6 +281,18 @@ const chatAgent = {
         logger.info(`[TRANSACTION ANALYSIS CONTEXT] Skipping transaction analysis - missing projectId or environment`);
       }
 
+      // 4.5) Get health rule verdicts of the commands run recently in this environment
+      let healthVerdictText = '';
+      if (projectId && environment) {
+        try {
+          const verdict = await new HealthRuleService().getEnvironmentVerdict(projectId, environment);
+          healthVerdictText = formatHealthVerdicts(verdict);
+        } catch (err) {
+          logger.error(`[HEALTH VERDICT CONTEXT] Failed to retrieve health verdicts for project ${projectId}/${environment}:`, err);
+          // Continue without health verdicts - don't fail the entire request
+        }
+      }
+
       // 5) Format messages for the AI
       // Build messages array and append server data to the most recent user message
       const messages = conversation.map(msg => ({
@@ -267,10 +310,10 @@ const chatAgent = {
         }
       }
 
-      // Append server data and transaction analysis text to the last user message (i.e., the one just sent)
+      // Append server data, transaction analysis and health verdict text to the last user message (i.e., the one just sent)
       for (let i = messages.length - 1; i >= 0; i--) {
         if (messages[i].role === 'user') {
-          const contextData = serverDataText + transactionAnalysisText;
+          const contextData = serverDataText + transactionAnalysisText + healthVerdictText;
           messages[i].content = ' ===CONTEXT DATA START==='+ contextData + '===CONTEXT DATA END=== \n\n Now focus on the user message and only check the context data if the user requests or when doing some analysis or if it is relevant to answer the user: '+ messages[i].content;
           break;
         }
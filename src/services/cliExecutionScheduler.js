@@ -0,0 +1,246 @@
+// src/services/cliExecutionScheduler.js
+import { logger } from './logger.js';
+import { WebSocketService } from './webSocketService.js';
+import { cancelledError, throwIfCancelled } from './executionCancellationService.js';
+
+// magento-cloud processes that may run at once on this host
+const MAX_CONCURRENT = parseInt(process.env.CLI_MAX_CONCURRENT || '12');
+// ... and per user, so one large dashboard cannot take every slot
+const MAX_CONCURRENT_PER_USER = parseInt(process.env.CLI_MAX_CONCURRENT_PER_USER || '4');
+// Invocations waiting beyond this are rejected instead of piling up
+const MAX_QUEUED = parseInt(process.env.CLI_MAX_QUEUED || '500');
+// Wait times kept for the percentiles of getStats()
+const WAIT_SAMPLES = 500;
+
+/**
+ * Central queue in front of every magento-cloud CLI invocation. At most MAX_CONCURRENT
+ * processes run at once, at most MAX_CONCURRENT_PER_USER of them for the same user. Users
+ * waiting for a slot are served round-robin, each user's invocations in arrival order, so an
+ * engineer loading a big project does not hold up everyone else.
+ *
+ * While an invocation waits, its user is sent its position:
+ *   cli_queue_position { label, position, queued }  (position 0: started)
+ */
+class CliExecutionScheduler {
+    constructor() {
+        this.active = 0;
+        this.users = new Map(); // Map<userId, { active, waiting: [entry] }>
+        this.rotation = []; // Users with waiting invocations, in serving order
+        this.queued = 0;
+        this.nextId = 1;
+        this.stats = { started: 0, rejected: 0, cancelled: 0, waits: [], maxWaitMs: 0, totalWaitMs: 0 };
+    }
+
+    /**
+     * Runs a CLI invocation once the user gets a slot
+     * @param {string} userId - User the process runs for
+     * @param {Function} task - async () => result, starts the process
+     * @param {Object} [options] - { signal, label } aborting the signal stops waiting; label names the
+     *                             invocation in queue updates
+     * @returns {Promise<*>} - The task's result; rejects with CLI_QUEUE_FULL when the queue is full
+     */
+    async run(userId, task, { signal, label = null } = {}) {
+        const release = await this.acquire(userId, { signal, label });
+        try {
+            return await task();
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Waits for a slot
+     * @returns {Promise<Function>} - Frees the slot; calling it more than once is harmless
+     */
+    acquire(userId, { signal, label = null } = {}) {
+        throwIfCancelled(signal);
+        const key = String(userId ?? 'anonymous');
+        const user = this.getUser(key);
+
+        // Users still waiting are held by their own limit, otherwise dispatch() would have served them
+        if (user.waiting.length === 0 && this.hasSlot(user)) {
+            this.start(user);
+            this.recordWait(0);
+            return Promise.resolve(this.releaser(key));
+        }
+
+        if (this.queued >= MAX_QUEUED) {
+            this.stats.rejected++;
+            logger.warn('CLI execution queue is full', { userId: key, queued: this.queued, active: this.active });
+            const busy = new Error('Too many Magento Cloud commands are waiting; try again shortly');
+            busy.code = 'CLI_QUEUE_FULL';
+            return Promise.reject(busy);
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { id: this.nextId++, userId: key, label, enqueuedAt: Date.now(), position: null };
+            const onAbort = () => {
+                this.remove(entry);
+                this.stats.cancelled++;
+                reject(cancelledError());
+                this.notifyPositions();
+            };
+            entry.grant = () => {
+                signal?.removeEventListener('abort', onAbort);
+                this.recordWait(Date.now() - entry.enqueuedAt);
+                this.notify(entry, 0);
+                resolve(this.releaser(key));
+            };
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            user.waiting.push(entry);
+            if (!this.rotation.includes(key)) this.rotation.push(key);
+            this.queued++;
+
+            logger.debug('CLI invocation queued', { userId: key, label, queued: this.queued, active: this.active });
+            this.notifyPositions();
+        });
+    }
+
+    getUser(key) {
+        if (!this.users.has(key)) {
+            this.users.set(key, { active: 0, waiting: [] });
+        }
+        return this.users.get(key);
+    }
+
+    hasSlot(user) {
+        return this.active < MAX_CONCURRENT && user.active < MAX_CONCURRENT_PER_USER;
+    }
+
+    start(user) {
+        this.active++;
+        user.active++;
+        this.stats.started++;
+    }
+
+    releaser(key) {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const user = this.users.get(key);
+            this.active--;
+            user.active--;
+            this.dispatch();
+            this.cleanup(key);
+        };
+    }
+
+    // Hands free slots to waiting users, one invocation per user per turn
+    dispatch() {
+        let granted = false;
+        let progress = true;
+        while (this.active < MAX_CONCURRENT && progress) {
+            progress = false;
+            for (const key of [...this.rotation]) {
+                if (this.active >= MAX_CONCURRENT) break;
+                const user = this.users.get(key);
+                if (!this.hasSlot(user)) continue;
+
+                const entry = user.waiting.shift();
+                this.queued--;
+                // The user goes to the back of the rotation, or leaves it when nothing is left
+                this.rotation = this.rotation.filter(other => other !== key);
+                if (user.waiting.length > 0) this.rotation.push(key);
+
+                this.start(user);
+                entry.grant();
+                granted = progress = true;
+            }
+        }
+        if (granted) this.notifyPositions();
+    }
+
+    remove(entry) {
+        const user = this.users.get(entry.userId);
+        const index = user.waiting.indexOf(entry);
+        if (index === -1) return;
+        user.waiting.splice(index, 1);
+        this.queued--;
+        if (user.waiting.length === 0) {
+            this.rotation = this.rotation.filter(key => key !== entry.userId);
+        }
+        this.cleanup(entry.userId);
+    }
+
+    cleanup(key) {
+        const user = this.users.get(key);
+        if (user && user.active === 0 && user.waiting.length === 0) {
+            this.users.delete(key);
+        }
+    }
+
+    /**
+     * Waiting invocations in the order they would be served if every slot were free:
+     * round-robin over the users in rotation order
+     */
+    serviceOrder() {
+        const order = [];
+        const queues = this.rotation.map(key => [...this.users.get(key).waiting]);
+        while (queues.some(queue => queue.length > 0)) {
+            queues.forEach(queue => {
+                if (queue.length > 0) order.push(queue.shift());
+            });
+        }
+        return order;
+    }
+
+    notifyPositions() {
+        this.serviceOrder().forEach((entry, index) => {
+            if (entry.position !== index + 1) this.notify(entry, index + 1);
+        });
+    }
+
+    notify(entry, position) {
+        entry.position = position;
+        WebSocketService.sendToUser(entry.userId, {
+            type: 'cli_queue_position',
+            label: entry.label,
+            position,
+            queued: this.queued
+        });
+    }
+
+    recordWait(waitMs) {
+        this.stats.waits.push(waitMs);
+        if (this.stats.waits.length > WAIT_SAMPLES) this.stats.waits.shift();
+        this.stats.totalWaitMs += waitMs;
+        this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+    }
+
+    /**
+     * Current load and wait time metrics, for the admin queue view
+     * @returns {Object} - { limits, active, queued, users: [{ userId, active, queued }], totals, waitMs }
+     */
+    getStats() {
+        const sorted = [...this.stats.waits].sort((a, b) => a - b);
+        const percentile = (p) => sorted.length === 0 ? null : sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+        return {
+            limits: { maxConcurrent: MAX_CONCURRENT, maxConcurrentPerUser: MAX_CONCURRENT_PER_USER, maxQueued: MAX_QUEUED },
+            active: this.active,
+            queued: this.queued,
+            users: [...this.users.entries()].map(([userId, user]) => ({
+                userId,
+                active: user.active,
+                queued: user.waiting.length,
+                oldestWaitMs: user.waiting.length > 0 ? Date.now() - user.waiting[0].enqueuedAt : null
+            })),
+            totals: {
+                started: this.stats.started,
+                rejected: this.stats.rejected,
+                cancelled: this.stats.cancelled
+            },
+            waitMs: {
+                samples: sorted.length,
+                average: this.stats.started > 0 ? Math.round(this.stats.totalWaitMs / this.stats.started) : null,
+                p50: percentile(0.5),
+                p95: percentile(0.95),
+                max: this.stats.maxWaitMs
+            }
+        };
+    }
+}
+
+export const cliExecutionScheduler = new CliExecutionScheduler();
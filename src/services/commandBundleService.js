@@ -0,0 +1,326 @@
+// src/services/commandBundleService.js
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { CommandService } from './commandsManagerService.js';
+import { CommandRevisionService } from './commandRevisionService.js';
+import { CommandReviewService } from './commandReviewService.js';
+
+export const BUNDLE_FORMAT = 'l0support-commands';
+export const BUNDLE_VERSION = 1;
+
+const SERVICE_TYPES = ['ssh', 'sql', 'redis', 'opensearch', 'magento_cloud', 'bash', 'rabbitmq'];
+// `locked` is only applied to new commands; `reviewed` and `allow_write` are exported for reference only:
+// imported commands and changes go through the review workflow, and write access is granted by an admin
+const FLAG_FIELDS = ['execute_on_all_nodes', 'allow_ai', 'auto_run'];
+
+function bundleError(message, details) {
+    const error = new Error(message);
+    error.code = 'INVALID_BUNDLE';
+    error.details = details;
+    return error;
+}
+
+export class CommandBundleService {
+    constructor() {
+        this.commandService = new CommandService();
+        this.revisionService = new CommandRevisionService();
+        this.reviewService = new CommandReviewService();
+    }
+
+    /**
+     * Builds a portable bundle from the command catalog
+     * @param {Object} filters - { ids: number[], serviceType }
+     * @param {Object} user - Session user performing the export
+     * @returns {Promise<Object>} - Bundle object
+     */
+    async exportBundle({ ids = [], serviceType = null } = {}, user = null) {
+        let commands = await this.commandService.getAll();
+        if (ids.length > 0) {
+            commands = commands.filter(cmd => ids.includes(cmd.id));
+        }
+        if (serviceType) {
+            commands = commands.filter(cmd => cmd.service_type === serviceType);
+        }
+
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            exportedBy: user?.email || null,
+            commands: commands.map(cmd => ({
+                title: cmd.title,
+                service_type: cmd.service_type,
+                command: cmd.command,
+                description: cmd.description,
+                execute_on_all_nodes: cmd.execute_on_all_nodes,
+                allow_ai: cmd.allow_ai,
+                auto_run: cmd.auto_run,
+                component_code: cmd.component_code,
+                parameters: cmd.parameters?.length ? cmd.parameters : null,
+                extractors: cmd.extractors?.length ? cmd.extractors : null,
+                execution_policy: cmd.execution_policy || null,
+                relationship: cmd.relationship || null,
+                node_target: cmd.node_target || null,
+                allow_write: cmd.allow_write,
+                locked: cmd.locked,
+                reviewed: cmd.reviewed,
+                source: { id: cmd.id, revision: cmd.revision }
+            }))
+        };
+    }
+
+    /**
+     * Serializes a bundle
+     * @param {Object} bundle - Bundle object
+     * @param {string} format - 'json' or 'yaml'
+     * @returns {string}
+     */
+    serialize(bundle, format = 'json') {
+        return format === 'yaml'
+            ? YAML.stringify(bundle, { lineWidth: 0 })
+            : JSON.stringify(bundle, null, 2);
+    }
+
+    /**
+     * Parses and validates a bundle given as an object or as JSON/YAML text
+     * @param {Object|string} input - Bundle
+     * @returns {Object} - Bundle object
+     * @throws {Error} - code INVALID_BUNDLE
+     */
+    parseBundle(input) {
+        let bundle = input;
+        if (typeof input === 'string') {
+            try {
+                // JSON is a subset of YAML, so one parser covers both formats
+                bundle = YAML.parse(input);
+            } catch (error) {
+                throw bundleError('Bundle is not valid JSON or YAML', [error.message]);
+            }
+        }
+
+        if (!bundle || typeof bundle !== 'object') {
+            throw bundleError('Bundle must be an object');
+        }
+        if (bundle.format !== BUNDLE_FORMAT) {
+            throw bundleError(`Unsupported bundle format: expected "${BUNDLE_FORMAT}"`);
+        }
+        if (bundle.version !== BUNDLE_VERSION) {
+            throw bundleError(`Unsupported bundle version ${bundle.version}; this server reads version ${BUNDLE_VERSION}`);
+        }
+        if (!Array.isArray(bundle.commands)) {
+            throw bundleError('Bundle must contain a commands array');
+        }
+
+        const errors = [];
+        bundle.commands.forEach((entry, index) => {
+            const label = `Command ${index + 1}${entry?.title ? ` (${entry.title})` : ''}`;
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${label}: must be an object`);
+                return;
+            }
+            if (typeof entry.title !== 'string' || !entry.title.trim()) {
+                errors.push(`${label}: title is required`);
+            }
+            if (!SERVICE_TYPES.includes(entry.service_type)) {
+                errors.push(`${label}: service_type must be one of ${SERVICE_TYPES.join(', ')}`);
+            }
+            if (entry.command === undefined || entry.command === null || entry.command === '') {
+                errors.push(`${label}: command is required`);
+            }
+        });
+        if (errors.length > 0) {
+            throw bundleError('Bundle contains invalid commands', errors);
+        }
+
+        return bundle;
+    }
+
+    /**
+     * Compares a bundle with the catalog. Commands are matched by title and service type.
+     * @param {Object} bundle - Parsed bundle
+     * @returns {Promise<Object>} - { entries, summary }
+     */
+    async planImport(bundle) {
+        const existing = await this.commandService.getAll();
+        const byKey = new Map();
+        existing.forEach(cmd => {
+            const key = this.matchKey(cmd);
+            byKey.set(key, [...(byKey.get(key) || []), cmd]);
+        });
+
+        const seen = new Set();
+        const entries = bundle.commands.map((entry, index) => {
+            const key = this.matchKey(entry);
+            const base = { index, title: entry.title, service_type: entry.service_type };
+
+            if (seen.has(key)) {
+                return { ...base, action: 'conflict', reason: 'Duplicate title and service type in bundle' };
+            }
+            seen.add(key);
+
+            let values;
+            try {
+                values = this.toValues(entry);
+            } catch (error) {
+                return { ...base, action: 'invalid', reason: error.message, details: error.details };
+            }
+
+            const matches = byKey.get(key) || [];
+            if (matches.length === 0) {
+                return { ...base, action: 'create', values: { ...values, locked: entry.locked ? 1 : 0 } };
+            }
+            if (matches.length > 1) {
+                return {
+                    ...base,
+                    action: 'conflict',
+                    reason: 'More than one existing command has this title and service type',
+                    existingIds: matches.map(cmd => cmd.id)
+                };
+            }
+
+            const current = matches[0];
+            const target = { ...base, existingId: current.id, existingRevision: current.revision };
+            let changes;
+            try {
+                changes = this.revisionService.describeChanges(
+                    this.commandService.buildSnapshot(this.toValues(current)),
+                    this.commandService.buildSnapshot(values)
+                );
+            } catch (error) {
+                // A stored row that no longer validates only fails its own entry
+                return {
+                    ...target,
+                    action: 'invalid',
+                    reason: `Existing command ${current.id} cannot be compared: ${error.message}`,
+                    details: error.details
+                };
+            }
+
+            if (changes.length === 0) {
+                return { ...target, action: 'unchanged' };
+            }
+            if (current.locked) {
+                return { ...target, action: 'skip_locked', reason: 'Existing command is locked', changes };
+            }
+            return { ...target, action: 'update', values, changes };
+        });
+
+        return { entries, summary: this.summarize(entries) };
+    }
+
+    /**
+     * Imports a bundle. With dryRun (the default) nothing is written and the plan is returned.
+     * Otherwise every create and update is submitted as a change request awaiting review.
+     * @param {Object|string} input - Bundle object or JSON/YAML text
+     * @param {Object} options - { dryRun, user }
+     * @returns {Promise<Object>} - { dryRun, format, version, entries, summary }
+     */
+    async importBundle(input, { dryRun = true, user = null } = {}) {
+        const bundle = this.parseBundle(input);
+        const plan = await this.planImport(bundle);
+        const note = `Imported from bundle${bundle.exportedBy ? ` exported by ${bundle.exportedBy}` : ''}${bundle.exportedAt ? ` at ${bundle.exportedAt}` : ''}`;
+
+        if (!dryRun) {
+            for (const entry of plan.entries) {
+                try {
+                    if (entry.action === 'create') {
+                        const created = await this.reviewService.submitCreate(this.toCommandInput(entry.values), user, {
+                            note,
+                            type: 'import'
+                        });
+                        entry.commandId = created.id;
+                        entry.changeRequestId = created.changeRequestId;
+                        entry.status = 'pending_review';
+                    } else if (entry.action === 'update') {
+                        const result = await this.reviewService.submitChange(entry.existingId, (current) => {
+                            if (current.locked) {
+                                throw new Error('This command is locked and cannot be modified');
+                            }
+                            return entry.values;
+                        }, { user, type: 'import', note });
+                        entry.commandId = entry.existingId;
+                        entry.changeRequestId = result.changeRequestId;
+                        entry.status = result.status === 'pending' ? 'pending_review' : result.status;
+                    }
+                } catch (error) {
+                    logger.error('Failed to import command from bundle:', {
+                        error: error.message,
+                        title: entry.title,
+                        serviceType: entry.service_type
+                    });
+                    entry.status = 'failed';
+                    entry.error = error.message;
+                }
+            }
+        }
+
+        const entries = plan.entries.map(({ values, ...entry }) => entry);
+
+        logger.info('Command bundle import processed', {
+            dryRun,
+            userId: user?.id,
+            summary: plan.summary,
+            failed: entries.filter(entry => entry.status === 'failed').length
+        });
+
+        return {
+            dryRun,
+            format: bundle.format,
+            version: bundle.version,
+            entries,
+            summary: plan.summary
+        };
+    }
+
+    matchKey(cmd) {
+        return `${cmd.service_type}::${String(cmd.title || '').trim().toLowerCase()}`;
+    }
+
+    // Normalizes a bundle entry or mapped catalog row to the column values stored in `commands`
+    toValues(entry) {
+        const command = this.commandService.processCommandString(entry.command);
+        const values = {
+            title: entry.title.trim(),
+            command,
+            description: entry.description ?? null,
+            service_type: entry.service_type,
+            component_code: entry.component_code || null,
+            parameters: this.commandService.processParameters(entry.parameters, command, entry.service_type),
+            extractors: this.commandService.processExtractors(entry.extractors),
+            execution_policy: this.commandService.processExecutionPolicy(entry.execution_policy),
+            relationship: this.commandService.processRelationship(entry.relationship, entry.service_type),
+            node_target: this.commandService.processNodeTarget(entry.node_target, entry.service_type)
+        };
+        FLAG_FIELDS.forEach(field => {
+            values[field] = entry[field] ? 1 : 0;
+        });
+        this.commandService.checkRelationshipTarget(values);
+        return values;
+    }
+
+    toCommandInput(values) {
+        return {
+            title: values.title,
+            command: values.command,
+            description: values.description,
+            serviceType: values.service_type,
+            executeOnAllNodes: values.execute_on_all_nodes,
+            allowAi: values.allow_ai,
+            autoRun: values.auto_run,
+            componentCode: values.component_code,
+            parameters: values.parameters,
+            extractors: values.extractors,
+            executionPolicy: values.execution_policy,
+            relationship: values.relationship,
+            nodeTarget: values.node_target,
+            locked: values.locked
+        };
+    }
+
+    summarize(entries) {
+        return entries.reduce((summary, entry) => {
+            summary[entry.action] = (summary[entry.action] || 0) + 1;
+            return summary;
+        }, { total: entries.length, create: 0, update: 0, unchanged: 0, skip_locked: 0, conflict: 0, invalid: 0 });
+    }
+}
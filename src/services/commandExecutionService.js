@@ -1,11 +1,21 @@
 // src/services/commandExecutionService.js
 import { logger } from './logger.js';
 import { logActivity } from './activityLogger.js';
-import { tunnelManager } from './tunnelService.js';
+import { tunnelManager, isTunnelConnectionError } from './tunnelService.js';
 import { WebSocketService } from './webSocketService.js';
 import { UserActivityService } from './userActivityService.js';
 import { CommandService } from './commandsManagerService.js';
 import { CommandValidationService } from './commandValidationService.js';
+import { CommandParameterService } from './commandParameterService.js';
+import { ExecutionReporter } from './executionReporter.js';
+import { CommandPipelineService } from './commandPipelineService.js';
+import { CommandMetricService } from './commandMetricService.js';
+import { HealthRuleService } from './healthRuleService.js';
+import { ExecutionPolicyService } from './executionPolicyService.js';
+import { CommandResultCacheService } from './commandResultCacheService.js';
+import { projectAccess } from './projectAccessService.js';
+import { RedactionService } from './redactionService.js';
+import { executionCancellation, throwIfCancelled, CANCELLED_STATUS } from './executionCancellationService.js';
 import * as sshCommands from '../api/app/sshCommands.js';
 import * as sqlCommands from '../api/app/sqlCommands.js';
 import * as redisCommands from '../api/app/redisCommands.js';
@@ -15,10 +25,30 @@ import * as bashCommands from '../api/app/bashCommands.js';
 import * as rabbitmqCommands from '../api/app/rabbitmqCommands.js';
 import hipaaDetectionService from './hipaaDetectionService.js';
 
+// Captures what a handler sends, for handlers called without Express
+function createResponseHandler() {
+    return {
+        status: function (code) {
+            this.statusCode = code;
+            return this;
+        },
+        json: function (data) {
+            this.data = data;
+            return this;
+        }
+    };
+}
+
 export class CommandExecutionService {
     constructor() {
         this.commandService = new CommandService();
         this.validationService = new CommandValidationService();
+        this.parameterService = new CommandParameterService();
+        this.metricService = new CommandMetricService();
+        this.healthRuleService = new HealthRuleService();
+        this.policyService = new ExecutionPolicyService();
+        this.resultCache = new CommandResultCacheService();
+        this.redactionService = new RedactionService();
         this.serviceHandlers = this.initializeServiceHandlers();
     }
 
@@ -33,6 +63,7 @@ export class CommandExecutionService {
                         command: cmd.command,
                         allowAi: Boolean(cmd.allow_ai),
                         executeOnAllNodes: Boolean(cmd.execute_on_all_nodes),
+                        nodeTarget: cmd.node_target || null,
                         apiToken: apiToken,
                         userId: userId
                     }))
@@ -71,8 +102,12 @@ export class CommandExecutionService {
                         id: cmd.id,
                         title: cmd.title,
                         query: cmd.command,
+                        params: cmd.bindings || [],
+                        allowWrite: Boolean(cmd.allow_write),
                         allowAi: Boolean(cmd.allow_ai),
                         executeOnAllNodes: Boolean(cmd.execute_on_all_nodes),
+                        nodeTarget: cmd.node_target || null,
+                        relationship: cmd.relationship || null,
                         apiToken: apiToken,
                         tunnelInfo: tunnelInfo,
                         userId: userId
@@ -87,6 +122,7 @@ export class CommandExecutionService {
                         title: cmd.title,
                         query: cmd.command,
                         allowAi: Boolean(cmd.allow_ai),
+                        relationship: cmd.relationship || null,
                         apiToken: apiToken,
                         tunnelInfo: tunnelInfo,
                         userId: userId
@@ -105,6 +141,7 @@ export class CommandExecutionService {
                             title: cmd.title,
                             command: config,
                             allowAi: Boolean(cmd.allow_ai),
+                            relationship: cmd.relationship || null,
                             apiToken: apiToken,
                             tunnelInfo: tunnelInfo,
                             userId: userId
@@ -137,7 +174,42 @@ export class CommandExecutionService {
         };
     }
 
-    async executeServiceCommands(serviceType, commands, projectId, environment, userId, apiToken) {
+    /**
+     * Applies each command's maxOutputBytes to the node outputs of a handler response
+     */
+    limitOutputs(commands, data, policies) {
+        if (!Array.isArray(data?.results)) return;
+        commands.forEach(cmd => {
+            const commandResult = data.results.find(result => result.id === cmd.id);
+            (commandResult?.results || []).forEach(node => this.policyService.limitOutput(node, policies[cmd.id]));
+        });
+    }
+
+    /**
+     * Adds cached command results to a handler response, in the order the commands were requested
+     */
+    withCachedResults(data, commands, cached) {
+        const live = Array.isArray(data?.results) ? data.results : [];
+        return {
+            ...data,
+            results: commands
+                .map(cmd => cached.get(cmd.id) || live.find(result => result.id === cmd.id))
+                .filter(Boolean)
+        };
+    }
+
+    /**
+     * Executes a batch of catalog commands of one service type
+     * @param {Object} [options] - { parameterValues: { [commandId]: { name: value } }, tabId, execution, cache, unredacted }
+     *                             With a tabId, per-command progress is streamed to the tab as it happens.
+     *                             The execution (see executionCancellationService) lets the tab cancel the run.
+     *                             cache: 'use' serves recent results from the result cache and runs the rest,
+     *                             'refresh' runs everything; both store the new results. Without it the
+     *                             cache is not involved.
+     *                             Outputs are redacted (see RedactionService) unless unredacted is set; unredacted
+     *                             results are never cached.
+     */
+    async executeServiceCommands(serviceType, commands, projectId, environment, userId, apiToken, options = {}) {
         if (!commands || commands.length === 0) return null;
 
         logger.info('executeServiceCommands called', {
@@ -160,6 +232,33 @@ export class CommandExecutionService {
 
         const { handler, preparePayload } = serviceHandler;
 
+        // Render parameterized commands before opening any tunnel so invalid input fails fast
+        commands = this.parameterService.prepareCommands(serviceType, commands, options.parameterValues);
+
+        const execution = options.execution || null;
+        executionCancellation.track(execution, serviceType, commands);
+        throwIfCancelled(execution?.signal);
+
+        // Commands with a recent cached result are not run again. Cached results may have been produced
+        // with another user's token, so they are only served once the caller's own access is verified.
+        const requested = commands;
+        const cached = options.cache === 'use' && await projectAccess.verify(projectId, environment, apiToken, userId)
+            ? await this.resultCache.lookup(commands, projectId, environment)
+            : new Map();
+        if (cached.size > 0) {
+            logger.info('Serving cached command results', {
+                serviceType,
+                projectId,
+                environment,
+                commandIds: [...cached.keys()]
+            });
+            executionCancellation.settle(execution, [...cached.keys()]);
+            commands = commands.filter(cmd => !cached.has(cmd.id));
+            if (commands.length === 0) {
+                return this.withCachedResults({ projectId, environment, timestamp: new Date().toISOString() }, requested, cached);
+            }
+        }
+
         // Determine if the service requires a tunnel
         let tunnelNeeded = ['redis', 'sql', 'opensearch'].includes(serviceType);
         let tunnelInfo = null;
@@ -196,6 +295,8 @@ export class CommandExecutionService {
                     environment,
                     services: Object.keys(tunnelInfo)
                 });
+                // The tab may have been cancelled while the tunnel was opening
+                throwIfCancelled(execution?.signal);
             } catch (error) {
                 logger.error(`Failed to establish tunnel for ${serviceType}`, {
                     error: error.message,
@@ -222,6 +323,14 @@ export class CommandExecutionService {
             environment
         });
 
+        const reporterOptions = {
+            tabId: options.tabId,
+            serviceType,
+            projectId,
+            environment,
+            execution,
+            redact: !options.unredacted
+        };
         const request = {
             params: {
                 projectId,
@@ -233,22 +342,36 @@ export class CommandExecutionService {
                     id: userId
                 },
                 decryptedApiToken: apiToken
-            }
-        };
-
-        const responseHandler = {
-            status: function (code) {
-                this.statusCode = code;
-                return this;
             },
-            json: function (data) {
-                this.data = data;
-                return this;
+            // Only set for server-initiated catalog runs; handlers use it to honour per-command capabilities
+            executionContext: {
+                trusted: true,
+                source: 'catalog',
+                commandIds: commands.map(cmd => cmd.id),
+                reporter: new ExecutionReporter(reporterOptions),
+                signal: execution?.signal,
+                // Requests that reach the handlers over HTTP carry no policies and run with the defaults
+                policies: Object.fromEntries(commands.map(cmd => [cmd.id, this.policyService.resolve(cmd)]))
             }
         };
 
+        const responseHandler = createResponseHandler();
+
         try {
-            await handler(request, responseHandler);
+            // Commands with a parallelism cap wait here until a slot is free
+            const releaseSlots = await this.policyService.acquireSlots(commands, execution?.signal);
+            try {
+                await handler(request, responseHandler);
+                if (tunnelNeeded) {
+                    await this.retryAfterTunnelRecovery(serviceType, commands, request, responseHandler, {
+                        projectId, environment, userId, apiToken, tunnelInfo, execution, handler, preparePayload, reporterOptions
+                    });
+                }
+            } finally {
+                releaseSlots();
+            }
+            executionCancellation.settle(execution, commands.map(cmd => cmd.id));
+            this.limitOutputs(commands, responseHandler.data, request.executionContext.policies);
             
             // Check for HIPAA status if command 28 (Project Info) was executed
             const projectInfoCommand = commands.find(cmd => cmd.id === 28);
@@ -305,13 +428,44 @@ export class CommandExecutionService {
                 }
             }
             
+            // Typed values declared by the commands' extractors go next to the raw output
+            // and are stored in the background for trends
+            const metrics = this.metricService.attachMetrics(commands, responseHandler.data);
+            this.metricService.record(metrics, { projectId, environment });
+
+            // Health rules turn the values and output into verdicts for the tab and the chat agent
+            const verdicts = await this.healthRuleService.applyRules(commands, responseHandler.data, { projectId, environment });
+            if (verdicts && options.tabId) {
+                WebSocketService.broadcastToTab({
+                    type: 'health_verdict',
+                    serviceType,
+                    projectId,
+                    environment,
+                    commands: verdicts.commands,
+                    verdict: verdicts.environment,
+                    timestamp: new Date().toISOString()
+                }, options.tabId);
+            }
+
+            // Metrics and rules above need the raw output; nothing past this point sees secrets
+            if (!options.unredacted) {
+                const redactions = this.redactionService.redactResults(responseHandler.data);
+                if (redactions > 0) {
+                    logger.info('Secrets redacted from command output', { serviceType, projectId, environment, redactions });
+                }
+            }
+
+            if (options.cache && !options.unredacted) {
+                await this.resultCache.store(commands, responseHandler.data, projectId, environment);
+            }
+
             // Log successful command execution
             const userEmail = 'system'; // We don't have email in this context
             commands.forEach(cmd => {
                 logActivity.command.executed(userId, userEmail, serviceType, projectId, environment, cmd.id);
             });
             
-            return responseHandler.data;
+            return cached.size > 0 ? this.withCachedResults(responseHandler.data, requested, cached) : responseHandler.data;
         } catch (error) {
             logger.error(`Error executing ${serviceType} commands:`, {
                 error: error.message,
@@ -329,7 +483,107 @@ export class CommandExecutionService {
         }
     }
 
-    async executeAllCommands(projectId, environment, userId, apiToken, tabId, sessionId, userGroups, ipAddress, userAgent) {
+    /**
+     * Retries, once, the commands of a tunnel service that failed because the tunnel connection
+     * went away. A dead tunnel is reopened first (TunnelManager.recoverTunnel); writes are never
+     * retried. The outcome is added to the response:
+     *   tunnelRecovery { serviceType, commandIds, reconnected, retried, error }
+     * and streamed to the tab as tunnel_recovery { status: reconnecting | recovered | failed }.
+     */
+    async retryAfterTunnelRecovery(serviceType, commands, request, responseHandler, context) {
+        const { projectId, environment, userId, apiToken, tunnelInfo, execution, handler, preparePayload, reporterOptions } = context;
+        const data = responseHandler.data;
+        const handlerFailed = !Array.isArray(data?.results);
+
+        const failedIds = handlerFailed
+            ? (isTunnelConnectionError(data?.details || data?.error) ? commands.map(cmd => cmd.id) : [])
+            : data.results
+                .filter(result => (result.results || []).some(node =>
+                    node.nodeId === 'tunnel' && node.status === 'ERROR' && isTunnelConnectionError(node.error)))
+                .map(result => result.id);
+        // A write may have been applied before the connection dropped
+        const retryable = commands.filter(cmd => failedIds.includes(cmd.id) && !cmd.allow_write);
+        if (retryable.length === 0 || execution?.signal.aborted) return;
+
+        const commandIds = retryable.map(cmd => cmd.id);
+        const recovery = { serviceType, commandIds, reconnected: false, retried: false, error: null };
+        const notify = (status, details = {}) => {
+            if (!reporterOptions.tabId) return;
+            WebSocketService.broadcastToTab({
+                type: 'tunnel_recovery',
+                serviceType,
+                projectId,
+                environment,
+                status,
+                commandIds,
+                ...details
+            }, reporterOptions.tabId);
+        };
+
+        logger.warn('Commands lost their tunnel connection, retrying once', { serviceType, projectId, environment, commandIds });
+        notify('reconnecting');
+        try {
+            // A dropped connection on a live tunnel only needs the retry
+            let retryTunnelInfo = tunnelInfo;
+            if (!await tunnelManager.checkTunnelHealth(tunnelInfo, serviceType)) {
+                retryTunnelInfo = await tunnelManager.recoverTunnel(projectId, environment, apiToken, userId, serviceType, {
+                    reason: 'command_failed'
+                });
+                recovery.reconnected = true;
+            }
+            throwIfCancelled(execution?.signal);
+
+            const retryResponse = createResponseHandler();
+            await handler({
+                ...request,
+                body: preparePayload(retryable, projectId, environment, apiToken, retryTunnelInfo, userId),
+                executionContext: {
+                    ...request.executionContext,
+                    commandIds,
+                    // The first reporter has already sent these commands' outcome
+                    reporter: new ExecutionReporter(reporterOptions)
+                }
+            }, retryResponse);
+            recovery.retried = true;
+
+            if (handlerFailed) {
+                responseHandler.statusCode = retryResponse.statusCode;
+                responseHandler.data = retryResponse.data;
+            } else if (Array.isArray(retryResponse.data?.results)) {
+                data.results = data.results.map(result =>
+                    retryResponse.data.results.find(retried => retried.id === result.id) || result);
+            }
+            notify('recovered', { reconnected: recovery.reconnected });
+        } catch (error) {
+            logger.error('Tunnel recovery retry failed', { serviceType, projectId, environment, error: error.message });
+            recovery.error = error.message;
+            notify('failed', { error: error.message });
+        }
+
+        if (responseHandler.data && typeof responseHandler.data === 'object') {
+            responseHandler.data.tunnelRecovery = recovery;
+        }
+
+    }
+
+    /**
+     * Runs every auto-run catalog command for the dashboard. The run is registered for the tab,
+     * so the tab can cancel it (see executionCancellationService). Recent results come from the
+     * result cache unless refresh is set.
+     * @param {Object} [options] - { refresh }
+     */
+    async executeAllCommands(projectId, environment, userId, apiToken, tabId, sessionId, userGroups, ipAddress, userAgent, { refresh = false } = {}) {
+        const execution = executionCancellation.begin(tabId, { userId, projectId, environment });
+        try {
+            return await this.runAllCommands(
+                execution, projectId, environment, userId, apiToken, tabId, sessionId, userGroups, ipAddress, userAgent, refresh
+            );
+        } finally {
+            executionCancellation.end(execution);
+        }
+    }
+
+    async runAllCommands(execution, projectId, environment, userId, apiToken, tabId, sessionId, userGroups, ipAddress, userAgent, refresh = false) {
         logger.info('executeAllCommands called', {
             projectId,
             environment,
@@ -373,8 +627,20 @@ export class CommandExecutionService {
             }))
         });
         
-        const commandsToRun = allCommands.filter(cmd => cmd.auto_run && cmd.reviewed);
+        // Parameterized commands only auto-run when all their parameters have defaults
+        const commandsToRun = allCommands.filter(cmd =>
+            cmd.auto_run && cmd.reviewed && this.parameterService.canRunWithDefaults(cmd)
+        );
         
+        const awaitingReview = allCommands.filter(cmd => cmd.auto_run && !cmd.reviewed);
+        if (awaitingReview.length > 0) {
+            logger.info('Skipping auto-run commands without an approved version', {
+                projectId,
+                environment,
+                commandIds: awaitingReview.map(cmd => cmd.id)
+            });
+        }
+
         logger.info('Commands filtered for execution', {
             projectId,
             environment,
@@ -506,6 +772,10 @@ export class CommandExecutionService {
             acc[cmd.service_type].push(cmd);
             return acc;
         }, {});
+        // Commands of services that have not started yet are reported as cancelled too
+        Object.entries(commandsByService).forEach(([serviceType, commands]) => {
+            executionCancellation.track(execution, serviceType, commands);
+        });
 
         // Separate services by tunnel requirements
         const tunnelDependentServices = ['redis', 'sql', 'opensearch'];
@@ -545,7 +815,8 @@ export class CommandExecutionService {
                         projectId,
                         environment,
                         userId,
-                        apiToken
+                        apiToken,
+                        { tabId, execution, cache: refresh ? 'refresh' : 'use' }
                     );
 
                     // Track command execution activity
@@ -614,8 +885,8 @@ export class CommandExecutionService {
             });
         }
 
-        // Only establish tunnel if we have services that need it
-        if (servicesNeedingTunnel.length > 0) {
+        // Only establish tunnel if we have services that need it (and the tab did not cancel the run)
+        if (servicesNeedingTunnel.length > 0 && !execution?.signal.aborted) {
             try {
                 logger.info('Establishing tunnel for dependent services', {
                     projectId,
@@ -699,7 +970,8 @@ export class CommandExecutionService {
                         projectId,
                         environment,
                         userId,
-                        apiToken
+                        apiToken,
+                        { tabId, execution, cache: refresh ? 'refresh' : 'use' }
                     );
 
                     // Track command execution activity
@@ -822,6 +1094,7 @@ export class CommandExecutionService {
             timestamp: new Date().toISOString(),
             projectId,
             environment,
+            cancelled: Boolean(execution?.signal.aborted),
             summary: results.reduce((acc, result) => {
                 acc[result.serviceType] = {
                     status: result.error ? 'error' : 'success',
@@ -850,11 +1123,23 @@ export class CommandExecutionService {
         return finalResults;
     }
 
+    /**
+     * Cancels the executions the user is running for a tab. Running processes, queries and
+     * requests are stopped; commands that already finished keep their results.
+     * @returns {Object} - { tabId, executions, cancelled, completed }
+     */
+    cancelExecution(tabId, userId) {
+        const report = executionCancellation.cancel(tabId, userId);
+        WebSocketService.broadcastToTab({ type: 'execution_cancelled', ...report }, tabId);
+        return report;
+    }
+
     async refreshService(serviceType, projectId, environment, userId, apiToken, tabId) {
         if (!serviceType || !projectId || !environment) {
             throw new Error('Service type, project ID, and environment are required');
         }
 
+        const execution = executionCancellation.begin(tabId, { userId, projectId, environment });
         try {
             // Ensure tunnel is open before refreshing a service
             if (['redis', 'sql', 'opensearch'].includes(serviceType)) {
@@ -877,21 +1162,23 @@ export class CommandExecutionService {
             // Get all commands for this service type
             const allCommands = await this.commandService.getAll();
             const serviceCommands = allCommands.filter(cmd =>
-                cmd.service_type === serviceType && cmd.auto_run && cmd.reviewed
+                cmd.service_type === serviceType && cmd.auto_run && cmd.reviewed &&
+                this.parameterService.canRunWithDefaults(cmd)
             );
 
             if (serviceCommands.length === 0) {
                 return { results: [] };
             }
 
-            // Execute commands for this service
+            // Execute commands for this service; the new results replace the cached ones
             const serviceResults = await this.executeServiceCommands(
                 serviceType,
                 serviceCommands,
                 projectId,
                 environment,
                 userId,
-                apiToken
+                apiToken,
+                { tabId, execution, cache: 'refresh' }
             );
 
             // Broadcast the update through WebSocket using tabId
@@ -921,40 +1208,18 @@ export class CommandExecutionService {
             }, tabId);
 
             throw error;
+        } finally {
+            executionCancellation.end(execution);
         }
     }
 
-    async executeSingleCommand(commandId, projectId, environment, userId, apiToken, tabId) {
-        logger.info('Executing single command:', {
-            commandId,
-            projectId,
-            environment,
-            userId,
-            tabId,
-            timestamp: new Date().toISOString()
-        });
-
-        if (!commandId || !projectId) {
-            throw new Error('Command ID and project ID are required');
-        }
-
-        // Get API token for the user
-        if (!apiToken) {
-            throw new Error('API token not found for user');
-        }
-
-        const command = await this.commandService.getById(commandId);
-        if (!command || command.length === 0) {
-            throw new Error('Command not found');
-        }
-
-        const singleCommand = command[0];
-        // Check if the command is reviewed
-        if (!singleCommand.reviewed) {
-            throw new Error('This command has not been reviewed and cannot be executed');
-        }
-
-        // Check for HIPAA project before executing ANY command
+    /**
+     * Blocks execution on HIPAA projects. The status comes from command 28 (Project Info) and is
+     * cached per project.
+     * @param {Object} [logContext] - Extra fields for the log entries (e.g. commandId)
+     * @throws {Error} - HIPAA_PROJECT_DETECTED with hipaaInfo
+     */
+    async ensureNotHipaaProject(projectId, environment, userId, apiToken, logContext = {}) {
         // First, check if we already know this project is HIPAA (cached)
         const hipaaCacheKey = `hipaa_${projectId}`;
         let isHipaaProject = false;
@@ -966,7 +1231,7 @@ export class CommandExecutionService {
                 logger.info('Using cached HIPAA status:', { projectId, isHipaaProject });
             } else {
                 // We need to check HIPAA status by executing command 28
-                logger.info('Checking HIPAA status for project:', { projectId, commandId });
+                logger.info('Checking HIPAA status for project:', { projectId, ...logContext });
                 
                 // Get command 28 to check HIPAA status
                 const projectInfoCommand = await this.commandService.getById(28);
@@ -1015,7 +1280,7 @@ export class CommandExecutionService {
             // If this is a HIPAA project, block ALL command execution
             if (isHipaaProject) {
                 logger.warn('HIPAA project detected, blocking command execution:', {
-                    commandId,
+                    ...logContext,
                     projectId,
                     environment,
                     userId
@@ -1032,7 +1297,7 @@ export class CommandExecutionService {
             }
             
             logger.info('HIPAA check passed, proceeding with command execution:', {
-                commandId,
+                ...logContext,
                 projectId,
                 environment,
                 userId
@@ -1046,13 +1311,57 @@ export class CommandExecutionService {
             
             // For other errors during HIPAA check, log but continue execution
             logger.error('Error during HIPAA check, continuing with execution:', {
-                commandId,
+                ...logContext,
                 projectId,
                 environment,
                 userId,
                 error: error.message
             });
         }
+    }
+
+    /**
+     * @param {Object} [options] - { unredacted } returns the output without secret redaction and
+     *                             bypasses the result cache; callers must restrict and audit it
+     */
+    async executeSingleCommand(commandId, projectId, environment, userId, apiToken, tabId, parameterValues = {}, { unredacted = false } = {}) {
+        logger.info('Executing single command:', {
+            commandId,
+            projectId,
+            environment,
+            userId,
+            tabId,
+            unredacted,
+            timestamp: new Date().toISOString()
+        });
+
+        if (!commandId || !projectId) {
+            throw new Error('Command ID and project ID are required');
+        }
+
+        // Get API token for the user
+        if (!apiToken) {
+            throw new Error('API token not found for user');
+        }
+
+        const command = await this.commandService.getById(commandId);
+        if (!command || command.length === 0) {
+            throw new Error('Command not found');
+        }
+
+        const singleCommand = command[0];
+        // Check if the command is reviewed
+        if (!singleCommand.reviewed) {
+            throw new Error('This command has not been reviewed and cannot be executed');
+        }
+
+        // Reject invalid parameter values before the HIPAA check and tunnel setup
+        this.parameterService.prepareCommands(singleCommand.service_type, [singleCommand], {
+            [singleCommand.id]: parameterValues
+        });
+
+        // Check for HIPAA project before executing ANY command
+        await this.ensureNotHipaaProject(projectId, environment, userId, apiToken, { commandId });
 
         // If this is command 28, we already executed it above for HIPAA check, so return the cached result
         if (commandId === 28) {
@@ -1097,14 +1406,23 @@ export class CommandExecutionService {
         }
 
         // Execute the command using executeServiceCommands
-        const result = await this.executeServiceCommands(
-            serviceType,
-            [singleCommand], // Pass as array with single command
-            projectId,
-            environment,
-            userId,
-            apiToken
-        );
+        const execution = executionCancellation.begin(tabId, { userId, projectId, environment });
+        let result;
+        try {
+            result = await this.executeServiceCommands(
+                serviceType,
+                [singleCommand], // Pass as array with single command
+                projectId,
+                environment,
+                userId,
+                apiToken,
+                unredacted
+                    ? { parameterValues: { [singleCommand.id]: parameterValues }, tabId, execution, unredacted: true }
+                    : { parameterValues: { [singleCommand.id]: parameterValues }, tabId, execution, cache: 'refresh' }
+            );
+        } finally {
+            executionCancellation.end(execution);
+        }
 
         // If execution was successful, send the response
         if (result) {
@@ -1123,4 +1441,282 @@ export class CommandExecutionService {
             throw new Error('Command execution returned no results');
         }
     }
+
+    /**
+     * Runs a set of catalog commands, one executeServiceCommands batch per service type.
+     * A service that fails does not fail the others; its commands are reported with the error.
+     * @param {Array<Object>} commands - Catalog commands (rows from CommandService)
+     * @param {Object} [options] - Same as executeServiceCommands
+     * @returns {Promise<Object>} - { status: SUCCESS|PARTIAL|ERROR|CANCELLED,
+     *                                commands: [{ id, title, serviceType, results, summary, error }] }
+     */
+    async runCommandSet(commands, projectId, environment, userId, apiToken, options = {}) {
+        const byService = new Map();
+        commands.forEach(cmd => {
+            if (!byService.has(cmd.service_type)) byService.set(cmd.service_type, []);
+            byService.get(cmd.service_type).push(cmd);
+        });
+        const services = [...byService.entries()];
+
+        const outcomes = await Promise.allSettled(services.map(([serviceType, serviceCommands]) =>
+            this.executeServiceCommands(serviceType, serviceCommands, projectId, environment, userId, apiToken, options)
+        ));
+
+        const results = [];
+        outcomes.forEach((outcome, index) => {
+            const [serviceType, serviceCommands] = services[index];
+            const data = outcome.status === 'fulfilled' ? outcome.value : null;
+            const serviceError = outcome.status === 'rejected'
+                ? outcome.reason.message
+                : data?.error ? (data.details || data.error) : null;
+
+            serviceCommands.forEach(cmd => {
+                const entry = serviceError ? null : data?.results?.find(result => result.id === cmd.id);
+                results.push({
+                    id: cmd.id,
+                    title: cmd.title,
+                    serviceType,
+                    results: entry?.results || [],
+                    summary: entry?.summary || null,
+                    error: serviceError || (entry ? null : 'The service returned no result for this command')
+                });
+            });
+        });
+
+        const statuses = results.flatMap(result => result.error ? ['ERROR'] : result.results.map(node => node.status));
+        let status = 'PARTIAL';
+        if (options.execution?.signal.aborted) {
+            status = CANCELLED_STATUS;
+        } else if (statuses.length > 0 && statuses.every(nodeStatus => nodeStatus === 'SUCCESS')) {
+            status = 'SUCCESS';
+        } else if (!statuses.includes('SUCCESS')) {
+            status = 'ERROR';
+        }
+
+        return { status, commands: results };
+    }
+
+    /**
+     * Runs a command pipeline (see commandPipelineService). Steps run wave by wave; the steps of
+     * one wave run side by side, and every step passes the values it extracted to the steps that
+     * depend on it. Progress is sent to the tab as pipeline_started, pipeline_step_started,
+     * pipeline_step_finished and pipeline_finished, next to the usual per-command messages.
+     * @param {Object} [inputs] - Values for the {{inputs.<name>}} references of the pipeline
+     * @returns {Promise<Object>} - Run report with the status, results and values of every step
+     */
+    async executePipeline(pipelineId, projectId, environment, userId, apiToken, tabId, inputs = {}) {
+        const pipelineService = new CommandPipelineService();
+        const pipeline = await pipelineService.getPipeline(pipelineId);
+
+        logger.info('Executing command pipeline:', {
+            pipelineId,
+            name: pipeline.name,
+            projectId,
+            environment,
+            userId,
+            tabId
+        });
+
+        const commandsById = new Map();
+        for (const step of pipeline.steps) {
+            const [command] = await this.commandService.getById(step.commandId);
+            if (!command || !command.reviewed) {
+                const error = new Error(`Step ${step.id}: command ${step.commandId} ${command ? 'has not been reviewed' : 'no longer exists'}`);
+                error.code = 'PIPELINE_COMMAND_NOT_RUNNABLE';
+                throw error;
+            }
+            commandsById.set(step.commandId, command);
+        }
+
+        await this.ensureNotHipaaProject(projectId, environment, userId, apiToken, { pipelineId });
+
+        const execution = executionCancellation.begin(tabId, { userId, projectId, environment });
+        const signal = execution?.signal;
+        const broadcast = (message) => {
+            if (!tabId) return;
+            WebSocketService.broadcastToTab({ ...message, pipelineId, projectId, environment }, tabId);
+        };
+
+        const startedAt = Date.now();
+        const context = { values: {}, inputs: inputs || {} };
+        const reports = new Map(pipeline.steps.map(step => [step.id, {
+            id: step.id,
+            commandId: step.commandId,
+            title: commandsById.get(step.commandId).title,
+            serviceType: commandsById.get(step.commandId).service_type,
+            status: 'PENDING',
+            reason: null,
+            error: null,
+            durationMs: null,
+            runs: [],
+            values: {},
+            extractionErrors: []
+        }]));
+        // Steps whose dependents must not run: failed with stop/skip_dependents, skipped or cancelled
+        const blocked = new Set();
+        let stopped = false;
+
+        broadcast({ type: 'pipeline_started', name: pipeline.name, steps: pipeline.steps.map(step => step.id) });
+
+        try {
+            for (const wave of pipelineService.planWaves(pipeline.steps)) {
+                await Promise.all(wave.map(async (step) => {
+                    const report = reports.get(step.id);
+                    const blocker = step.dependsOn.find(dependency => blocked.has(dependency));
+
+                    if (signal?.aborted) {
+                        report.status = CANCELLED_STATUS;
+                        report.reason = 'Pipeline cancelled';
+                    } else if (stopped) {
+                        report.status = 'SKIPPED';
+                        report.reason = 'Pipeline stopped after a failed step';
+                    } else if (blocker) {
+                        report.status = 'SKIPPED';
+                        report.reason = `Depends on step ${blocker}, which did not succeed`;
+                    } else {
+                        broadcast({ type: 'pipeline_step_started', stepId: step.id, commandId: step.commandId });
+                        await this.runPipelineStep(pipelineService, step, commandsById.get(step.commandId), report, context, {
+                            projectId, environment, userId, apiToken, tabId, execution
+                        });
+                        broadcast({
+                            type: 'pipeline_step_finished',
+                            stepId: step.id,
+                            commandId: step.commandId,
+                            status: report.status,
+                            reason: report.reason,
+                            error: report.error,
+                            durationMs: report.durationMs,
+                            values: report.values
+                        });
+                    }
+
+                    if (report.status === 'SUCCESS') {
+                        context.values[step.id] = report.values;
+                        return;
+                    }
+                    if (report.status === 'ERROR' && step.onFailure === 'continue') {
+                        // Dependents still run; references to the missing values fail on their own
+                        context.values[step.id] = report.values;
+                        return;
+                    }
+                    blocked.add(step.id);
+                    if (report.status === 'ERROR' && step.onFailure === 'stop') {
+                        stopped = true;
+                    }
+                }));
+            }
+        } finally {
+            executionCancellation.end(execution);
+        }
+
+        const steps = pipeline.steps.map(step => reports.get(step.id));
+        const statuses = steps.map(step => step.status);
+        const status = signal?.aborted
+            ? CANCELLED_STATUS
+            : statuses.every(stepStatus => stepStatus === 'SUCCESS')
+                ? 'SUCCESS'
+                : statuses.includes('SUCCESS') ? 'PARTIAL' : 'ERROR';
+
+        const result = {
+            pipelineId,
+            name: pipeline.name,
+            projectId,
+            environment,
+            status,
+            durationMs: Date.now() - startedAt,
+            steps
+        };
+
+        logger.info('Command pipeline finished:', {
+            pipelineId,
+            projectId,
+            environment,
+            userId,
+            status,
+            steps: steps.map(step => `${step.id}:${step.status}`)
+        });
+        broadcast({ type: 'pipeline_finished', status, durationMs: result.durationMs, steps: steps.map(({ id, status: stepStatus }) => ({ id, status: stepStatus })) });
+
+        return result;
+    }
+
+    /**
+     * Runs one pipeline step, once or once per forEach item, and fills in its report
+     */
+    async runPipelineStep(pipelineService, step, command, report, context, { projectId, environment, userId, apiToken, tabId, execution }) {
+        const startedAt = Date.now();
+        const nodeResults = [];
+
+        try {
+            const items = step.forEach ? pipelineService.resolveForEach(step, context) : [undefined];
+            if (items.length === 0) {
+                report.status = 'SKIPPED';
+                report.reason = 'forEach produced no items';
+                return;
+            }
+
+            for (const item of items) {
+                throwIfCancelled(execution?.signal);
+                const parameters = pipelineService.resolveParameters(step, { ...context, item });
+                const data = await this.executeServiceCommands(
+                    command.service_type,
+                    [command],
+                    projectId,
+                    environment,
+                    userId,
+                    apiToken,
+                    { parameterValues: { [command.id]: parameters }, tabId, execution }
+                );
+
+                if (data?.error) {
+                    throw new Error(data.details || data.error);
+                }
+                const commandResult = data?.results?.find(entry => entry.id === command.id) || {};
+                const results = commandResult.results || [];
+                report.runs.push({ item: item ?? null, parameters, results, summary: commandResult.summary || null });
+                nodeResults.push(...results);
+            }
+
+            const statuses = nodeResults.map(result => result.status);
+            if (statuses.includes(CANCELLED_STATUS) || execution?.signal.aborted) {
+                report.status = CANCELLED_STATUS;
+                report.reason = 'Pipeline cancelled';
+                return;
+            }
+            if (statuses.length === 0 || !statuses.includes('SUCCESS')) {
+                report.status = 'ERROR';
+                report.error = nodeResults.find(result => result.error)?.error || 'The command returned no successful results';
+                return;
+            }
+
+            const { values, errors } = pipelineService.extractValues(step, nodeResults);
+            report.values = values;
+            report.extractionErrors = errors;
+            if (errors.length > 0) {
+                report.status = 'ERROR';
+                report.error = errors.join('; ');
+                return;
+            }
+            report.status = 'SUCCESS';
+        } catch (error) {
+            if (error.code === 'EXECUTION_CANCELLED' || execution?.signal.aborted) {
+                report.status = CANCELLED_STATUS;
+                report.reason = 'Pipeline cancelled';
+            } else {
+                report.status = 'ERROR';
+                report.error = error.message;
+                if (error.details) report.errorDetails = error.details;
+            }
+            logger.warn('Pipeline step failed:', {
+                stepId: step.id,
+                commandId: command.id,
+                projectId,
+                environment,
+                status: report.status,
+                error: error.message
+            });
+        } finally {
+            report.durationMs = Date.now() - startedAt;
+        }
+    }
 }
@@ -0,0 +1,166 @@
+// src/services/commandMetricService.js
+import { logger } from './logger.js';
+import { ExtractorService } from './extractorService.js';
+import { CommandMetricDao } from './dao/commandMetricDao.js';
+
+const RETENTION_DAYS = parseInt(process.env.METRICS_RETENTION_DAYS || '90');
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_SERIES_POINTS = 5000;
+const MAX_TEXT_LENGTH = 1024;
+
+let lastPruneAt = 0;
+
+function metricError(message, code, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+/**
+ * Applies command extractors to execution results and keeps the values as metrics
+ * (command_metrics) so they can be charted over time and used by rules.
+ */
+export class CommandMetricService {
+    constructor() {
+        this.extractorService = new ExtractorService();
+    }
+
+    /**
+     * Adds `metrics` (and `metricErrors` when an extractor failed) to every successful node result
+     * of commands that declare extractors, and a flat `metrics` list to each command result.
+     * @param {Array<Object>} commands - Commands that were executed
+     * @param {Object} data - Handler response ({ results: [{ id, results: [{ nodeId, output, status }] }] })
+     * @returns {Array<Object>} - [{ commandId, nodeId, name, value, valueType, unit, labels }]
+     */
+    attachMetrics(commands, data) {
+        if (!Array.isArray(data?.results)) return [];
+        const collected = [];
+
+        commands.forEach(cmd => {
+            const definitions = this.extractorService.getDefinitions(cmd);
+            if (definitions.length === 0) return;
+            const commandResult = data.results.find(result => result.id === cmd.id);
+            if (!commandResult || !Array.isArray(commandResult.results)) return;
+
+            commandResult.metrics = [];
+            commandResult.results.forEach(node => {
+                if (node.status !== 'SUCCESS') return;
+                const { values, errors } = this.extractorService.extractAll(definitions, node.output);
+                node.metrics = values;
+                if (errors.length > 0) node.metricErrors = errors;
+
+                const nodeMetrics = values.map(value => ({ commandId: cmd.id, nodeId: node.nodeId ?? null, ...value }));
+                commandResult.metrics.push(...nodeMetrics);
+                collected.push(...nodeMetrics);
+            });
+        });
+
+        return collected;
+    }
+
+    /**
+     * Stores extracted values. Failures are logged and never fail the execution.
+     */
+    async record(metrics, { projectId, environment, collectedAt = new Date() }) {
+        if (metrics.length === 0 || !projectId || !environment) return;
+
+        try {
+            await CommandMetricDao.insertMetrics(metrics.map(metric => ({
+                commandId: metric.commandId,
+                projectId,
+                environment,
+                nodeId: metric.nodeId === null ? null : String(metric.nodeId),
+                name: metric.name,
+                labels: this.seriesLabels(metric.labels),
+                valueNumber: typeof metric.value === 'number' ? metric.value
+                    : typeof metric.value === 'boolean' ? Number(metric.value) : null,
+                valueText: typeof metric.value === 'string' ? metric.value.slice(0, MAX_TEXT_LENGTH) : null,
+                unit: metric.unit,
+                collectedAt
+            })));
+            await this.pruneIfDue();
+        } catch (error) {
+            logger.error('Failed to store command metrics:', {
+                error: error.message,
+                projectId,
+                environment,
+                count: metrics.length
+            });
+        }
+    }
+
+    async pruneIfDue() {
+        if (Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+        lastPruneAt = Date.now();
+        const deleted = await CommandMetricDao.deleteBefore(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+        if (deleted > 0) {
+            logger.info('Pruned old command metrics', { deleted, retentionDays: RETENTION_DAYS });
+        }
+    }
+
+    // Sorted keys so the same labels always identify the same series
+    seriesLabels(labels = {}) {
+        const sorted = Object.fromEntries(Object.keys(labels).sort().map(key => [key, labels[key]]));
+        return JSON.stringify(sorted).slice(0, MAX_TEXT_LENGTH);
+    }
+
+    /**
+     * Metric history grouped into series (one per command, name, node and labels)
+     * @param {Object} filters - { projectId, environment, commandId, name, nodeId, from, to }
+     * @returns {Promise<Object>} - { series: [{ commandId, name, nodeId, labels, unit, points: [{ t, value }] }], truncated }
+     */
+    async getSeries(filters) {
+        const toDate = (value, field) => {
+            if (!value) return null;
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                throw metricError(`${field} must be a date`, 'INVALID_METRIC_FILTER');
+            }
+            return date;
+        };
+
+        const points = await CommandMetricDao.listMetrics({
+            projectId: filters.projectId,
+            environment: filters.environment,
+            commandId: filters.commandId ? parseInt(filters.commandId, 10) : null,
+            name: filters.name || null,
+            nodeId: filters.nodeId || null,
+            from: toDate(filters.from, 'from') || new Date(Date.now() - 24 * 60 * 60 * 1000),
+            to: toDate(filters.to, 'to'),
+            limit: MAX_SERIES_POINTS + 1
+        });
+
+        const truncated = points.length > MAX_SERIES_POINTS;
+        const series = new Map();
+        points.slice(0, MAX_SERIES_POINTS).forEach(point => {
+            const key = `${point.commandId}|${point.name}|${point.nodeId}|${JSON.stringify(point.labels)}`;
+            if (!series.has(key)) {
+                series.set(key, {
+                    commandId: point.commandId,
+                    name: point.name,
+                    nodeId: point.nodeId,
+                    labels: point.labels,
+                    unit: point.unit,
+                    points: []
+                });
+            }
+            series.get(key).points.push({ t: point.collectedAt, value: point.value });
+        });
+
+        return { series: [...series.values()], truncated };
+    }
+
+    /**
+     * Runs extractor definitions over a sample output, for authoring extractors
+     * @returns {Object} - { values, errors }
+     * @throws {Error} - INVALID_EXTRACTORS
+     */
+    preview(definitions, output) {
+        const errors = this.extractorService.validateDefinitions(definitions);
+        if (errors.length > 0) {
+            throw metricError('Invalid extractors', 'INVALID_EXTRACTORS', errors);
+        }
+        return this.extractorService.extractAll(definitions, output);
+    }
+}
@@ -0,0 +1,510 @@
+// src/services/commandParameterService.js
+import { logger } from './logger.js';
+import { RedisCommandPolicyService } from './redisCommandPolicyService.js';
+import { nodeInventory } from './nodeInventoryService.js';
+
+export const PARAMETER_TYPES = ['string', 'integer', 'enum', 'date_range', 'node_id'];
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const NODE_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+const DEFAULT_STRING_MAX_LENGTH = 255;
+
+// {{name}} or, for date ranges, {{name.from}} / {{name.to}}. Anything else inside braces
+// (e.g. docker's {{.Names}} or jq templates) is not a parameter and is left untouched.
+const PLACEHOLDER = '\\{\\{\\s*([A-Za-z_][A-Za-z0-9_]*)(?:\\.(from|to))?\\s*\\}\\}';
+
+// How commands of each service type quote strings. A placeholder may be the whole quoted string
+// ('{{name}}', the quotes are replaced by the rendered literal) but never part of one: a value
+// quoted for the shell inside "..." still runs $(...), and a bound ? inside '...' is a literal.
+//   quotes:  characters that open and close a quoted string
+//   escapes: quote contexts ('' is unquoted) in which a backslash escapes the next character
+const QUOTE_SYNTAX = {
+    shell: { quotes: ["'", '"'], escapes: ['', '"'] },
+    sql: { quotes: ["'", '"', '`'], escapes: ['', "'", '"'] }
+};
+const SERVICE_QUOTE_SYNTAX = {
+    ssh: 'shell',
+    bash: 'shell',
+    magento_cloud: 'shell',
+    rabbitmq: 'shell',
+    sql: 'sql'
+};
+
+// Relative date expressions accepted in date_range values and defaults: now, -15m, -2h, -7d
+const RELATIVE_DATE_PATTERN = /^-(\d+)([mhd])$/;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parameterError(message, code, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+export class CommandParameterService {
+    constructor() {
+        this.redisPolicy = new RedisCommandPolicyService();
+    }
+
+    /**
+     * Parses the stored parameter definitions of a command
+     * @param {Object} command - Command row (as returned by CommandService.mapRow)
+     * @returns {Array<Object>} - Parameter definitions
+     */
+    getDefinitions(command) {
+        const parameters = command?.parameters;
+        if (!parameters) return [];
+        if (typeof parameters === 'string') {
+            try {
+                return JSON.parse(parameters) || [];
+            } catch (error) {
+                logger.warn('Invalid parameter definitions stored for command', { commandId: command.id });
+                return [];
+            }
+        }
+        return Array.isArray(parameters) ? parameters : [];
+    }
+
+    /**
+     * Validates parameter definitions submitted with a command
+     * @param {Array<Object>} definitions - [{ name, type, label, description, required, default, options, min, max, maxLength, pattern, maxDays }]
+     * @param {string} [commandText] - Command text, checked for placeholders that are not declared
+     * @param {string} [serviceType] - Service type of the command; placeholders inside quoted strings of
+     *                                 shell and SQL commands are rejected (see QUOTE_SYNTAX)
+     * @returns {Array<string>} - Validation errors (empty when valid)
+     */
+    validateDefinitions(definitions, commandText = '', serviceType = null) {
+        const errors = [];
+        if (definitions === null || definitions === undefined) return errors;
+        if (!Array.isArray(definitions)) {
+            return ['Parameters must be an array'];
+        }
+
+        const names = new Set();
+        definitions.forEach((definition, index) => {
+            const label = `Parameter ${index + 1}`;
+            if (!definition || typeof definition !== 'object') {
+                errors.push(`${label}: must be an object`);
+                return;
+            }
+            if (!definition.name || !NAME_PATTERN.test(definition.name)) {
+                errors.push(`${label}: name must start with a letter or underscore and contain only letters, digits and underscores`);
+            } else if (names.has(definition.name)) {
+                errors.push(`${label}: duplicate parameter name "${definition.name}"`);
+            } else {
+                names.add(definition.name);
+            }
+            if (!PARAMETER_TYPES.includes(definition.type)) {
+                errors.push(`${label}: type must be one of ${PARAMETER_TYPES.join(', ')}`);
+                return;
+            }
+            if (definition.type === 'enum') {
+                if (!Array.isArray(definition.options) || definition.options.length === 0) {
+                    errors.push(`${label}: enum parameters require a non-empty options array`);
+                } else if (definition.options.some(option => typeof option !== 'string' && typeof option !== 'number')) {
+                    errors.push(`${label}: enum options must be strings or numbers`);
+                }
+            }
+            if (definition.type === 'integer') {
+                ['min', 'max'].forEach(bound => {
+                    if (definition[bound] !== undefined && !Number.isInteger(definition[bound])) {
+                        errors.push(`${label}: ${bound} must be an integer`);
+                    }
+                });
+            }
+            if (definition.type === 'string' && definition.pattern !== undefined) {
+                try {
+                    new RegExp(definition.pattern);
+                } catch (error) {
+                    errors.push(`${label}: pattern is not a valid regular expression`);
+                }
+            }
+            if (definition.default !== undefined && definition.default !== null) {
+                const result = this.coerceValue(definition, definition.default);
+                if (result.error) {
+                    errors.push(`${label}: invalid default - ${result.error}`);
+                }
+            }
+        });
+
+        if (errors.length === 0 && definitions.length > 0 && commandText) {
+            const declared = new Set(definitions.map(definition => definition.name));
+            for (const match of String(commandText).matchAll(new RegExp(PLACEHOLDER, 'g'))) {
+                if (!declared.has(match[1])) {
+                    errors.push(`Placeholder {{${match[1]}}} does not match any declared parameter`);
+                }
+            }
+
+            const syntax = QUOTE_SYNTAX[SERVICE_QUOTE_SYNTAX[serviceType]];
+            if (syntax) {
+                this.scanPlaceholders(commandText, syntax)
+                    .filter(placeholder => placeholder.quoted)
+                    .forEach(placeholder => errors.push(this.quotedPlaceholderError(placeholder, serviceType)));
+            }
+        }
+
+        return [...new Set(errors)];
+    }
+
+    /**
+     * Resolves the values for a command's parameters, applying defaults and type validation
+     * @param {Array<Object>} definitions - Parameter definitions
+     * @param {Object} [input] - Values keyed by parameter name
+     * @returns {Object} - { values, errors }
+     */
+    resolveValues(definitions, input = {}) {
+        const values = {};
+        const errors = [];
+        const provided = input && typeof input === 'object' ? input : {};
+
+        Object.keys(provided).forEach(name => {
+            if (!definitions.some(definition => definition.name === name)) {
+                errors.push({ parameter: name, error: 'Unknown parameter' });
+            }
+        });
+
+        definitions.forEach(definition => {
+            let raw = provided[definition.name];
+            if (raw === undefined || raw === null || raw === '') {
+                raw = definition.default;
+            }
+            if (raw === undefined || raw === null || raw === '') {
+                if (definition.required !== false) {
+                    errors.push({ parameter: definition.name, error: 'A value is required' });
+                }
+                return;
+            }
+
+            const result = this.coerceValue(definition, raw);
+            if (result.error) {
+                errors.push({ parameter: definition.name, error: result.error });
+            } else {
+                values[definition.name] = result.value;
+            }
+        });
+
+        return { values, errors };
+    }
+
+    coerceValue(definition, raw) {
+        switch (definition.type) {
+            case 'string': {
+                if (typeof raw !== 'string' && typeof raw !== 'number') {
+                    return { error: 'Must be a string' };
+                }
+                const value = String(raw);
+                const maxLength = definition.maxLength || DEFAULT_STRING_MAX_LENGTH;
+                if (value.length > maxLength) {
+                    return { error: `Must be at most ${maxLength} characters` };
+                }
+                if (/[\x00-\x1f\x7f]/.test(value)) {
+                    return { error: 'Control characters and line breaks are not allowed' };
+                }
+                if (definition.pattern && !new RegExp(definition.pattern).test(value)) {
+                    return { error: `Must match ${definition.pattern}` };
+                }
+                return { value };
+            }
+            case 'integer': {
+                const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+                if (!Number.isSafeInteger(value) || String(raw).trim() === '') {
+                    return { error: 'Must be an integer' };
+                }
+                if (definition.min !== undefined && value < definition.min) {
+                    return { error: `Must be at least ${definition.min}` };
+                }
+                if (definition.max !== undefined && value > definition.max) {
+                    return { error: `Must be at most ${definition.max}` };
+                }
+                return { value };
+            }
+            case 'enum': {
+                const value = (definition.options || []).find(option => String(option) === String(raw));
+                if (value === undefined) {
+                    return { error: `Must be one of ${(definition.options || []).join(', ')}` };
+                }
+                return { value };
+            }
+            case 'date_range': {
+                if (typeof raw !== 'object' || raw === null) {
+                    return { error: 'Must be an object with from and to' };
+                }
+                const now = Date.now();
+                const from = this.parseDate(raw.from, now);
+                const to = this.parseDate(raw.to ?? 'now', now);
+                if (!from || !to) {
+                    return { error: 'from and to must be ISO dates or relative values such as -2h, -7d or now' };
+                }
+                if (from > to) {
+                    return { error: 'from must be before to' };
+                }
+                if (definition.maxDays && (to - from) > definition.maxDays * UNIT_MS.d) {
+                    return { error: `Range must not exceed ${definition.maxDays} days` };
+                }
+                return { value: { from: this.formatDate(from), to: this.formatDate(to) } };
+            }
+            case 'node_id': {
+                const value = String(raw).trim();
+                if (!NODE_ID_PATTERN.test(value)) {
+                    return { error: 'Must be a node number or hostname' };
+                }
+                return { value: /^\d+$/.test(value) ? parseInt(value, 10) : value };
+            }
+            default:
+                return { error: `Unsupported parameter type ${definition.type}` };
+        }
+    }
+
+    parseDate(value, now) {
+        if (value === undefined || value === null || value === '') return null;
+        const text = String(value).trim();
+        if (text === 'now') return new Date(now);
+
+        const relative = text.match(RELATIVE_DATE_PATTERN);
+        if (relative) {
+            return new Date(now - parseInt(relative[1], 10) * UNIT_MS[relative[2]]);
+        }
+
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // UTC in the format MySQL and most log tools accept: YYYY-MM-DD HH:MM:SS
+    formatDate(date) {
+        return date.toISOString().slice(0, 19).replace('T', ' ');
+    }
+
+    /**
+     * Resolves parameter values for a list of commands and substitutes them into each command
+     * using the quoting rules of its service type. Commands without parameters are returned unchanged.
+     * @param {string} serviceType - ssh, sql, redis, opensearch, magento_cloud, bash or rabbitmq
+     * @param {Array<Object>} commands - Command rows
+     * @param {Object} [valuesByCommand] - { [commandId]: { name: value } }
+     * @returns {Array<Object>} - Commands with `command` rendered (and `bindings` for SQL)
+     * @throws {Error} - code INVALID_PARAMETER_VALUES with per-command details
+     */
+    prepareCommands(serviceType, commands, valuesByCommand = {}) {
+        const failures = [];
+
+        const prepared = commands.map(cmd => {
+            const definitions = this.getDefinitions(cmd);
+            if (definitions.length === 0) return cmd;
+
+            const { values, errors } = this.resolveValues(definitions, valuesByCommand?.[cmd.id]);
+            if (errors.length > 0) {
+                failures.push({ commandId: cmd.id, title: cmd.title, errors });
+                return cmd;
+            }
+
+            try {
+                return { ...this.render(serviceType, cmd, definitions, values), parameterValues: values };
+            } catch (error) {
+                failures.push({ commandId: cmd.id, title: cmd.title, errors: [{ error: error.message }] });
+                return cmd;
+            }
+        });
+
+        if (failures.length > 0) {
+            throw parameterError('Invalid command parameters', 'INVALID_PARAMETER_VALUES', failures);
+        }
+
+        return prepared;
+    }
+
+    /**
+     * Whether every parameter of a command can be resolved without user input (used for auto-run)
+     * @param {Object} command - Command row
+     * @returns {boolean}
+     */
+    canRunWithDefaults(command) {
+        const definitions = this.getDefinitions(command);
+        return definitions.length === 0 || this.resolveValues(definitions).errors.length === 0;
+    }
+
+    render(serviceType, cmd, definitions, values) {
+        switch (serviceType) {
+            case 'sql':
+                // Queries for other nodes than the first run through the mysql client over SSH, without bound parameters
+                return nodeInventory.targetOf(cmd) !== 'first'
+                    ? { ...cmd, command: this.substituteQuoted(serviceType, cmd.command, definitions, values, value => this.sqlLiteral(value)) }
+                    : this.bindSql(cmd, definitions, values);
+            case 'opensearch':
+                return { ...cmd, command: JSON.stringify(this.renderJson(this.parseJsonCommand(cmd.command), definitions, values)) };
+            case 'rabbitmq':
+                // rabbitmqadmin commands are wrapped in single quotes locally and parsed again by the remote shell
+                return { ...cmd, command: this.substituteQuoted(serviceType, cmd.command, definitions, values, value => this.shellQuote(this.shellQuote(value)).slice(1, -1)) };
+            case 'ssh':
+            case 'bash':
+            case 'magento_cloud':
+                return { ...cmd, command: this.substituteQuoted(serviceType, cmd.command, definitions, values, value => this.shellQuote(value)) };
+            case 'redis':
+                // Redis commands are split with redis-cli's own quoting rules and never reach a shell
+                return { ...cmd, command: this.substitute(cmd.command, definitions, values, value => this.redisPolicy.quote(String(value)), true) };
+            default:
+                throw new Error(`Parameters are not supported for service type ${serviceType}`);
+        }
+    }
+
+    /**
+     * Replaces every placeholder in a text. When `absorbQuotes` is set, quotes written around a
+     * placeholder ('{{name}}') are dropped because the formatter already produces a literal.
+     */
+    substitute(text, definitions, values, format, absorbQuotes = false) {
+        const pattern = absorbQuotes
+            ? new RegExp(`(['"]?)${PLACEHOLDER}\\1`, 'g')
+            : new RegExp(`()${PLACEHOLDER}`, 'g');
+
+        return String(text).replace(pattern, (match, quote, name, part) => {
+            return format(this.lookup(definitions, values, name, part));
+        });
+    }
+
+    /**
+     * Replaces every placeholder following the quoting rules of the service type (see QUOTE_SYNTAX):
+     * quotes around a whole placeholder are dropped because the formatter produces a literal, and a
+     * placeholder inside a quoted string is rejected.
+     * @throws {Error} - When a placeholder is part of a quoted string
+     */
+    substituteQuoted(serviceType, text, definitions, values, format) {
+        const source = String(text);
+        let rendered = '';
+        let last = 0;
+        this.scanPlaceholders(source, QUOTE_SYNTAX[SERVICE_QUOTE_SYNTAX[serviceType]]).forEach(placeholder => {
+            if (placeholder.quoted) {
+                throw new Error(this.quotedPlaceholderError(placeholder, serviceType));
+            }
+            rendered += source.slice(last, placeholder.start) + format(this.lookup(definitions, values, placeholder.name, placeholder.part));
+            last = placeholder.end;
+        });
+        return rendered + source.slice(last);
+    }
+
+    bindSql(cmd, definitions, values) {
+        const bindings = [];
+        const command = this.substituteQuoted('sql', cmd.command, definitions, values, value => {
+            bindings.push(value);
+            return '?';
+        });
+        return { ...cmd, command, bindings };
+    }
+
+    /**
+     * Finds the placeholders of a command and where they sit relative to its quoted strings
+     * @param {Object} syntax - Entry of QUOTE_SYNTAX
+     * @returns {Array<Object>} - { start, end, text, name, part, quoted } in order; start/end include
+     *                            the quotes of a placeholder that is a whole quoted string
+     */
+    scanPlaceholders(text, syntax) {
+        const source = String(text);
+        const placeholders = [];
+        // Returns the length of the placeholder read at start, 0 when there is none
+        const read = (pattern, start, quoted) => {
+            pattern.lastIndex = start;
+            const match = pattern.exec(source);
+            if (!match) return 0;
+            const [text, name, part] = match;
+            placeholders.push({ start, end: start + text.length, text, name, part, quoted });
+            return text.length;
+        };
+
+        let quote = '';
+        for (let index = 0; index < source.length; index++) {
+            const char = source[index];
+            if (char === '\\' && syntax.escapes.includes(quote)) {
+                index++;
+            } else if (quote) {
+                if (char === quote) {
+                    quote = '';
+                } else if (char === '{') {
+                    const length = read(new RegExp(PLACEHOLDER, 'y'), index, true);
+                    if (length) index += length - 1;
+                }
+            } else if (syntax.quotes.includes(char)) {
+                const length = read(new RegExp(`${char}${PLACEHOLDER}${char}`, 'y'), index, false);
+                if (length) {
+                    index += length - 1;
+                } else {
+                    quote = char;
+                }
+            } else if (char === '{') {
+                const length = read(new RegExp(PLACEHOLDER, 'y'), index, false);
+                if (length) index += length - 1;
+            }
+        }
+        return placeholders;
+    }
+
+    quotedPlaceholderError({ text }, serviceType) {
+        const hint = serviceType === 'sql'
+            ? `build the string with CONCAT, e.g. CONCAT('%', ${text}, '%')`
+            : `leave it unquoted or quote only the placeholder, e.g. grep "${text}"`;
+        return `Placeholder ${text} is part of a quoted string; values are quoted when they are rendered, so ${hint}`;
+    }
+
+    /**
+     * Returns the value for a placeholder. Optional parameters without a value render as an empty string.
+     */
+    lookup(definitions, values, name, part) {
+        const definition = definitions.find(d => d.name === name);
+        if (!definition) {
+            throw new Error(`Placeholder {{${name}}} does not match any declared parameter`);
+        }
+        const value = values[name];
+        if (definition.type === 'date_range') {
+            if (!part) {
+                throw new Error(`Date range parameter ${name} must be referenced as {{${name}.from}} or {{${name}.to}}`);
+            }
+            return value ? value[part] : '';
+        }
+        if (part) {
+            throw new Error(`Parameter ${name} is not a date range`);
+        }
+        return value === undefined ? '' : value;
+    }
+
+    shellQuote(value) {
+        if (typeof value === 'number') return String(value);
+        return `'${String(value).replace(/'/g, "'\\''")}'`;
+    }
+
+    // Used when a query is sent through the shell to every node. Strings are hex encoded so the
+    // literal survives the nested shell quoting and cannot terminate the SQL string.
+    sqlLiteral(value) {
+        if (typeof value === 'number') return String(value);
+        if (value === '') return "''";
+        return `CONVERT(X'${Buffer.from(String(value), 'utf8').toString('hex')}' USING utf8mb4)`;
+    }
+
+    parseJsonCommand(command) {
+        if (typeof command !== 'string') return command;
+        try {
+            return JSON.parse(command);
+        } catch (error) {
+            throw new Error('OpenSearch command is not valid JSON');
+        }
+    }
+
+    /**
+     * Substitutes placeholders inside a parsed OpenSearch request. A string that consists of a
+     * single placeholder is replaced by the typed value; placeholders inside longer strings are
+     * interpolated, and values placed in the request path are URL encoded.
+     */
+    renderJson(node, definitions, values, key = null) {
+        if (Array.isArray(node)) {
+            return node.map(item => this.renderJson(item, definitions, values));
+        }
+        if (node && typeof node === 'object') {
+            return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, this.renderJson(v, definitions, values, k)]));
+        }
+        if (typeof node !== 'string') return node;
+
+        const whole = node.match(new RegExp(`^${PLACEHOLDER}$`));
+        if (whole && key !== 'path') {
+            return this.lookup(definitions, values, whole[1], whole[2]);
+        }
+
+        return this.substitute(node, definitions, values, value =>
+            key === 'path' ? encodeURIComponent(String(value)) : String(value)
+        );
+    }
+}
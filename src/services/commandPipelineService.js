@@ -0,0 +1,416 @@
+// src/services/commandPipelineService.js
+import { logger } from './logger.js';
+import { CommandService } from './commandsManagerService.js';
+import { CommandParameterService } from './commandParameterService.js';
+import { ExtractorService } from './extractorService.js';
+import { CommandPipelineDao } from './dao/commandPipelineDao.js';
+
+export const ON_FAILURE_ACTIONS = ['stop', 'continue', 'skip_dependents'];
+export const MAX_FOREACH_ITEMS = 20;
+
+const STEP_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_STEPS = 20;
+const MAX_EXTRACTED_VALUES = 100;
+
+// References allowed inside step parameter values and forEach:
+// {{steps.<stepId>.<value>}}, {{inputs.<name>}} and, inside a forEach step, {{item}}
+const REFERENCE = '\\{\\{\\s*(?:steps\\.([A-Za-z_][A-Za-z0-9_]*)\\.([A-Za-z_][A-Za-z0-9_]*)|inputs\\.([A-Za-z_][A-Za-z0-9_]*)|(item))\\s*\\}\\}';
+
+function pipelineError(message, code, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+/**
+ * Pipelines chain catalog commands: a DAG of steps where each step runs a command and extracts
+ * named values from its output, which later steps pass as parameter values to their commands.
+ *
+ * Step definition:
+ *   {
+ *     id: 'top_processes',                     // unique within the pipeline
+ *     commandId: 12,                           // catalog command to run
+ *     dependsOn: ['other_step'],               // steps that must finish first
+ *     parameters: { pid: '{{item}}', limit: '{{inputs.limit}}' },
+ *     forEach: '{{steps.other_step.pids}}',    // run the command once per extracted value
+ *     extract: {
+ *       pids: { path: '*.Id' },                // from structured output (SQL rows, JSON)
+ *       codes: { pattern: 'job_code: (\\S+)', all: true, required: false }
+ *     },
+ *     onFailure: 'stop' | 'continue' | 'skip_dependents'
+ *   }
+ * Execution lives in CommandExecutionService.executePipeline.
+ */
+export class CommandPipelineService {
+    constructor() {
+        this.commandService = new CommandService();
+        this.parameterService = new CommandParameterService();
+        this.extractorService = new ExtractorService();
+    }
+
+    async listPipelines() {
+        return CommandPipelineDao.listPipelines();
+    }
+
+    async getPipeline(id) {
+        const pipeline = await CommandPipelineDao.getPipeline(id);
+        if (!pipeline) {
+            throw pipelineError('Pipeline not found', 'PIPELINE_NOT_FOUND');
+        }
+        return pipeline;
+    }
+
+    async createPipeline(definition, user) {
+        const pipeline = await this.validate(definition);
+        try {
+            const id = await CommandPipelineDao.createPipeline({ ...pipeline, createdBy: user?.id || null });
+            logger.info('Command pipeline created', { id, name: pipeline.name, userId: user?.id });
+            return this.getPipeline(id);
+        } catch (error) {
+            throw this.translateDuplicate(error, pipeline.name);
+        }
+    }
+
+    async updatePipeline(id, definition, user) {
+        await this.getPipeline(id);
+        const pipeline = await this.validate(definition);
+        try {
+            await CommandPipelineDao.updatePipeline(id, { ...pipeline, updatedBy: user?.id || null });
+            logger.info('Command pipeline updated', { id, name: pipeline.name, userId: user?.id });
+            return this.getPipeline(id);
+        } catch (error) {
+            throw this.translateDuplicate(error, pipeline.name);
+        }
+    }
+
+    async deletePipeline(id, user) {
+        const deleted = await CommandPipelineDao.deletePipeline(id);
+        if (!deleted) {
+            throw pipelineError('Pipeline not found', 'PIPELINE_NOT_FOUND');
+        }
+        logger.info('Command pipeline deleted', { id, userId: user?.id });
+    }
+
+    translateDuplicate(error, name) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return pipelineError(`A pipeline named "${name}" already exists`, 'PIPELINE_NAME_TAKEN');
+        }
+        return error;
+    }
+
+    /**
+     * Validates a pipeline definition against the command catalog
+     * @param {Object} definition - { name, description, steps }
+     * @returns {Promise<Object>} - Normalized { name, description, steps }
+     * @throws {Error} - code INVALID_PIPELINE with the list of problems in details
+     */
+    async validate(definition) {
+        const errors = [];
+        const name = typeof definition?.name === 'string' ? definition.name.trim() : '';
+        if (!name) {
+            errors.push('Pipeline name is required');
+        } else if (name.length > 255) {
+            errors.push('Pipeline name must be at most 255 characters');
+        }
+
+        const rawSteps = definition?.steps;
+        if (!Array.isArray(rawSteps) || rawSteps.length === 0) {
+            throw pipelineError('Invalid pipeline', 'INVALID_PIPELINE', [...errors, 'A pipeline needs at least one step']);
+        }
+        if (rawSteps.length > MAX_STEPS) {
+            throw pipelineError('Invalid pipeline', 'INVALID_PIPELINE', [...errors, `A pipeline can have at most ${MAX_STEPS} steps`]);
+        }
+
+        const steps = rawSteps.map(step => this.normalizeStep(step));
+        const commandsById = new Map((await this.commandService.getAll()).map(cmd => [cmd.id, cmd]));
+        const ids = new Set();
+
+        steps.forEach((step, index) => {
+            const label = `Step ${index + 1}${step.id ? ` (${step.id})` : ''}`;
+            if (!step.id || !STEP_ID_PATTERN.test(step.id)) {
+                errors.push(`${label}: id must start with a letter or underscore and contain only letters, digits and underscores`);
+            } else if (ids.has(step.id)) {
+                errors.push(`${label}: duplicate step id`);
+            }
+            ids.add(step.id);
+
+            const command = commandsById.get(step.commandId);
+            if (!Number.isInteger(step.commandId) || !command) {
+                errors.push(`${label}: commandId does not match any command`);
+            } else {
+                const declared = new Set(this.parameterService.getDefinitions(command).map(definition => definition.name));
+                Object.keys(step.parameters).forEach(parameter => {
+                    if (!declared.has(parameter)) {
+                        errors.push(`${label}: command ${command.id} has no parameter "${parameter}"`);
+                    }
+                });
+            }
+
+            if (!ON_FAILURE_ACTIONS.includes(step.onFailure)) {
+                errors.push(`${label}: onFailure must be one of ${ON_FAILURE_ACTIONS.join(', ')}`);
+            }
+            if (!Array.isArray(step.dependsOn) || step.dependsOn.some(dependency => typeof dependency !== 'string')) {
+                errors.push(`${label}: dependsOn must be an array of step ids`);
+            }
+            if (!step.parameters || typeof step.parameters !== 'object' || Array.isArray(step.parameters)) {
+                errors.push(`${label}: parameters must be an object`);
+            }
+            if (!step.extract || typeof step.extract !== 'object' || Array.isArray(step.extract)) {
+                errors.push(`${label}: extract must be an object`);
+            } else {
+                Object.entries(step.extract).forEach(([valueName, spec]) => {
+                    this.validateExtractor(valueName, spec).forEach(error => errors.push(`${label}: ${error}`));
+                });
+            }
+            if (step.forEach !== null && (typeof step.forEach !== 'string' || !new RegExp(`^${REFERENCE}$`).test(step.forEach.trim()))) {
+                errors.push(`${label}: forEach must be a single {{steps.<step>.<value>}} or {{inputs.<name>}} reference`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw pipelineError('Invalid pipeline', 'INVALID_PIPELINE', [...new Set(errors)]);
+        }
+
+        steps.forEach(step => {
+            step.dependsOn.forEach(dependency => {
+                if (dependency === step.id) {
+                    errors.push(`Step ${step.id}: cannot depend on itself`);
+                } else if (!ids.has(dependency)) {
+                    errors.push(`Step ${step.id}: depends on unknown step "${dependency}"`);
+                }
+            });
+        });
+        if (errors.length === 0) {
+            try {
+                this.planWaves(steps);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (errors.length === 0) {
+            const byId = new Map(steps.map(step => [step.id, step]));
+            steps.forEach(step => {
+                const ancestors = this.ancestors(steps, step.id);
+                const texts = [...Object.values(step.parameters), step.forEach].filter(value => typeof value === 'string');
+                texts.forEach(text => {
+                    this.references(text).forEach(reference => {
+                        if (reference.item && !step.forEach) {
+                            errors.push(`Step ${step.id}: {{item}} is only available in forEach steps`);
+                        }
+                        if (reference.item && text === step.forEach) {
+                            errors.push(`Step ${step.id}: forEach cannot reference {{item}}`);
+                        }
+                        if (reference.step) {
+                            if (!ancestors.has(reference.step)) {
+                                errors.push(`Step ${step.id}: {{steps.${reference.step}.${reference.value}}} must reference a step it depends on`);
+                            } else if (!byId.get(reference.step).extract[reference.value]) {
+                                errors.push(`Step ${step.id}: step ${reference.step} does not extract "${reference.value}"`);
+                            }
+                        }
+                    });
+                });
+            });
+        }
+
+        if (errors.length > 0) {
+            throw pipelineError('Invalid pipeline', 'INVALID_PIPELINE', [...new Set(errors)]);
+        }
+
+        return {
+            name,
+            description: typeof definition.description === 'string' ? definition.description : null,
+            steps
+        };
+    }
+
+    normalizeStep(step) {
+        const source = step && typeof step === 'object' ? step : {};
+        return {
+            id: typeof source.id === 'string' ? source.id.trim() : source.id,
+            commandId: typeof source.commandId === 'string' && /^\d+$/.test(source.commandId)
+                ? parseInt(source.commandId, 10)
+                : source.commandId,
+            dependsOn: source.dependsOn ?? [],
+            parameters: source.parameters ?? {},
+            extract: source.extract ?? {},
+            forEach: source.forEach ?? null,
+            onFailure: source.onFailure ?? 'stop'
+        };
+    }
+
+    validateExtractor(valueName, spec) {
+        const errors = [];
+        if (!STEP_ID_PATTERN.test(valueName)) {
+            errors.push(`extracted value name "${valueName}" must start with a letter or underscore and contain only letters, digits and underscores`);
+        }
+        if (!spec || typeof spec !== 'object') {
+            return [...errors, `extractor "${valueName}" must be an object`];
+        }
+        if (Boolean(spec.pattern) === Boolean(spec.path)) {
+            errors.push(`extractor "${valueName}" needs exactly one of pattern or path`);
+        }
+        if (spec.pattern) {
+            try {
+                new RegExp(spec.pattern, 'm');
+            } catch (error) {
+                errors.push(`extractor "${valueName}" pattern is not a valid regular expression`);
+            }
+        }
+        if (spec.path !== undefined && typeof spec.path !== 'string') {
+            errors.push(`extractor "${valueName}" path must be a string such as "0.Id" or "*.Id"`);
+        }
+        if (spec.group !== undefined && (!Number.isInteger(spec.group) || spec.group < 0)) {
+            errors.push(`extractor "${valueName}" group must be a non-negative integer`);
+        }
+        return errors;
+    }
+
+    /**
+     * Orders steps into waves: every step of a wave only depends on steps of earlier waves,
+     * so the steps of one wave can run side by side
+     * @param {Array<Object>} steps - Normalized steps
+     * @returns {Array<Array<Object>>}
+     * @throws {Error} - When the dependencies contain a cycle
+     */
+    planWaves(steps) {
+        const waves = [];
+        const placed = new Set();
+        let remaining = [...steps];
+
+        while (remaining.length > 0) {
+            const wave = remaining.filter(step => step.dependsOn.every(dependency => placed.has(dependency)));
+            if (wave.length === 0) {
+                throw new Error(`Steps ${remaining.map(step => step.id).join(', ')} form a dependency cycle`);
+            }
+            wave.forEach(step => placed.add(step.id));
+            remaining = remaining.filter(step => !placed.has(step.id));
+            waves.push(wave);
+        }
+
+        return waves;
+    }
+
+    ancestors(steps, stepId) {
+        const byId = new Map(steps.map(step => [step.id, step]));
+        const found = new Set();
+        const visit = (id) => {
+            (byId.get(id)?.dependsOn || []).forEach(dependency => {
+                if (found.has(dependency)) return;
+                found.add(dependency);
+                visit(dependency);
+            });
+        };
+        visit(stepId);
+        return found;
+    }
+
+    references(text) {
+        return [...String(text).matchAll(new RegExp(REFERENCE, 'g'))].map(([, step, value, input, item]) => ({
+            step,
+            value,
+            input,
+            item: Boolean(item)
+        }));
+    }
+
+    /**
+     * Resolves one reference against the run context
+     * @param {Object} context - { values: { [stepId]: { [name]: value } }, inputs, item }
+     */
+    lookup(reference, context) {
+        if (reference.item) return context.item;
+        if (reference.input) {
+            if (context.inputs?.[reference.input] === undefined) {
+                throw pipelineError(`Pipeline input "${reference.input}" was not provided`, 'PIPELINE_REFERENCE_MISSING');
+            }
+            return context.inputs[reference.input];
+        }
+        const value = context.values[reference.step]?.[reference.value];
+        if (value === undefined) {
+            throw pipelineError(`Step ${reference.step} did not produce "${reference.value}"`, 'PIPELINE_REFERENCE_MISSING');
+        }
+        return value;
+    }
+
+    /**
+     * Resolves the parameter values of a step. A value that is a single reference keeps the type
+     * of the referenced value; references inside longer text are interpolated.
+     * @returns {Object} - Values keyed by parameter name, validated later by the command's parameter types
+     */
+    resolveParameters(step, context) {
+        return Object.fromEntries(Object.entries(step.parameters).map(([name, template]) => {
+            if (typeof template !== 'string') return [name, template];
+
+            const whole = template.trim().match(new RegExp(`^${REFERENCE}$`));
+            if (whole) {
+                const [reference] = this.references(template);
+                const value = this.lookup(reference, context);
+                if (Array.isArray(value)) {
+                    throw pipelineError(
+                        `Parameter "${name}" received a list of ${value.length} values; use forEach to run the step once per value`,
+                        'PIPELINE_REFERENCE_MISSING'
+                    );
+                }
+                return [name, value];
+            }
+
+            return [name, template.replace(new RegExp(REFERENCE, 'g'), (...match) => {
+                const [, stepId, value, input, item] = match;
+                return String(this.lookup({ step: stepId, value, input, item: Boolean(item) }, context));
+            })];
+        }));
+    }
+
+    /**
+     * @returns {Array} - Items a forEach step iterates over (at most MAX_FOREACH_ITEMS)
+     */
+    resolveForEach(step, context) {
+        const [reference] = this.references(step.forEach);
+        const value = this.lookup(reference, context);
+        const items = Array.isArray(value) ? value : [value];
+        if (items.length > MAX_FOREACH_ITEMS) {
+            logger.warn('Pipeline forEach truncated', { step: step.id, items: items.length, max: MAX_FOREACH_ITEMS });
+        }
+        return items.slice(0, MAX_FOREACH_ITEMS);
+    }
+
+    /**
+     * Extracts the step's named values from the outputs of its successful node results
+     * @param {Object} step - Normalized step
+     * @param {Array<Object>} nodeResults - [{ nodeId, output, status }]
+     * @returns {Object} - { values, errors }
+     */
+    extractValues(step, nodeResults) {
+        const outputs = nodeResults.filter(result => result.status === 'SUCCESS').map(result => result.output);
+        const values = {};
+        const errors = [];
+
+        Object.entries(step.extract).forEach(([name, spec]) => {
+            const found = [...new Set(outputs.flatMap(output => this.extractFromOutput(output, spec)))];
+            const many = spec.all === true || (spec.path || '').split('.').includes('*');
+
+            if (found.length === 0) {
+                if (spec.required !== false) {
+                    errors.push(`No value found for "${name}"`);
+                }
+                return;
+            }
+            values[name] = many ? found.slice(0, MAX_EXTRACTED_VALUES) : found[0];
+        });
+
+        return { values, errors };
+    }
+
+    /**
+     * Step extract specs are a subset of command extractors (see ExtractorService) that keep
+     * the values as they appear in the output
+     */
+    extractFromOutput(output, spec) {
+        const definition = spec.path
+            ? { type: 'json_path', path: spec.path, valueType: 'auto' }
+            : { type: 'regex', pattern: spec.pattern, group: spec.group, all: spec.all, valueType: 'auto' };
+        return this.extractorService.extract(definition, output).map(item => item.value);
+    }
+}
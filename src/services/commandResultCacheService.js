@@ -0,0 +1,123 @@
+// src/services/commandResultCacheService.js
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { redisClient } from './redisService.js';
+import { ExecutionPolicyService } from './executionPolicyService.js';
+
+const KEY_PREFIX = 'command_result';
+
+/**
+ * Results of catalog commands kept in Redis, so reloading a dashboard reuses what ran moments ago
+ * instead of running every auto-run command again. An entry belongs to a command revision and
+ * parameter values in a project environment:
+ *   command_result:<commandId>:<projectId>:<environment>:<revision>:<parameters hash>
+ * and lives for the command's cacheTtlSeconds (execution policy; 0 disables caching). Only
+ * results that succeeded on every node are kept. Editing or deleting a command drops its entries.
+ * Entries are shared by every user of the environment; callers check the user's own access first
+ * (see ProjectAccessService).
+ *
+ * Every command result gets a `cache` field: { source: 'cache' | 'live', cachedAt, ageSeconds, ttlSeconds }
+ */
+export class CommandResultCacheService {
+    constructor() {
+        this.policyService = new ExecutionPolicyService();
+    }
+
+    key(projectId, environment, cmd) {
+        const parameters = crypto.createHash('sha1')
+            .update(JSON.stringify(cmd.parameterValues || {}))
+            .digest('hex')
+            .slice(0, 12);
+        return `${KEY_PREFIX}:${cmd.id}:${projectId}:${environment}:${cmd.revision || 0}:${parameters}`;
+    }
+
+    ttlFor(cmd) {
+        return this.policyService.resolve(cmd).cacheTtlSeconds;
+    }
+
+    /**
+     * Cached results of the commands that have one. Redis failures count as misses.
+     * @param {Array<Object>} commands - Prepared commands (parameters rendered)
+     * @returns {Promise<Map<number, Object>>} - commandId => command result with `cache`
+     */
+    async lookup(commands, projectId, environment) {
+        const hits = new Map();
+        await Promise.all(commands.filter(cmd => this.ttlFor(cmd) > 0).map(async (cmd) => {
+            try {
+                const stored = await redisClient.get(this.key(projectId, environment, cmd));
+                if (!stored) return;
+                const { result, cachedAt, ttlSeconds } = JSON.parse(stored);
+                hits.set(cmd.id, {
+                    ...result,
+                    cache: {
+                        source: 'cache',
+                        cachedAt,
+                        ageSeconds: Math.max(0, Math.round((Date.now() - new Date(cachedAt).getTime()) / 1000)),
+                        ttlSeconds
+                    }
+                });
+            } catch (error) {
+                logger.warn('Failed to read cached command result', { commandId: cmd.id, projectId, environment, error: error.message });
+            }
+        }));
+        return hits;
+    }
+
+    /**
+     * Keeps the successful results of a fresh execution and marks every result as live
+     * @param {Array<Object>} commands - Commands that were executed
+     * @param {Object} data - Handler response ({ results: [{ id, results: [{ status }] }] })
+     */
+    async store(commands, data, projectId, environment) {
+        if (!Array.isArray(data?.results)) return;
+        const cachedAt = new Date().toISOString();
+
+        await Promise.all(commands.map(async (cmd) => {
+            const commandResult = data.results.find(result => result.id === cmd.id);
+            if (!commandResult) return;
+
+            const ttlSeconds = this.ttlFor(cmd);
+            const cacheable = ttlSeconds > 0
+                && Array.isArray(commandResult.results)
+                && commandResult.results.length > 0
+                && commandResult.results.every(node => node.status === 'SUCCESS');
+            commandResult.cache = { source: 'live', cachedAt: null, ageSeconds: 0, ttlSeconds: cacheable ? ttlSeconds : 0 };
+            if (!cacheable) return;
+
+            try {
+                const { cache, ...result } = commandResult;
+                await redisClient.setEx(
+                    this.key(projectId, environment, cmd),
+                    ttlSeconds,
+                    JSON.stringify({ result, cachedAt, ttlSeconds })
+                );
+                commandResult.cache.cachedAt = cachedAt;
+            } catch (error) {
+                logger.warn('Failed to cache command result', { commandId: cmd.id, projectId, environment, error: error.message });
+            }
+        }));
+    }
+
+    /**
+     * Drops every cached result of a command, in all environments and revisions
+     */
+    async invalidate(commandId) {
+        try {
+            const iterator = redisClient.scanIterator({
+                MATCH: `${KEY_PREFIX}:${commandId}:*`,
+                COUNT: 100
+            });
+
+            let deleted = 0;
+            for await (const key of iterator) {
+                await redisClient.del(key);
+                deleted++;
+            }
+            if (deleted > 0) {
+                logger.debug('Cached command results invalidated', { commandId, deleted });
+            }
+        } catch (error) {
+            logger.error('Failed to invalidate cached command results:', { commandId, error: error.message });
+        }
+    }
+}
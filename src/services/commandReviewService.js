@@ -0,0 +1,260 @@
+// src/services/commandReviewService.js
+import { logger } from './logger.js';
+import { WebSocketService } from './webSocketService.js';
+import { CommandService, TEXT_FIELDS } from './commandsManagerService.js';
+import { DiffService } from './diffService.js';
+import { CommandChangeRequestDao } from './dao/commandChangeRequestDao.js';
+
+export const CHANGE_REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn', 'superseded'];
+
+function reviewError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+export class CommandReviewService {
+    constructor() {
+        this.commandService = new CommandService();
+    }
+
+    /**
+     * Creates a command as a pending change request
+     * @returns {Promise<Object>} - { id, changeRequestId }
+     */
+    async submitCreate(command, user, options = {}) {
+        const result = await this.commandService.create(command, user, options);
+        await this.notifyRequested(result.changeRequestId, user);
+        return result;
+    }
+
+    /**
+     * Proposes an edit to a command
+     * @returns {Promise<Object>} - { success, status, changeRequestId, changedFields, superseded }
+     */
+    async submitUpdate(commandId, command, user) {
+        const result = await this.commandService.update(commandId, command, user);
+        await this.afterProposal(result, user);
+        return result;
+    }
+
+    /**
+     * Proposes an arbitrary change (restore, import, ...) built from the current row
+     * @returns {Promise<Object>} - { success, status, changeRequestId, changedFields, superseded }
+     */
+    async submitChange(commandId, buildValues, { user, type, note }) {
+        const result = await this.commandService.proposeChange(commandId, buildValues, { user, type, note });
+        await this.afterProposal(result, user);
+        return result;
+    }
+
+    /**
+     * Lists change requests, oldest first
+     * @param {Object} filters - { status, commandId, requestedBy }
+     * @returns {Promise<Array>}
+     */
+    async listRequests({ status = 'pending', commandId = null, requestedBy = null } = {}) {
+        if (status && status !== 'all' && !CHANGE_REQUEST_STATUSES.includes(status)) {
+            throw reviewError(`Status must be one of ${CHANGE_REQUEST_STATUSES.join(', ')} or all`, 'INVALID_STATUS');
+        }
+        return CommandChangeRequestDao.listRequests({
+            status: status === 'all' ? null : status,
+            commandId,
+            requestedBy
+        });
+    }
+
+    /**
+     * Gets a change request together with a field by field diff against the values it replaces
+     * @param {number|string} id - Change request ID
+     * @returns {Promise<Object>}
+     */
+    async getRequest(id) {
+        const request = await this.getRequestOrThrow(id);
+        const before = this.commandService.buildSnapshot(request.original);
+        const after = this.commandService.buildSnapshot(request.proposed);
+        const changes = DiffService.diffFields(before, after, request.changedFields, TEXT_FIELDS);
+
+        return { ...request, changes };
+    }
+
+    /**
+     * Approves a pending change request and applies it as a new, reviewed revision
+     * @param {number|string} id - Change request ID
+     * @param {Object} reviewer - Session user (must be an admin other than the requester)
+     * @param {string} [comment] - Review comment
+     * @returns {Promise<Object>} - { success, status, commandId, revision }
+     */
+    async approve(id, reviewer, comment = null) {
+        const outcome = await this.commandService.withTransaction(async (connection) => {
+            const request = await this.getPendingForReview(id, reviewer, connection);
+
+            const result = await this.commandService.applyChanges(request.commandId, (existing) => {
+                if (existing.locked) {
+                    throw new Error('This command is locked and cannot be modified');
+                }
+                // The proposal was made against specific values; refuse it if someone changed them since
+                const stale = Object.keys(request.original).filter(field =>
+                    !this.commandService.sameValue(field, existing[field], request.original[field])
+                );
+                if (stale.length > 0) {
+                    throw reviewError(
+                        `The command changed since this request was made (${stale.join(', ')}). Submit a new request.`,
+                        'CHANGE_REQUEST_STALE'
+                    );
+                }
+                return { ...request.proposed, reviewed: 1 };
+            }, {
+                user: { id: request.requestedBy, email: request.requestedByEmail },
+                action: request.type === 'restore' ? 'restore' : 'update',
+                note: `Change request #${request.id} approved by ${reviewer.email || reviewer.id}`,
+                connection
+            });
+
+            await CommandChangeRequestDao.setStatus(request.id, {
+                status: 'approved',
+                reviewedBy: reviewer.id,
+                reviewedByEmail: reviewer.email || null,
+                comment,
+                appliedRevision: result.revision
+            }, connection);
+
+            return { request, revision: result.revision };
+        });
+
+        logger.info('Command change request approved', {
+            changeRequestId: outcome.request.id,
+            commandId: outcome.request.commandId,
+            revision: outcome.revision,
+            reviewerId: reviewer.id
+        });
+        await this.notifyStatus(outcome.request.id);
+
+        return { success: true, status: 'approved', commandId: outcome.request.commandId, revision: outcome.revision };
+    }
+
+    /**
+     * Rejects a pending change request. A comment explaining why is required.
+     * @returns {Promise<Object>} - { success, status, commandId }
+     */
+    async reject(id, reviewer, comment) {
+        if (!comment || !String(comment).trim()) {
+            throw reviewError('A comment is required when rejecting a change request', 'COMMENT_REQUIRED');
+        }
+
+        const request = await this.commandService.withTransaction(async (connection) => {
+            const pending = await this.getPendingForReview(id, reviewer, connection);
+            await CommandChangeRequestDao.setStatus(pending.id, {
+                status: 'rejected',
+                reviewedBy: reviewer.id,
+                reviewedByEmail: reviewer.email || null,
+                comment: String(comment).trim()
+            }, connection);
+            return pending;
+        });
+
+        logger.info('Command change request rejected', {
+            changeRequestId: request.id,
+            commandId: request.commandId,
+            reviewerId: reviewer.id
+        });
+        await this.notifyStatus(request.id);
+
+        return { success: true, status: 'rejected', commandId: request.commandId };
+    }
+
+    /**
+     * Withdraws a pending change request. Only the requester can withdraw it.
+     * @returns {Promise<Object>} - { success, status, commandId }
+     */
+    async withdraw(id, user) {
+        const request = await this.commandService.withTransaction(async (connection) => {
+            const pending = await this.getRequestOrThrow(id, connection, true);
+            if (pending.status !== 'pending') {
+                throw reviewError(`Change request is already ${pending.status}`, 'CHANGE_REQUEST_NOT_PENDING');
+            }
+            if (!user?.id || String(pending.requestedBy) !== String(user.id)) {
+                throw reviewError('Only the requester can withdraw a change request', 'NOT_REQUESTER');
+            }
+            await CommandChangeRequestDao.setStatus(pending.id, { status: 'withdrawn' }, connection);
+            return pending;
+        });
+
+        await this.notifyStatus(request.id);
+        return { success: true, status: 'withdrawn', commandId: request.commandId };
+    }
+
+    async getPendingForReview(id, reviewer, connection) {
+        const request = await this.getRequestOrThrow(id, connection, true);
+        if (request.status !== 'pending') {
+            throw reviewError(`Change request is already ${request.status}`, 'CHANGE_REQUEST_NOT_PENDING');
+        }
+        if (!reviewer?.id || String(request.requestedBy) === String(reviewer.id)) {
+            throw reviewError('Change requests must be reviewed by a different admin', 'SELF_REVIEW_FORBIDDEN');
+        }
+        return request;
+    }
+
+    async getRequestOrThrow(id, connection = undefined, forUpdate = false) {
+        const request = await CommandChangeRequestDao.getRequest(id, { forUpdate }, connection);
+        if (!request) {
+            throw reviewError(`Change request ${id} not found`, 'CHANGE_REQUEST_NOT_FOUND');
+        }
+        return request;
+    }
+
+    async afterProposal(result, user) {
+        if (result.status !== 'pending') return;
+
+        await this.notifyRequested(result.changeRequestId, user);
+        for (const supersededId of result.superseded) {
+            await this.notifyStatus(supersededId);
+        }
+    }
+
+    async notifyRequested(changeRequestId, user) {
+        try {
+            const request = await this.getRequestOrThrow(changeRequestId);
+            WebSocketService.broadcast({
+                type: 'command_review_requested',
+                changeRequestId: request.id,
+                commandId: request.commandId,
+                changeType: request.type,
+                changedFields: request.changedFields,
+                requestedBy: user?.email || request.requestedByEmail,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Failed to send review request notification:', { error: error.message, changeRequestId });
+        }
+    }
+
+    async notifyStatus(changeRequestId) {
+        try {
+            const request = await this.getRequestOrThrow(changeRequestId);
+            const message = {
+                type: 'command_review_status',
+                changeRequestId: request.id,
+                commandId: request.commandId,
+                status: request.status,
+                reviewedBy: request.reviewedByEmail,
+                comment: request.reviewComment,
+                revision: request.appliedRevision
+            };
+
+            if (request.requestedBy) {
+                WebSocketService.sendToUser(request.requestedBy, message);
+            }
+            // Lets open review queues drop the request
+            WebSocketService.broadcast({
+                type: 'command_review_resolved',
+                changeRequestId: request.id,
+                commandId: request.commandId,
+                status: request.status,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Failed to send review status notification:', { error: error.message, changeRequestId });
+        }
+    }
+}
@@ -0,0 +1,153 @@
+// src/services/commandRevisionService.js
+import { logger } from './logger.js';
+import { CommandService, REVISIONED_FIELDS, TEXT_FIELDS } from './commandsManagerService.js';
+import { CommandRevisionDao } from './dao/commandRevisionDao.js';
+import { CommandReviewService } from './commandReviewService.js';
+import { DiffService } from './diffService.js';
+
+// Content fields that any user may restore. Flags follow the same admin rules as PUT /commands/toggle/:id
+const CONTENT_FIELDS = ['title', 'command', 'description', 'service_type', 'component_code', 'parameters', 'extractors', 'execution_policy', 'relationship', 'node_target'];
+const ADMIN_FLAG_FIELDS = ['execute_on_all_nodes', 'allow_ai', 'auto_run'];
+
+function notFound(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+export class CommandRevisionService {
+    constructor() {
+        this.commandService = new CommandService();
+        this.reviewService = new CommandReviewService();
+    }
+
+    /**
+     * Lists all revisions of a command, newest first
+     * @param {number|string} commandId - Command ID
+     * @returns {Promise<Array>} - Revision metadata (without snapshots)
+     */
+    async listRevisions(commandId) {
+        await this.getCommandOrThrow(commandId);
+        return CommandRevisionDao.getRevisions(commandId);
+    }
+
+    /**
+     * Gets a single revision including the full snapshot
+     * @param {number|string} commandId - Command ID
+     * @param {number|string} revision - Revision number
+     * @returns {Promise<Object>} - Revision with snapshot
+     */
+    async getRevision(commandId, revision) {
+        const found = await CommandRevisionDao.getRevision(commandId, parseInt(revision, 10));
+        if (!found) {
+            throw notFound(`Revision ${revision} not found for command ${commandId}`, 'REVISION_NOT_FOUND');
+        }
+        return found;
+    }
+
+    /**
+     * Diffs two revisions of a command. Defaults to comparing the latest revision with its predecessor.
+     * @param {number|string} commandId - Command ID
+     * @param {number|string} [from] - Older revision number
+     * @param {number|string} [to] - Newer revision number
+     * @returns {Promise<Object>} - { commandId, from, to, changes }
+     */
+    async diffRevisions(commandId, from, to) {
+        let toRevision;
+        if (to !== undefined && to !== null && to !== '') {
+            toRevision = await this.getRevision(commandId, to);
+        } else {
+            toRevision = await CommandRevisionDao.getLatestRevision(commandId);
+            if (!toRevision) {
+                throw notFound(`Command ${commandId} has no revisions`, 'REVISION_NOT_FOUND');
+            }
+        }
+
+        const fromNumber = from !== undefined && from !== null && from !== ''
+            ? parseInt(from, 10)
+            : toRevision.revision - 1;
+        const fromRevision = await this.getRevision(commandId, fromNumber);
+
+        return {
+            commandId: parseInt(commandId, 10),
+            from: this.describe(fromRevision),
+            to: this.describe(toRevision),
+            changes: this.describeChanges(fromRevision.snapshot, toRevision.snapshot)
+        };
+    }
+
+    /**
+     * Lists the fields that differ between two command snapshots
+     * @param {Object} before - Older snapshot
+     * @param {Object} after - Newer snapshot
+     * @returns {Array<Object>} - [{ field, type: 'text', diff }] or [{ field, type: 'value', before, after }]
+     */
+    describeChanges(before, after) {
+        return DiffService.diffFields(before, after, REVISIONED_FIELDS, TEXT_FIELDS);
+    }
+
+    /**
+     * Proposes restoring an older revision. Like any other edit, the restore becomes a pending
+     * change request and only takes effect once another admin approves it.
+     * Locked commands cannot be restored. Flag fields (auto_run, allow_ai, ...) are only
+     * proposed by admins; for everyone else they keep their current value.
+     * @param {number|string} commandId - Command ID
+     * @param {number|string} revision - Revision to restore
+     * @param {Object} user - Session user performing the restore
+     * @returns {Promise<Object>} - { success, status, changeRequestId, changedFields, superseded }
+     */
+    async restoreRevision(commandId, revision, user) {
+        const target = await this.getRevision(commandId, revision);
+        const snapshot = target.snapshot;
+
+        const result = await this.reviewService.submitChange(commandId, (existing) => {
+            if (existing.locked) {
+                throw new Error('This command is locked and cannot be modified');
+            }
+
+            const values = {};
+            CONTENT_FIELDS.forEach(field => {
+                values[field] = snapshot[field];
+            });
+
+            if (user?.isAdmin) {
+                ADMIN_FLAG_FIELDS.forEach(field => {
+                    values[field] = snapshot[field] ? 1 : 0;
+                });
+            }
+
+            return values;
+        }, {
+            user,
+            type: 'restore',
+            note: `Restore of revision ${target.revision}`
+        });
+
+        logger.info('Command revision restore requested', {
+            commandId,
+            restoredFrom: target.revision,
+            changeRequestId: result.changeRequestId,
+            userId: user?.id
+        });
+
+        return result;
+    }
+
+    async getCommandOrThrow(commandId) {
+        const rows = await this.commandService.getById(commandId);
+        if (!rows || rows.length === 0) {
+            throw notFound(`Command with id=${commandId} not found.`, 'COMMAND_NOT_FOUND');
+        }
+        return rows[0];
+    }
+
+    describe(revision) {
+        return {
+            revision: revision.revision,
+            action: revision.action,
+            authorId: revision.authorId,
+            authorEmail: revision.authorEmail,
+            createdAt: revision.createdAt
+        };
+    }
+}
@@ -0,0 +1,366 @@
+// src/services/commandScheduleService.js
+import { logger } from './logger.js';
+import { CommandService } from './commandsManagerService.js';
+import { CommandParameterService } from './commandParameterService.js';
+import { CommandExecutionService } from './commandExecutionService.js';
+import { EncryptionService } from './encryptionService.js';
+import { CommandScheduleDao } from './dao/commandScheduleDao.js';
+import { CommandSnapshotDao } from './dao/commandSnapshotDao.js';
+import { parseCron, nextCronRun, minimumCronInterval } from './cronExpression.js';
+
+// Schedules may not run more often than this
+const MIN_INTERVAL_MINUTES = parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES || '5');
+const MAX_RETENTION_DAYS = 365;
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_SNAPSHOT_PAGE = 200;
+
+function scheduleError(message, code, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+/**
+ * Scheduled runs of a set of catalog commands against one project environment. Runs use a
+ * service account token stored encrypted with SCHEDULE_TOKEN_SECRET, and every run is kept as a
+ * snapshot so an environment can be looked at as it was at a given time.
+ * Due schedules are picked up by commandScheduleWorker.
+ */
+export class CommandScheduleService {
+    constructor() {
+        this.commandService = new CommandService();
+        this.parameterService = new CommandParameterService();
+        this.executionService = new CommandExecutionService();
+    }
+
+    async listSchedules(filters = {}) {
+        return CommandScheduleDao.listSchedules(filters);
+    }
+
+    async getSchedule(id) {
+        const schedule = await CommandScheduleDao.getSchedule(id);
+        if (!schedule) {
+            throw scheduleError('Schedule not found', 'SCHEDULE_NOT_FOUND');
+        }
+        return schedule;
+    }
+
+    async createSchedule(definition, user) {
+        const schedule = await this.validate(definition, { requireToken: true });
+        const id = await CommandScheduleDao.createSchedule({
+            ...schedule,
+            apiToken: this.encryptToken(definition.apiToken),
+            createdBy: user?.id || null
+        });
+        logger.info('Command schedule created', {
+            id,
+            name: schedule.name,
+            projectId: schedule.projectId,
+            environment: schedule.environment,
+            cronExpression: schedule.cronExpression,
+            userId: user?.id
+        });
+        return this.getSchedule(id);
+    }
+
+    /**
+     * Replaces a schedule's definition. The stored token is kept unless a new apiToken is given.
+     */
+    async updateSchedule(id, definition, user) {
+        await this.getSchedule(id);
+        const schedule = await this.validate(definition, { requireToken: false });
+        await CommandScheduleDao.updateSchedule(id, {
+            ...schedule,
+            apiToken: definition.apiToken ? this.encryptToken(definition.apiToken) : null,
+            updatedBy: user?.id || null
+        });
+        logger.info('Command schedule updated', { id, name: schedule.name, userId: user?.id });
+        return this.getSchedule(id);
+    }
+
+    async deleteSchedule(id, user) {
+        const deleted = await CommandScheduleDao.deleteSchedule(id);
+        if (!deleted) {
+            throw scheduleError('Schedule not found', 'SCHEDULE_NOT_FOUND');
+        }
+        // Snapshots stay browsable by project/environment; their schedule_id becomes NULL
+        logger.info('Command schedule deleted', { id, userId: user?.id });
+    }
+
+    /**
+     * @param {Object} definition - { name, projectId, environment, commandIds, parameterValues,
+     *                               cronExpression, enabled, retentionDays, apiToken }
+     * @returns {Promise<Object>} - Normalized schedule fields, with the next run time
+     * @throws {Error} - code INVALID_SCHEDULE with the list of problems in details
+     */
+    async validate(definition, { requireToken }) {
+        const errors = [];
+        const text = (value) => typeof value === 'string' ? value.trim() : '';
+
+        const name = text(definition?.name);
+        const projectId = text(definition?.projectId);
+        const environment = text(definition?.environment);
+        if (!name) errors.push('Schedule name is required');
+        if (!projectId) errors.push('projectId is required');
+        if (!environment) errors.push('environment is required');
+        if (requireToken && !text(definition?.apiToken)) {
+            errors.push('apiToken (a service account token for the project) is required');
+        }
+
+        const cronExpression = text(definition?.cronExpression);
+        let nextRunAt = null;
+        try {
+            parseCron(cronExpression);
+            nextRunAt = nextCronRun(cronExpression);
+            if (!nextRunAt) {
+                errors.push('cronExpression never matches a date');
+            } else if (minimumCronInterval(cronExpression) < MIN_INTERVAL_MINUTES) {
+                errors.push(`Schedules may run at most every ${MIN_INTERVAL_MINUTES} minutes`);
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        const retentionDays = definition?.retentionDays === undefined
+            ? DEFAULT_RETENTION_DAYS
+            : parseInt(definition.retentionDays, 10);
+        if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > MAX_RETENTION_DAYS) {
+            errors.push(`retentionDays must be between 1 and ${MAX_RETENTION_DAYS}`);
+        }
+
+        const commandIds = Array.isArray(definition?.commandIds)
+            ? [...new Set(definition.commandIds.map(id => parseInt(id, 10)))]
+            : [];
+        if (commandIds.length === 0 || commandIds.some(id => isNaN(id))) {
+            errors.push('commandIds must be a non-empty list of command ids');
+        }
+
+        const parameterValues = definition?.parameterValues || {};
+        if (typeof parameterValues !== 'object' || Array.isArray(parameterValues)) {
+            errors.push('parameterValues must be an object keyed by command id');
+        }
+
+        if (errors.length === 0) {
+            const commands = await this.loadCommands(commandIds);
+            const missing = commandIds.filter(id => !commands.some(cmd => cmd.id === id));
+            missing.forEach(id => errors.push(`Command ${id} does not exist`));
+            commands.filter(cmd => !cmd.reviewed).forEach(cmd => {
+                errors.push(`Command ${cmd.id} has not been reviewed and cannot be scheduled`);
+            });
+
+            if (errors.length === 0) {
+                try {
+                    this.prepareCommands(commands, parameterValues);
+                } catch (error) {
+                    if (error.code !== 'INVALID_PARAMETER_VALUES') throw error;
+                    (error.details || []).forEach(failure => {
+                        errors.push(`Command ${failure.commandId}: ${failure.errors.map(item => item.error).join('; ')}`);
+                    });
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            throw scheduleError('Invalid schedule', 'INVALID_SCHEDULE', errors);
+        }
+
+        return {
+            name,
+            projectId,
+            environment,
+            commandIds,
+            parameterValues: Object.keys(parameterValues).length > 0 ? parameterValues : null,
+            cronExpression,
+            enabled: definition.enabled !== false,
+            retentionDays,
+            nextRunAt
+        };
+    }
+
+    async loadCommands(commandIds) {
+        const all = await this.commandService.getAll();
+        return commandIds.map(id => all.find(cmd => cmd.id === id)).filter(Boolean);
+    }
+
+    /**
+     * Renders the commands with the schedule's parameter values, one service type at a time
+     * @throws {Error} - INVALID_PARAMETER_VALUES
+     */
+    prepareCommands(commands, parameterValues) {
+        const serviceTypes = [...new Set(commands.map(cmd => cmd.service_type))];
+        serviceTypes.forEach(serviceType => {
+            this.parameterService.prepareCommands(
+                serviceType,
+                commands.filter(cmd => cmd.service_type === serviceType),
+                parameterValues || {}
+            );
+        });
+    }
+
+    getTokenSecret() {
+        const secret = process.env.SCHEDULE_TOKEN_SECRET;
+        if (!secret) {
+            throw scheduleError('SCHEDULE_TOKEN_SECRET is not configured', 'SCHEDULE_TOKEN_SECRET_MISSING');
+        }
+        return secret;
+    }
+
+    encryptToken(apiToken) {
+        return EncryptionService.encrypt(apiToken.trim(), this.getTokenSecret(), EncryptionService.generateSalt());
+    }
+
+    async decryptToken(scheduleId) {
+        const encrypted = await CommandScheduleDao.getEncryptedToken(scheduleId);
+        if (!encrypted) {
+            throw scheduleError('The schedule has no service account token', 'SCHEDULE_TOKEN_MISSING');
+        }
+        return EncryptionService.decrypt(encrypted, this.getTokenSecret());
+    }
+
+    /**
+     * Runs a schedule once and stores the outcome as a snapshot. The next run is claimed first,
+     * so a crash during the run does not make the worker retry it in a loop.
+     * @param {Object} schedule - Schedule as returned by the DAO
+     * @param {Object} [options] - { manual } for runs started from the API, which keep next_run_at
+     * @returns {Promise<Object|null>} - Snapshot summary, or null when another worker claimed the run
+     */
+    async runSchedule(schedule, { manual = false } = {}) {
+        if (!manual) {
+            const nextRunAt = nextCronRun(schedule.cronExpression);
+            const claimed = await CommandScheduleDao.claimRun(schedule.id, schedule.nextRunAt, nextRunAt);
+            if (!claimed) {
+                logger.debug('Scheduled run already claimed by another worker', { scheduleId: schedule.id });
+                return null;
+            }
+        }
+
+        // The CLI home directory is derived from the user id, so every schedule gets its own
+        // instead of sharing a person's magento-cloud configuration
+        const userId = `schedule-${schedule.id}`;
+        const startedAt = new Date();
+        let status = 'ERROR';
+        let results = [];
+        let runError = null;
+
+        logger.info('Running command schedule', {
+            scheduleId: schedule.id,
+            projectId: schedule.projectId,
+            environment: schedule.environment,
+            commandIds: schedule.commandIds,
+            manual
+        });
+
+        try {
+            const apiToken = await this.decryptToken(schedule.id);
+            const commands = await this.loadCommands(schedule.commandIds);
+            const runnable = commands.filter(cmd => cmd.reviewed);
+            const skipped = schedule.commandIds.filter(id => !runnable.some(cmd => cmd.id === id));
+            if (skipped.length > 0) {
+                logger.warn('Scheduled commands skipped (deleted or awaiting review)', { scheduleId: schedule.id, commandIds: skipped });
+            }
+            if (runnable.length === 0) {
+                throw new Error('None of the scheduled commands can run');
+            }
+
+            await this.executionService.ensureNotHipaaProject(schedule.projectId, schedule.environment, userId, apiToken, {
+                scheduleId: schedule.id
+            });
+
+            const run = await this.executionService.runCommandSet(
+                runnable,
+                schedule.projectId,
+                schedule.environment,
+                userId,
+                apiToken,
+                { parameterValues: schedule.parameterValues || {} }
+            );
+            status = run.status;
+            results = run.commands;
+            if (skipped.length > 0) {
+                runError = `Skipped commands ${skipped.join(', ')} (deleted or awaiting review)`;
+                if (status === 'SUCCESS') status = 'PARTIAL';
+            }
+        } catch (error) {
+            runError = error.message === 'HIPAA_PROJECT_DETECTED'
+                ? 'HIPAA project: scheduled runs are not allowed'
+                : error.message;
+            logger.error('Command schedule run failed', {
+                scheduleId: schedule.id,
+                projectId: schedule.projectId,
+                environment: schedule.environment,
+                error: error.message
+            });
+        }
+
+        const finishedAt = new Date();
+        const snapshotId = await CommandSnapshotDao.createSnapshot({
+            scheduleId: schedule.id,
+            projectId: schedule.projectId,
+            environment: schedule.environment,
+            status,
+            commandIds: schedule.commandIds,
+            results,
+            error: runError,
+            startedAt,
+            finishedAt
+        });
+        await CommandScheduleDao.recordRun(schedule.id, { lastRunAt: startedAt, lastStatus: status, lastError: runError });
+
+        const retentionCutoff = new Date(finishedAt.getTime() - schedule.retentionDays * 24 * 60 * 60 * 1000);
+        const pruned = await CommandSnapshotDao.deleteSnapshotsBefore(schedule.id, retentionCutoff);
+
+        logger.info('Command schedule run stored', {
+            scheduleId: schedule.id,
+            snapshotId,
+            status,
+            durationMs: finishedAt - startedAt,
+            prunedSnapshots: pruned
+        });
+
+        return { id: snapshotId, scheduleId: schedule.id, status, error: runError, startedAt, finishedAt };
+    }
+
+    /**
+     * @param {Object} filters - { scheduleId, projectId, environment, commandId, from, to, limit, offset }
+     * @returns {Promise<Object>} - { snapshots, total, limit, offset } without the results
+     */
+    async listSnapshots(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_SNAPSHOT_PAGE);
+        const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+        const toDate = (value, field) => {
+            if (!value) return null;
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                throw scheduleError(`${field} must be a date`, 'INVALID_SNAPSHOT_FILTER');
+            }
+            return date;
+        };
+
+        const { snapshots, total } = await CommandSnapshotDao.listSnapshots({
+            scheduleId: filters.scheduleId ? parseInt(filters.scheduleId, 10) : null,
+            projectId: filters.projectId || null,
+            environment: filters.environment || null,
+            commandId: filters.commandId ? parseInt(filters.commandId, 10) : null,
+            from: toDate(filters.from, 'from'),
+            to: toDate(filters.to, 'to'),
+            limit,
+            offset
+        });
+        return { snapshots, total, limit, offset };
+    }
+
+    /**
+     * @param {number|null} [commandId] - Only keep this command's results
+     */
+    async getSnapshot(id, commandId = null) {
+        const snapshot = await CommandSnapshotDao.getSnapshot(id);
+        if (!snapshot) {
+            throw scheduleError('Snapshot not found', 'SNAPSHOT_NOT_FOUND');
+        }
+        if (commandId) {
+            snapshot.results = snapshot.results.filter(result => result.id === commandId);
+        }
+        return snapshot;
+    }
+}
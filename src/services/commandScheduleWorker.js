@@ -0,0 +1,96 @@
+// src/services/commandScheduleWorker.js
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger.js';
+import { redisClient } from './redisService.js';
+import { CommandScheduleService } from './commandScheduleService.js';
+import { CommandScheduleDao } from './dao/commandScheduleDao.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULE_POLL_INTERVAL_MS || '30000');
+const MAX_CONCURRENT_RUNS = parseInt(process.env.SCHEDULE_MAX_CONCURRENT_RUNS || '2');
+// A run holds its lock at most this long; a crashed instance's lock expires on its own
+const RUN_LOCK_TTL_SECONDS = 15 * 60;
+
+/**
+ * Polls for due schedules and runs them in the background. Every backend instance runs a
+ * worker; a Redis lock per schedule (plus the next_run_at claim in the DAO) makes sure a
+ * scheduled run happens once.
+ */
+class CommandScheduleWorker {
+    constructor() {
+        this.scheduleService = new CommandScheduleService();
+        this.timer = null;
+        this.polling = false;
+        this.running = new Set(); // Set<scheduleId>
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+        this.timer.unref();
+        logger.info('Command schedule worker started', { pollIntervalMs: POLL_INTERVAL_MS, maxConcurrentRuns: MAX_CONCURRENT_RUNS });
+        this.poll();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            const slots = MAX_CONCURRENT_RUNS - this.running.size;
+            if (slots <= 0) return;
+
+            const due = await CommandScheduleDao.getDueSchedules(new Date(), slots + this.running.size);
+            due.filter(schedule => !this.running.has(schedule.id))
+                .slice(0, slots)
+                .forEach(schedule => this.run(schedule));
+        } catch (error) {
+            logger.error('Command schedule poll failed:', { error: error.message });
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async run(schedule) {
+        this.running.add(schedule.id);
+        const lockKey = `schedule_lock:${schedule.id}`;
+        const lockId = uuidv4();
+
+        try {
+            const acquired = await redisClient.set(lockKey, lockId, { NX: true, EX: RUN_LOCK_TTL_SECONDS });
+            if (acquired !== 'OK') {
+                logger.debug('Schedule is running on another instance', { scheduleId: schedule.id });
+                return;
+            }
+
+            await this.scheduleService.runSchedule(schedule);
+        } catch (error) {
+            logger.error('Scheduled run failed:', { scheduleId: schedule.id, error: error.message });
+        } finally {
+            await this.releaseLock(lockKey, lockId);
+            this.running.delete(schedule.id);
+        }
+    }
+
+    async releaseLock(lockKey, lockId) {
+        // Only delete the lock if this worker still owns it
+        const script = `
+            if redis.call("get", KEYS[1]) == ARGV[1] then
+                return redis.call("del", KEYS[1])
+            else
+                return 0
+            end
+        `;
+        try {
+            await redisClient.eval(script, { keys: [lockKey], arguments: [lockId] });
+        } catch (error) {
+            logger.error('Error releasing schedule lock:', { lockKey, error: error.message });
+        }
+    }
+}
+
+export const commandScheduleWorker = new CommandScheduleWorker();
@@ -1,9 +1,23 @@
 // src/services/commandValidationService.js
 import { logger } from './logger.js';
+import { RedisCommandPolicyService } from './redisCommandPolicyService.js';
+import { nodeInventory } from './nodeInventoryService.js';
+
+// Statements a read-only SQL command may start with
+const SQL_READ_STATEMENTS = ['SELECT', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN', 'WITH', 'TABLE', 'VALUES', 'HELP', 'ANALYZE'];
+const SQL_DML_KEYWORDS = ['INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'MERGE', 'LOAD', 'CALL', 'DO', 'HANDLER'];
+const SQL_DDL_KEYWORDS = [
+    'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'GRANT', 'REVOKE', 'OPTIMIZE', 'REPAIR', 'FLUSH',
+    'KILL', 'LOCK', 'UNLOCK', 'INSTALL', 'UNINSTALL', 'RESET', 'PURGE', 'CHANGE', 'START', 'STOP', 'SHUTDOWN'
+];
+const SQL_SESSION_KEYWORDS = ['SET', 'USE', 'BEGIN', 'COMMIT', 'ROLLBACK', 'SAVEPOINT', 'RELEASE', 'PREPARE', 'EXECUTE', 'DEALLOCATE', 'XA'];
+// Keywords that modify data when they appear inside an otherwise read-only statement (e.g. WITH ... DELETE)
+const SQL_NESTED_DML_KEYWORDS = ['INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'MERGE'];
 
 export class CommandValidationService {
     constructor() {
         this.logger = logger;
+        this.redisPolicy = new RedisCommandPolicyService();
     }
 
     /**
@@ -70,11 +84,16 @@ export class CommandValidationService {
 
         queries.forEach((query, index) => {
             const errors = this.validateQuery(query, index);
-            if (errors.length > 0) {
+            // Only commands carrying the admin-granted write capability may change data
+            const violations = query.allowWrite === true || typeof query.query !== 'string'
+                ? []
+                : this.classifySQL(query.query).violations;
+            if (errors.length > 0 || violations.length > 0) {
                 validationErrors.push({
                     index,
                     queryId: query.id,
-                    errors
+                    errors: [...errors, ...violations.map(violation => violation.message)],
+                    ...(violations.length > 0 && { violations })
                 });
             }
 
@@ -344,6 +363,9 @@ export class CommandValidationService {
         if (typeof cmd.executeOnAllNodes !== 'boolean') {
             errors.push('Missing or invalid executeOnAllNodes');
         }
+        if (cmd.nodeTarget != null) {
+            errors.push(...nodeInventory.validateTarget(cmd.nodeTarget));
+        }
 
         // Validate command string
         if (cmd.command && typeof cmd.command === 'string') {
@@ -370,6 +392,9 @@ export class CommandValidationService {
         if (typeof query.executeOnAllNodes !== 'boolean') {
             errors.push(`Query at index ${index} is missing 'executeOnAllNodes' or it's not a boolean`);
         }
+        if (query.nodeTarget != null) {
+            errors.push(...nodeInventory.validateTarget(query.nodeTarget).map(error => `Query at index ${index}: ${error}`));
+        }
 
         if (query.query && typeof query.query === 'string') {
             if (query.query.trim().length === 0) {
@@ -380,6 +405,218 @@ export class CommandValidationService {
         return errors;
     }
 
+    /**
+     * Classifies SQL text as read-only or not. The text is tokenized (strings, quoted identifiers
+     * and comments are understood, MySQL executable comments are treated as code) and every
+     * statement is checked against the read-only policy.
+     * @param {string} sql - SQL text
+     * @returns {Object} - { readOnly, statements: [{ index, type }], violations: [{ code, clause, statement, position, message }] }
+     */
+    classifySQL(sql) {
+        const violations = [];
+        const { tokens, error } = this.tokenizeSQL(String(sql || ''));
+        if (error) {
+            violations.push({ code: 'UNPARSEABLE', clause: error.clause, statement: null, position: error.position, message: error.message });
+            return { readOnly: false, statements: [], violations };
+        }
+
+        const statements = [];
+        let current = [];
+        tokens.forEach(token => {
+            if (token.type === 'punct' && token.value === ';') {
+                statements.push({ tokens: current, terminator: token });
+                current = [];
+            } else {
+                current.push(token);
+            }
+        });
+        statements.push({ tokens: current, terminator: null });
+
+        const nonEmpty = statements.filter(statement => statement.tokens.length > 0);
+        if (nonEmpty.length > 1) {
+            const separator = nonEmpty[0].terminator;
+            violations.push({
+                code: 'MULTI_STATEMENT',
+                clause: ';',
+                statement: 2,
+                position: separator ? separator.position : null,
+                message: `Only one statement may be executed at a time (found ${nonEmpty.length})`
+            });
+        }
+
+        const summary = nonEmpty.map((statement, index) => {
+            const statementViolations = this.classifySQLStatement(statement.tokens, index + 1);
+            violations.push(...statementViolations);
+            const first = statement.tokens.find(token => token.type === 'word');
+            return { index: index + 1, type: first ? first.upper : null };
+        });
+
+        return { readOnly: violations.length === 0, statements: summary, violations };
+    }
+
+    classifySQLStatement(tokens, statementNumber) {
+        const violations = [];
+        const words = tokens.filter(token => token.type === 'word');
+        const first = words[0];
+        const reject = (code, clause, token, reason) => violations.push({
+            code,
+            clause,
+            statement: statementNumber,
+            position: token ? token.position : null,
+            message: `Statement ${statementNumber}: ${clause} ${reason}`
+        });
+
+        if (!first) {
+            return violations;
+        }
+
+        if (!SQL_READ_STATEMENTS.includes(first.upper)) {
+            const second = words[1] ? ` ${words[1].upper}` : '';
+            if (SQL_DML_KEYWORDS.includes(first.upper)) {
+                reject('DML_STATEMENT', `${first.upper}${first.upper === 'LOAD' ? second : ''}`, first, 'modifies data and requires the write capability');
+            } else if (SQL_DDL_KEYWORDS.includes(first.upper)) {
+                reject('DDL_STATEMENT', `${first.upper}${second}`, first, 'changes the schema or server state and requires the write capability');
+            } else if (first.upper === 'SET') {
+                reject('SET_STATEMENT', 'SET', first, 'changes session or server variables and requires the write capability');
+            } else if (SQL_SESSION_KEYWORDS.includes(first.upper)) {
+                reject('SESSION_STATEMENT', first.upper, first, 'changes session or transaction state and is not allowed');
+            } else {
+                reject('STATEMENT_NOT_ALLOWED', first.upper, first, 'is not a read-only statement');
+            }
+            return violations;
+        }
+
+        // ANALYZE SELECT runs a query; ANALYZE TABLE rewrites index statistics
+        if (first.upper === 'ANALYZE' && !words.slice(1).some(word => word.upper === 'SELECT')) {
+            reject('DDL_STATEMENT', `ANALYZE${words[1] ? ` ${words[1].upper}` : ''}`, first, 'changes the server state and requires the write capability');
+            return violations;
+        }
+
+        if (['SHOW', 'HELP'].includes(first.upper)) {
+            return violations;
+        }
+
+        // EXPLAIN only plans a statement unless ANALYZE makes it execute it
+        const explain = ['EXPLAIN', 'DESCRIBE', 'DESC'].includes(first.upper);
+        if (explain && !words.some(word => word.upper === 'ANALYZE')) {
+            return violations;
+        }
+
+        tokens.forEach((token, i) => {
+            if (token.type !== 'word') return;
+            const next = tokens[i + 1];
+            const nextWord = next && next.type === 'word' ? next.upper : null;
+            const previous = tokens[i - 1];
+            const callsFunction = next && next.type === 'punct' && next.value === '(';
+
+            if (token.upper === 'INTO') {
+                if (nextWord === 'OUTFILE' || nextWord === 'DUMPFILE') {
+                    reject('FILE_WRITE', `INTO ${nextWord}`, token, 'writes files on the database server and is not allowed');
+                } else {
+                    reject('INTO_CLAUSE', 'SELECT ... INTO', token, 'stores results outside the result set and is not allowed');
+                }
+            } else if (token.upper === 'LOAD_FILE' && callsFunction) {
+                reject('FILE_READ', 'LOAD_FILE()', token, 'reads files on the database server and is not allowed');
+            } else if (token.upper === 'FOR' && (nextWord === 'UPDATE' || nextWord === 'SHARE')) {
+                reject('LOCKING_READ', `FOR ${nextWord}`, token, 'takes row locks and is not allowed');
+            } else if (token.upper === 'LOCK' && nextWord === 'IN') {
+                reject('LOCKING_READ', 'LOCK IN SHARE MODE', token, 'takes row locks and is not allowed');
+            } else if (
+                SQL_NESTED_DML_KEYWORDS.includes(token.upper) &&
+                !callsFunction &&
+                !(previous && previous.type === 'word' && previous.upper === 'FOR')
+            ) {
+                reject('DML_STATEMENT', token.upper, token, 'modifies data and requires the write capability');
+            }
+        });
+
+        return violations;
+    }
+
+    /**
+     * Splits SQL into tokens: { type: word|string|identifier|number|variable|punct, value, upper, position }.
+     * Comments are dropped, except MySQL executable comments whose content is tokenized as code.
+     * @param {string} sql - SQL text
+     * @returns {Object} - { tokens, error }
+     */
+    tokenizeSQL(sql) {
+        const tokens = [];
+        let i = 0;
+        let inExecutableComment = false;
+
+        while (i < sql.length) {
+            const ch = sql[i];
+            const next = sql[i + 1];
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (inExecutableComment && ch === '*' && next === '/') {
+                inExecutableComment = false;
+                i += 2;
+            } else if (ch === '#' || (ch === '-' && next === '-' && (i + 2 >= sql.length || /\s/.test(sql[i + 2])))) {
+                const end = sql.indexOf('\n', i);
+                i = end === -1 ? sql.length : end + 1;
+            } else if (ch === '/' && next === '*') {
+                const executable = sql.slice(i).match(/^\/\*M?!\d*/);
+                if (executable) {
+                    if (inExecutableComment) {
+                        return { tokens, error: { clause: '/*!', position: i, message: 'Nested executable comments are not supported' } };
+                    }
+                    inExecutableComment = true;
+                    i += executable[0].length;
+                } else {
+                    const end = sql.indexOf('*/', i + 2);
+                    if (end === -1) {
+                        return { tokens, error: { clause: '/*', position: i, message: 'Unterminated comment' } };
+                    }
+                    i = end + 2;
+                }
+            } else if (ch === "'" || ch === '"' || ch === '`') {
+                const start = i;
+                let value = '';
+                i++;
+                let closed = false;
+                while (i < sql.length) {
+                    if (ch !== '`' && sql[i] === '\\') {
+                        value += sql[i + 1] ?? '';
+                        i += 2;
+                    } else if (sql[i] === ch && sql[i + 1] === ch) {
+                        value += ch;
+                        i += 2;
+                    } else if (sql[i] === ch) {
+                        closed = true;
+                        i++;
+                        break;
+                    } else {
+                        value += sql[i];
+                        i++;
+                    }
+                }
+                if (!closed) {
+                    return { tokens, error: { clause: ch, position: start, message: `Unterminated ${ch === '`' ? 'quoted identifier' : 'string'}` } };
+                }
+                tokens.push({ type: ch === '`' ? 'identifier' : 'string', value, upper: value.toUpperCase(), position: start });
+            } else if (ch === '@') {
+                const match = sql.slice(i).match(/^@@?[A-Za-z0-9_$.]*/);
+                tokens.push({ type: 'variable', value: match[0], upper: match[0].toUpperCase(), position: i });
+                i += match[0].length;
+            } else if (/[A-Za-z_$]/.test(ch)) {
+                const match = sql.slice(i).match(/^[A-Za-z0-9_$]+/);
+                tokens.push({ type: 'word', value: match[0], upper: match[0].toUpperCase(), position: i });
+                i += match[0].length;
+            } else if (/[0-9]/.test(ch)) {
+                const match = sql.slice(i).match(/^[0-9][A-Za-z0-9_.]*/);
+                tokens.push({ type: 'number', value: match[0], upper: match[0].toUpperCase(), position: i });
+                i += match[0].length;
+            } else {
+                tokens.push({ type: 'punct', value: ch, upper: ch, position: i });
+                i++;
+            }
+        }
+
+        return { tokens, error: null };
+    }
+
     /**
      * Redis command validation
      * @param {Object} query - Redis command object
@@ -396,6 +633,11 @@ export class CommandValidationService {
         if (query.query && typeof query.query === 'string') {
             if (query.query.trim().length === 0) {
                 errors.push(`Command at index ${index} has empty query string`);
+            } else {
+                const policy = this.redisPolicy.check(query.query);
+                policy.errors.forEach(error => {
+                    errors.push(`Command at index ${index} was rejected: ${error}`);
+                });
             }
         }
 
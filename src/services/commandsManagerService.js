@@ -1,73 +1,354 @@
 // src/services/commandsManagerService.js
 import { pool } from '../config/database.js';
 import { logger } from './logger.js';
+import { CommandRevisionDao } from './dao/commandRevisionDao.js';
+import { CommandChangeRequestDao } from './dao/commandChangeRequestDao.js';
+import { CommandParameterService } from './commandParameterService.js';
+import { ExtractorService } from './extractorService.js';
+import { ExecutionPolicyService } from './executionPolicyService.js';
+import { CommandResultCacheService } from './commandResultCacheService.js';
+import { nodeInventory } from './nodeInventoryService.js';
+
+// Columns captured in every revision snapshot
+export const REVISIONED_FIELDS = [
+    'title',
+    'command',
+    'description',
+    'service_type',
+    'execute_on_all_nodes',
+    'allow_ai',
+    'auto_run',
+    'component_code',
+    'parameters',
+    'extractors',
+    'execution_policy',
+    'relationship',
+    'node_target',
+    'allow_write',
+    'locked',
+    'reviewed'
+];
+
+// Fields diffed line by line; everything else is compared as a scalar value
+export const TEXT_FIELDS = ['command', 'description', 'component_code'];
+
+const BOOLEAN_FIELDS = ['execute_on_all_nodes', 'allow_ai', 'auto_run', 'allow_write', 'locked', 'reviewed'];
+
+// Services whose commands can target a named tunnel relationship (database-slave, redis-session, ...)
+const RELATIONSHIP_SERVICE_TYPES = ['sql', 'redis', 'opensearch'];
+const RELATIONSHIP_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+// Services whose commands run on environment nodes and can target them (see NodeInventoryService)
+const NODE_TARGET_SERVICE_TYPES = ['ssh', 'sql'];
+// Fields that together decide whether a SQL relationship can be used (see checkRelationshipTarget)
+const RELATIONSHIP_TARGET_FIELDS = ['service_type', 'relationship', 'node_target', 'execute_on_all_nodes'];
+const NODE_TARGET_MAX_LENGTH = 512;
+
+// Controlled by the review workflow and admin toggles, never by a change request
+const REVIEW_CONTROLLED_FIELDS = ['allow_write', 'locked', 'reviewed'];
 
 export class CommandService {
-    async create(command) {
+    constructor() {
+        this.parameterService = new CommandParameterService();
+        this.extractorService = new ExtractorService();
+        this.policyService = new ExecutionPolicyService();
+        this.resultCache = new CommandResultCacheService();
+    }
+
+    /**
+     * Creates a command. New commands are never executable straight away: they are stored
+     * unreviewed together with a pending change request that another admin has to approve.
+     * @returns {Object} - { id, changeRequestId }
+     */
+    async create(command, user = null, { note = null, type = 'create' } = {}) {
         try {
             const processedCommand = this.processCommandString(command.command);
-            const [result] = await pool.execute(
-                'INSERT INTO commands (title, command, description, service_type, execute_on_all_nodes, allow_ai, auto_run, component_code, locked, reviewed) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-                [
-                    command.title,
-                    processedCommand,
-                    command.description,
-                    command.serviceType,
-                    command.executeOnAllNodes ? 1 : 0,
-                    command.allowAi ? 1 : 0,
-                    command.autoRun ? 1 : 0,
-                    command.componentCode || null,
-                    command.locked ? 1 : 0,
-                    command.reviewed ? 1 : 0
-                ]
-            );
-            return result.insertId;
+            const values = {
+                title: command.title,
+                command: processedCommand,
+                description: command.description,
+                service_type: command.serviceType,
+                execute_on_all_nodes: command.executeOnAllNodes ? 1 : 0,
+                allow_ai: command.allowAi ? 1 : 0,
+                auto_run: command.autoRun ? 1 : 0,
+                component_code: command.componentCode || null,
+                parameters: this.processParameters(command.parameters, processedCommand, command.serviceType),
+                extractors: this.processExtractors(command.extractors),
+                execution_policy: this.processExecutionPolicy(command.executionPolicy),
+                relationship: this.processRelationship(command.relationship, command.serviceType),
+                node_target: this.processNodeTarget(command.nodeTarget, command.serviceType),
+                allow_write: 0,
+                locked: command.locked ? 1 : 0,
+                reviewed: 0
+            };
+            this.checkRelationshipTarget(values);
+
+            return await this.withTransaction(async (connection) => {
+                const [result] = await connection.execute(
+                    `INSERT INTO commands (${REVISIONED_FIELDS.join(', ')}, revision) VALUES (${REVISIONED_FIELDS.map(() => '?').join(', ')}, 1)`,
+                    REVISIONED_FIELDS.map(field => values[field] ?? null)
+                );
+
+                await CommandRevisionDao.createRevision({
+                    commandId: result.insertId,
+                    revision: 1,
+                    action: 'create',
+                    snapshot: this.buildSnapshot(values),
+                    changedFields: REVISIONED_FIELDS.filter(field => values[field] !== null && values[field] !== undefined),
+                    authorId: user?.id || null,
+                    authorEmail: user?.email || null,
+                    note
+                }, connection);
+
+                const proposed = this.pickProposal(values);
+                const changeRequestId = await CommandChangeRequestDao.createRequest({
+                    commandId: result.insertId,
+                    type,
+                    baseRevision: 1,
+                    proposed,
+                    original: {},
+                    changedFields: Object.keys(proposed),
+                    requestedBy: user?.id || null,
+                    requestedByEmail: user?.email || null,
+                    note
+                }, connection);
+
+                return { id: result.insertId, changeRequestId };
+            });
         } catch (error) {
             logger.error('Failed to create command:', error);
             throw error;
         }
     }
 
-    async update(id, command) {
-        const [existing] = await pool.execute('SELECT locked FROM commands WHERE id = ?', [id]);
-        if (existing[0]?.locked) {
-            throw new Error('This command is locked and cannot be modified');
+    /**
+     * Proposes an edit. The command itself is not changed until the change request is approved,
+     * so the last approved version keeps running in the meantime.
+     * @returns {Object} - { success, status, changeRequestId, changedFields, superseded }
+     */
+    async update(id, command, user = null) {
+        const processedCommand = this.processCommandString(command.command);
+        const values = {
+            title: command.title,
+            command: processedCommand,
+            description: command.description,
+            service_type: command.serviceType,
+            execute_on_all_nodes: command.executeOnAllNodes ? 1 : 0,
+            allow_ai: command.allowAi ? 1 : 0,
+            auto_run: command.autoRun ? 1 : 0,
+            component_code: command.componentCode || null
+        };
+        if ('parameters' in command) {
+            values.parameters = this.processParameters(command.parameters, processedCommand, command.serviceType);
+        }
+        if ('extractors' in command) {
+            values.extractors = this.processExtractors(command.extractors);
+        }
+        if ('executionPolicy' in command) {
+            values.execution_policy = this.processExecutionPolicy(command.executionPolicy);
         }
+        if ('relationship' in command) {
+            values.relationship = this.processRelationship(command.relationship, command.serviceType);
+        }
+        if ('nodeTarget' in command) {
+            values.node_target = this.processNodeTarget(command.nodeTarget, command.serviceType);
+        }
+
+        return this.proposeChange(id, (existing) => {
+            if (existing.locked) {
+                throw new Error('This command is locked and cannot be modified');
+            }
+            // Clients that don't send parameters keep the stored ones; they must still fit the new text
+            if (!('parameters' in values) && existing.parameters) {
+                this.processParameters(existing.parameters, processedCommand, command.serviceType);
+            }
+            return values;
+        }, { user, type: 'update' });
+    }
+
+    /**
+     * Records a pending change request for a command. Any older pending request for the
+     * same command is superseded, so reviewers only ever see the latest proposal.
+     * @param {number|string} id - Command ID
+     * @param {Function} buildValues - Receives the current row and returns the proposed columns (may throw to abort)
+     * @param {Object} options - { user, type, note }
+     * @returns {Object} - { success, status, changeRequestId, changedFields, superseded }
+     */
+    async proposeChange(id, buildValues, { user = null, type = 'update', note = null } = {}) {
         try {
-            const processedCommand = this.processCommandString(command.command);
-            const params = [
-                command.title,
-                processedCommand,
-                command.description,
-                command.serviceType,
-                command.executeOnAllNodes ? 1 : 0,
-                command.allowAi ? 1 : 0,
-                command.autoRun ? 1 : 0,
-                command.componentCode || null,
-                command.reviewed ? 1 : 0,
-                id
-            ];
-            await pool.execute(
-                'UPDATE commands SET title = ?, command = ?, description = ?, service_type = ?, execute_on_all_nodes = ?, allow_ai = ?, auto_run = ?, component_code = ?, reviewed = ? WHERE id = ?',
-                params
-            );
-
-            return { success: true };
+            return await this.withTransaction(async (connection) => {
+                const existing = await this.lockCommand(id, connection);
+                const proposed = this.pickProposal(buildValues(existing));
+                if (RELATIONSHIP_TARGET_FIELDS.some(field => field in proposed)) {
+                    this.checkRelationshipTarget({ ...existing, ...proposed });
+                }
+
+                const changedFields = Object.keys(proposed).filter(field =>
+                    !this.sameValue(field, existing[field], proposed[field])
+                );
+                if (changedFields.length === 0) {
+                    return { success: true, status: 'unchanged', changeRequestId: null, changedFields, superseded: [] };
+                }
+
+                const superseded = await CommandChangeRequestDao.supersedePending(existing.id, connection);
+                const changes = {};
+                const original = {};
+                changedFields.forEach(field => {
+                    changes[field] = proposed[field] ?? null;
+                    original[field] = existing[field] ?? null;
+                });
+
+                const changeRequestId = await CommandChangeRequestDao.createRequest({
+                    commandId: existing.id,
+                    type,
+                    baseRevision: existing.revision || 0,
+                    proposed: changes,
+                    original,
+                    changedFields,
+                    requestedBy: user?.id || null,
+                    requestedByEmail: user?.email || null,
+                    note
+                }, connection);
+
+                return { success: true, status: 'pending', changeRequestId, changedFields, superseded };
+            });
         } catch (error) {
-            logger.error('Failed to update command:', error);
+            logger.error(`Failed to propose ${type} for command:`, { error: error.message, id });
             throw error;
         }
     }
 
+    pickProposal(values) {
+        return REVISIONED_FIELDS
+            .filter(field => field in values && !REVIEW_CONTROLLED_FIELDS.includes(field))
+            .reduce((proposal, field) => {
+                proposal[field] = values[field] ?? null;
+                return proposal;
+            }, {});
+    }
 
-
-    async updateToggle(id, changes, user) {
-        // 1) Buscar o registro no DB
-        const [rows] = await pool.execute('SELECT * FROM commands WHERE id = ?', [id]);
+    async lockCommand(id, connection) {
+        const [rows] = await connection.execute('SELECT * FROM commands WHERE id = ? FOR UPDATE', [id]);
         if (!rows.length) {
-            throw new Error(`Command with id=${id} not found.`);
+            const error = new Error(`Command with id=${id} not found.`);
+            error.code = 'COMMAND_NOT_FOUND';
+            throw error;
+        }
+        return rows[0];
+    }
+
+    /**
+     * Applies a set of column changes to a command and records the result as a new revision.
+     * The row is locked for the duration of the transaction so revision numbers stay sequential.
+     * @param {number|string} id - Command ID
+     * @param {Function} buildValues - Receives the current row and returns the columns to change (may throw to abort)
+     * @param {Object} options - { user, action, note, connection } (pass a connection to join an open transaction)
+     * @returns {Object} - { success, revision, changedFields }
+     */
+    async applyChanges(id, buildValues, { user = null, action = 'update', note = null, connection: outer = null } = {}) {
+        const run = (work) => outer ? work(outer) : this.withTransaction(work);
+        try {
+            const result = await run(async (connection) => {
+                const existing = await this.lockCommand(id, connection);
+                const values = buildValues(existing);
+
+                const changedFields = REVISIONED_FIELDS.filter(field =>
+                    field in values && !this.sameValue(field, existing[field], values[field])
+                );
+
+                if (changedFields.length === 0) {
+                    return { success: true, revision: existing.revision, changedFields };
+                }
+
+                await this.ensureBaselineRevision(existing, connection);
+
+                const nextRevision = (existing.revision || 0) + 1;
+                const assignments = changedFields.map(field => `${field} = ?`).join(', ');
+                await connection.execute(
+                    `UPDATE commands SET ${assignments}, revision = ? WHERE id = ?`,
+                    [...changedFields.map(field => values[field] ?? null), nextRevision, id]
+                );
+
+                await CommandRevisionDao.createRevision({
+                    commandId: existing.id,
+                    revision: nextRevision,
+                    action,
+                    snapshot: this.buildSnapshot({ ...existing, ...values }),
+                    changedFields,
+                    authorId: user?.id || null,
+                    authorEmail: user?.email || null,
+                    note
+                }, connection);
+
+                return { success: true, revision: nextRevision, changedFields };
+            });
+
+            // Results cached for the previous revision must not be served any more
+            if (result.changedFields.length > 0) {
+                await this.resultCache.invalidate(id);
+            }
+            return result;
+        } catch (error) {
+            logger.error(`Failed to apply ${action} to command:`, { error: error.message, id });
+            throw error;
         }
-        const existing = rows[0];
+    }
+
+    /**
+     * Commands created before revisions existed have no history. Before their first change,
+     * store the current row as a baseline so the previous text can still be restored.
+     */
+    async ensureBaselineRevision(existing, connection) {
+        const total = await CommandRevisionDao.countRevisions(existing.id, connection);
+        if (total > 0) return;
+
+        await CommandRevisionDao.createRevision({
+            commandId: existing.id,
+            revision: existing.revision || 0,
+            action: 'baseline',
+            snapshot: this.buildSnapshot(existing),
+            changedFields: []
+        }, connection);
+    }
+
+    buildSnapshot(row) {
+        return REVISIONED_FIELDS.reduce((snapshot, field) => {
+            const value = row[field] ?? null;
+            snapshot[field] = BOOLEAN_FIELDS.includes(field) ? Boolean(value) : value;
+            return snapshot;
+        }, {});
+    }
+
+    sameValue(field, a, b) {
+        if (BOOLEAN_FIELDS.includes(field)) {
+            return Boolean(a) === Boolean(b);
+        }
+        return (a ?? null) === (b ?? null);
+    }
+
+    async withTransaction(work) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await work(connection);
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async updateToggle(id, changes, user) {
+        return this.applyChanges(id, (existing) => this.buildToggleValues(existing, changes, user), {
+            user,
+            action: 'toggle'
+        });
+    }
+
+    buildToggleValues(existing, changes, user) {
+        // 1) O registro já vem lido (e bloqueado) pela transação de applyChanges
 
         // 2) Se estiver locked e não estamos explicitamente desbloqueando => erro
         if (existing.locked && changes.locked !== false) {
@@ -81,7 +362,8 @@ export class CommandService {
             'reviewed',
             'allow_ai',
             'auto_run',
-            'execute_on_all_nodes'
+            'execute_on_all_nodes',
+            'allow_write'
         ];
 
         // Preparar valores finais (newVals)
@@ -91,7 +373,8 @@ export class CommandService {
             reviewed: existing.reviewed,
             allow_ai: existing.allow_ai,
             auto_run: existing.auto_run,
-            execute_on_all_nodes: existing.execute_on_all_nodes
+            execute_on_all_nodes: existing.execute_on_all_nodes,
+            allow_write: existing.allow_write
         };
 
         // 4) Checar cada um, se o valor está mudando => requer admin
@@ -104,40 +387,187 @@ export class CommandService {
                     if (!user?.isAdmin) {
                         throw new Error('This action requires admin role');
                     }
+                    // Approval only happens through a change request reviewed by a second admin;
+                    // the toggle can still revoke it
+                    if (field === 'reviewed' && newVal) {
+                        const error = new Error('Commands are approved through change requests');
+                        error.code = 'REVIEW_REQUIRED';
+                        throw error;
+                    }
                     newVals[field] = changes[field]; // Usa o valor exato do request
                 }
             }
         }
 
-        // 5) Rodar o UPDATE apenas nos campos toggles
-        try {
-            const sql = `
-            UPDATE commands
-            SET
-              locked = ?,
-              reviewed = ?,
-              allow_ai = ?,
-              auto_run = ?,
-              execute_on_all_nodes = ?
-            WHERE id = ?
-          `;
-            const params = [
-                newVals.locked,
-                newVals.reviewed,
-                newVals.allow_ai,
-                newVals.auto_run,
-                newVals.execute_on_all_nodes,
-                id
-            ];
-
-            await pool.execute(sql, params);
-            return { success: true };
-        } catch (error) {
-            logger.error('Failed to update toggle fields:', error);
+        // 5) Apenas os campos toggles são gravados (via applyChanges)
+        return newVals;
+    }
+
+
+    /**
+     * Validates parameter definitions and serializes them for storage
+     * @param {Array<Object>|string|null} parameters - Parameter definitions
+     * @param {string} commandText - Command the parameters belong to
+     * @param {string} [serviceType] - Service type of the command, for its quoting rules
+     * @returns {string|null} - JSON string, or null when the command has no parameters
+     */
+    processParameters(parameters, commandText, serviceType = null) {
+        let definitions = parameters;
+        if (typeof definitions === 'string') {
+            try {
+                definitions = definitions.trim() ? JSON.parse(definitions) : null;
+            } catch (error) {
+                definitions = parameters;
+            }
+        }
+        if (!definitions || (Array.isArray(definitions) && definitions.length === 0)) {
+            return null;
+        }
+
+        const errors = this.parameterService.validateDefinitions(definitions, commandText, serviceType);
+        if (errors.length > 0) {
+            const error = new Error('Invalid command parameters');
+            error.code = 'INVALID_PARAMETERS';
+            error.details = errors;
+            throw error;
+        }
+
+        return JSON.stringify(definitions);
+    }
+
+    /**
+     * Validates extractor definitions and serializes them for storage
+     * @param {Array<Object>|string|null} extractors - Extractor definitions (see ExtractorService)
+     * @returns {string|null} - JSON string, or null when the command has no extractors
+     */
+    processExtractors(extractors) {
+        let definitions = extractors;
+        if (typeof definitions === 'string') {
+            try {
+                definitions = definitions.trim() ? JSON.parse(definitions) : null;
+            } catch (error) {
+                definitions = extractors;
+            }
+        }
+        if (!definitions || (Array.isArray(definitions) && definitions.length === 0)) {
+            return null;
+        }
+
+        const errors = this.extractorService.validateDefinitions(definitions);
+        if (errors.length > 0) {
+            const error = new Error('Invalid command extractors');
+            error.code = 'INVALID_EXTRACTORS';
+            error.details = errors;
+            throw error;
+        }
+
+        return JSON.stringify(definitions);
+    }
+
+    /**
+     * Validates an execution policy and serializes it for storage
+     * @param {Object|string|null} policy - { timeoutMs, retries, backoff, backoffMs, maxOutputBytes, parallelism }
+     * @returns {string|null} - JSON string, or null when the command uses the defaults
+     */
+    processExecutionPolicy(policy) {
+        let settings = policy;
+        if (typeof settings === 'string') {
+            try {
+                settings = settings.trim() ? JSON.parse(settings) : null;
+            } catch (error) {
+                settings = policy;
+            }
+        }
+        if (!settings || (typeof settings === 'object' && Object.keys(settings).length === 0)) {
+            return null;
+        }
+
+        const errors = this.policyService.validate(settings);
+        if (errors.length > 0) {
+            const error = new Error('Invalid command execution policy');
+            error.code = 'INVALID_EXECUTION_POLICY';
+            error.details = errors;
+            throw error;
+        }
+
+        return JSON.stringify(settings);
+    }
+
+    /**
+     * Validates the tunnel relationship a command runs against
+     * @param {string|null} relationship - Relationship name, e.g. database-slave
+     * @param {string} serviceType - Service type of the command
+     * @returns {string|null} - The name, or null when the command uses the service's primary relationship
+     */
+    processRelationship(relationship, serviceType) {
+        const name = typeof relationship === 'string' ? relationship.trim() : relationship;
+        if (!name) {
+            return null;
+        }
+
+        const errors = [];
+        if (typeof name !== 'string' || !RELATIONSHIP_NAME.test(name)) {
+            errors.push('relationship must be a relationship name of at most 64 letters, digits, dashes or underscores');
+        }
+        if (!RELATIONSHIP_SERVICE_TYPES.includes(serviceType)) {
+            errors.push(`relationship only applies to ${RELATIONSHIP_SERVICE_TYPES.join(', ')} commands`);
+        }
+        if (errors.length > 0) {
+            const error = new Error('Invalid command relationship');
+            error.code = 'INVALID_RELATIONSHIP';
+            error.details = errors;
+            throw error;
+        }
+
+        return name;
+    }
+
+    /**
+     * Validates the nodes a command runs on
+     * @param {string|null} target - all, first, role:<role> or nodes:<id>,<id> (see NodeInventoryService)
+     * @param {string} serviceType - Service type of the command
+     * @returns {string|null} - The target, or null when execute_on_all_nodes decides
+     */
+    processNodeTarget(target, serviceType) {
+        const value = typeof target === 'string' ? target.trim() : target;
+        if (!value) {
+            return null;
+        }
+
+        const errors = nodeInventory.validateTarget(value);
+        if (String(value).length > NODE_TARGET_MAX_LENGTH) {
+            errors.push(`node target must be at most ${NODE_TARGET_MAX_LENGTH} characters`);
+        }
+        if (!NODE_TARGET_SERVICE_TYPES.includes(serviceType)) {
+            errors.push(`node target only applies to ${NODE_TARGET_SERVICE_TYPES.join(', ')} commands`);
+        }
+        if (errors.length > 0) {
+            const error = new Error('Invalid command node target');
+            error.code = 'INVALID_NODE_TARGET';
+            error.details = errors;
             throw error;
         }
+
+        return value;
     }
 
+    /**
+     * SQL commands run against a named relationship only through the tunnel: on other nodes than the
+     * first they run through the node's mysql client, which reaches the primary database
+     * @param {Object} values - Row values (service_type, relationship, node_target, execute_on_all_nodes)
+     * @throws {Error} - code INVALID_RELATIONSHIP
+     */
+    checkRelationshipTarget(values) {
+        if (values.service_type !== 'sql' || !values.relationship || nodeInventory.targetOf(values) === 'first') {
+            return;
+        }
+        const error = new Error('Invalid command relationship');
+        error.code = 'INVALID_RELATIONSHIP';
+        error.details = [
+            `relationship ${values.relationship} requires the node target first; queries on other nodes run against the primary database`
+        ];
+        throw error;
+    }
 
     processCommandString(command) {
         if (!command) return '';
@@ -162,6 +592,7 @@ export class CommandService {
             const [result] = await pool.execute('DELETE FROM commands WHERE id = ?', [id]);
 
             if (result.affectedRows > 0) {
+                await this.resultCache.invalidate(id);
                 return { success: true, message: `Command with id ${id} deleted.` };
             } else {
                 logger.warn(`No command found with id ${id}.`);
@@ -173,24 +604,68 @@ export class CommandService {
         }
     }
 
+    mapRow(row) {
+        return {
+            id: row.id,
+            title: row.title,
+            command: row.command,
+            description: row.description,
+            service_type: row.service_type,
+            execute_on_all_nodes: row.execute_on_all_nodes === 1,
+            allow_ai: row.allow_ai === 1,
+            auto_run: row.auto_run === 1,
+            component_code: row.component_code,
+            parameters: this.parseParameters(row.parameters),
+            extractors: this.parseExtractors(row.extractors),
+            execution_policy: this.parseExecutionPolicy(row.execution_policy),
+            relationship: row.relationship || null,
+            node_target: row.node_target || null,
+            allow_write: row.allow_write === 1,
+            locked: row.locked === 1,
+            reviewed: row.reviewed === 1,
+            revision: row.revision,
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+    }
+
+    parseParameters(value) {
+        if (!value) return [];
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            logger.warn('Failed to parse command parameters:', { error: error.message });
+            return [];
+        }
+    }
+
+    parseExtractors(value) {
+        if (!value) return [];
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            logger.warn('Failed to parse command extractors:', { error: error.message });
+            return [];
+        }
+    }
+
+    parseExecutionPolicy(value) {
+        if (!value) return null;
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            logger.warn('Failed to parse command execution policy:', { error: error.message });
+            return null;
+        }
+    }
+
     async getById(id) {
         try {
             const [rows] = await pool.execute('SELECT * FROM commands WHERE id = ?', [id]);
-            return rows.map(row => ({
-                id: row.id,
-                title: row.title,
-                command: row.command,
-                description: row.description,
-                service_type: row.service_type,
-                execute_on_all_nodes: row.execute_on_all_nodes === 1,
-                allow_ai: row.allow_ai === 1,
-                auto_run: row.auto_run === 1,
-                component_code: row.component_code,
-                locked: row.locked === 1,
-                reviewed: row.reviewed === 1,
-                created_at: row.created_at,
-                updated_at: row.updated_at
-            }));
+            return rows.map(row => this.mapRow(row));
         } catch (error) {
             logger.error('Failed to get commands:', error);
             throw error;
@@ -210,21 +685,7 @@ export class CommandService {
                 } : null
             });
             
-            const commands = rows.map(row => ({
-                id: row.id,
-                title: row.title,
-                command: row.command,
-                description: row.description,
-                service_type: row.service_type,
-                execute_on_all_nodes: row.execute_on_all_nodes === 1,
-                allow_ai: row.allow_ai === 1,
-                auto_run: row.auto_run === 1,
-                component_code: row.component_code,
-                locked: row.locked === 1,
-                reviewed: row.reviewed === 1,
-                created_at: row.created_at,
-                updated_at: row.updated_at
-            }));
+            const commands = rows.map(row => this.mapRow(row));
             
             logger.debug('Commands mapped successfully', {
                 count: commands.length
@@ -244,21 +705,7 @@ export class CommandService {
     async getByServiceType(service_type) {
         try {
             const [rows] = await pool.execute('SELECT * FROM commands where service_type = ? ORDER BY id ASC', [service_type]);
-            return rows.map(row => ({
-                id: row.id,
-                title: row.title,
-                command: row.command,
-                description: row.description,
-                service_type: row.service_type,
-                execute_on_all_nodes: row.execute_on_all_nodes === 1,
-                allow_ai: row.allow_ai === 1,
-                auto_run: row.auto_run === 1,
-                component_code: row.component_code,
-                locked: row.locked === 1,
-                reviewed: row.reviewed === 1,
-                created_at: row.created_at,
-                updated_at: row.updated_at
-            }));
+            return rows.map(row => this.mapRow(row));
 
         } catch (error) {
             logger.error('Failed to get commands:', error);
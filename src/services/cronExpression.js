@@ -0,0 +1,173 @@
+// src/services/cronExpression.js
+
+// Standard 5-field cron (minute hour day-of-month month day-of-week), evaluated in UTC
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// Enough minutes to find the next run of any valid expression (e.g. 29 February)
+const MAX_SEARCH_STEPS = 50000;
+
+function cronError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CRON_EXPRESSION';
+    return error;
+}
+
+function parseValue(value, field) {
+    const lower = value.toLowerCase();
+    const named = field.names ? field.names.indexOf(lower) : -1;
+    if (named >= 0) {
+        return named + (field.name === 'month' ? 1 : 0);
+    }
+    if (!/^\d+$/.test(value)) {
+        throw cronError(`Invalid ${field.name} value "${value}"`);
+    }
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw cronError(`${field.name} value ${number} is outside ${field.min}-${field.max}`);
+    }
+    return number;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+            throw cronError(`Invalid step "${stepText}" in ${field.name}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) {
+                throw cronError(`Invalid ${field.name} range "${range}"`);
+            }
+        } else {
+            start = parseValue(range, field);
+            // "5/15" means every 15 starting at 5
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - "*\/15 * * * *", "0 3 * * mon-fri", "@hourly", ...
+ * @returns {Object} - { minutes, hours, daysOfMonth, months, daysOfWeek } sets, plus whether
+ *                     the day fields are restricted (cron matches either day field when both are)
+ * @throws {Error} - code INVALID_CRON_EXPRESSION
+ */
+export function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw cronError('A cron expression is required');
+    }
+
+    const normalized = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== 5) {
+        throw cronError('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    // Both 0 and 7 mean Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        dayOfMonthRestricted: parts[2] !== '*',
+        dayOfWeekRestricted: parts[4] !== '*'
+    };
+}
+
+function matchesDay(cron, date) {
+    const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * @param {string|Object} expression - Cron expression or the result of parseCron
+ * @param {Date} [after] - The run returned is strictly after this time
+ * @returns {Date|null} - Next run time, or null when the expression never matches (e.g. 31 February)
+ */
+export function nextCronRun(expression, after = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+        if (!cron.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Shortest gap between the next runs of an expression, used to reject schedules that run too often
+ * @returns {number} - Minutes
+ */
+export function minimumCronInterval(expression, samples = 10) {
+    const cron = parseCron(expression);
+    let previous = nextCronRun(cron);
+    let minimum = Infinity;
+
+    for (let index = 0; previous && index < samples; index++) {
+        const next = nextCronRun(cron, previous);
+        if (!next) break;
+        minimum = Math.min(minimum, (next - previous) / 60000);
+        previous = next;
+    }
+
+    return minimum;
+}
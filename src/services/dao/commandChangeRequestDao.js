@@ -0,0 +1,127 @@
+// src/services/dao/commandChangeRequestDao.js
+import { pool } from '../../config/database.js';
+
+export class CommandChangeRequestDao {
+  /**
+   * Insert a pending change request.
+   * Accepts an optional connection so it can join the caller's transaction.
+   */
+  static async createRequest({ commandId, type, baseRevision, proposed, original, changedFields, requestedBy, requestedByEmail, note = null }, connection = pool) {
+    const sql = `
+      INSERT INTO command_change_requests
+        (command_id, type, status, base_revision, proposed, original, changed_fields, requested_by, requested_by_email, note)
+      VALUES (?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const [result] = await connection.query(sql, [
+      commandId,
+      type,
+      baseRevision,
+      JSON.stringify(proposed),
+      JSON.stringify(original),
+      JSON.stringify(changedFields),
+      requestedBy,
+      requestedByEmail,
+      note
+    ]);
+
+    return result.insertId;
+  }
+
+  /**
+   * Mark every pending request of a command as superseded (a newer proposal replaces them)
+   * @returns {Array<number>} IDs of the superseded requests
+   */
+  static async supersedePending(commandId, connection = pool) {
+    const [rows] = await connection.query(
+      "SELECT id FROM command_change_requests WHERE command_id = ? AND status = 'pending' FOR UPDATE",
+      [commandId]
+    );
+    if (rows.length === 0) return [];
+
+    await connection.query(
+      "UPDATE command_change_requests SET status = 'superseded' WHERE command_id = ? AND status = 'pending'",
+      [commandId]
+    );
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Record the outcome of a review
+   */
+  static async setStatus(id, { status, reviewedBy = null, reviewedByEmail = null, comment = null, appliedRevision = null }, connection = pool) {
+    await connection.query(
+      `UPDATE command_change_requests
+       SET status = ?, reviewed_by = ?, reviewed_by_email = ?, review_comment = ?, applied_revision = ?, reviewed_at = NOW()
+       WHERE id = ?`,
+      [status, reviewedBy, reviewedByEmail, comment, appliedRevision, id]
+    );
+  }
+
+  static async getRequest(id, { forUpdate = false } = {}, connection = pool) {
+    const [rows] = await connection.query(
+      `SELECT * FROM command_change_requests WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    return rows.length > 0 ? this.mapRow(rows[0]) : null;
+  }
+
+  /**
+   * List requests joined with the command title, oldest first so the queue is worked in order
+   */
+  static async listRequests({ status = null, commandId = null, requestedBy = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('r.status = ?');
+      params.push(status);
+    }
+    if (commandId) {
+      conditions.push('r.command_id = ?');
+      params.push(commandId);
+    }
+    if (requestedBy) {
+      conditions.push('r.requested_by = ?');
+      params.push(requestedBy);
+    }
+
+    const sql = `
+      SELECT r.*, c.title AS command_title, c.service_type AS command_service_type
+      FROM command_change_requests r
+      LEFT JOIN commands c ON c.id = r.command_id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY r.created_at ASC, r.id ASC
+    `;
+
+    const [rows] = await pool.query(sql, params);
+    return rows.map(row => this.mapRow(row));
+  }
+
+  static mapRow(row) {
+    const parse = (value, fallback) => {
+      if (value === null || value === undefined) return fallback;
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+
+    return {
+      id: row.id,
+      commandId: row.command_id,
+      ...(row.command_title !== undefined && { commandTitle: row.command_title, serviceType: row.command_service_type }),
+      type: row.type,
+      status: row.status,
+      baseRevision: row.base_revision,
+      proposed: parse(row.proposed, {}),
+      original: parse(row.original, {}),
+      changedFields: parse(row.changed_fields, []),
+      requestedBy: row.requested_by,
+      requestedByEmail: row.requested_by_email,
+      note: row.note,
+      reviewedBy: row.reviewed_by,
+      reviewedByEmail: row.reviewed_by_email,
+      reviewComment: row.review_comment,
+      appliedRevision: row.applied_revision,
+      createdAt: row.created_at,
+      reviewedAt: row.reviewed_at
+    };
+  }
+}
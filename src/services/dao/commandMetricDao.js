@@ -0,0 +1,84 @@
+// src/services/dao/commandMetricDao.js
+import { pool } from '../../config/database.js';
+
+export class CommandMetricDao {
+  /**
+   * @param {Array<Object>} metrics - [{ commandId, projectId, environment, nodeId, name, labels, valueNumber, valueText, unit, collectedAt }]
+   */
+  static async insertMetrics(metrics) {
+    if (metrics.length === 0) return 0;
+    const [result] = await pool.query(
+      `INSERT INTO command_metrics
+         (command_id, project_id, environment, node_id, name, labels, value_number, value_text, unit, collected_at)
+       VALUES ?`,
+      [metrics.map(metric => [
+        metric.commandId,
+        metric.projectId,
+        metric.environment,
+        metric.nodeId,
+        metric.name,
+        metric.labels,
+        metric.valueNumber,
+        metric.valueText,
+        metric.unit,
+        metric.collectedAt
+      ])]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Metric points in time order
+   * @param {Object} filters - { projectId, environment, commandId, name, nodeId, from, to, limit }
+   */
+  static async listMetrics({ projectId, environment, commandId = null, name = null, nodeId = null, from = null, to = null, limit = 5000 }) {
+    const conditions = ['project_id = ?', 'environment = ?'];
+    const params = [projectId, environment];
+    if (commandId) {
+      conditions.push('command_id = ?');
+      params.push(commandId);
+    }
+    if (name) {
+      conditions.push('name = ?');
+      params.push(name);
+    }
+    if (nodeId) {
+      conditions.push('node_id = ?');
+      params.push(nodeId);
+    }
+    if (from) {
+      conditions.push('collected_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('collected_at <= ?');
+      params.push(to);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT * FROM command_metrics WHERE ${conditions.join(' AND ')} ORDER BY collected_at ASC LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(row => this.mapRow(row));
+  }
+
+  static async deleteBefore(before) {
+    const [result] = await pool.query('DELETE FROM command_metrics WHERE collected_at < ?', [before]);
+    return result.affectedRows;
+  }
+
+  static mapRow(row) {
+    return {
+      id: row.id,
+      commandId: row.command_id,
+      projectId: row.project_id,
+      environment: row.environment,
+      nodeId: row.node_id,
+      name: row.name,
+      labels: typeof row.labels === 'string' ? JSON.parse(row.labels) : (row.labels || {}),
+      value: row.value_number ?? row.value_text,
+      unit: row.unit,
+      collectedAt: row.collected_at
+    };
+  }
+}
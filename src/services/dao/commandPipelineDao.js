@@ -0,0 +1,52 @@
+// src/services/dao/commandPipelineDao.js
+import { pool } from '../../config/database.js';
+
+export class CommandPipelineDao {
+  static async createPipeline({ name, description = null, steps, createdBy = null }) {
+    const [result] = await pool.query(
+      `INSERT INTO command_pipelines (name, description, steps, created_by, updated_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [name, description, JSON.stringify(steps), createdBy, createdBy]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * @returns {boolean} Whether a pipeline was updated
+   */
+  static async updatePipeline(id, { name, description = null, steps, updatedBy = null }) {
+    const [result] = await pool.query(
+      'UPDATE command_pipelines SET name = ?, description = ?, steps = ?, updated_by = ? WHERE id = ?',
+      [name, description, JSON.stringify(steps), updatedBy, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async deletePipeline(id) {
+    const [result] = await pool.query('DELETE FROM command_pipelines WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  static async getPipeline(id) {
+    const [rows] = await pool.query('SELECT * FROM command_pipelines WHERE id = ?', [id]);
+    return rows.length > 0 ? this.mapRow(rows[0]) : null;
+  }
+
+  static async listPipelines() {
+    const [rows] = await pool.query('SELECT * FROM command_pipelines ORDER BY name ASC');
+    return rows.map(row => this.mapRow(row));
+  }
+
+  static mapRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      steps: typeof row.steps === 'string' ? JSON.parse(row.steps) : (row.steps || []),
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
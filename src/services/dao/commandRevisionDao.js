@@ -0,0 +1,98 @@
+// src/services/dao/commandRevisionDao.js
+import { pool } from '../../config/database.js';
+
+export class CommandRevisionDao {
+  /**
+   * Insert an immutable revision record.
+   * Accepts an optional connection so it can join the caller's transaction.
+   */
+  static async createRevision({ commandId, revision, action, snapshot, changedFields = [], authorId = null, authorEmail = null, note = null }, connection = pool) {
+    const sql = `
+      INSERT INTO command_revisions (command_id, revision, action, snapshot, changed_fields, author_id, author_email, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const [result] = await connection.query(sql, [
+      commandId,
+      revision,
+      action,
+      JSON.stringify(snapshot),
+      JSON.stringify(changedFields),
+      authorId,
+      authorEmail,
+      note
+    ]);
+
+    return result.insertId;
+  }
+
+  /**
+   * Count revisions for a command (used to detect commands that predate versioning)
+   */
+  static async countRevisions(commandId, connection = pool) {
+    const [rows] = await connection.query(
+      'SELECT COUNT(*) AS total FROM command_revisions WHERE command_id = ?',
+      [commandId]
+    );
+    return rows[0].total;
+  }
+
+  /**
+   * List revisions for a command, newest first, without the full snapshot
+   */
+  static async getRevisions(commandId) {
+    const sql = `
+      SELECT id, command_id, revision, action, changed_fields, author_id, author_email, note, created_at
+      FROM command_revisions
+      WHERE command_id = ?
+      ORDER BY revision DESC
+    `;
+
+    const [rows] = await pool.query(sql, [commandId]);
+    return rows.map(row => this.mapRow(row));
+  }
+
+  /**
+   * Get a single revision including its snapshot
+   */
+  static async getRevision(commandId, revision) {
+    const [rows] = await pool.query(
+      'SELECT * FROM command_revisions WHERE command_id = ? AND revision = ?',
+      [commandId, revision]
+    );
+
+    return rows.length > 0 ? this.mapRow(rows[0]) : null;
+  }
+
+  /**
+   * Get the most recent revision including its snapshot
+   */
+  static async getLatestRevision(commandId) {
+    const [rows] = await pool.query(
+      'SELECT * FROM command_revisions WHERE command_id = ? ORDER BY revision DESC LIMIT 1',
+      [commandId]
+    );
+
+    return rows.length > 0 ? this.mapRow(rows[0]) : null;
+  }
+
+  static mapRow(row) {
+    const parse = (value, fallback) => {
+      if (value === null || value === undefined) return fallback;
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+
+    return {
+      id: row.id,
+      commandId: row.command_id,
+      revision: row.revision,
+      action: row.action,
+      changedFields: parse(row.changed_fields, []),
+      ...(row.snapshot !== undefined && { snapshot: parse(row.snapshot, null) }),
+      authorId: row.author_id,
+      authorEmail: row.author_email,
+      note: row.note,
+      createdAt: row.created_at
+    };
+  }
+}
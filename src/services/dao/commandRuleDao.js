@@ -0,0 +1,71 @@
+// src/services/dao/commandRuleDao.js
+import { pool } from '../../config/database.js';
+
+export class CommandRuleDao {
+  static async createRule({ commandId, name, expression, severity, remediation = null, enabled = true, createdBy = null }) {
+    const [result] = await pool.query(
+      `INSERT INTO command_rules (command_id, name, expression, severity, remediation, enabled, created_by, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [commandId, name, expression, severity, remediation, enabled, createdBy, createdBy]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * @returns {boolean} Whether a rule was updated
+   */
+  static async updateRule(id, { commandId, name, expression, severity, remediation = null, enabled = true, updatedBy = null }) {
+    const [result] = await pool.query(
+      `UPDATE command_rules
+       SET command_id = ?, name = ?, expression = ?, severity = ?, remediation = ?, enabled = ?, updated_by = ?
+       WHERE id = ?`,
+      [commandId, name, expression, severity, remediation, enabled, updatedBy, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async deleteRule(id) {
+    const [result] = await pool.query('DELETE FROM command_rules WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  static async getRule(id) {
+    const [rows] = await pool.query('SELECT * FROM command_rules WHERE id = ?', [id]);
+    return rows.length > 0 ? this.mapRow(rows[0]) : null;
+  }
+
+  static async listRules({ commandId = null, enabledOnly = false } = {}) {
+    const conditions = [];
+    const params = [];
+    if (commandId) {
+      conditions.push('command_id = ?');
+      params.push(commandId);
+    }
+    if (enabledOnly) {
+      conditions.push('enabled = TRUE');
+    }
+
+    const [rows] = await pool.query(
+      `SELECT * FROM command_rules ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY command_id ASC, name ASC`,
+      params
+    );
+    return rows.map(row => this.mapRow(row));
+  }
+
+  static mapRow(row) {
+    return {
+      id: row.id,
+      commandId: row.command_id,
+      name: row.name,
+      expression: row.expression,
+      severity: row.severity,
+      remediation: row.remediation,
+      enabled: Boolean(row.enabled),
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
@@ -0,0 +1,151 @@
+// src/services/dao/commandScheduleDao.js
+import { pool } from '../../config/database.js';
+
+export class CommandScheduleDao {
+  static async createSchedule({ name, projectId, environment, commandIds, parameterValues = null, cronExpression, enabled = true, apiToken, retentionDays, nextRunAt, createdBy = null }) {
+    const [result] = await pool.query(
+      `INSERT INTO command_schedules
+         (name, project_id, environment, command_ids, parameter_values, cron_expression, enabled, api_token, retention_days, next_run_at, created_by, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name,
+        projectId,
+        environment,
+        JSON.stringify(commandIds),
+        parameterValues ? JSON.stringify(parameterValues) : null,
+        cronExpression,
+        enabled ? 1 : 0,
+        apiToken,
+        retentionDays,
+        nextRunAt,
+        createdBy,
+        createdBy
+      ]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * @param {Object} fields - Columns to change; apiToken is only updated when given
+   * @returns {boolean} Whether a schedule was updated
+   */
+  static async updateSchedule(id, { name, projectId, environment, commandIds, parameterValues = null, cronExpression, enabled, apiToken, retentionDays, nextRunAt, updatedBy = null }) {
+    const assignments = [
+      'name = ?', 'project_id = ?', 'environment = ?', 'command_ids = ?', 'parameter_values = ?',
+      'cron_expression = ?', 'enabled = ?', 'retention_days = ?', 'next_run_at = ?', 'updated_by = ?'
+    ];
+    const values = [
+      name,
+      projectId,
+      environment,
+      JSON.stringify(commandIds),
+      parameterValues ? JSON.stringify(parameterValues) : null,
+      cronExpression,
+      enabled ? 1 : 0,
+      retentionDays,
+      nextRunAt,
+      updatedBy
+    ];
+    if (apiToken) {
+      assignments.push('api_token = ?');
+      values.push(apiToken);
+    }
+
+    const [result] = await pool.query(
+      `UPDATE command_schedules SET ${assignments.join(', ')} WHERE id = ?`,
+      [...values, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async deleteSchedule(id) {
+    const [result] = await pool.query('DELETE FROM command_schedules WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  static async getSchedule(id) {
+    const [rows] = await pool.query('SELECT * FROM command_schedules WHERE id = ?', [id]);
+    return rows.length > 0 ? this.mapRow(rows[0]) : null;
+  }
+
+  static async listSchedules({ projectId = null, environment = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (projectId) {
+      conditions.push('project_id = ?');
+      params.push(projectId);
+    }
+    if (environment) {
+      conditions.push('environment = ?');
+      params.push(environment);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [rows] = await pool.query(`SELECT * FROM command_schedules ${where} ORDER BY project_id, environment, name`, params);
+    return rows.map(row => this.mapRow(row));
+  }
+
+  /**
+   * Enabled schedules whose next run is due, oldest first
+   */
+  static async getDueSchedules(now, limit) {
+    const [rows] = await pool.query(
+      `SELECT * FROM command_schedules
+       WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+       ORDER BY next_run_at ASC
+       LIMIT ?`,
+      [now, limit]
+    );
+    return rows.map(row => this.mapRow(row));
+  }
+
+  static async getEncryptedToken(id) {
+    const [rows] = await pool.query('SELECT api_token FROM command_schedules WHERE id = ?', [id]);
+    return rows[0]?.api_token || null;
+  }
+
+  /**
+   * Moves the next run forward, but only if no other worker already did
+   * @returns {boolean} Whether this call claimed the run
+   */
+  static async claimRun(id, dueAt, nextRunAt) {
+    const [result] = await pool.query(
+      'UPDATE command_schedules SET next_run_at = ? WHERE id = ? AND next_run_at = ?',
+      [nextRunAt, id, dueAt]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async recordRun(id, { lastRunAt, lastStatus, lastError = null }) {
+    await pool.query(
+      'UPDATE command_schedules SET last_run_at = ?, last_status = ?, last_error = ? WHERE id = ?',
+      [lastRunAt, lastStatus, lastError, id]
+    );
+  }
+
+  /**
+   * The encrypted token never leaves the DAO through mapRow
+   */
+  static mapRow(row) {
+    const parseJson = (value, fallback) => typeof value === 'string' ? JSON.parse(value) : (value ?? fallback);
+    return {
+      id: row.id,
+      name: row.name,
+      projectId: row.project_id,
+      environment: row.environment,
+      commandIds: parseJson(row.command_ids, []),
+      parameterValues: parseJson(row.parameter_values, {}),
+      cronExpression: row.cron_expression,
+      enabled: Boolean(row.enabled),
+      hasApiToken: Boolean(row.api_token),
+      retentionDays: row.retention_days,
+      nextRunAt: row.next_run_at,
+      lastRunAt: row.last_run_at,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
@@ -0,0 +1,89 @@
+// src/services/dao/commandSnapshotDao.js
+import { pool } from '../../config/database.js';
+
+const SUMMARY_COLUMNS = 'id, schedule_id, project_id, environment, status, command_ids, error, started_at, finished_at';
+
+export class CommandSnapshotDao {
+  static async createSnapshot({ scheduleId = null, projectId, environment, status, commandIds, results, error = null, startedAt, finishedAt }) {
+    const [result] = await pool.query(
+      `INSERT INTO command_snapshots
+         (schedule_id, project_id, environment, status, command_ids, results, error, started_at, finished_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [scheduleId, projectId, environment, status, JSON.stringify(commandIds), JSON.stringify(results), error, startedAt, finishedAt]
+    );
+    return result.insertId;
+  }
+
+  static async getSnapshot(id) {
+    const [rows] = await pool.query('SELECT * FROM command_snapshots WHERE id = ?', [id]);
+    return rows.length > 0 ? this.mapRow(rows[0]) : null;
+  }
+
+  /**
+   * Snapshots without their results, newest first
+   * @param {Object} filters - { scheduleId, projectId, environment, commandId, from, to, limit, offset }
+   */
+  static async listSnapshots({ scheduleId = null, projectId = null, environment = null, commandId = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (scheduleId) {
+      conditions.push('schedule_id = ?');
+      params.push(scheduleId);
+    }
+    if (projectId) {
+      conditions.push('project_id = ?');
+      params.push(projectId);
+    }
+    if (environment) {
+      conditions.push('environment = ?');
+      params.push(environment);
+    }
+    if (commandId) {
+      conditions.push('JSON_CONTAINS(command_ids, ?)');
+      params.push(JSON.stringify(commandId));
+    }
+    if (from) {
+      conditions.push('started_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('started_at <= ?');
+      params.push(to);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows] = await pool.query(
+      `SELECT ${SUMMARY_COLUMNS} FROM command_snapshots ${where} ORDER BY started_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM command_snapshots ${where}`, params);
+    return { snapshots: rows.map(row => this.mapRow(row)), total };
+  }
+
+  static async deleteSnapshotsBefore(scheduleId, before) {
+    const [result] = await pool.query(
+      'DELETE FROM command_snapshots WHERE schedule_id = ? AND started_at < ?',
+      [scheduleId, before]
+    );
+    return result.affectedRows;
+  }
+
+  static mapRow(row) {
+    const parseJson = (value, fallback) => typeof value === 'string' ? JSON.parse(value) : (value ?? fallback);
+    const snapshot = {
+      id: row.id,
+      scheduleId: row.schedule_id,
+      projectId: row.project_id,
+      environment: row.environment,
+      status: row.status,
+      commandIds: parseJson(row.command_ids, []),
+      error: row.error,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+    if (row.results !== undefined) {
+      snapshot.results = parseJson(row.results, []);
+    }
+    return snapshot;
+  }
+}
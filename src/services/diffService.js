@@ -0,0 +1,101 @@
+// src/services/diffService.js
+
+// Above this many LCS cells we stop computing a minimal diff and fall back to a
+// plain "everything removed / everything added" result to protect the event loop.
+const MAX_LCS_CELLS = 4000000;
+
+export class DiffService {
+    /**
+     * Splits a value into lines for diffing. Non-string values are serialized first.
+     * @param {*} value - Value to split
+     * @returns {Array<string>} - Lines
+     */
+    static toLines(value) {
+        if (value === null || value === undefined) return [];
+        const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        if (text.length === 0) return [];
+        return text.replace(/\r\n/g, '\n').split('\n');
+    }
+
+    /**
+     * Computes a line based diff between two texts using a longest common subsequence.
+     * @param {string} before - Original text
+     * @param {string} after - New text
+     * @returns {Object} - { lines: [{ type, text, oldLine, newLine }], added, removed, unchanged }
+     */
+    static diffLines(before, after) {
+        const a = this.toLines(before);
+        const b = this.toLines(after);
+        const lines = [];
+
+        if (a.length * b.length > MAX_LCS_CELLS) {
+            a.forEach((text, i) => lines.push({ type: 'removed', text, oldLine: i + 1, newLine: null }));
+            b.forEach((text, i) => lines.push({ type: 'added', text, oldLine: null, newLine: i + 1 }));
+            return this.summarize(lines);
+        }
+
+        // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'unchanged', text: a[i], oldLine: i + 1, newLine: j + 1 });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                lines.push({ type: 'removed', text: a[i], oldLine: i + 1, newLine: null });
+                i++;
+            } else {
+                lines.push({ type: 'added', text: b[j], oldLine: null, newLine: j + 1 });
+                j++;
+            }
+        }
+        while (i < a.length) {
+            lines.push({ type: 'removed', text: a[i], oldLine: i + 1, newLine: null });
+            i++;
+        }
+        while (j < b.length) {
+            lines.push({ type: 'added', text: b[j], oldLine: null, newLine: j + 1 });
+            j++;
+        }
+
+        return this.summarize(lines);
+    }
+
+    /**
+     * Compares two records field by field. Text fields get a line diff, other fields before/after values.
+     * @param {Object} before - Old record
+     * @param {Object} after - New record
+     * @param {Array<string>} fields - Fields to compare
+     * @param {Array<string>} [textFields] - Fields diffed line by line
+     * @returns {Array<Object>} - [{ field, type: 'text', diff }] or [{ field, type: 'value', before, after }]
+     */
+    static diffFields(before, after, fields, textFields = []) {
+        return fields
+            .filter(field => before[field] !== after[field])
+            .map(field => {
+                if (textFields.includes(field)) {
+                    return { field, type: 'text', diff: this.diffLines(before[field], after[field]) };
+                }
+                return { field, type: 'value', before: before[field], after: after[field] };
+            });
+    }
+
+    static summarize(lines) {
+        return {
+            lines,
+            added: lines.filter(l => l.type === 'added').length,
+            removed: lines.filter(l => l.type === 'removed').length,
+            unchanged: lines.filter(l => l.type === 'unchanged').length
+        };
+    }
+}
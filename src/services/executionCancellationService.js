@@ -0,0 +1,281 @@
+// src/services/executionCancellationService.js
+import { spawn } from 'child_process';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger.js';
+
+export const CANCELLED_STATUS = 'CANCELLED';
+export const TIMEOUT_STATUS = 'TIMEOUT';
+const CANCELLED_MESSAGE = 'Execution cancelled';
+const DEFAULT_MAX_BUFFER = 10 * 1024 * 1024;
+
+export function cancelledError() {
+    const error = new Error(CANCELLED_MESSAGE);
+    error.code = 'EXECUTION_CANCELLED';
+    return error;
+}
+
+export function timeoutError(timeoutMs) {
+    const error = new Error(`Timed out after ${timeoutMs / 1000}s`);
+    error.code = 'EXECUTION_TIMEOUT';
+    error.timeoutMs = timeoutMs;
+    return error;
+}
+
+/**
+ * Signal that aborts when the parent signal aborts or once timeoutMs have passed. A timeout
+ * aborts it with a timeoutError as reason, so failureResult() reports TIMEOUT instead of CANCELLED.
+ * @param {AbortSignal} [parent] - Execution signal (see ExecutionCancellationService)
+ * @param {number} [timeoutMs] - No timer when empty
+ * @returns {Object} - { signal, timedOut(), clear() }; call clear() once the work is done
+ */
+export function withTimeout(parent, timeoutMs) {
+    if (!timeoutMs) {
+        return { signal: parent, timedOut: () => false, clear: () => {} };
+    }
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(parent.reason);
+    const timer = setTimeout(() => controller.abort(timeoutError(timeoutMs)), timeoutMs);
+    if (parent?.aborted) {
+        onAbort();
+    } else {
+        parent?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+        signal: controller.signal,
+        timedOut: () => controller.signal.aborted && controller.signal.reason?.code === 'EXECUTION_TIMEOUT',
+        clear: () => {
+            clearTimeout(timer);
+            parent?.removeEventListener('abort', onAbort);
+        }
+    };
+}
+
+export function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw cancelledError();
+    }
+}
+
+/**
+ * Result fields for a command that failed. Anything that fails after the signal was aborted
+ * (killed process, destroyed socket, ...) is reported as cancelled rather than as an error,
+ * or as timed out when a withTimeout() timer aborted it.
+ * @returns {Object} - { error, status }
+ */
+export function failureResult(error, signal) {
+    const timeout = signal?.aborted && signal.reason?.code === 'EXECUTION_TIMEOUT'
+        ? signal.reason
+        : error?.code === 'EXECUTION_TIMEOUT' ? error : null;
+    if (timeout) {
+        return { error: timeout.message, status: TIMEOUT_STATUS };
+    }
+    return signal?.aborted
+        ? { error: CANCELLED_MESSAGE, status: CANCELLED_STATUS }
+        : { error: error.message, status: 'ERROR' };
+}
+
+/**
+ * Spawns a shell command line. With a signal the shell gets its own process group, which is
+ * killed as a whole on abort so the ssh/mysql processes started by magento-cloud stop too.
+ * @param {string} commandLine - Shell command line
+ * @param {Object} options - { env, signal }
+ * @returns {ChildProcess}
+ */
+export function spawnCancellable(commandLine, { env, signal } = {}) {
+    const child = spawn(commandLine, { shell: true, env, detached: Boolean(signal) });
+    if (!signal) return child;
+
+    const kill = () => {
+        try {
+            process.kill(-child.pid, 'SIGTERM');
+        } catch (error) {
+            // The group is already gone or was never created
+            child.kill('SIGTERM');
+        }
+    };
+
+    if (signal.aborted) {
+        kill();
+    } else {
+        signal.addEventListener('abort', kill, { once: true });
+        child.once('close', () => signal.removeEventListener('abort', kill));
+    }
+    return child;
+}
+
+/**
+ * Promise flavour of spawnCancellable that buffers the output like exec()
+ * @param {string} commandLine - Shell command line
+ * @param {Object} options - { env, signal, maxBuffer }
+ * @returns {Promise<Object>} - { stdout, stderr }; rejects with code, stdout and stderr attached,
+ *                              or with code EXECUTION_CANCELLED when the signal aborted it
+ */
+export function execCancellable(commandLine, { env, signal, maxBuffer = DEFAULT_MAX_BUFFER } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(cancelledError());
+            return;
+        }
+
+        const child = spawnCancellable(commandLine, { env, signal });
+        const output = { stdout: '', stderr: '' };
+        let overflow = false;
+
+        const collect = (stream) => (data) => {
+            output[stream] += data.toString();
+            if (!overflow && output[stream].length > maxBuffer) {
+                overflow = true;
+                child.kill('SIGTERM');
+            }
+        };
+
+        child.stdout.on('data', collect('stdout'));
+        child.stderr.on('data', collect('stderr'));
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code === 0 && !overflow) {
+                resolve(output);
+                return;
+            }
+
+            const error = signal?.aborted
+                ? cancelledError()
+                : new Error(overflow
+                    ? `Output exceeded ${maxBuffer} bytes`
+                    : `Command failed: ${commandLine}\n${output.stderr}`);
+            if (!signal?.aborted) error.code = overflow ? 'OUTPUT_LIMIT_EXCEEDED' : code;
+            error.stdout = output.stdout;
+            error.stderr = output.stderr;
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Keeps the catalog executions that are in flight for each browser tab, so a tab can cancel
+ * them when the engineer switches project or closes the tab. Every execution owns an
+ * AbortController whose signal is handed down to the service handlers.
+ */
+class ExecutionCancellationService {
+    constructor() {
+        this.executions = new Map(); // Map<tabId, Set<execution>>
+    }
+
+    /**
+     * Registers an execution for a tab
+     * @param {string} tabId - Tab that started the execution
+     * @param {Object} details - { userId, projectId, environment }
+     * @returns {Object|null} - Execution with its signal; null without a tabId, as nothing could cancel it
+     */
+    begin(tabId, { userId, projectId, environment }) {
+        if (!tabId) return null;
+
+        const controller = new AbortController();
+        const execution = {
+            id: uuidv4(),
+            tabId,
+            userId,
+            projectId,
+            environment,
+            controller,
+            signal: controller.signal,
+            startedAt: Date.now(),
+            commands: new Map() // Map<commandId, { id, title, serviceType, startedNodes, finishedNodes, settled }>
+        };
+
+        if (!this.executions.has(tabId)) {
+            this.executions.set(tabId, new Set());
+        }
+        this.executions.get(tabId).add(execution);
+        return execution;
+    }
+
+    end(execution) {
+        if (!execution) return;
+        const executions = this.executions.get(execution.tabId);
+        if (!executions) return;
+
+        executions.delete(execution);
+        if (executions.size === 0) {
+            this.executions.delete(execution.tabId);
+        }
+    }
+
+    track(execution, serviceType, commands) {
+        if (!execution) return;
+        commands.forEach(cmd => {
+            if (execution.commands.has(cmd.id)) return;
+            execution.commands.set(cmd.id, {
+                id: cmd.id,
+                title: cmd.title,
+                serviceType,
+                startedNodes: new Set(),
+                finishedNodes: new Set(),
+                settled: false
+            });
+        });
+    }
+
+    commandStarted(execution, commandId, nodeId) {
+        execution.commands.get(commandId)?.startedNodes.add(nodeId);
+    }
+
+    commandFinished(execution, commandId, nodeId, status) {
+        const command = execution.commands.get(commandId);
+        if (!command || status === CANCELLED_STATUS) return;
+        command.startedNodes.add(nodeId);
+        command.finishedNodes.add(nodeId);
+    }
+
+    /**
+     * Marks the commands of a service as done once its handler returned
+     */
+    settle(execution, commandIds) {
+        if (!execution || execution.signal.aborted) return;
+        commandIds.forEach(id => {
+            const command = execution.commands.get(id);
+            if (command) command.settled = true;
+        });
+    }
+
+    /**
+     * Aborts every execution of a tab
+     * @param {string} tabId - Tab whose executions are cancelled
+     * @param {string} [userId] - When given, only executions started by this user are cancelled
+     * @returns {Object} - { tabId, executions, cancelled: [{ id, title, serviceType }], completed: [...] }
+     */
+    cancel(tabId, userId = null) {
+        const executions = [...(this.executions.get(tabId) || [])]
+            .filter(execution => !userId || String(execution.userId) === String(userId))
+            .filter(execution => !execution.signal.aborted);
+
+        const report = { tabId, executions: executions.length, cancelled: [], completed: [] };
+
+        executions.forEach(execution => {
+            execution.commands.forEach(command => {
+                const done = command.settled || (command.finishedNodes.size > 0
+                    && [...command.startedNodes].every(nodeId => command.finishedNodes.has(nodeId)));
+                const summary = { id: command.id, title: command.title, serviceType: command.serviceType };
+                (done ? report.completed : report.cancelled).push(summary);
+            });
+
+            execution.controller.abort();
+        });
+
+        if (executions.length > 0) {
+            logger.info('Cancelled in-flight executions for tab', {
+                tabId,
+                userId,
+                executions: executions.length,
+                cancelledCommands: report.cancelled.map(command => command.id),
+                completedCommands: report.completed.map(command => command.id)
+            });
+        }
+
+        return report;
+    }
+}
+
+export const executionCancellation = new ExecutionCancellationService();
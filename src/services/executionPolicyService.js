@@ -0,0 +1,291 @@
+// src/services/executionPolicyService.js
+import { logger } from './logger.js';
+import { cancelledError, throwIfCancelled, timeoutError, withTimeout } from './executionCancellationService.js';
+
+export const BACKOFF_STRATEGIES = ['fixed', 'exponential'];
+
+export const DEFAULT_EXECUTION_POLICY = {
+    timeoutMs: parseInt(process.env.COMMAND_DEFAULT_TIMEOUT_MS || '120000'),
+    retries: 0,
+    backoff: 'exponential',
+    backoffMs: 1000,
+    maxOutputBytes: parseInt(process.env.COMMAND_DEFAULT_MAX_OUTPUT_BYTES || String(10 * 1024 * 1024)),
+    parallelism: null, // unlimited
+    cacheTtlSeconds: parseInt(process.env.COMMAND_DEFAULT_CACHE_TTL_SECONDS || '120')
+};
+
+// Allowed range of every numeric setting; stored values outside it are clamped
+const LIMITS = {
+    timeoutMs: [1000, 60 * 60 * 1000],
+    retries: [0, 5],
+    backoffMs: [0, 60 * 1000],
+    maxOutputBytes: [1024, 100 * 1024 * 1024],
+    parallelism: [1, 50],
+    cacheTtlSeconds: [0, 24 * 60 * 60]
+};
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Map<commandId, { active, limit, waiters: [resolve] }>, shared by every execution in this process
+const semaphores = new Map();
+
+/**
+ * Execution policy of a catalog command, stored as JSON in commands.execution_policy:
+ *   { timeoutMs: 30000, retries: 2, backoff: 'exponential', backoffMs: 1000,
+ *     maxOutputBytes: 1048576, parallelism: 1, cacheTtlSeconds: 300 }
+ * Missing settings take DEFAULT_EXECUTION_POLICY. parallelism caps how many executions of the
+ * command may run at once across all users (null for no cap). cacheTtlSeconds is how long
+ * dashboard loads reuse a result (see CommandResultCacheService); 0 always runs the command.
+ */
+export class ExecutionPolicyService {
+    /**
+     * @param {Object|string|null} policy - Policy submitted with a command
+     * @returns {Array<string>} - Validation errors (empty when valid)
+     */
+    validate(policy) {
+        if (policy === null || policy === undefined) return [];
+        if (typeof policy !== 'object' || Array.isArray(policy)) {
+            return ['Execution policy must be an object'];
+        }
+
+        const errors = [];
+        Object.keys(policy)
+            .filter(key => !(key in DEFAULT_EXECUTION_POLICY))
+            .forEach(key => errors.push(`Unknown execution policy setting "${key}"`));
+
+        Object.entries(LIMITS).forEach(([key, [min, max]]) => {
+            const value = policy[key];
+            if (value === undefined || (key === 'parallelism' && value === null)) return;
+            if (!Number.isInteger(value) || value < min || value > max) {
+                errors.push(`${key} must be an integer between ${min} and ${max}`);
+            }
+        });
+        if (policy.backoff !== undefined && !BACKOFF_STRATEGIES.includes(policy.backoff)) {
+            errors.push(`backoff must be one of: ${BACKOFF_STRATEGIES.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Effective policy of a command: the stored settings over the defaults, clamped to LIMITS
+     * so policies sent straight to the service endpoints cannot lift them
+     * @param {Object} command - Command row (execution_policy) or handler payload (executionPolicy)
+     * @returns {Object}
+     */
+    resolve(command) {
+        let stored = command?.executionPolicy ?? command?.execution_policy ?? null;
+        if (typeof stored === 'string') {
+            try {
+                stored = JSON.parse(stored);
+            } catch (error) {
+                logger.warn('Invalid execution policy stored for command', { commandId: command.id });
+                stored = null;
+            }
+        }
+
+        const policy = { ...DEFAULT_EXECUTION_POLICY };
+        if (stored && typeof stored === 'object') {
+            Object.entries(LIMITS).forEach(([key, [min, max]]) => {
+                const value = Number(stored[key]);
+                if (stored[key] !== undefined && stored[key] !== null && Number.isFinite(value)) {
+                    policy[key] = Math.min(Math.max(Math.round(value), min), max);
+                }
+            });
+            if (BACKOFF_STRATEGIES.includes(stored.backoff)) {
+                policy.backoff = stored.backoff;
+            }
+        }
+        return policy;
+    }
+
+    /**
+     * Policy of one command of a handler call
+     * @param {Object} [policies] - { [commandId]: policy } passed down in the execution context
+     * @param {number} commandId
+     */
+    policyFor(policies, commandId) {
+        return policies?.[commandId] || this.resolve(null);
+    }
+
+    /**
+     * Policy for work that runs several commands in one process (an SSH script, a Redis pipeline):
+     * the timeouts add up, the other settings take the most permissive value
+     */
+    combine(policies) {
+        if (policies.length === 0) return { ...DEFAULT_EXECUTION_POLICY };
+        const mostRetries = policies.reduce((a, b) => (b.retries > a.retries ? b : a));
+        return {
+            timeoutMs: policies.reduce((total, policy) => total + policy.timeoutMs, 0),
+            retries: mostRetries.retries,
+            backoff: mostRetries.backoff,
+            backoffMs: mostRetries.backoffMs,
+            maxOutputBytes: policies.reduce((total, policy) => total + policy.maxOutputBytes, 0),
+            parallelism: null,
+            cacheTtlSeconds: 0
+        };
+    }
+
+    backoffDelay(policy, attempt) {
+        const delay = policy.backoff === 'exponential' ? policy.backoffMs * 2 ** (attempt - 1) : policy.backoffMs;
+        return Math.min(delay, MAX_BACKOFF_MS);
+    }
+
+    /**
+     * Runs an attempt under the policy's timeout and retries it with backoff
+     * @param {Object} policy - Resolved policy
+     * @param {AbortSignal} [signal] - Execution signal; cancellation is never retried
+     * @param {Function} attempt - async (signal, attemptNumber) => result; gets a signal that
+     *                             also aborts on timeout
+     * @param {Object} [options] - { shouldRetry(error, attemptNumber), onRetry(error, attemptNumber, delay) }
+     * @returns {Promise<*>} - Rejects with the last error; a timeout rejects with code EXECUTION_TIMEOUT
+     *                         and the stdout/stderr collected until then
+     */
+    async run(policy, signal, attempt, { shouldRetry = () => true, onRetry = () => {} } = {}) {
+        const attempts = policy.retries + 1;
+        for (let number = 1; ; number++) {
+            throwIfCancelled(signal);
+            const timer = withTimeout(signal, policy.timeoutMs);
+            try {
+                return await attempt(timer.signal, number);
+            } catch (caught) {
+                let error = caught;
+                if (timer.timedOut()) {
+                    // Keep what the killed process printed, e.g. the commands an SSH script finished
+                    error = timeoutError(policy.timeoutMs);
+                    error.stdout = caught?.stdout;
+                    error.stderr = caught?.stderr;
+                }
+                timer.clear();
+                if (signal?.aborted || number >= attempts || !shouldRetry(error, number)) {
+                    throw error;
+                }
+                const delay = this.backoffDelay(policy, number);
+                onRetry(error, number, delay);
+                await this.sleep(delay, signal);
+            } finally {
+                timer.clear();
+            }
+        }
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(cancelledError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Waits for a free execution slot of every command that has a parallelism cap. Slots are
+     * taken in command id order, so two batches can never hold a slot the other waits for.
+     * @param {Array<Object>} commands - Commands with an id and a resolved or stored policy
+     * @param {AbortSignal} [signal] - Stops waiting when aborted
+     * @returns {Promise<Function>} - Releases the slots
+     */
+    async acquireSlots(commands, signal) {
+        const capped = commands
+            .map(cmd => ({ id: cmd.id, limit: this.resolve(cmd).parallelism }))
+            .filter(cmd => cmd.limit)
+            .sort((a, b) => a.id - b.id);
+
+        const held = [];
+        const release = () => held.splice(0).forEach(id => this.releaseSlot(id));
+        try {
+            for (const { id, limit } of capped) {
+                await this.acquireSlot(id, limit, signal);
+                held.push(id);
+            }
+        } catch (error) {
+            release();
+            throw error;
+        }
+        return release;
+    }
+
+    acquireSlot(commandId, limit, signal) {
+        if (!semaphores.has(commandId)) {
+            semaphores.set(commandId, { active: 0, waiters: [] });
+        }
+        const semaphore = semaphores.get(commandId);
+        semaphore.limit = limit;
+
+        if (semaphore.active < limit) {
+            semaphore.active++;
+            return Promise.resolve();
+        }
+
+        logger.debug('Waiting for a command execution slot', { commandId, limit, active: semaphore.active });
+        return new Promise((resolve, reject) => {
+            const waiter = () => {
+                signal?.removeEventListener('abort', onAbort);
+                semaphore.active++;
+                resolve();
+            };
+            const onAbort = () => {
+                semaphore.waiters = semaphore.waiters.filter(other => other !== waiter);
+                reject(cancelledError());
+            };
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+            semaphore.waiters.push(waiter);
+        });
+    }
+
+    releaseSlot(commandId) {
+        const semaphore = semaphores.get(commandId);
+        if (!semaphore) return;
+        semaphore.active--;
+        while (semaphore.waiters.length > 0 && semaphore.active < semaphore.limit) {
+            semaphore.waiters.shift()();
+        }
+        if (semaphore.active === 0 && semaphore.waiters.length === 0) {
+            semaphores.delete(commandId);
+        }
+    }
+
+    /**
+     * Cuts node outputs down to the command's maxOutputBytes. Text keeps its beginning, row sets
+     * keep their first rows; the node result is flagged with `truncated`.
+     * @param {Object} nodeResult - { output, ... }
+     * @param {Object} policy - Resolved policy
+     * @returns {Object} - The node result
+     */
+    limitOutput(nodeResult, policy) {
+        const { output } = nodeResult;
+        if (output === null || output === undefined) return nodeResult;
+        const limit = policy.maxOutputBytes;
+
+        if (typeof output === 'string') {
+            if (Buffer.byteLength(output) <= limit) return nodeResult;
+            nodeResult.output = Buffer.from(output).subarray(0, limit).toString().replace(/\uFFFD+$/, '');
+        } else {
+            const size = Buffer.byteLength(JSON.stringify(output));
+            if (size <= limit) return nodeResult;
+            if (Array.isArray(output)) {
+                let bytes = 2;
+                let count = 0;
+                while (count < output.length && bytes + Buffer.byteLength(JSON.stringify(output[count])) + 1 <= limit) {
+                    bytes += Buffer.byteLength(JSON.stringify(output[count])) + 1;
+                    count++;
+                }
+                nodeResult.output = output.slice(0, count);
+            } else {
+                nodeResult.output = Buffer.from(JSON.stringify(output)).subarray(0, limit).toString();
+            }
+        }
+
+        nodeResult.truncated = true;
+        nodeResult.truncatedAt = limit;
+        return nodeResult;
+    }
+}
@@ -0,0 +1,150 @@
+// src/services/executionReporter.js
+import { WebSocketService } from './webSocketService.js';
+import { logger } from './logger.js';
+import { executionCancellation } from './executionCancellationService.js';
+import { RedactionService } from './redactionService.js';
+
+// Output chunks are batched so a chatty command does not send one WebSocket frame per line
+const CHUNK_FLUSH_MS = 100;
+const CHUNK_MAX_BYTES = 16 * 1024;
+
+/**
+ * Streams per-command, per-node progress of a catalog run to the tab that started it:
+ *   command_started      { serviceType, commandId, nodeId }
+ *   command_output_chunk { serviceType, commandId, nodeId, stream, chunk, seq }
+ *   command_finished     { serviceType, commandId, nodeId, status, durationMs, output, error }
+ * Without a tabId every call is a no-op, so services can report unconditionally.
+ * With an execution, command progress is also recorded for cancellation reports.
+ * Chunks and outcomes are redacted (see RedactionService) unless redact is false; chunks are
+ * sent in whole lines so a secret is never split across two of them.
+ */
+export class ExecutionReporter {
+    /**
+     * @param {Object} options - { tabId, serviceType, projectId, environment, execution, redact }
+     */
+    constructor({ tabId = null, serviceType = null, projectId = null, environment = null, execution = null, redact = true } = {}) {
+        this.tabId = tabId;
+        this.redaction = redact ? new RedactionService() : null;
+        this.execution = execution;
+        this.serviceType = serviceType;
+        this.projectId = projectId;
+        this.environment = environment;
+        this.runs = new Map(); // Map<`${commandId}:${nodeId}`, { startedAt, finished, seq, buffer, stream, timer }>
+    }
+
+    get enabled() {
+        return Boolean(this.tabId);
+    }
+
+    started(commandId, nodeId) {
+        if (this.execution) executionCancellation.commandStarted(this.execution, commandId, nodeId);
+        if (!this.enabled) return;
+        const run = this.getRun(commandId, nodeId);
+        if (run.startedAt) return;
+
+        run.startedAt = Date.now();
+        this.send({ type: 'command_started', commandId, nodeId });
+    }
+
+    chunk(commandId, nodeId, text, stream = 'stdout') {
+        if (!this.enabled || !text) return;
+        const run = this.getRun(commandId, nodeId);
+        if (run.finished) return;
+
+        if (run.buffer && run.stream !== stream) {
+            this.flush(commandId, nodeId, true);
+        }
+        run.stream = stream;
+        run.buffer += text;
+
+        if (Buffer.byteLength(run.buffer) >= CHUNK_MAX_BYTES) {
+            this.flush(commandId, nodeId, true);
+        } else if (!run.timer) {
+            run.timer = setTimeout(() => this.flush(commandId, nodeId), CHUNK_FLUSH_MS);
+        }
+    }
+
+    /**
+     * Reports the outcome of a command on a node. Only the first call per command and node is sent.
+     * @param {Object} result - { status, output, error }
+     */
+    finished(commandId, nodeId, { status, output = null, error = null }) {
+        if (this.execution) executionCancellation.commandFinished(this.execution, commandId, nodeId, status);
+        if (!this.enabled) return;
+        const run = this.getRun(commandId, nodeId);
+        if (run.finished) return;
+
+        this.flush(commandId, nodeId, true);
+        run.finished = true;
+        this.send({
+            type: 'command_finished',
+            commandId,
+            nodeId,
+            status,
+            durationMs: run.startedAt ? Date.now() - run.startedAt : null,
+            output: this.redaction ? this.redaction.redactValue(output) : output,
+            error: this.redaction ? this.redaction.redactValue(error) : error
+        });
+    }
+
+    /**
+     * @param {boolean} [force] - Also send a trailing partial line; otherwise it waits for the rest
+     *                            of the line when redacting
+     */
+    flush(commandId, nodeId, force = false) {
+        const run = this.getRun(commandId, nodeId);
+        clearTimeout(run.timer);
+        run.timer = null;
+        if (!run.buffer) return;
+
+        let chunk = run.buffer;
+        run.buffer = '';
+        if (this.redaction && !force) {
+            const lineEnd = chunk.lastIndexOf('\n') + 1;
+            if (lineEnd === 0) {
+                run.buffer = chunk;
+                run.timer = setTimeout(() => this.flush(commandId, nodeId, true), CHUNK_FLUSH_MS);
+                return;
+            }
+            run.buffer = chunk.slice(lineEnd);
+            chunk = chunk.slice(0, lineEnd);
+        }
+
+        this.send({
+            type: 'command_output_chunk',
+            commandId,
+            nodeId,
+            stream: run.stream,
+            chunk: this.redaction ? this.redaction.redactText(chunk) : chunk,
+            seq: run.seq++
+        });
+        if (run.buffer && !run.timer) {
+            run.timer = setTimeout(() => this.flush(commandId, nodeId, true), CHUNK_FLUSH_MS);
+        }
+    }
+
+    getRun(commandId, nodeId) {
+        const key = `${commandId}:${nodeId}`;
+        if (!this.runs.has(key)) {
+            this.runs.set(key, { startedAt: null, finished: false, seq: 0, buffer: '', stream: 'stdout', timer: null });
+        }
+        return this.runs.get(key);
+    }
+
+    send(message) {
+        try {
+            WebSocketService.broadcastToTab({
+                ...message,
+                serviceType: this.serviceType,
+                projectId: this.projectId,
+                environment: this.environment
+            }, this.tabId);
+        } catch (error) {
+            logger.error('Failed to send execution progress message:', {
+                error: error.message,
+                type: message.type,
+                tabId: this.tabId
+            });
+        }
+    }
+}
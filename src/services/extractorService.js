@@ -0,0 +1,356 @@
+// src/services/extractorService.js
+import { logger } from './logger.js';
+
+export const EXTRACTOR_TYPES = ['regex', 'json_path', 'table', 'key_value'];
+export const VALUE_TYPES = ['number', 'integer', 'bytes', 'boolean', 'string', 'auto'];
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_EXTRACTORS = 20;
+// Values one extractor may produce from one output (e.g. one per mount point or queue)
+const MAX_VALUES_PER_OUTPUT = 200;
+const BYTE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4, p: 1024 ** 5 };
+const TRUE_VALUES = ['true', 'yes', 'on', '1', 'enabled', 'ok', 'green'];
+const FALSE_VALUES = ['false', 'no', 'off', '0', 'disabled', 'red'];
+
+/**
+ * Turns raw command output into typed values. Extractors are declared per command:
+ *   { name: 'disk_used_pct', type: 'table', column: 'Use%', labelColumns: ['Mounted'], valueType: 'number', unit: '%' }
+ *   { name: 'backlog', type: 'regex', pattern: '(?<queue>\\S+)\\s+(?<value>\\d+)', all: true, valueType: 'integer' }
+ *   { name: 'used_memory', type: 'key_value', key: 'used_memory', valueType: 'bytes' }
+ *   { name: 'active_shards', type: 'json_path', path: 'active_shards_percent_as_number' }
+ * Named regex groups other than `value` and table labelColumns become labels on the value.
+ */
+export class ExtractorService {
+    /**
+     * Parses the stored extractor definitions of a command
+     * @param {Object} command - Command row (as returned by CommandService.mapRow)
+     * @returns {Array<Object>}
+     */
+    getDefinitions(command) {
+        const extractors = command?.extractors;
+        if (!extractors) return [];
+        if (typeof extractors === 'string') {
+            try {
+                return JSON.parse(extractors) || [];
+            } catch (error) {
+                logger.warn('Invalid extractor definitions stored for command', { commandId: command.id });
+                return [];
+            }
+        }
+        return Array.isArray(extractors) ? extractors : [];
+    }
+
+    /**
+     * Validates extractor definitions submitted with a command
+     * @param {Array<Object>} definitions - [{ name, type, valueType, unit, required, ...type specific }]
+     * @returns {Array<string>} - Validation errors (empty when valid)
+     */
+    validateDefinitions(definitions) {
+        if (definitions === null || definitions === undefined) return [];
+        if (!Array.isArray(definitions)) {
+            return ['Extractors must be an array'];
+        }
+        if (definitions.length > MAX_EXTRACTORS) {
+            return [`A command can have at most ${MAX_EXTRACTORS} extractors`];
+        }
+
+        const errors = [];
+        const names = new Set();
+        definitions.forEach((definition, index) => {
+            const label = `Extractor ${index + 1}${definition?.name ? ` (${definition.name})` : ''}`;
+            if (!definition || typeof definition !== 'object') {
+                errors.push(`${label}: must be an object`);
+                return;
+            }
+            if (!NAME_PATTERN.test(definition.name || '')) {
+                errors.push(`${label}: name must start with a letter or underscore and contain only letters, digits and underscores`);
+            } else if (names.has(definition.name)) {
+                errors.push(`${label}: duplicate extractor name "${definition.name}"`);
+            }
+            names.add(definition.name);
+
+            if (!EXTRACTOR_TYPES.includes(definition.type)) {
+                errors.push(`${label}: type must be one of ${EXTRACTOR_TYPES.join(', ')}`);
+            }
+            if (definition.valueType !== undefined && !VALUE_TYPES.includes(definition.valueType)) {
+                errors.push(`${label}: valueType must be one of ${VALUE_TYPES.join(', ')}`);
+            }
+            if (definition.unit !== undefined && typeof definition.unit !== 'string') {
+                errors.push(`${label}: unit must be a string`);
+            }
+
+            switch (definition.type) {
+                case 'regex':
+                    if (!definition.pattern || typeof definition.pattern !== 'string') {
+                        errors.push(`${label}: regex extractors need a pattern`);
+                    } else {
+                        try {
+                            new RegExp(definition.pattern, 'm');
+                        } catch (error) {
+                            errors.push(`${label}: pattern is not a valid regular expression`);
+                        }
+                    }
+                    if (definition.group !== undefined
+                        && !(Number.isInteger(definition.group) && definition.group >= 0)
+                        && !(typeof definition.group === 'string' && NAME_PATTERN.test(definition.group))) {
+                        errors.push(`${label}: group must be a group number or name`);
+                    }
+                    break;
+                case 'json_path':
+                    if (!definition.path || typeof definition.path !== 'string') {
+                        errors.push(`${label}: json_path extractors need a path such as "nodes.*.heap_used_percent"`);
+                    }
+                    break;
+                case 'table':
+                    if (!definition.column || typeof definition.column !== 'string') {
+                        errors.push(`${label}: table extractors need the column to read`);
+                    }
+                    if (definition.labelColumns !== undefined
+                        && (!Array.isArray(definition.labelColumns) || definition.labelColumns.some(column => typeof column !== 'string'))) {
+                        errors.push(`${label}: labelColumns must be an array of column names`);
+                    }
+                    break;
+                case 'key_value':
+                    if (!definition.key && !definition.keyPattern) {
+                        errors.push(`${label}: key_value extractors need a key or a keyPattern`);
+                    }
+                    if (definition.keyPattern) {
+                        try {
+                            new RegExp(definition.keyPattern);
+                        } catch (error) {
+                            errors.push(`${label}: keyPattern is not a valid regular expression`);
+                        }
+                    }
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Runs every extractor of a command over one node's output
+     * @param {Array<Object>} definitions - Extractor definitions
+     * @param {*} output - Raw output (text, JSON text, SQL rows, parsed JSON)
+     * @returns {Object} - { values: [{ name, value, valueType, unit, labels }], errors }
+     */
+    extractAll(definitions, output) {
+        const values = [];
+        const errors = [];
+
+        definitions.forEach(definition => {
+            try {
+                const extracted = this.extract(definition, output);
+                if (extracted.length === 0 && definition.required) {
+                    errors.push(`${definition.name}: no value found`);
+                }
+                values.push(...extracted.map(item => ({
+                    name: definition.name,
+                    value: item.value,
+                    valueType: definition.valueType || 'number',
+                    unit: definition.unit || null,
+                    labels: item.labels
+                })));
+            } catch (error) {
+                errors.push(`${definition.name}: ${error.message}`);
+            }
+        });
+
+        return { values, errors };
+    }
+
+    /**
+     * Runs one extractor over an output
+     * @returns {Array<Object>} - [{ value, labels }], values converted to the extractor's valueType;
+     *                            raw values that do not convert are dropped
+     */
+    extract(definition, output) {
+        if (output === null || output === undefined) return [];
+
+        let raw;
+        switch (definition.type) {
+            case 'regex':
+                raw = this.extractRegex(definition, this.asText(output));
+                break;
+            case 'json_path':
+                raw = this.extractJsonPath(definition, output);
+                break;
+            case 'table':
+                raw = this.extractTable(definition, output);
+                break;
+            case 'key_value':
+                raw = this.extractKeyValue(definition, this.asText(output));
+                break;
+            default:
+                throw new Error(`Unknown extractor type "${definition.type}"`);
+        }
+
+        return raw.slice(0, MAX_VALUES_PER_OUTPUT)
+            .map(item => ({ ...item, value: this.convert(item.value, definition.valueType || 'number') }))
+            .filter(item => item.value !== null);
+    }
+
+    asText(output) {
+        return typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+    }
+
+    extractRegex(definition, text) {
+        const pattern = new RegExp(definition.pattern, definition.all ? 'gm' : 'm');
+        const matches = definition.all ? [...text.matchAll(pattern)] : [text.match(pattern)].filter(Boolean);
+
+        return matches.map(match => {
+            const groups = match.groups || {};
+            let group = definition.group;
+            if (group === undefined) {
+                group = 'value' in groups ? 'value' : (match.length > 1 ? 1 : 0);
+            }
+            const value = typeof group === 'string' ? groups[group] : match[group];
+            const labels = Object.fromEntries(Object.entries(groups).filter(([name]) => name !== group && name !== 'value'));
+            return { value, labels };
+        }).filter(item => item.value !== undefined);
+    }
+
+    extractJsonPath(definition, output) {
+        let data = output;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                return [];
+            }
+        }
+
+        return this.walkPath([{ value: data, labels: {} }], definition.path.split('.'))
+            .filter(item => item.value !== null && item.value !== undefined && typeof item.value !== 'object');
+    }
+
+    /**
+     * Follows a dotted path; `*` matches every array item or object property and records
+     * which one in the labels (key, key2, ...)
+     */
+    walkPath(items, segments, depth = 0) {
+        if (segments.length === 0) return items;
+        const [segment, ...rest] = segments;
+        const next = items.flatMap(({ value, labels }) => {
+            if (value === null || typeof value !== 'object') return [];
+            if (segment === '*') {
+                const label = depth === 0 ? 'key' : `key${depth + 1}`;
+                const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+                return entries.map(([key, item]) => ({ value: item, labels: { ...labels, [label]: String(key) } }));
+            }
+            return value[segment] === undefined ? [] : [{ value: value[segment], labels }];
+        });
+        return this.walkPath(next, rest, depth + (segment === '*' ? 1 : 0));
+    }
+
+    /**
+     * Reads a column from SQL rows or from a text table with a header line (_cat APIs, df, ...)
+     */
+    extractTable(definition, output) {
+        const rows = this.parseTable(output, definition.delimiter);
+        const labelColumns = definition.labelColumns || [];
+
+        return rows
+            .filter(row => !definition.where || Object.entries(definition.where).every(([column, expected]) =>
+                String(row[column]) === String(expected)
+            ))
+            .map(row => ({
+                value: row[definition.column],
+                labels: Object.fromEntries(labelColumns.map(column => [column, row[column] ?? null]))
+            }))
+            .filter(item => item.value !== undefined);
+    }
+
+    parseTable(output, delimiter) {
+        if (Array.isArray(output)) {
+            return output.filter(row => row && typeof row === 'object');
+        }
+        if (typeof output === 'string' && /^\s*\[/.test(output)) {
+            try {
+                const parsed = JSON.parse(output);
+                if (Array.isArray(parsed)) return this.parseTable(parsed);
+            } catch (error) {
+                // Not JSON rows; read it as a text table
+            }
+        }
+
+        const split = (line) => delimiter ? line.split(delimiter).map(cell => cell.trim()) : line.trim().split(/\s+/);
+        const lines = this.asText(output).split('\n').filter(line => line.trim());
+        if (lines.length < 2) return [];
+
+        const headers = split(lines[0]);
+        return lines.slice(1).map(line => {
+            const cells = split(line);
+            // Extra cells (values with spaces) belong to the last column
+            if (cells.length > headers.length) {
+                cells.splice(headers.length - 1, cells.length, cells.slice(headers.length - 1).join(' '));
+            }
+            return Object.fromEntries(headers.map((header, index) => [header, cells[index]]));
+        });
+    }
+
+    /**
+     * Reads "key: value" / "key=value" lines (redis INFO, env output, php -i, ...)
+     */
+    extractKeyValue(definition, text) {
+        const separator = definition.separator ? this.escape(definition.separator) : '(?:=>|=|:)';
+        const line = new RegExp(`^\\s*([^\\s=:]+)\\s*${separator}\\s*(.*?)\\s*$`);
+        const keyPattern = definition.keyPattern ? new RegExp(definition.keyPattern) : null;
+        const values = [];
+
+        text.split('\n').forEach(row => {
+            const match = row.match(line);
+            if (!match) return;
+            if (keyPattern ? keyPattern.test(match[1]) : match[1] === definition.key) {
+                values.push({ value: match[2], labels: keyPattern ? { key: match[1] } : {} });
+            }
+        });
+
+        return values;
+    }
+
+    escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * @returns {*} - Converted value, or null when it does not fit the type
+     */
+    convert(value, valueType) {
+        if (value === null || value === undefined) return null;
+        const text = typeof value === 'string' ? value.trim() : value;
+
+        switch (valueType) {
+            case 'auto':
+                return text;
+            case 'string':
+                return String(text);
+            case 'boolean': {
+                const lower = String(text).toLowerCase();
+                if (TRUE_VALUES.includes(lower)) return true;
+                if (FALSE_VALUES.includes(lower)) return false;
+                return null;
+            }
+            case 'bytes': {
+                if (typeof text === 'number') return text;
+                const match = String(text).replace(/,/g, '').match(/^(-?\d+(?:\.\d+)?)\s*([bkmgtp])?i?b?$/i);
+                if (!match) return null;
+                return Math.round(parseFloat(match[1]) * BYTE_UNITS[(match[2] || 'b').toLowerCase()]);
+            }
+            case 'integer':
+            case 'number':
+            default: {
+                if (typeof text === 'boolean') return text ? 1 : 0;
+                const number = typeof text === 'number'
+                    ? text
+                    : parseFloat(String(text).replace(/,/g, '').replace(/%$/, ''));
+                if (!Number.isFinite(number) || (typeof text === 'string' && !/^-?[\d,]*\.?\d+(e[+-]?\d+)?%?$/i.test(text.replace(/\s/g, '')))) {
+                    return null;
+                }
+                return valueType === 'integer' ? Math.round(number) : number;
+            }
+        }
+    }
+}
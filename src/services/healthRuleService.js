@@ -0,0 +1,329 @@
+// src/services/healthRuleService.js
+import { logger } from './logger.js';
+import { redisClient } from './redisService.js';
+import { CommandService } from './commandsManagerService.js';
+import { ExtractorService } from './extractorService.js';
+import { CommandRuleDao } from './dao/commandRuleDao.js';
+import { BUILTIN_IDENTIFIERS, compileRuleExpression, evaluateRuleExpression } from './ruleExpression.js';
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+// Verdict status order, from healthy to worst
+const STATUS_RANK = { ok: 0, info: 1, warning: 2, critical: 3 };
+
+const VERDICT_TTL_SECONDS = parseInt(process.env.HEALTH_VERDICT_TTL_HOURS || '24') * 60 * 60;
+const RULE_CACHE_TTL_MS = 30 * 1000;
+const MAX_EVIDENCE = 10;
+const MAX_REMEDIATION_LENGTH = 5000;
+
+// Enabled rules with their compiled expressions, shared by every execution in this process
+let ruleCache = null;
+
+function ruleError(message, code, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+function verdictKey(projectId, environment) {
+    return `health_verdicts:${projectId}:${environment}`;
+}
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) => STATUS_RANK[status] > STATUS_RANK[worst] ? status : worst, 'ok');
+}
+
+/**
+ * Threshold rules on command results. A rule belongs to a catalog command and is an expression
+ * (see ruleExpression.js) over the values its extractors produce and over its raw output, e.g.
+ * "disk_used_pct > 85%" or "output contains 'SQLSTATE'". Rules are evaluated on every node after
+ * each execution; matches become findings with the rule's severity and remediation.
+ *
+ * The latest verdict of every command is kept in Redis per project environment, so the
+ * environment verdict covers everything run recently and can be given to the chat agent.
+ */
+export class HealthRuleService {
+    constructor() {
+        this.commandService = new CommandService();
+        this.extractorService = new ExtractorService();
+    }
+
+    async listRules(filters = {}) {
+        return CommandRuleDao.listRules({ commandId: filters.commandId ? parseInt(filters.commandId, 10) : null });
+    }
+
+    async getRule(id) {
+        const rule = await CommandRuleDao.getRule(id);
+        if (!rule) {
+            throw ruleError('Rule not found', 'RULE_NOT_FOUND');
+        }
+        return rule;
+    }
+
+    async createRule(definition, user) {
+        const rule = await this.validate(definition);
+        const id = await CommandRuleDao.createRule({ ...rule, createdBy: user?.id || null });
+        ruleCache = null;
+        logger.info('Health rule created', { id, commandId: rule.commandId, name: rule.name, userId: user?.id });
+        return this.getRule(id);
+    }
+
+    async updateRule(id, definition, user) {
+        await this.getRule(id);
+        const rule = await this.validate(definition);
+        await CommandRuleDao.updateRule(id, { ...rule, updatedBy: user?.id || null });
+        ruleCache = null;
+        logger.info('Health rule updated', { id, commandId: rule.commandId, name: rule.name, userId: user?.id });
+        return this.getRule(id);
+    }
+
+    async deleteRule(id, user) {
+        const deleted = await CommandRuleDao.deleteRule(id);
+        if (!deleted) {
+            throw ruleError('Rule not found', 'RULE_NOT_FOUND');
+        }
+        ruleCache = null;
+        logger.info('Health rule deleted', { id, userId: user?.id });
+    }
+
+    /**
+     * @param {Object} definition - { commandId, name, expression, severity, remediation, enabled }
+     * @returns {Promise<Object>} - Normalized rule
+     * @throws {Error} - code INVALID_RULE with the list of problems in details
+     */
+    async validate(definition) {
+        const errors = [];
+        const commandId = parseInt(definition?.commandId, 10);
+        const name = typeof definition?.name === 'string' ? definition.name.trim() : '';
+        const expression = typeof definition?.expression === 'string' ? definition.expression.trim() : '';
+        const severity = definition?.severity ?? 'warning';
+        const remediation = definition?.remediation ?? null;
+
+        if (!name) {
+            errors.push('Rule name is required');
+        } else if (name.length > 255) {
+            errors.push('Rule name must be at most 255 characters');
+        }
+        if (!SEVERITIES.includes(severity)) {
+            errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+        if (remediation !== null && (typeof remediation !== 'string' || remediation.length > MAX_REMEDIATION_LENGTH)) {
+            errors.push(`remediation must be text of at most ${MAX_REMEDIATION_LENGTH} characters`);
+        }
+        if (definition?.enabled !== undefined && typeof definition.enabled !== 'boolean') {
+            errors.push('enabled must be true or false');
+        }
+
+        let command = null;
+        if (isNaN(commandId)) {
+            errors.push('commandId is required');
+        } else {
+            [command] = await this.commandService.getById(commandId);
+            if (!command) {
+                errors.push(`Command ${commandId} does not exist`);
+            }
+        }
+
+        try {
+            const { identifiers } = compileRuleExpression(expression);
+            if (command) {
+                const known = this.extractorService.getDefinitions(command).map(extractor => extractor.name);
+                identifiers
+                    .filter(identifier => !BUILTIN_IDENTIFIERS.includes(identifier) && !known.includes(identifier))
+                    .forEach(identifier => errors.push(
+                        `"${identifier}" is not a value of command ${commandId}; use ${[...BUILTIN_IDENTIFIERS, ...known].join(', ')}`
+                    ));
+            }
+        } catch (error) {
+            errors.push(`Invalid expression: ${error.message}`);
+        }
+
+        if (errors.length > 0) {
+            throw ruleError('Invalid rule', 'INVALID_RULE', errors);
+        }
+
+        return {
+            commandId,
+            name,
+            expression,
+            severity,
+            remediation: remediation?.trim() || null,
+            enabled: definition.enabled ?? true
+        };
+    }
+
+    /**
+     * Evaluates an expression against a sample node result, for authoring rules
+     * @param {string} expression
+     * @param {Object} sample - { output, status, nodeId, metrics: [{ name, value, labels }] }
+     * @returns {Object} - { matched, evidence }
+     * @throws {Error} - INVALID_RULE
+     */
+    test(expression, sample = {}) {
+        let compiled;
+        try {
+            compiled = compileRuleExpression(expression);
+        } catch (error) {
+            throw ruleError('Invalid rule', 'INVALID_RULE', [`Invalid expression: ${error.message}`]);
+        }
+        const node = { status: 'SUCCESS', ...sample, metrics: Array.isArray(sample.metrics) ? sample.metrics : [] };
+        try {
+            return evaluateRuleExpression(compiled, this.nodeContext(node));
+        } catch (error) {
+            throw ruleError('Invalid rule', 'INVALID_RULE', [error.message]);
+        }
+    }
+
+    async getEnabledRules() {
+        if (ruleCache && Date.now() - ruleCache.loadedAt < RULE_CACHE_TTL_MS) {
+            return ruleCache.rules;
+        }
+
+        const rules = [];
+        (await CommandRuleDao.listRules({ enabledOnly: true })).forEach(rule => {
+            try {
+                rules.push({ ...rule, compiled: compileRuleExpression(rule.expression) });
+            } catch (error) {
+                logger.warn('Skipping health rule with an invalid expression', { ruleId: rule.id, error: error.message });
+            }
+        });
+        ruleCache = { rules, loadedAt: Date.now() };
+        return rules;
+    }
+
+    /**
+     * Evaluates the rules of the executed commands and adds a `verdict` to each command result
+     * @param {Array<Object>} commands - Commands that were executed
+     * @param {Object} data - Handler response, after CommandMetricService.attachMetrics
+     * @returns {Promise<Array<Object>>} - [{ commandId, title, status, findings, errors, evaluatedAt }]
+     *                                     for the commands that have rules
+     */
+    async evaluate(commands, data) {
+        if (!Array.isArray(data?.results)) return [];
+        const rules = await this.getEnabledRules();
+        const evaluatedAt = new Date().toISOString();
+        const verdicts = [];
+
+        commands.forEach(cmd => {
+            const commandRules = rules.filter(rule => rule.commandId === cmd.id);
+            const commandResult = data.results.find(result => result.id === cmd.id);
+            if (commandRules.length === 0 || !commandResult || !Array.isArray(commandResult.results)) return;
+
+            const findings = [];
+            const errors = [];
+            commandRules.forEach(rule => {
+                commandResult.results.forEach(node => {
+                    try {
+                        const { matched, evidence } = evaluateRuleExpression(rule.compiled, this.nodeContext(node));
+                        if (!matched) return;
+                        findings.push({
+                            ruleId: rule.id,
+                            rule: rule.name,
+                            severity: rule.severity,
+                            expression: rule.expression,
+                            remediation: rule.remediation,
+                            nodeId: node.nodeId ?? null,
+                            evidence: evidence.slice(0, MAX_EVIDENCE)
+                        });
+                    } catch (error) {
+                        errors.push({ ruleId: rule.id, rule: rule.name, nodeId: node.nodeId ?? null, error: error.message });
+                    }
+                });
+            });
+
+            const verdict = {
+                commandId: cmd.id,
+                title: cmd.title,
+                status: worstStatus(findings.map(finding => finding.severity)),
+                findings,
+                errors,
+                evaluatedAt
+            };
+            commandResult.verdict = verdict;
+            verdicts.push(verdict);
+        });
+
+        return verdicts;
+    }
+
+    nodeContext(node) {
+        return {
+            resolve: (name) => {
+                if (name === 'output') {
+                    if (node.output === null || node.output === undefined) return '';
+                    return typeof node.output === 'string' ? node.output : JSON.stringify(node.output);
+                }
+                if (name === 'status') return node.status;
+                if (name === 'node') return node.nodeId === undefined || node.nodeId === null ? null : String(node.nodeId);
+
+                const values = (node.metrics || [])
+                    .filter(metric => metric.name === name)
+                    .map(metric => ({ name, value: metric.value, labels: metric.labels || {} }));
+                return values.length > 0 ? values : undefined;
+            }
+        };
+    }
+
+    /**
+     * Evaluates rules after an execution and keeps the verdicts. Failures are logged and
+     * never fail the execution.
+     * @returns {Promise<Object|null>} - { commands, environment } or null when no rule applied
+     */
+    async applyRules(commands, data, { projectId, environment }) {
+        try {
+            const verdicts = await this.evaluate(commands, data);
+            if (verdicts.length === 0) return null;
+
+            if (projectId && environment) {
+                const key = verdictKey(projectId, environment);
+                await redisClient.hSet(key, Object.fromEntries(
+                    verdicts.map(verdict => [String(verdict.commandId), JSON.stringify(verdict)])
+                ));
+                await redisClient.expire(key, VERDICT_TTL_SECONDS);
+            }
+
+            return {
+                commands: verdicts,
+                environment: projectId && environment ? await this.getEnvironmentVerdict(projectId, environment) : null
+            };
+        } catch (error) {
+            logger.error('Failed to evaluate health rules:', {
+                error: error.message,
+                projectId,
+                environment,
+                commandIds: commands.map(cmd => cmd.id)
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Latest verdicts of every command run recently in an environment
+     * @returns {Promise<Object>} - { projectId, environment, status, counts, commands, evaluatedAt }
+     */
+    async getEnvironmentVerdict(projectId, environment) {
+        const stored = await redisClient.hGetAll(verdictKey(projectId, environment));
+        const commands = Object.values(stored || {})
+            .map(value => {
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => STATUS_RANK[b.status] - STATUS_RANK[a.status] || a.commandId - b.commandId);
+
+        const counts = { critical: 0, warning: 0, info: 0, ok: 0 };
+        commands.forEach(verdict => counts[verdict.status]++);
+
+        return {
+            projectId,
+            environment,
+            status: worstStatus(commands.map(verdict => verdict.status)),
+            counts,
+            commands,
+            evaluatedAt: commands.map(verdict => verdict.evaluatedAt).sort().pop() || null
+        };
+    }
+}
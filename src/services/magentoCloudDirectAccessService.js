@@ -1,8 +1,15 @@
 // src/services/magentoCloudDirectAccessService.js
 import { logger } from './logger.js';
 import MagentoCloudAdapter from '../adapters/magentoCloud.js';
+import { ExecutionReporter } from './executionReporter.js';
+import { failureResult, TIMEOUT_STATUS } from './executionCancellationService.js';
+import { ExecutionPolicyService } from './executionPolicyService.js';
 
 export class MagentoCloudDirectAccessService {
+    constructor() {
+        this.policyService = new ExecutionPolicyService();
+    }
+
     /**
      * Normalizes project flags in the command.
      * @param {string} command - The original command
@@ -86,9 +93,11 @@ export class MagentoCloudDirectAccessService {
      * @param {Object} context - The context containing projectId, environment, and instance
      * @param {string} apiToken - The API token for authentication
      * @param {string} userId - The unique identifier for the user
+     * @param {Object} [options] - { signal, policy } aborting the signal kills the CLI process;
+     *                              policy: execution policy, the defaults when empty
      * @returns {Object} - The result of the command execution
      */
-    async executeCommand(magentoCloud, command, context, apiToken, userId) {
+    async executeCommand(magentoCloud, command, context, apiToken, userId, { signal, policy = this.policyService.resolve(null) } = {}) {
         logger.debug('Executing Magento Cloud command:', { command, context, userId });
         try {
             let processedCommand = this.replacePlaceholders(command, context);
@@ -98,7 +107,10 @@ export class MagentoCloudDirectAccessService {
                 throw new Error('Invalid command after processing placeholders');
             }
 
-            const { stdout, stderr } = await magentoCloud.executeCommand(processedCommand, apiToken, userId);
+            const { stdout, stderr } = await this.policyService.run(policy, signal, (attemptSignal) =>
+                magentoCloud.executeCommand(processedCommand, apiToken, userId, { signal: attemptSignal, maxBuffer: policy.maxOutputBytes }),
+                { shouldRetry: (error) => error.code !== 'OUTPUT_LIMIT_EXCEEDED' }
+            );
 
             return {
                 output: stdout || null,
@@ -114,8 +126,7 @@ export class MagentoCloudDirectAccessService {
 
             return {
                 output: null,
-                error: error.message,
-                status: 'ERROR'
+                ...failureResult(error, signal)
             };
         }
     }
@@ -128,9 +139,11 @@ export class MagentoCloudDirectAccessService {
      * @param {Array} commands - Array of commands
      * @param {string} apiToken - API token
      * @param {string} userId - User ID
+     * @param {Object} [options] - { reporter, signal, policies } ExecutionReporter for per-command progress;
+     *                              aborting the signal kills the running commands. policies: { [commandId]: execution policy }
      * @returns {Promise<Object>} Result object with command results
      */
-    async executeCommands(projectId, environment, instance, commands, apiToken, userId) {
+    async executeCommands(projectId, environment, instance, commands, apiToken, userId, { reporter = new ExecutionReporter(), signal, policies } = {}) {
         try {
             // Use the adapter
             const magentoCloud = new MagentoCloudAdapter();
@@ -143,13 +156,16 @@ export class MagentoCloudDirectAccessService {
             };
 
             const results = await Promise.all(commands.map(async (cmd) => {
+                reporter.started(cmd.id, 'single-node');
                 const { output, error, status } = await this.executeCommand(
                     magentoCloud,
                     cmd.command,
                     context,
                     apiToken,
-                    userId
+                    userId,
+                    { signal, policy: this.policyService.policyFor(policies, cmd.id) }
                 );
+                reporter.finished(cmd.id, 'single-node', { status, output, error });
 
                 return {
                     id: cmd.id,
@@ -165,7 +181,7 @@ export class MagentoCloudDirectAccessService {
                     summary: {
                         total: 1,
                         successful: status === 'SUCCESS' ? 1 : 0,
-                        failed: status === 'ERROR' ? 1 : 0
+                        failed: ['ERROR', TIMEOUT_STATUS].includes(status) ? 1 : 0
                     }
                 };
             }));
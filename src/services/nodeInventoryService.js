@@ -0,0 +1,264 @@
+// src/services/nodeInventoryService.js
+import { logger } from './logger.js';
+import { redisClient } from './redisService.js';
+import { projectAccess } from './projectAccessService.js';
+import MagentoCloudAdapter from '../adapters/magentoCloud.js';
+
+const KEY_PREFIX = 'node_inventory';
+const TTL_SECONDS = parseInt(process.env.NODE_INVENTORY_TTL_SECONDS || '300');
+
+// Node roles:
+//   unified  the only container of a Starter or integration environment; serves web and services
+//   core     a Pro node; serves web and services, or only services next to split architecture web nodes
+//   web      a web node of a split (scaled) architecture environment
+export const NODE_ROLES = ['unified', 'core', 'web'];
+// What a node serves, for targets such as role:web on environments without web nodes
+export const NODE_SERVICES = ['web', 'services'];
+const TARGET_ROLES = [...new Set([...NODE_ROLES, ...NODE_SERVICES])];
+
+// Web nodes of a split architecture carry a web label in their SSH user, e.g. 1.web.ent-abc-production-xyz
+const WEB_NODE_PATTERN = /(^|[.-])web\d*([.-]|$)/i;
+const NODE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Nodes of a project environment as reported by `magento-cloud ssh --all`, cached in Redis so the
+ * command batches of one dashboard load discover them once:
+ *   node_inventory:<projectId>-<environment> => { nodes, architecture, discoveredAt }
+ * Each node: { id, instance, hostname, sshUrl, role, serves, status }. The id is the SSH user of the
+ * node (e.g. 1.ent-abc-production-xyz), so it stays the same across discoveries; instance is what
+ * `ssh --instance` takes. architecture is single, pro or split.
+ *
+ * Commands choose their nodes with a node target (commands.node_target):
+ *   all | first | role:<web|core|unified|services> | nodes:<id>,<id>,...
+ * Commands without one use execute_on_all_nodes (all, else first).
+ *
+ * Inventories are discovered with one user's token and shared with every user of the environment,
+ * so a cached or in-flight inventory is only returned once the caller's own access is verified
+ * (see ProjectAccessService).
+ */
+class NodeInventoryService {
+    constructor() {
+        this.discoveries = new Map(); // Map<`${projectId}-${environment}`, { userId, promise: Promise<inventory> }>
+    }
+
+    key(projectId, environment) {
+        return `${KEY_PREFIX}:${projectId}-${environment}`;
+    }
+
+    /**
+     * @param {Object} [options] - { refresh } discovers the nodes again instead of using the cache
+     * @returns {Promise<Object>} - { nodes, architecture, discoveredAt, cache: { source, ageSeconds, ttlSeconds } }
+     * @throws {Error} - code PROJECT_ACCESS_DENIED when a shared inventory exists but the caller's access
+     *                   to the environment cannot be verified
+     */
+    async get(projectId, environment, apiToken, userId, { refresh = false } = {}) {
+        if (!refresh) {
+            const cached = await this.read(projectId, environment);
+            if (cached) {
+                await projectAccess.assert(projectId, environment, apiToken, userId);
+                return {
+                    ...cached,
+                    cache: {
+                        source: 'cache',
+                        ageSeconds: Math.max(0, Math.round((Date.now() - new Date(cached.discoveredAt).getTime()) / 1000)),
+                        ttlSeconds: TTL_SECONDS
+                    }
+                };
+            }
+        }
+
+        // Concurrent batches of the same environment share one discovery
+        const inventoryKey = `${projectId}-${environment}`;
+        let discovery = this.discoveries.get(inventoryKey);
+        if (discovery && String(discovery.userId) !== String(userId)) {
+            await projectAccess.assert(projectId, environment, apiToken, userId);
+        }
+        if (!discovery) {
+            discovery = {
+                userId,
+                promise: this.discover(projectId, environment, apiToken, userId)
+                    .finally(() => this.discoveries.delete(inventoryKey))
+            };
+            this.discoveries.set(inventoryKey, discovery);
+        }
+        const inventory = await discovery.promise;
+        return { ...inventory, cache: { source: 'live', ageSeconds: 0, ttlSeconds: TTL_SECONDS } };
+    }
+
+    async getNodes(projectId, environment, apiToken, userId, options = {}) {
+        const { nodes } = await this.get(projectId, environment, apiToken, userId, options);
+        return nodes;
+    }
+
+    async discover(projectId, environment, apiToken, userId) {
+        const magentoCloud = new MagentoCloudAdapter();
+        await magentoCloud.validateExecutable();
+
+        const { stdout } = await magentoCloud.executeCommand(
+            `ssh -p ${projectId} -e ${environment} --all`,
+            apiToken,
+            userId
+        );
+
+        const inventory = this.classify(stdout.split('\n').map(line => line.trim()).filter(Boolean));
+        inventory.discoveredAt = new Date().toISOString();
+        // The user's own token just listed the environment's nodes
+        await projectAccess.grant(projectId, environment, userId);
+        logger.info('Discovered environment nodes', {
+            projectId,
+            environment,
+            architecture: inventory.architecture,
+            nodes: inventory.nodes.map(node => ({ id: node.id, role: node.role }))
+        });
+
+        // Empty results are not cached; the environment may still be provisioning
+        if (inventory.nodes.length > 0 && TTL_SECONDS > 0) {
+            try {
+                await redisClient.set(this.key(projectId, environment), JSON.stringify(inventory), { EX: TTL_SECONDS });
+            } catch (error) {
+                logger.warn('Failed to cache node inventory', { projectId, environment, error: error.message });
+            }
+        }
+        return inventory;
+    }
+
+    async read(projectId, environment) {
+        try {
+            const stored = await redisClient.get(this.key(projectId, environment));
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            logger.warn('Failed to read node inventory', { projectId, environment, error: error.message });
+            return null;
+        }
+    }
+
+    async invalidate(projectId, environment) {
+        try {
+            await redisClient.del(this.key(projectId, environment));
+        } catch (error) {
+            logger.warn('Failed to drop node inventory', { projectId, environment, error: error.message });
+        }
+    }
+
+    /**
+     * Turns the SSH URLs of `ssh --all` into nodes with ids and roles
+     * @param {Array<string>} sshUrls - e.g. 1.ent-abc-production-xyz@ssh.us-3.magento.cloud
+     * @returns {Object} - { nodes, architecture }
+     */
+    classify(sshUrls) {
+        const parsed = sshUrls.map(sshUrl => {
+            const address = sshUrl.replace(/^ssh:\/\//, '');
+            const at = address.lastIndexOf('@');
+            const hostname = (at === -1 ? address : address.slice(0, at)).toLowerCase();
+            // <instance>.<cluster>: 1.ent-abc-production-xyz, 1.web.ent-abc-production-xyz
+            const dot = hostname.lastIndexOf('.');
+            return {
+                id: hostname,
+                instance: dot > 0 ? hostname.slice(0, dot) : null,
+                hostname,
+                sshUrl,
+                web: WEB_NODE_PATTERN.test(hostname)
+            };
+        });
+
+        const hasWebNodes = parsed.some(node => node.web);
+        const hasCoreNodes = parsed.some(node => !node.web);
+        let architecture = 'pro';
+        if (parsed.length <= 1 && !parsed.some(node => node.instance)) {
+            architecture = 'single';
+        } else if (hasWebNodes && hasCoreNodes) {
+            architecture = 'split';
+        }
+
+        const nodes = parsed.map(({ web, ...node }) => {
+            let role = 'core';
+            let serves = architecture === 'split' ? ['services'] : ['web', 'services'];
+            if (architecture === 'single') {
+                role = 'unified';
+            } else if (web) {
+                role = 'web';
+                serves = ['web'];
+            }
+            return { ...node, role, serves, status: 'active' };
+        });
+
+        return { nodes, architecture };
+    }
+
+    /**
+     * Effective node target of a command row or handler payload
+     * @returns {string} - all | first | role:<role> | nodes:<ids>
+     */
+    targetOf(command) {
+        const target = command?.nodeTarget ?? command?.node_target;
+        if (target) return target;
+        return (command?.executeOnAllNodes ?? command?.execute_on_all_nodes) ? 'all' : 'first';
+    }
+
+    /**
+     * @param {string} target - Node target, see the class comment
+     * @returns {Object|null} - { type: all|first|role|nodes, role, nodeIds }, null when it is not a node target
+     */
+    parseTarget(target) {
+        if (typeof target !== 'string') return null;
+        const value = target.trim();
+        if (value === 'all' || value === 'first') {
+            return { type: value };
+        }
+
+        const [type, ...rest] = value.split(':');
+        const argument = rest.join(':').trim();
+        if (type === 'role' && TARGET_ROLES.includes(argument)) {
+            return { type, role: argument };
+        }
+        if (type === 'nodes') {
+            const nodeIds = argument.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+            if (nodeIds.length > 0 && nodeIds.every(id => NODE_ID_PATTERN.test(id))) {
+                return { type, nodeIds: [...new Set(nodeIds)] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Array<string>} - Validation errors, empty when the target is valid
+     */
+    validateTarget(target) {
+        if (this.parseTarget(target)) return [];
+        return [
+            `node target must be all, first, role:<${TARGET_ROLES.join('|')}> ` +
+            'or nodes:<id>,<id> with the node ids of GET /:projectId/:environment/nodes'
+        ];
+    }
+
+    /**
+     * Nodes a target selects, in inventory order. Unknown targets and ids select nothing.
+     * @param {Array<Object>} nodes - Inventory nodes
+     */
+    resolveTarget(nodes, target) {
+        const parsed = this.parseTarget(target);
+        if (!parsed || nodes.length === 0) return [];
+
+        switch (parsed.type) {
+            case 'all':
+                return nodes;
+            case 'first':
+                return [nodes[0]];
+            case 'role':
+                return nodes.filter(node => node.role === parsed.role || (node.serves || []).includes(parsed.role));
+            case 'nodes':
+                return nodes.filter(node => parsed.nodeIds.includes(node.id));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Error of a command whose target selects no node of the environment
+     */
+    noMatchingNodes(target) {
+        return `No node of this environment matches the node target "${target}"`;
+    }
+}
+
+export const nodeInventory = new NodeInventoryService();
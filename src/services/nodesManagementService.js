@@ -1,34 +1,19 @@
 // src/services/nodesManagementService.js
 import { logger } from './logger.js';
-import MagentoCloudAdapter from '../adapters/magentoCloud.js';
+import { nodeInventory } from './nodeInventoryService.js';
 
 export class NodesManagementService {
     /**
-     * Fetches all nodes for a given project and environment.
+     * Fetches all nodes for a given project and environment from the node inventory.
      * 
      * @param {string} projectId - Magento Cloud project identifier
      * @param {string} environment - Environment name (e.g., 'production', 'staging')
      * @param {string} apiToken - The user's API token
      * @param {string} userId - User ID
-     * @returns {Promise<Array<Object>>} Array of node objects with id, sshUrl, and status
+     * @returns {Promise<Array<Object>>} Array of node objects with id, instance, sshUrl, role, serves and status
      */
     async execute(projectId, environment, apiToken, userId) {
-        const magentoCloud = new MagentoCloudAdapter();
-        await magentoCloud.validateExecutable();
-
-        const { stdout } = await magentoCloud.executeCommand(
-            `ssh -p ${projectId} -e ${environment} --all`,
-            apiToken,
-            userId
-        );
-
-        return stdout.split('\n')
-            .filter(line => line.trim())
-            .map((line, index) => ({
-                id: index + 1,
-                sshUrl: line.trim(),
-                status: 'active'
-            }));
+        return nodeInventory.getNodes(projectId, environment, apiToken, userId);
     }
 
     /**
@@ -37,25 +22,34 @@ export class NodesManagementService {
      * @param {string} environment - Environment name
      * @param {string} apiToken - API token
      * @param {string} userId - User ID
-     * @returns {Promise<Object>} Result object with nodes or error
+     * @param {Object} [options] - { refresh } discovers the nodes again instead of using the cache
+     * @returns {Promise<Object>} Result object with nodes, architecture and cache details, or error
      */
-    async getNodes(projectId, environment, apiToken, userId) {
+    async getNodes(projectId, environment, apiToken, userId, { refresh = false } = {}) {
         try {
             logger.info('Fetching nodes', {
                 projectId,
                 environment,
                 userId,
+                refresh,
                 timestamp: new Date().toISOString()
             });
 
-            const nodes = await this.execute(projectId, environment, apiToken, userId);
+            const { nodes, architecture, discoveredAt, cache } = await nodeInventory.get(projectId, environment, apiToken, userId, { refresh });
 
             return {
                 success: true,
                 nodes,
+                architecture,
+                discoveredAt,
+                cache,
                 statusCode: 200
             };
         } catch (error) {
+            if (error.code === 'PROJECT_ACCESS_DENIED') {
+                logger.warn('Node inventory refused without verified project access', { projectId, environment, userId });
+                return { success: false, error: error.message, statusCode: 403 };
+            }
             logger.error('Failed to fetch nodes', {
                 error: error.message,
                 projectId,
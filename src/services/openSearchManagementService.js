@@ -2,53 +2,61 @@
 import { logger } from './logger.js';
 import { tunnelManager } from './tunnelService.js';
 import { OpenSearchService } from './openSearchService.js';
+import { ExecutionReporter } from './executionReporter.js';
+import { failureResult, TIMEOUT_STATUS } from './executionCancellationService.js';
+import { ExecutionPolicyService } from './executionPolicyService.js';
+
+// Requests that only read, so running them again after a failure changes nothing
+const RETRYABLE_METHODS = ['GET', 'HEAD'];
 
 export class OpenSearchManagementService {
+    constructor() {
+        this.policyService = new ExecutionPolicyService();
+    }
+
     /**
      * Executes a set of queries against the search service (OpenSearch or Elasticsearch).
      * @param {string} projectId - Project ID
      * @param {string} environment - Environment name
-     * @param {Array} queries - Array of queries
+     * @param {Array} queries - Array of queries; a query's relationship picks the search service it runs against
      * @param {string} apiToken - API token
      * @param {string} userId - User ID
+     * @param {Object} [options] - { reporter, signal, policies } ExecutionReporter for per-command progress;
+     *                              aborting the signal aborts the request in flight and skips the rest.
+     *                              policies: { [commandId]: execution policy }
      * @returns {Promise<Object>} Result object with query results
      */
-    async runQueries(projectId, environment, queries, apiToken, userId) {
+    async runQueries(projectId, environment, queries, apiToken, userId, { reporter = new ExecutionReporter(), signal, policies } = {}) {
         try {
-            // Attempt to retrieve tunnel info for 'opensearch'
-            let tunnelInfo = await tunnelManager.getServiceTunnelInfo(projectId, environment, 'opensearch', apiToken, userId);
-            let serviceName = 'opensearch';
-
-            if (!tunnelInfo || !tunnelInfo['opensearch'] || tunnelInfo['opensearch'].length === 0) {
-                // If 'opensearch' is not available, attempt to retrieve 'elasticsearch'
-                logger.debug(`'opensearch' not available. Attempting to retrieve 'elasticsearch' tunnel info.`, {
-                    projectId,
-                    environment
-                });
-
-                tunnelInfo = await tunnelManager.getServiceTunnelInfo(projectId, environment, 'elasticsearch', apiToken, userId);
-                serviceName = 'elasticsearch';
+            // Map<relationship, OpenSearchService | Error>; null is the primary search service
+            const searchServices = new Map();
+            for (const relationship of new Set(queries.map(query => query.relationship || null))) {
+                searchServices.set(relationship, await this.getSearchService(projectId, environment, apiToken, userId, relationship));
             }
 
-            if (!tunnelInfo || !tunnelInfo[serviceName] || tunnelInfo[serviceName].length === 0) {
-                throw new Error(`Neither opensearch nor elasticsearch services are available in the tunnel configuration`);
-            }
-
-            const searchService = new OpenSearchService(tunnelInfo, serviceName);
-
             const results = [];
 
             for (const query of queries) {
+                const searchService = searchServices.get(query.relationship || null);
                 const queryResult = {
                     id: query.id,
                     title: query.title,
                     query: query.command,
+                    relationship: query.relationship || null,
                     results: [],
                     allowAi: query.allowAi
                 };
 
+                reporter.started(query.id, 'tunnel');
                 try {
-                    const output = await searchService.executeCommand(query.command);
+                    if (searchService instanceof Error) throw searchService;
+                    const method = (query.command?.method || 'GET').toUpperCase();
+                    const output = await this.policyService.run(
+                        this.policyService.policyFor(policies, query.id),
+                        signal,
+                        (attemptSignal) => searchService.executeCommand(query.command, { signal: attemptSignal }),
+                        { shouldRetry: () => RETRYABLE_METHODS.includes(method) }
+                    );
                     queryResult.results.push({
                         nodeId: 'tunnel',
                         output, // Output is already parsed JSON or text
@@ -58,26 +66,38 @@ export class OpenSearchManagementService {
                 } catch (error) {
                     logger.error('OpenSearch query execution failed:', {
                         error: error.message,
+                        code: error.code,
                         query: query.title,
                         userId
                     });
                     queryResult.results.push({
                         nodeId: 'tunnel',
                         output: null,
-                        error: error.message,
-                        status: 'ERROR'
+                        errorDetails: {
+                            code: error.code || null,
+                            statusCode: error.statusCode || null,
+                            ...error.details
+                        },
+                        ...failureResult(error, signal)
                     });
                 }
 
+                const [nodeResult] = queryResult.results;
+                reporter.finished(query.id, 'tunnel', nodeResult);
+
                 queryResult.summary = {
                     total: queryResult.results.length,
                     successful: queryResult.results.filter(r => r.status === 'SUCCESS').length,
-                    failed: queryResult.results.filter(r => r.status === 'ERROR').length
+                    failed: queryResult.results.filter(r => ['ERROR', TIMEOUT_STATUS].includes(r.status)).length
                 };
 
                 results.push(queryResult);
             }
 
+            await Promise.all([...searchServices.values()]
+                .filter(searchService => !(searchService instanceof Error))
+                .map(searchService => searchService.close()));
+
             return {
                 success: true,
                 projectId,
@@ -103,4 +123,43 @@ export class OpenSearchManagementService {
             };
         }
     }
+
+    /**
+     * Client for the primary search service (opensearch, else elasticsearch) or a named relationship.
+     * A named relationship that is missing is returned as the error, so only the queries that use it fail.
+     * @param {string|null} relationship - Relationship name, null for the primary service
+     * @returns {Promise<OpenSearchService|Error>}
+     */
+    async getSearchService(projectId, environment, apiToken, userId, relationship = null) {
+        if (relationship) {
+            try {
+                const tunnelInfo = await tunnelManager.getServiceTunnelInfo(projectId, environment, 'opensearch', apiToken, userId, relationship);
+                const [serviceName] = Object.keys(tunnelInfo);
+                return new OpenSearchService(tunnelInfo, serviceName);
+            } catch (error) {
+                return error;
+            }
+        }
+
+        // Attempt to retrieve tunnel info for 'opensearch'
+        let tunnelInfo = await tunnelManager.getServiceTunnelInfo(projectId, environment, 'opensearch', apiToken, userId);
+        let serviceName = 'opensearch';
+
+        if (!tunnelInfo || !tunnelInfo['opensearch'] || tunnelInfo['opensearch'].length === 0) {
+            // If 'opensearch' is not available, attempt to retrieve 'elasticsearch'
+            logger.debug(`'opensearch' not available. Attempting to retrieve 'elasticsearch' tunnel info.`, {
+                projectId,
+                environment
+            });
+
+            tunnelInfo = await tunnelManager.getServiceTunnelInfo(projectId, environment, 'elasticsearch', apiToken, userId);
+            serviceName = 'elasticsearch';
+        }
+
+        if (!tunnelInfo || !tunnelInfo[serviceName] || tunnelInfo[serviceName].length === 0) {
+            throw new Error(`Neither opensearch nor elasticsearch services are available in the tunnel configuration`);
+        }
+
+        return new OpenSearchService(tunnelInfo, serviceName);
+    }
 }
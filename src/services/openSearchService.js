@@ -1,9 +1,50 @@
 // src/services/OpenSearchService.js
-import { promisify } from 'util';
-import { exec } from 'child_process';
+import { Client, errors } from '@opensearch-project/opensearch';
 import { logger } from './logger.js';
+import { cancelledError } from './executionCancellationService.js';
 
-const execAsync = promisify(exec);
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_TIMEOUT_MS = 300000;
+const DEFAULT_KEEP_ALIVE = '1m';
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES = 100;
+
+/**
+ * Converts a client error into an Error carrying a code and the details reported by the cluster
+ * @param {Error} error - Error thrown by the OpenSearch client
+ * @returns {Error} - Error with code, statusCode and details ({ type, reason, rootCause })
+ */
+function searchError(error) {
+    if (error instanceof errors.ResponseError) {
+        const body = error.meta?.body;
+        const cause = typeof body === 'object' && body?.error;
+        const reason = typeof cause === 'object'
+            ? cause.reason || cause.type
+            : (typeof cause === 'string' ? cause : (typeof body === 'string' ? body.trim() : error.message));
+
+        const wrapped = new Error(`${error.statusCode} ${typeof cause === 'object' && cause.type ? `${cause.type}: ` : ''}${reason}`);
+        wrapped.code = 'OPENSEARCH_RESPONSE_ERROR';
+        wrapped.statusCode = error.statusCode;
+        wrapped.details = {
+            type: typeof cause === 'object' ? cause.type || null : null,
+            reason,
+            rootCause: typeof cause === 'object' && Array.isArray(cause.root_cause)
+                ? cause.root_cause.map(({ type, reason: rootReason, index }) => ({ type, reason: rootReason, index }))
+                : []
+        };
+        return wrapped;
+    }
+
+    const wrapped = new Error(error.message);
+    if (error instanceof errors.TimeoutError) {
+        wrapped.code = 'OPENSEARCH_TIMEOUT';
+    } else if (error instanceof errors.ConnectionError || error instanceof errors.NoLivingConnectionsError) {
+        wrapped.code = 'OPENSEARCH_CONNECTION_ERROR';
+    } else {
+        wrapped.code = error.code || 'OPENSEARCH_ERROR';
+    }
+    return wrapped;
+}
 
 /**
  * OpenSearchService handles executing commands against OpenSearch or Elasticsearch services.
@@ -13,8 +54,9 @@ export class OpenSearchService {
     /**
      * @param {Object} tunnelInfo - The tunnel information object.
      * @param {String} serviceType - The service type ('opensearch' or 'elasticsearch').
+     * @param {Object} [options] - { timeoutMs } default request timeout
      */
-    constructor(tunnelInfo, serviceType = 'opensearch') {
+    constructor(tunnelInfo, serviceType = 'opensearch', { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
         this.serviceType = serviceType.toLowerCase();
         if (!['opensearch', 'elasticsearch'].includes(this.serviceType)) {
             throw new Error('Service type must be either "opensearch" or "elasticsearch"');
@@ -28,7 +70,17 @@ export class OpenSearchService {
         this.host = serviceInfo.host;
         this.port = serviceInfo.port;
         this.username = serviceInfo.username;
-        this.password = serviceInfo.password;
+        this.timeoutMs = timeoutMs;
+
+        // Credentials stay inside the client; they never appear on a command line
+        this.client = new Client({
+            node: `http://${this.host}:${this.port}`,
+            ...(serviceInfo.username && {
+                auth: { username: serviceInfo.username, password: serviceInfo.password || '' }
+            }),
+            requestTimeout: timeoutMs,
+            maxRetries: 0
+        });
 
         logger.debug('OpenSearchService initialized with config:', {
             serviceType: this.serviceType,
@@ -39,71 +91,192 @@ export class OpenSearchService {
     }
 
     /**
-     * Executes a command against the OpenSearch/Elasticsearch service using curl.
-     * @param {Object} command - The command object containing method, path, and data.
+     * Executes a command against the OpenSearch/Elasticsearch service.
+     * `_cat` and `_cluster/health` responses are returned as text unless `format=json` is requested.
+     * @param {Object} command - { method, path, data, timeoutMs, paginate }
+     *                           paginate: { type: 'scroll'|'pit', keepAlive, maxPages } for _search requests
+     * @param {Object} [options] - { signal } aborting it aborts the HTTP request in flight
      * @returns {Promise<Object|string>} - The response from the service.
+     * @throws {Error} - code OPENSEARCH_RESPONSE_ERROR (with statusCode and details), OPENSEARCH_TIMEOUT,
+     *                   OPENSEARCH_CONNECTION_ERROR, EXECUTION_CANCELLED
      */
-    async executeCommand(command) {
-        try {
-            // Validate command object
-            if (!command || !command.path) {
-                throw new Error('Invalid command object: missing path');
-            }
-
-            // Determine if the response should be treated as text
-            const isTextResponse = command.path.startsWith('/_cat/') || command.path.startsWith('/_cluster/health');
-
-            // Set headers accordingly
-            const headers = isTextResponse
-                ? '-H "Content-Type: application/json"'
-                : '-H "Content-Type: application/json" -H "Accept: application/json"';
+    async executeCommand(command, { signal } = {}) {
+        // Validate command object
+        if (!command || !command.path) {
+            throw new Error('Invalid command object: missing path');
+        }
 
-            // Construct the curl command securely
-            const curlCommand = `curl -s -S -X ${command.method || 'GET'} ` +
-                `-u "${this.username}:${this.password}" ` +
-                `${headers} ` +
-                `${command.data ? `-d '${JSON.stringify(command.data)}' ` : ''}` +
-                `"http://${this.host}:${this.port}${command.path}"`;
+        const { path, querystring } = this.splitPath(command.path);
+        const isTextResponse = (path.startsWith('/_cat/') || path.startsWith('/_cluster/health'))
+            && querystring.format !== 'json';
+        const method = (command.method || 'GET').toUpperCase();
+        const timeoutMs = Math.min(Number(command.timeoutMs) || this.timeoutMs, MAX_TIMEOUT_MS);
 
-            logger.debug('Executing OpenSearch command:', { 
-                method: command.method || 'GET',
-                path: command.path,
-                host: this.host,
-                port: this.port,
-                responseType: isTextResponse ? 'text' : 'json'
-            });
+        logger.debug('Executing OpenSearch command:', {
+            method,
+            path,
+            host: this.host,
+            port: this.port,
+            responseType: isTextResponse ? 'text' : 'json',
+            paginate: command.paginate?.type
+        });
 
-            const { stdout, stderr } = await execAsync(curlCommand);
-            
-            if (stderr) {
-                logger.error('OpenSearch stderr output:', { stderr });
-                throw new Error(stderr);
+        try {
+            if (command.paginate) {
+                return await this.paginate(command, path, querystring, timeoutMs, signal);
             }
 
-            // For _cat and similar endpoints, return the text output directly
-            if (isTextResponse) {
-                return stdout.trim();
-            }
+            const { body } = await this.request({ method, path, querystring, body: command.data }, timeoutMs, signal);
 
-            // For other endpoints, parse as JSON
-            try {
-                return JSON.parse(stdout.trim());
-            } catch (parseError) {
-                logger.error('Failed to parse OpenSearch response:', { 
-                    output: stdout,
-                    error: parseError.message 
-                });
-                // If JSON parsing fails, return the raw output
-                return stdout.trim();
+            if (isTextResponse) {
+                return (typeof body === 'string' ? body : JSON.stringify(body)).trim();
             }
+            return typeof body === 'string' ? body.trim() : body;
         } catch (error) {
+            if (signal?.aborted) {
+                throw cancelledError();
+            }
+            const wrapped = searchError(error);
             logger.error('OpenSearch command execution failed:', {
-                error: error.message,
-                command: command.path,
+                error: wrapped.message,
+                code: wrapped.code,
+                statusCode: wrapped.statusCode,
+                command: path,
                 host: this.host,
                 port: this.port
             });
-            throw error;
+            throw wrapped;
+        }
+    }
+
+    request(params, timeoutMs = this.timeoutMs, signal = undefined) {
+        if (signal?.aborted) {
+            return Promise.reject(cancelledError());
         }
+
+        const request = this.client.transport.request(params, { requestTimeout: timeoutMs });
+        if (!signal) return request;
+
+        const onAbort = () => request.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        return request.finally(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    splitPath(rawPath) {
+        const url = new URL(rawPath.startsWith('/') ? rawPath : `/${rawPath}`, 'http://search.local');
+        return { path: url.pathname, querystring: Object.fromEntries(url.searchParams) };
+    }
+
+    /**
+     * Follows a search through scroll or point-in-time pages and returns the concatenated hits.
+     * The scroll context / PIT is always released afterwards, also when the search is cancelled.
+     */
+    async paginate(command, path, querystring, timeoutMs, signal) {
+        const { type = 'scroll', keepAlive = DEFAULT_KEEP_ALIVE } = command.paginate;
+        const maxPages = Math.min(Number(command.paginate.maxPages) || DEFAULT_MAX_PAGES, MAX_PAGES);
+        const match = path.match(/^\/([^/]+)\/_search$/);
+
+        if (!match && !(type === 'scroll' && path === '/_search')) {
+            throw new Error('Pagination is only supported for _search requests');
+        }
+
+        return type === 'pit'
+            ? this.paginatePit(match?.[1], command.data || {}, keepAlive, maxPages, timeoutMs, signal)
+            : this.paginateScroll(path, querystring, command.data || {}, keepAlive, maxPages, timeoutMs, signal);
+    }
+
+    async paginateScroll(path, querystring, data, keepAlive, maxPages, timeoutMs, signal) {
+        let { body: page } = await this.request({
+            method: 'POST',
+            path,
+            querystring: { ...querystring, scroll: keepAlive },
+            body: data
+        }, timeoutMs, signal);
+
+        const hits = [...(page.hits?.hits || [])];
+        let scrollId = page._scroll_id;
+        let pages = 1;
+
+        try {
+            while (scrollId && pages < maxPages && page.hits?.hits?.length > 0) {
+                ({ body: page } = await this.request({
+                    method: 'POST',
+                    path: '/_search/scroll',
+                    body: { scroll: keepAlive, scroll_id: scrollId }
+                }, timeoutMs, signal));
+                hits.push(...(page.hits?.hits || []));
+                scrollId = page._scroll_id || scrollId;
+                pages++;
+            }
+        } finally {
+            if (scrollId) {
+                await this.request({ method: 'DELETE', path: '/_search/scroll', body: { scroll_id: [scrollId] } }, timeoutMs)
+                    .catch(error => logger.warn('Failed to clear OpenSearch scroll context:', { error: error.message }));
+            }
+        }
+
+        return this.paginatedResult(page, hits, pages, page.hits?.hits?.length > 0 && pages >= maxPages);
+    }
+
+    async paginatePit(index, data, keepAlive, maxPages, timeoutMs, signal) {
+        if (!index) {
+            throw new Error('Point-in-time pagination requires an index in the path');
+        }
+
+        // OpenSearch and Elasticsearch expose point in time under different endpoints
+        const isOpenSearch = this.serviceType === 'opensearch';
+        const { body: opened } = await this.request({
+            method: 'POST',
+            path: isOpenSearch ? `/${index}/_search/point_in_time` : `/${index}/_pit`,
+            querystring: { keep_alive: keepAlive }
+        }, timeoutMs, signal);
+        let pitId = isOpenSearch ? opened.pit_id : opened.id;
+
+        const size = data.size || 1000;
+        const hits = [];
+        let page;
+        let pages = 0;
+        let searchAfter;
+
+        try {
+            do {
+                ({ body: page } = await this.request({
+                    method: 'POST',
+                    path: '/_search',
+                    body: {
+                        ...data,
+                        size,
+                        sort: data.sort || [{ _doc: 'asc' }],
+                        pit: { id: pitId, keep_alive: keepAlive },
+                        ...(searchAfter && { search_after: searchAfter })
+                    }
+                }, timeoutMs, signal));
+                const pageHits = page.hits?.hits || [];
+                hits.push(...pageHits);
+                pitId = page.pit_id || pitId;
+                searchAfter = pageHits.length > 0 ? pageHits[pageHits.length - 1].sort : null;
+                pages++;
+            } while (searchAfter && page.hits.hits.length === size && pages < maxPages);
+        } finally {
+            await this.request(isOpenSearch
+                ? { method: 'DELETE', path: '/_search/point_in_time', body: { pit_id: [pitId] } }
+                : { method: 'DELETE', path: '/_pit', body: { id: pitId } }, timeoutMs)
+                .catch(error => logger.warn('Failed to close OpenSearch point in time:', { error: error.message }));
+        }
+
+        return this.paginatedResult(page, hits, pages, page.hits?.hits?.length === size && pages >= maxPages);
+    }
+
+    paginatedResult(lastPage, hits, pages, truncated) {
+        return {
+            took: lastPage.took,
+            timed_out: lastPage.timed_out,
+            hits: { total: lastPage.hits?.total, hits },
+            pagination: { pages, returned: hits.length, truncated }
+        };
+    }
+
+    async close() {
+        await this.client.close();
     }
 }
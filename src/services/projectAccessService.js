@@ -0,0 +1,87 @@
+// src/services/projectAccessService.js
+import { logger } from './logger.js';
+import { redisClient } from './redisService.js';
+import MagentoCloudAdapter from '../adapters/magentoCloud.js';
+
+const KEY_PREFIX = 'project_access';
+const TTL_SECONDS = parseInt(process.env.PROJECT_ACCESS_TTL_SECONDS || '300');
+
+/**
+ * Whether a user can reach a project environment with their own API token. Data shared between
+ * users (cached command results, the node inventory) was fetched with someone else's token, so it
+ * is only served to users who pass this check.
+ *
+ * Confirmed access is cached per user in Redis:
+ *   project_access:<userId>:<projectId>-<environment> => ISO time of the check
+ * Denials are not cached; a user who was just granted access is not locked out until expiry.
+ */
+class ProjectAccessService {
+    constructor() {
+        this.checks = new Map(); // Map<key, Promise<boolean>>
+    }
+
+    key(userId, projectId, environment) {
+        return `${KEY_PREFIX}:${userId}:${projectId}-${environment}`;
+    }
+
+    /**
+     * @returns {Promise<boolean>} - false when the user's token cannot read the environment,
+     *                               or the check itself failed
+     */
+    async verify(projectId, environment, apiToken, userId) {
+        if (!apiToken || !userId) return false;
+
+        const key = this.key(userId, projectId, environment);
+        try {
+            if (await redisClient.get(key)) return true;
+        } catch (error) {
+            logger.warn('Failed to read project access', { projectId, environment, userId, error: error.message });
+        }
+
+        // Concurrent batches of one dashboard load share the check
+        if (!this.checks.has(key)) {
+            const check = this.check(projectId, environment, apiToken, userId)
+                .finally(() => this.checks.delete(key));
+            this.checks.set(key, check);
+        }
+        return this.checks.get(key);
+    }
+
+    /**
+     * @throws {Error} - code PROJECT_ACCESS_DENIED when verify fails
+     */
+    async assert(projectId, environment, apiToken, userId) {
+        if (await this.verify(projectId, environment, apiToken, userId)) return;
+        const error = new Error(`Access to ${projectId}/${environment} could not be verified with your API token`);
+        error.code = 'PROJECT_ACCESS_DENIED';
+        throw error;
+    }
+
+    async check(projectId, environment, apiToken, userId) {
+        try {
+            const magentoCloud = new MagentoCloudAdapter();
+            await magentoCloud.validateExecutable();
+            await magentoCloud.executeCommand(`environment:info -p ${projectId} -e ${environment} id`, apiToken, userId);
+        } catch (error) {
+            logger.warn('Project access check failed', { projectId, environment, userId, error: error.message });
+            return false;
+        }
+
+        await this.grant(projectId, environment, userId);
+        return true;
+    }
+
+    /**
+     * Records access the user has just proven, e.g. by running a command with their own token
+     */
+    async grant(projectId, environment, userId) {
+        if (!userId || TTL_SECONDS <= 0) return;
+        try {
+            await redisClient.set(this.key(userId, projectId, environment), new Date().toISOString(), { EX: TTL_SECONDS });
+        } catch (error) {
+            logger.warn('Failed to cache project access', { projectId, environment, userId, error: error.message });
+        }
+    }
+}
+
+export const projectAccess = new ProjectAccessService();
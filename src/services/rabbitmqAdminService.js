@@ -1,5 +1,6 @@
 // src/services/rabbitmqAdminService.js
 import { logger } from './logger.js';
+import { cancelledError, TIMEOUT_STATUS } from './executionCancellationService.js';
 import { executeCommand } from '../api/app/magentoCloudDirectAccess.js';
 import MagentoCloudAdapter from '../adapters/magentoCloud.js';
 
@@ -12,7 +13,14 @@ export class RabbitMQAdminService {
         this.magentoCloud = new MagentoCloudAdapter();
     }
 
-    async executeCommand(command) {
+    /**
+     * Runs a rabbitmqadmin command on the environment over SSH
+     * @param {string} command - rabbitmqadmin arguments
+     * @param {Object} [options] - { signal, policy } aborting the signal kills the ssh process;
+     *                              policy: execution policy, the defaults when empty
+     * @returns {Promise<string>} - Command output
+     */
+    async executeCommand(command, { signal, policy } = {}) {
         try {
             // Extract RabbitMQ details from environment variable
             const rabbitmqHost = `$(echo $MAGENTO_CLOUD_RELATIONSHIPS | base64 -d | jq -r .rabbitmq[0].host)`;
@@ -35,9 +43,18 @@ export class RabbitMQAdminService {
                 sshCommand,
                 { projectId: this.projectId, environment: this.environment },
                 this.apiToken,
-                this.userId
+                this.userId,
+                { signal, policy }
             );
 
+            if (status === 'CANCELLED') {
+                throw cancelledError();
+            }
+            if (status === TIMEOUT_STATUS) {
+                const timeout = new Error(error);
+                timeout.code = 'EXECUTION_TIMEOUT';
+                throw timeout;
+            }
             if (status === 'ERROR') {
                 throw new Error(error || 'RabbitMQ command execution failed (via SSH)');
             }
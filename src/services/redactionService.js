@@ -0,0 +1,185 @@
+// src/services/redactionService.js
+import { redactionConfig } from '../config/redaction.js';
+
+// Matches quoted PHP array entries and JSON members with a string value: 'key' => 'value', "key": "value"
+const PHP_ENTRY = /(['"])([\w.-]+)\1(\s*=>\s*)(['"])((?:(?!\4)[^\\]|\\.)*)\4/g;
+const JSON_MEMBER = /"([\w.-]+)"(\s*:\s*)"((?:[^"\\]|\\.)*)"/g;
+// Lines of env.php (var_export or short array syntax) that open or close a nested array
+const PHP_ARRAY_OPEN = /^\s*(['"])([\w.-]+)\1\s*=>\s*(?:\[|array\s*\()\s*$/;
+const PHP_ARRAY_CLOSE = /^\s*[\])]\s*[,;]?\s*$/;
+const ENTROPY_TOKEN = /[A-Za-z0-9+/=_-]+/g;
+
+function marker(rule) {
+    return `[REDACTED:${rule}]`;
+}
+
+function shannonEntropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    counts.forEach(count => {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    });
+    return entropy;
+}
+
+function pathPattern(path) {
+    const parts = path.split('.').map(part => part === '*' ? '[^.]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${parts.join('\\.')}$`, 'i');
+}
+
+/**
+ * Removes secrets (passwords, keys, tokens) from command output, following src/config/redaction.js.
+ * Applied to every command result before it is sent to the browser, stored or given to the AI.
+ */
+export class RedactionService {
+    constructor(config = redactionConfig) {
+        this.config = config;
+        this.envPhpPaths = config.envPhpKeyPaths.map(pathPattern);
+    }
+
+    get enabled() {
+        return this.config.enabled;
+    }
+
+    isSensitiveKey(name) {
+        const key = String(name).toLowerCase().replace(/-/g, '_');
+        return this.config.sensitiveKeys.some(sensitive =>
+            key === sensitive || key.endsWith(`_${sensitive}`) || key.startsWith(`${sensitive}_`)
+        );
+    }
+
+    isAllowed(value) {
+        return value === '' || value.startsWith('[REDACTED') || this.config.allow.some(pattern => pattern.test(value));
+    }
+
+    /**
+     * @param {string} text - Command output
+     * @param {Object} [findings] - { [rule]: count }, incremented for every replacement
+     * @returns {string} - The text with secrets replaced by [REDACTED:<rule>]
+     */
+    redactText(text, findings = {}) {
+        if (!this.enabled || typeof text !== 'string' || text === '') return text;
+        const count = (rule) => {
+            findings[rule] = (findings[rule] || 0) + 1;
+            return marker(rule);
+        };
+
+        let redacted = text;
+        this.config.patterns.forEach(({ name, pattern, group }) => {
+            redacted = redacted.replace(pattern, (match, ...captures) => {
+                if (!group) return count(name);
+                const secret = [].concat(group).map(index => captures[index - 1]).find(Boolean);
+                if (!secret || this.isAllowed(secret)) return match;
+                // Captured secrets end their match; the same text may appear earlier (mysql -u main -pmain)
+                const at = match.lastIndexOf(secret);
+                return `${match.slice(0, at)}${count(name)}${match.slice(at + secret.length)}`;
+            });
+        });
+
+        redacted = this.redactEnvPhp(redacted, count);
+
+        redacted = redacted.replace(PHP_ENTRY, (match, quote, key, arrow, valueQuote, value) =>
+            this.isSensitiveKey(key) && !this.isAllowed(value)
+                ? `${quote}${key}${quote}${arrow}${valueQuote}${count('sensitive_key')}${valueQuote}`
+                : match
+        );
+        redacted = redacted.replace(JSON_MEMBER, (match, key, colon, value) =>
+            this.isSensitiveKey(key) && !this.isAllowed(value)
+                ? `"${key}"${colon}"${count('sensitive_key')}"`
+                : match
+        );
+
+        if (this.config.entropy.enabled) {
+            redacted = redacted.replace(ENTROPY_TOKEN, (token) =>
+                this.isHighEntropy(token) ? count('high_entropy') : token
+            );
+        }
+        return redacted;
+    }
+
+    /**
+     * Follows the nesting of env.php arrays line by line and replaces the values of the
+     * configured key paths (e.g. crypt.key)
+     */
+    redactEnvPhp(text, count) {
+        if (!text.includes('=>')) return text;
+        const path = [];
+
+        return text.split('\n').map(line => {
+            const open = line.match(PHP_ARRAY_OPEN);
+            if (open) {
+                path.push(open[2]);
+                return line;
+            }
+            if (PHP_ARRAY_CLOSE.test(line)) {
+                path.pop();
+                return line;
+            }
+            return line.replace(PHP_ENTRY, (match, quote, key, arrow, valueQuote, value) => {
+                const keyPath = [...path, key].join('.');
+                return this.envPhpPaths.some(pattern => pattern.test(keyPath)) && !this.isAllowed(value)
+                    ? `${quote}${key}${quote}${arrow}${valueQuote}${count('env_php')}${valueQuote}`
+                    : match;
+            });
+        }).join('\n');
+    }
+
+    isHighEntropy(token) {
+        const { minLength, threshold } = this.config.entropy;
+        if (token.length < minLength || this.isAllowed(token)) return false;
+        if (!/[0-9]/.test(token) || !/[A-Za-z]/.test(token)) return false;
+        // File paths and URLs paths are long but made of words
+        if (token.includes('/') && !/[+=]/.test(token) && token.split('/').some(segment => /^[a-z_-]{3,}$/.test(segment))) {
+            return false;
+        }
+        return shannonEntropy(token) >= threshold;
+    }
+
+    /**
+     * Redacts any output shape: text, row sets (SQL) and parsed JSON (OpenSearch)
+     * @returns {*} - A redacted copy
+     */
+    redactValue(value, findings = {}, key = null) {
+        if (!this.enabled || value === null || value === undefined) return value;
+        if (key !== null && this.isSensitiveKey(key) && (typeof value === 'string' || typeof value === 'number')) {
+            if (typeof value === 'string' && this.isAllowed(value)) return value;
+            findings.sensitive_key = (findings.sensitive_key || 0) + 1;
+            return marker('sensitive_key');
+        }
+        if (typeof value === 'string') return this.redactText(value, findings);
+        if (Array.isArray(value)) return value.map(item => this.redactValue(item, findings));
+        if (typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redactValue(item, findings, name)]));
+        }
+        return value;
+    }
+
+    /**
+     * Redacts the output and error of every node result of a handler response. Node results
+     * with secrets get `redactions`: { [rule]: count }.
+     * @param {Object} data - { results: [{ id, results: [{ output, error }] }] }
+     * @returns {number} - Number of replaced values
+     */
+    redactResults(data) {
+        if (!this.enabled || !Array.isArray(data?.results)) return 0;
+        let total = 0;
+
+        data.results.forEach(commandResult => {
+            (Array.isArray(commandResult?.results) ? commandResult.results : []).forEach(node => {
+                const findings = {};
+                node.output = this.redactValue(node.output, findings);
+                node.error = this.redactValue(node.error, findings);
+                const count = Object.values(findings).reduce((sum, value) => sum + value, 0);
+                if (count > 0) {
+                    node.redactions = findings;
+                    total += count;
+                }
+            });
+        });
+        return total;
+    }
+}
@@ -1,15 +1,19 @@
 // src/services/redisCliService.js
-import { promisify } from 'util';
-import { exec } from 'child_process';
 import { logger } from './logger.js';
-
-const execAsync = promisify(exec);
+import { RedisCommandPolicyService } from './redisCommandPolicyService.js';
+import { RespClient, RespError, toTypedValue, formatReply } from './respClient.js';
+import { cancelledError, throwIfCancelled } from './executionCancellationService.js';
 
 export class RedisCliService {
-    constructor(tunnelInfo) {
+    /**
+     * Runs Redis/Valkey commands over the tunnel with the in-process RESP client
+     * @param {Object} tunnelInfo - Tunnel info with a redis or valkey relationship
+     * @param {Object} [options] - RespClient options (protocol, connectTimeoutMs, commandTimeoutMs)
+     */
+    constructor(tunnelInfo, options = {}) {
         // Support both Redis and Valkey services
         const redisInfo = tunnelInfo.redis?.[0] || tunnelInfo.valkey?.[0];
-        
+
         if (!redisInfo) {
             throw new Error('Invalid tunnel info: missing redis or valkey configuration');
         }
@@ -17,6 +21,8 @@ export class RedisCliService {
         this.host = redisInfo.host;
         this.port = redisInfo.port;
         this.serviceType = tunnelInfo.redis?.[0] ? 'redis' : 'valkey';
+        this.options = options;
+        this.policy = new RedisCommandPolicyService();
 
         logger.debug('Redis CLI Service initialized with config:', {
             host: this.host,
@@ -25,26 +31,99 @@ export class RedisCliService {
         });
     }
 
+    /**
+     * Runs a single command
+     * @param {string} command - Command line, e.g. SCAN 0 MATCH "cache:*" COUNT 1000
+     * @returns {Promise<Object>} - { output, type, value }
+     * @throws {Error} - code REDIS_COMMAND_REJECTED when the policy rejects the command,
+     *                   code REDIS_ERROR when the server answers with an error
+     */
     async executeCommand(command) {
-        try {
-            const redisCommand = `redis-cli -h ${this.host} -p ${this.port} ${command}`;
-            logger.debug('Executing Redis command:', { command: redisCommand });
+        const [result] = await this.executeCommands([command]);
+        if (result.error) {
+            const error = new Error(result.error);
+            error.code = result.code;
+            error.details = result.details;
+            throw error;
+        }
+        return { output: result.output, type: result.type, value: result.value };
+    }
+
+    /**
+     * Checks every command against the Redis command policy and pipelines the allowed ones
+     * over a single connection, in one round trip
+     * @param {Array<string>} commands - Command lines
+     * @param {Object} [options] - { signal } aborting it drops the connection
+     * @returns {Promise<Array<Object>>} - Per command { output, type, value, error, code, details }
+     * @throws {Error} - When the connection cannot be established, code EXECUTION_CANCELLED when aborted
+     */
+    async executeCommands(commands, { signal } = {}) {
+        const checks = commands.map(command => this.policy.check(command));
+        const results = checks.map(({ valid, errors }, index) => {
+            if (valid) return null;
+            logger.warn('Redis command rejected by policy:', { command: commands[index], errors });
+            return {
+                output: null,
+                type: null,
+                value: null,
+                error: `Redis command rejected: ${errors.join('; ')}`,
+                code: 'REDIS_COMMAND_REJECTED',
+                details: errors
+            };
+        });
 
-            const { stdout, stderr } = await execAsync(redisCommand);
-            
-            if (stderr) {
-                throw new Error(stderr);
-            }
+        const allowed = checks
+            .map((check, index) => ({ argv: check.argv, index }))
+            .filter(({ index }) => results[index] === null);
+        if (allowed.length === 0) return results;
 
-            return stdout.trim();
+        throwIfCancelled(signal);
+        const client = new RespClient({ host: this.host, port: this.port, ...this.options });
+        // Replies still pending are rejected when the socket is destroyed
+        const onAbort = () => client.socket?.destroy(cancelledError());
+        signal?.addEventListener('abort', onAbort, { once: true });
+        try {
+            await client.connect();
+            logger.debug('Executing Redis commands:', {
+                commands: allowed.length,
+                protocol: client.protocol,
+                host: this.host,
+                port: this.port
+            });
+
+            const replies = await client.pipeline(allowed.map(({ argv }) => argv));
+            replies.forEach((reply, position) => {
+                const { type, value } = toTypedValue(reply);
+                results[allowed[position].index] = reply instanceof RespError
+                    ? { output: null, type, value: null, error: reply.message, code: 'REDIS_ERROR' }
+                    : { output: formatReply(reply), type, value, error: null };
+            });
         } catch (error) {
             logger.error('Redis command execution failed:', {
                 error: error.message,
-                command,
                 host: this.host,
                 port: this.port
             });
             throw error;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            await client.close();
+        }
+
+        return results;
+    }
+
+    /**
+     * Checks that the server answers PING
+     * @returns {Promise<boolean>}
+     */
+    async ping() {
+        const client = new RespClient({ host: this.host, port: this.port, protocol: 2, ...this.options });
+        try {
+            await client.connect();
+            return (await client.send(['PING'])) === 'PONG';
+        } finally {
+            await client.close();
         }
     }
-}
\ No newline at end of file
+}
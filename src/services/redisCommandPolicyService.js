@@ -0,0 +1,180 @@
+// src/services/redisCommandPolicyService.js
+import { redisCommandPolicy } from '../config/redisCommandPolicy.js';
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', a: '\x07' };
+
+export class RedisCommandPolicyService {
+    constructor(policy = redisCommandPolicy) {
+        this.policy = policy;
+    }
+
+    /**
+     * Splits a command line into arguments using redis-cli's quoting rules:
+     * "double quotes" support \n \r \t \b \a \\ \" and \xHH escapes, 'single quotes' only \'.
+     * @param {string} command - Command line, e.g. SCAN 0 MATCH "cache:*" COUNT 1000
+     * @returns {Array<string>} - Arguments
+     * @throws {Error} - On unbalanced quotes
+     */
+    tokenize(command) {
+        const text = String(command || '');
+        const args = [];
+        let i = 0;
+
+        while (i < text.length) {
+            while (i < text.length && /\s/.test(text[i])) i++;
+            if (i >= text.length) break;
+
+            let current = '';
+            let quote = null;
+            let done = false;
+
+            while (!done) {
+                const ch = text[i];
+                if (quote === '"') {
+                    if (ch === undefined) {
+                        throw new Error('Unbalanced double quotes in Redis command');
+                    }
+                    if (ch === '\\' && text[i + 1] === 'x' && /^[0-9a-fA-F]{2}$/.test(text.slice(i + 2, i + 4))) {
+                        current += String.fromCharCode(parseInt(text.slice(i + 2, i + 4), 16));
+                        i += 4;
+                        continue;
+                    }
+                    if (ch === '\\' && text[i + 1] !== undefined) {
+                        current += ESCAPES[text[i + 1]] ?? text[i + 1];
+                        i += 2;
+                        continue;
+                    }
+                    if (ch === '"') {
+                        if (text[i + 1] !== undefined && !/\s/.test(text[i + 1])) {
+                            throw new Error('Closing quote must be followed by a space in Redis command');
+                        }
+                        done = true;
+                    } else {
+                        current += ch;
+                    }
+                } else if (quote === "'") {
+                    if (ch === undefined) {
+                        throw new Error('Unbalanced single quotes in Redis command');
+                    }
+                    if (ch === '\\' && text[i + 1] === "'") {
+                        current += "'";
+                        i += 2;
+                        continue;
+                    }
+                    if (ch === "'") {
+                        if (text[i + 1] !== undefined && !/\s/.test(text[i + 1])) {
+                            throw new Error('Closing quote must be followed by a space in Redis command');
+                        }
+                        done = true;
+                    } else {
+                        current += ch;
+                    }
+                } else if (ch === undefined || /\s/.test(ch)) {
+                    done = true;
+                } else if (ch === '"' || ch === "'") {
+                    quote = ch;
+                } else {
+                    current += ch;
+                }
+                i++;
+            }
+
+            args.push(current);
+        }
+
+        return args;
+    }
+
+    /**
+     * Quotes a value so tokenize() yields it back as a single argument
+     * @param {string|number} value - Value
+     * @returns {string}
+     */
+    quote(value) {
+        if (typeof value === 'number') return String(value);
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Checks a command against the allow-list and its argument rules
+     * @param {string|Array<string>} command - Command line or argv
+     * @returns {Object} - { valid, argv, errors }
+     */
+    check(command) {
+        let argv;
+        try {
+            argv = Array.isArray(command) ? command.map(String) : this.tokenize(command);
+        } catch (error) {
+            return { valid: false, argv: [], errors: [error.message] };
+        }
+
+        if (argv.length === 0) {
+            return { valid: false, argv, errors: ['Empty Redis command'] };
+        }
+
+        const name = argv[0].toUpperCase();
+        const rule = this.policy.commands[name];
+        const errors = [];
+
+        if (!rule) {
+            if (this.policy.defaultAction !== 'allow') {
+                errors.push(`${name} is not on the Redis command allow-list`);
+            }
+        } else if (rule.deny) {
+            errors.push(`${name} is not allowed: ${rule.deny}`);
+        } else if (rule.subcommands) {
+            const sub = (argv[1] || '').toUpperCase();
+            const subRule = rule.subcommands[sub];
+            if (!sub) {
+                errors.push(`${name} requires a subcommand (${Object.keys(rule.subcommands).join(', ')})`);
+            } else if (!subRule) {
+                errors.push(`${name} ${sub} is not allowed; permitted subcommands: ${Object.keys(rule.subcommands).join(', ')}`);
+            } else {
+                errors.push(...this.checkArguments(`${name} ${sub}`, subRule, argv.slice(2)));
+            }
+        } else {
+            errors.push(...this.checkArguments(name, rule, argv.slice(1)));
+        }
+
+        return { valid: errors.length === 0, argv, errors };
+    }
+
+    checkArguments(name, rule, args) {
+        const errors = [];
+
+        if (rule.minArgs !== undefined && args.length < rule.minArgs) {
+            errors.push(`${name} expects at least ${rule.minArgs} argument(s)`);
+        }
+        if (rule.maxArgs !== undefined && args.length > rule.maxArgs) {
+            errors.push(`${name} accepts at most ${rule.maxArgs} argument(s)`);
+        }
+
+        Object.entries(rule.options || {}).forEach(([option, constraint]) => {
+            const position = args.findIndex(arg => arg.toUpperCase() === option);
+            if (position === -1) {
+                if (constraint.required) {
+                    errors.push(`${name} requires ${option} <n> (at most ${constraint.max})`);
+                }
+                return;
+            }
+            const value = Number(args[position + 1]);
+            if (!Number.isInteger(value) || value <= 0) {
+                errors.push(`${name} ${option} must be a positive integer`);
+            } else if (constraint.max !== undefined && value > constraint.max) {
+                errors.push(`${name} ${option} must not exceed ${constraint.max}`);
+            }
+        });
+
+        if (rule.range) {
+            const start = Number(args[rule.range.start]);
+            const stop = Number(args[rule.range.stop]);
+            if (!Number.isInteger(start) || !Number.isInteger(stop) || start < 0 || stop < 0) {
+                errors.push(`${name} needs an explicit non-negative index range (e.g. 0 ${rule.range.max - 1})`);
+            } else if (stop - start + 1 > rule.range.max) {
+                errors.push(`${name} may return at most ${rule.range.max} elements per call`);
+            }
+        }
+
+        return errors;
+    }
+}
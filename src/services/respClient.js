@@ -0,0 +1,396 @@
+// src/services/respClient.js
+import net from 'net';
+import { isUtf8 } from 'buffer';
+import { logger } from './logger.js';
+
+const CRLF = '\r\n';
+const DEFAULT_CONNECT_TIMEOUT_MS = 5000;
+const DEFAULT_COMMAND_TIMEOUT_MS = 30000;
+
+/**
+ * Error reply sent by the server (-ERR ..., !bulk error). Returned as a value inside pipelines
+ * so one failing command does not hide the replies of the others.
+ */
+export class RespError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RespError';
+        // First word of a Redis error is its code: ERR, WRONGTYPE, NOAUTH, ...
+        this.code = /^[A-Z]+\b/.test(message) ? message.split(' ')[0] : 'ERR';
+    }
+}
+
+/**
+ * Incremental RESP2/RESP3 reply parser. Feed it socket chunks and it returns every complete reply.
+ * Maps are returned as Map, sets as Set, so callers can tell them apart from arrays. Bulk strings
+ * that are not valid UTF-8 (compressed or serialized cache values) are returned as Buffer.
+ *
+ * Parse state is kept between chunks: bytes are consumed token by token and aggregates still being
+ * filled stay on a stack, so a large reply is parsed once however many chunks it arrives in.
+ */
+export class RespParser {
+    constructor() {
+        this.chunks = []; // Received bytes not consumed yet
+        this.length = 0;
+        this.needed = 0; // Bytes the next token needs before parsing it is worth trying again
+        this.stack = []; // Aggregates being filled: { prefix, size, items }
+    }
+
+    /**
+     * @param {Buffer} chunk - Data received from the socket
+     * @returns {Array<Object>} - Complete replies as { value, push }
+     */
+    feed(chunk) {
+        this.chunks.push(chunk);
+        this.length += chunk.length;
+        // A large bulk string arrives in many chunks; wait until all of it is here
+        if (this.length < this.needed) return [];
+
+        const buffer = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks, this.length);
+        const replies = [];
+        let offset = 0;
+        this.needed = 0;
+
+        while (offset < buffer.length) {
+            const token = this.parseToken(buffer, offset);
+            if (token.needed) {
+                this.needed = token.needed;
+                break;
+            }
+            offset = token.offset;
+            if (token.frame) {
+                this.stack.push(token.frame);
+                if (token.frame.size === 0) this.completeFrame(replies);
+            } else {
+                this.complete(token.value, replies);
+            }
+        }
+
+        const rest = buffer.subarray(offset);
+        this.chunks = rest.length ? [rest] : [];
+        this.length = rest.length;
+        return replies;
+    }
+
+    /**
+     * Reads one value or aggregate header at offset
+     * @returns {Object} - { value, offset }, { frame, offset }, or { needed } with the number of
+     *                     bytes from offset the token needs when the buffer does not hold it yet
+     */
+    parseToken(buffer, offset) {
+        const end = buffer.indexOf(CRLF, offset + 1);
+        if (end === -1) return { needed: buffer.length - offset + 1 };
+        const prefix = String.fromCharCode(buffer[offset]);
+        const line = buffer.toString('utf8', offset + 1, end);
+        const next = end + 2;
+
+        switch (prefix) {
+            case '+':
+                return { value: line, offset: next };
+            case '-':
+                return { value: new RespError(line), offset: next };
+            case ':': {
+                const number = Number(line);
+                return { value: Number.isSafeInteger(number) ? number : line, offset: next };
+            }
+            case '(':
+                // Big numbers do not fit a JSON number
+                return { value: line, offset: next };
+            case ',': {
+                const number = Number(line.replace(/^(-?)inf$/, '$1Infinity'));
+                return { value: Number.isFinite(number) ? number : line, offset: next };
+            }
+            case '#':
+                return { value: line === 't', offset: next };
+            case '_':
+                return { value: null, offset: next };
+            case '$':
+            case '!':
+            case '=': {
+                const length = Number(line);
+                if (length < 0) return { value: null, offset: next };
+                if (buffer.length < next + length + 2) return { needed: next - offset + length + 2 };
+                const blob = buffer.subarray(next, next + length);
+                let value;
+                if (prefix === '!') {
+                    value = new RespError(blob.toString('utf8'));
+                } else if (prefix === '=') {
+                    // Verbatim strings start with their format, e.g. "txt:"
+                    value = blob.toString('utf8', 4);
+                } else {
+                    value = isUtf8(blob) ? blob.toString('utf8') : Buffer.from(blob);
+                }
+                return { value, offset: next + length + 2 };
+            }
+            case '*':
+            case '~':
+            case '>':
+            case '%':
+            case '|': {
+                const count = Number(line);
+                if (count < 0) return { value: null, offset: next };
+                const size = prefix === '%' || prefix === '|' ? count * 2 : count;
+                return { frame: { prefix, size, items: [] }, offset: next };
+            }
+            default:
+                throw new Error(`Unexpected RESP type byte "${prefix}"`);
+        }
+    }
+
+    // Adds a value to the innermost aggregate, or returns it as a reply at the top level
+    complete(value, replies, push = false) {
+        const frame = this.stack[this.stack.length - 1];
+        if (!frame) {
+            replies.push({ value, push });
+            return;
+        }
+        frame.items.push(value);
+        if (frame.items.length === frame.size) this.completeFrame(replies);
+    }
+
+    completeFrame(replies) {
+        const { prefix, items } = this.stack.pop();
+        switch (prefix) {
+            case '~':
+                return this.complete(new Set(items), replies);
+            case '>':
+                return this.complete(items, replies, true);
+            case '%': {
+                const map = new Map();
+                for (let i = 0; i < items.length; i += 2) {
+                    map.set(items[i], items[i + 1]);
+                }
+                return this.complete(map, replies);
+            }
+            case '|':
+                // Attributes describe the reply that follows; only the reply is kept
+                return undefined;
+            default:
+                return this.complete(items, replies);
+        }
+    }
+}
+
+/**
+ * Minimal Redis/Valkey client speaking RESP over a plain TCP socket (e.g. a magento-cloud tunnel).
+ * Commands are sent as argv arrays, never as text, and any number of them can be pipelined.
+ */
+export class RespClient {
+    /**
+     * @param {Object} options - { host, port, protocol (2 or 3, default 3), connectTimeoutMs, commandTimeoutMs }
+     */
+    constructor({ host, port, protocol = 3, connectTimeoutMs = DEFAULT_CONNECT_TIMEOUT_MS, commandTimeoutMs = DEFAULT_COMMAND_TIMEOUT_MS }) {
+        this.host = host;
+        this.port = Number(port);
+        this.requestedProtocol = protocol;
+        this.protocol = 2;
+        this.connectTimeoutMs = connectTimeoutMs;
+        this.commandTimeoutMs = commandTimeoutMs;
+        this.socket = null;
+        this.parser = new RespParser();
+        this.pending = [];
+        this.server = null;
+    }
+
+    /**
+     * Opens the connection and negotiates RESP3 with HELLO. Servers without HELLO (Redis < 6)
+     * answer with an error and the connection stays on RESP2.
+     * @returns {Promise<RespClient>}
+     */
+    async connect() {
+        await new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`Timed out connecting to ${this.host}:${this.port}`));
+            }, this.connectTimeoutMs);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                socket.setNoDelay(true);
+                resolve();
+            });
+            socket.once('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            socket.on('data', chunk => this.onData(chunk));
+            socket.on('error', error => this.failPending(error));
+            socket.on('close', () => this.failPending(new Error('Connection closed')));
+            this.socket = socket;
+        });
+
+        if (this.requestedProtocol === 3) {
+            const [hello] = await this.pipeline([['HELLO', '3']]);
+            if (hello instanceof RespError) {
+                logger.debug('Server does not support RESP3, using RESP2', { host: this.host, port: this.port, error: hello.message });
+            } else {
+                this.protocol = 3;
+                this.server = hello instanceof Map ? Object.fromEntries(hello) : null;
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Sends one command
+     * @param {Array<string|number>} argv - Command and arguments
+     * @returns {Promise<*>} - Reply
+     * @throws {RespError} - When the server answers with an error
+     */
+    async send(argv) {
+        const [reply] = await this.pipeline([argv]);
+        if (reply instanceof RespError) throw reply;
+        return reply;
+    }
+
+    /**
+     * Sends several commands in a single write and waits for all replies
+     * @param {Array<Array<string|number>>} commands - argv arrays
+     * @returns {Promise<Array>} - Replies in order; error replies are RespError values
+     */
+    pipeline(commands) {
+        if (!this.socket || this.socket.destroyed) {
+            return Promise.reject(new Error('Redis connection is not open'));
+        }
+        if (commands.length === 0) return Promise.resolve([]);
+
+        const payload = commands.map(argv => this.encode(argv)).join('');
+
+        return new Promise((resolve, reject) => {
+            const replies = [];
+            const timer = setTimeout(() => {
+                const error = new Error(`Redis commands timed out after ${this.commandTimeoutMs}ms`);
+                error.code = 'ETIMEDOUT';
+                // The connection is out of sync with the pending replies, so it cannot be reused
+                this.socket.destroy(error);
+            }, this.commandTimeoutMs);
+
+            commands.forEach((argv, index) => {
+                this.pending.push({
+                    resolve: (value) => {
+                        replies.push(value);
+                        if (index === commands.length - 1) {
+                            clearTimeout(timer);
+                            resolve(replies);
+                        }
+                    },
+                    reject: (error) => {
+                        clearTimeout(timer);
+                        reject(error);
+                    }
+                });
+            });
+
+            this.socket.write(payload);
+        });
+    }
+
+    encode(argv) {
+        const parts = [`*${argv.length}${CRLF}`];
+        argv.forEach(arg => {
+            const value = String(arg);
+            parts.push(`$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`);
+        });
+        return parts.join('');
+    }
+
+    onData(chunk) {
+        let replies;
+        try {
+            replies = this.parser.feed(chunk);
+        } catch (error) {
+            this.socket.destroy(error);
+            return;
+        }
+
+        replies.forEach(({ value, push }) => {
+            // Out-of-band push messages (RESP3) are not replies to our commands
+            if (push) return;
+            const waiter = this.pending.shift();
+            if (waiter) waiter.resolve(value);
+        });
+    }
+
+    failPending(error) {
+        const waiters = this.pending;
+        this.pending = [];
+        // One pipeline registers several waiters; rejecting the first settles its promise
+        waiters.forEach(waiter => waiter.reject(error));
+    }
+
+    async close() {
+        if (!this.socket || this.socket.destroyed) return;
+        try {
+            await this.pipeline([['QUIT']]);
+        } catch (error) {
+            // The server closes the connection after QUIT; nothing to report
+        }
+        this.socket.destroy();
+    }
+}
+
+/**
+ * Converts a reply into JSON-safe data together with its RESP type. Binary bulk strings are
+ * typed binary with their bytes as { encoding: 'base64', data }.
+ * @param {*} reply - Reply from RespClient
+ * @returns {Object} - { type, value }
+ */
+export function toTypedValue(reply) {
+    if (reply === null || reply === undefined) return { type: 'nil', value: null };
+    if (reply instanceof RespError) return { type: 'error', value: reply.message };
+    if (typeof reply === 'number') {
+        return { type: Number.isInteger(reply) ? 'integer' : 'double', value: reply };
+    }
+    if (typeof reply === 'boolean') return { type: 'boolean', value: reply };
+    if (typeof reply === 'string') return { type: 'string', value: reply };
+    if (Buffer.isBuffer(reply)) return { type: 'binary', value: { encoding: 'base64', data: reply.toString('base64') } };
+    if (reply instanceof Set) {
+        return { type: 'set', value: [...reply].map(item => toTypedValue(item).value) };
+    }
+    if (reply instanceof Map) {
+        const value = {};
+        reply.forEach((item, key) => {
+            value[Buffer.isBuffer(key) ? formatReply(key) : String(toTypedValue(key).value)] = toTypedValue(item).value;
+        });
+        return { type: 'map', value };
+    }
+    return { type: 'array', value: reply.map(item => toTypedValue(item).value) };
+}
+
+/**
+ * Formats a reply the way redis-cli prints it when its output is not a terminal,
+ * which is what the UI and the AI context have always received
+ * @param {*} reply - Reply from RespClient
+ * @returns {string}
+ */
+export function formatReply(reply) {
+    if (reply === null || reply === undefined) return '';
+    if (reply instanceof RespError) return reply.message;
+    if (reply instanceof Set) return [...reply].map(formatReply).join('\n');
+    if (reply instanceof Map) {
+        return [...reply.entries()].map(([key, value]) => `${formatReply(key)}\n${formatReply(value)}`).join('\n');
+    }
+    if (Array.isArray(reply)) return reply.map(formatReply).join('\n');
+    if (Buffer.isBuffer(reply)) return quoteBinary(reply);
+    return String(reply);
+}
+
+const ESCAPES = { 0x5c: '\\\\', 0x22: '\\"', 0x0a: '\\n', 0x0d: '\\r', 0x09: '\\t', 0x07: '\\a', 0x08: '\\b' };
+
+// Binary values are printed quoted and escaped the way redis-cli shows them on a terminal
+function quoteBinary(buffer) {
+    let text = '"';
+    for (const byte of buffer) {
+        if (ESCAPES[byte]) {
+            text += ESCAPES[byte];
+        } else if (byte >= 0x20 && byte < 0x7f) {
+            text += String.fromCharCode(byte);
+        } else {
+            text += `\\x${byte.toString(16).padStart(2, '0')}`;
+        }
+    }
+    return `${text}"`;
+}
@@ -0,0 +1,193 @@
+// src/services/resultComparisonService.js
+import { logger } from './logger.js';
+import { CommandService } from './commandsManagerService.js';
+import { CommandExecutionService } from './commandExecutionService.js';
+import { executionCancellation } from './executionCancellationService.js';
+import { ResultDiffService } from './resultDiffService.js';
+import { CommandSnapshotDao } from './dao/commandSnapshotDao.js';
+
+const MAX_LIVE_COMMANDS = 25;
+// Service types whose commands a live side can point at another relationship
+const RELATIONSHIP_SERVICE_TYPES = ['sql', 'redis', 'opensearch'];
+
+function comparisonError(message, code, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+/**
+ * Compares two result sets: a stored snapshot (see commandScheduleService) or a run made now
+ * against a project environment, on either side. Typical uses are staging against production,
+ * before against after a deploy, and the primary database against its replica (a live side with
+ * relationships: { sql: 'database-slave' }).
+ */
+export class ResultComparisonService {
+    constructor() {
+        this.commandService = new CommandService();
+        this.executionService = new CommandExecutionService();
+    }
+
+    /**
+     * @param {Object} request - { left, right, commandIds, parameterValues }; each side is
+     *                           { snapshotId } or { projectId, environment, relationships }. relationships
+     *                           maps a service type to the relationship its commands run against on that
+     *                           side, e.g. { sql: 'database-slave', redis: 'redis-session' }
+     * @param {Object} context - { userId, apiToken, tabId } used for live runs
+     * @returns {Promise<Object>} - { left, right, commands, summary }
+     * @throws {Error} - INVALID_COMPARISON, SNAPSHOT_NOT_FOUND, HIPAA_PROJECT_DETECTED
+     */
+    async compare({ left, right, commandIds, parameterValues = {} }, context) {
+        const ids = Array.isArray(commandIds) ? [...new Set(commandIds.map(id => parseInt(id, 10)))] : [];
+        const errors = [];
+        if (ids.some(id => isNaN(id))) {
+            errors.push('commandIds must be a list of command ids');
+        }
+        [['left', left], ['right', right]].forEach(([name, side]) => {
+            if (!side || typeof side !== 'object') {
+                errors.push(`${name} is required`);
+            } else if (!side.snapshotId && !(side.projectId && side.environment)) {
+                errors.push(`${name} needs a snapshotId, or a projectId and environment to run the commands now`);
+            } else if (side.relationships !== undefined) {
+                errors.push(...this.validateRelationships(name, side));
+            }
+        });
+
+        const live = [left, right].filter(side => side && !side.snapshotId);
+        if (live.length > 0 && ids.length === 0) {
+            errors.push('commandIds are required when a side runs the commands now');
+        }
+        if (live.length > 0 && ids.length > MAX_LIVE_COMMANDS) {
+            errors.push(`At most ${MAX_LIVE_COMMANDS} commands can be compared in a live run`);
+        }
+        if (live.length > 0 && !context.apiToken) {
+            errors.push('An API token is required to run the commands now');
+        }
+        if (errors.length > 0) {
+            throw comparisonError('Invalid comparison', 'INVALID_COMPARISON', errors);
+        }
+
+        const commands = live.length > 0 ? await this.loadRunnableCommands(ids) : [];
+        const targetErrors = [['left', left], ['right', right]]
+            .flatMap(([name, side]) => this.validateRelationshipTargets(name, side, commands));
+        if (targetErrors.length > 0) {
+            throw comparisonError('Invalid comparison', 'INVALID_COMPARISON', targetErrors);
+        }
+        const [leftSide, rightSide] = await Promise.all([
+            this.resolveSide(left, ids, commands, parameterValues, context),
+            this.resolveSide(right, ids, commands, parameterValues, context)
+        ]);
+
+        const diff = ResultDiffService.diffResultSets(leftSide.results, rightSide.results);
+        logger.info('Compared command results', {
+            left: leftSide.source,
+            right: rightSide.source,
+            commandIds: ids,
+            summary: diff.summary,
+            userId: context.userId
+        });
+
+        return { left: leftSide.source, right: rightSide.source, ...diff };
+    }
+
+    validateRelationships(name, side) {
+        if (side.snapshotId) {
+            return [`${name}.relationships only applies to a side that runs the commands now`];
+        }
+        if (!side.relationships || typeof side.relationships !== 'object' || Array.isArray(side.relationships)) {
+            return [`${name}.relationships must map service types to relationship names`];
+        }
+        return Object.entries(side.relationships).flatMap(([serviceType, relationship]) => {
+            if (!RELATIONSHIP_SERVICE_TYPES.includes(serviceType)) {
+                return [`${name}.relationships.${serviceType}: only ${RELATIONSHIP_SERVICE_TYPES.join(', ')} commands run against a relationship`];
+            }
+            try {
+                this.commandService.processRelationship(relationship, serviceType);
+                return [];
+            } catch (error) {
+                return (error.details || [error.message]).map(detail => `${name}.relationships.${serviceType}: ${detail}`);
+            }
+        });
+    }
+
+    // A relationship the side sets must be usable by every command it applies to
+    validateRelationshipTargets(name, side, commands) {
+        if (!side?.relationships || side.snapshotId) return [];
+        return commands
+            .filter(cmd => side.relationships[cmd.service_type])
+            .flatMap(cmd => {
+                try {
+                    this.commandService.checkRelationshipTarget({ ...cmd, relationship: side.relationships[cmd.service_type] });
+                    return [];
+                } catch (error) {
+                    return error.details.map(detail => `${name}.relationships.${cmd.service_type}: command ${cmd.id} - ${detail}`);
+                }
+            });
+    }
+
+    async loadRunnableCommands(ids) {
+        const all = await this.commandService.getAll();
+        const errors = [];
+        const commands = ids.map(id => {
+            const command = all.find(cmd => cmd.id === id);
+            if (!command) {
+                errors.push(`Command ${id} does not exist`);
+            } else if (!command.reviewed) {
+                errors.push(`Command ${id} has not been reviewed and cannot be executed`);
+            }
+            return command;
+        });
+        if (errors.length > 0) {
+            throw comparisonError('Invalid comparison', 'INVALID_COMPARISON', errors);
+        }
+        return commands;
+    }
+
+    /**
+     * @returns {Promise<Object>} - { source, results } with results in runCommandSet's format
+     */
+    async resolveSide(side, ids, commands, parameterValues, { userId, apiToken, tabId }) {
+        if (side.snapshotId) {
+            const snapshot = await CommandSnapshotDao.getSnapshot(side.snapshotId);
+            if (!snapshot) {
+                throw comparisonError(`Snapshot ${side.snapshotId} not found`, 'SNAPSHOT_NOT_FOUND');
+            }
+            return {
+                source: {
+                    type: 'snapshot',
+                    snapshotId: snapshot.id,
+                    scheduleId: snapshot.scheduleId,
+                    projectId: snapshot.projectId,
+                    environment: snapshot.environment,
+                    status: snapshot.status,
+                    startedAt: snapshot.startedAt
+                },
+                results: ids.length > 0 ? snapshot.results.filter(result => ids.includes(result.id)) : snapshot.results
+            };
+        }
+
+        const { projectId, environment } = side;
+        const relationships = side.relationships || {};
+        await this.executionService.ensureNotHipaaProject(projectId, environment, userId, apiToken, { comparison: true });
+
+        const execution = executionCancellation.begin(tabId, { userId, projectId, environment });
+        const startedAt = new Date();
+        try {
+            const sideCommands = commands.map(cmd => relationships[cmd.service_type]
+                ? { ...cmd, relationship: relationships[cmd.service_type] }
+                : cmd);
+            const run = await this.executionService.runCommandSet(sideCommands, projectId, environment, userId, apiToken, {
+                parameterValues,
+                tabId,
+                execution
+            });
+            return {
+                source: { type: 'live', projectId, environment, relationships, status: run.status, startedAt },
+                results: run.commands
+            };
+        } finally {
+            executionCancellation.end(execution);
+        }
+    }
+}
@@ -0,0 +1,282 @@
+// src/services/resultDiffService.js
+import { DiffService } from './diffService.js';
+
+// Columns that identify a row the same way in every environment, tried before surrogate ids
+const ROW_KEY_CANDIDATES = ['Variable_name', 'path', 'name', 'key', 'code', 'identifier', 'sku', 'index', 'queue', 'id', 'entity_id'];
+// Added to a row key when present, so e.g. core_config_data paths are compared per scope
+const ROW_SCOPE_COLUMNS = ['scope', 'scope_id', 'website_id', 'store_id'];
+const ROW_VALUE_COLUMNS = ['value', 'Value'];
+// "key = value", "key: value" and "key => value" lines in text output
+const CONFIG_LINE = /^\s*([A-Za-z0-9_.\-/[\]]+)\s*(=>|=|:)\s*(.*?)\s*$/;
+const MAX_CONFIG_LINE_LENGTH = 1000;
+
+/**
+ * Compares command results (as returned by CommandExecutionService.runCommandSet and stored in
+ * snapshots) per command and per node. Text output gets a line diff, JSON output a diff by
+ * property path and SQL rows a diff by row key. Changed configuration values (key/value lines,
+ * value columns, JSON scalars) are listed separately in configChanges.
+ */
+export class ResultDiffService {
+    /**
+     * @param {Array<Object>} left - [{ id, title, serviceType, results: [{ nodeId, output, status, error }], error }]
+     * @param {Array<Object>} right - Same shape
+     * @returns {Object} - { commands: [{ id, title, serviceType, status, error, nodes }], summary }
+     */
+    static diffResultSets(left, right) {
+        const leftById = new Map(left.map(command => [command.id, command]));
+        const rightById = new Map(right.map(command => [command.id, command]));
+        const ids = [...new Set([...leftById.keys(), ...rightById.keys()])];
+
+        const commands = ids.map(id => this.diffCommand(leftById.get(id), rightById.get(id)));
+        const summary = commands.reduce((acc, command) => {
+            acc[command.status] = (acc[command.status] || 0) + 1;
+            return acc;
+        }, { changed: 0, unchanged: 0, added: 0, removed: 0 });
+
+        return { commands, summary };
+    }
+
+    static diffCommand(left, right) {
+        const reference = left || right;
+        const base = { id: reference.id, title: reference.title, serviceType: reference.serviceType };
+
+        if (!left || !right) {
+            return {
+                ...base,
+                status: left ? 'removed' : 'added',
+                error: { left: left?.error || null, right: right?.error || null },
+                nodes: []
+            };
+        }
+
+        const nodes = this.pairNodes(left.results || [], right.results || [])
+            .map(([leftNode, rightNode]) => this.diffNode(leftNode, rightNode));
+        const changed = left.error !== right.error || nodes.some(node => node.status !== 'unchanged');
+
+        return {
+            ...base,
+            status: changed ? 'changed' : 'unchanged',
+            error: left.error || right.error ? { left: left.error || null, right: right.error || null } : null,
+            nodes
+        };
+    }
+
+    /**
+     * Pairs the nodes of both sides. Nodes with the same id are paired first; the rest are paired
+     * in order, as node ids usually differ between environments.
+     * @returns {Array<Array>} - [[leftNode|undefined, rightNode|undefined]]
+     */
+    static pairNodes(leftNodes, rightNodes) {
+        const rightIds = new Set(rightNodes.map(node => String(node.nodeId)));
+        const leftIds = new Set(leftNodes.map(node => String(node.nodeId)));
+        const pairs = leftNodes
+            .filter(node => rightIds.has(String(node.nodeId)))
+            .map(node => [node, rightNodes.find(other => String(other.nodeId) === String(node.nodeId))]);
+
+        const leftRest = leftNodes.filter(node => !rightIds.has(String(node.nodeId)));
+        const rightRest = rightNodes.filter(node => !leftIds.has(String(node.nodeId)));
+        for (let index = 0; index < Math.max(leftRest.length, rightRest.length); index++) {
+            pairs.push([leftRest[index], rightRest[index]]);
+        }
+        return pairs;
+    }
+
+    static diffNode(left, right) {
+        const node = {
+            nodeId: (left || right).nodeId,
+            leftNodeId: left?.nodeId ?? null,
+            rightNodeId: right?.nodeId ?? null,
+            leftStatus: left?.status ?? null,
+            rightStatus: right?.status ?? null,
+            leftError: left?.error ?? null,
+            rightError: right?.error ?? null
+        };
+
+        if (!left || !right) {
+            return { ...node, status: left ? 'removed' : 'added', format: null, configChanges: [] };
+        }
+
+        const before = this.parseOutput(left.output);
+        const after = this.parseOutput(right.output);
+        let diff;
+        if (before.format === 'rows' && after.format === 'rows') {
+            diff = this.diffRows(before.value, after.value);
+        } else if (before.format !== 'text' && after.format !== 'text') {
+            diff = this.diffJson(before.value, after.value);
+        } else {
+            diff = this.diffText(left.output, right.output);
+        }
+
+        const changed = diff.changed || left.status !== right.status || left.error !== right.error;
+        delete diff.changed;
+        return { ...node, status: changed ? 'changed' : 'unchanged', ...diff };
+    }
+
+    /**
+     * @returns {Object} - { format: 'rows' (array of objects) | 'json' | 'text', value }
+     */
+    static parseOutput(output) {
+        let value = output;
+        if (typeof value === 'string') {
+            const trimmed = value.trim();
+            if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+                return { format: 'text', value };
+            }
+            try {
+                value = JSON.parse(trimmed);
+            } catch (error) {
+                return { format: 'text', value: output };
+            }
+        }
+        if (value === null || typeof value !== 'object') {
+            return { format: 'text', value: output };
+        }
+        const rows = Array.isArray(value) && value.length > 0
+            && value.every(row => row && typeof row === 'object' && !Array.isArray(row));
+        return { format: rows ? 'rows' : 'json', value };
+    }
+
+    static diffText(before, after) {
+        const lines = DiffService.diffLines(before, after);
+        return {
+            format: 'text',
+            changed: lines.added > 0 || lines.removed > 0,
+            lines,
+            configChanges: this.diffConfigLines(before, after)
+        };
+    }
+
+    /**
+     * Changed, added and removed values of "key = value" style lines
+     */
+    static diffConfigLines(before, after) {
+        const parse = (text) => {
+            const values = new Map();
+            DiffService.toLines(typeof text === 'string' ? text : JSON.stringify(text, null, 2)).forEach(line => {
+                if (line.length > MAX_CONFIG_LINE_LENGTH) return;
+                const match = line.match(CONFIG_LINE);
+                if (match) values.set(match[1], match[3]);
+            });
+            return values;
+        };
+        return this.compareMaps(parse(before), parse(after));
+    }
+
+    static diffJson(before, after) {
+        const left = this.flatten(before);
+        const right = this.flatten(after);
+        const changes = this.compareMaps(left, right).map(({ key, ...change }) => ({ path: key, ...change }));
+        return {
+            format: 'json',
+            changed: changes.length > 0,
+            changes,
+            configChanges: changes.map(({ path, ...change }) => ({ key: path, ...change }))
+        };
+    }
+
+    /**
+     * Flattens JSON into Map<path, scalar>, e.g. { a: { b: [1] } } -> "a.b.0" => 1
+     */
+    static flatten(value, prefix = '', into = new Map()) {
+        if (value !== null && typeof value === 'object') {
+            const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+            if (entries.length === 0) {
+                into.set(prefix, Array.isArray(value) ? '[]' : '{}');
+            }
+            entries.forEach(([key, item]) => this.flatten(item, prefix ? `${prefix}.${key}` : String(key), into));
+        } else {
+            into.set(prefix, value);
+        }
+        return into;
+    }
+
+    static diffRows(before, after) {
+        const keyColumns = this.rowKeyColumns(before, after);
+        const keyOf = (row, index) => keyColumns ? keyColumns.map(column => row[column]).join(' / ') : `#${index + 1}`;
+        const left = new Map(before.map((row, index) => [keyOf(row, index), row]));
+        const right = new Map(after.map((row, index) => [keyOf(row, index), row]));
+        const valueColumn = ROW_VALUE_COLUMNS.find(column => before.concat(after).some(row => column in row));
+
+        const rows = [];
+        const configChanges = [];
+        new Set([...left.keys(), ...right.keys()]).forEach(key => {
+            const leftRow = left.get(key);
+            const rightRow = right.get(key);
+            if (!leftRow || !rightRow) {
+                rows.push({ key, type: leftRow ? 'removed' : 'added', row: leftRow || rightRow });
+                if (valueColumn) {
+                    configChanges.push({ key, type: leftRow ? 'removed' : 'added', before: leftRow?.[valueColumn] ?? null, after: rightRow?.[valueColumn] ?? null });
+                }
+                return;
+            }
+
+            const fields = [...new Set([...Object.keys(leftRow), ...Object.keys(rightRow)])]
+                .filter(field => !this.sameValue(leftRow[field], rightRow[field]))
+                .map(field => ({ field, before: leftRow[field] ?? null, after: rightRow[field] ?? null }));
+            if (fields.length === 0) return;
+
+            rows.push({ key, type: 'changed', fields });
+            const valueChange = fields.find(change => change.field === valueColumn);
+            if (valueChange) {
+                configChanges.push({ key, type: 'changed', before: valueChange.before, after: valueChange.after });
+            }
+        });
+
+        return {
+            format: 'rows',
+            changed: rows.length > 0,
+            keyColumns: keyColumns || null,
+            rows,
+            configChanges
+        };
+    }
+
+    /**
+     * Finds the columns that identify a row on both sides
+     * @returns {Array<string>|null} - null when rows can only be compared by position
+     */
+    static rowKeyColumns(before, after) {
+        const all = before.concat(after);
+        const columns = Object.keys(all[0] || {});
+        const candidates = [
+            ...ROW_KEY_CANDIDATES.filter(column => columns.includes(column)),
+            ...columns.filter(column => !ROW_KEY_CANDIDATES.includes(column)).slice(0, 1)
+        ];
+
+        for (const candidate of candidates) {
+            const keyColumns = [...ROW_SCOPE_COLUMNS.filter(column => columns.includes(column) && column !== candidate), candidate];
+            const unique = [before, after].every(rows => {
+                const keys = rows.map(row => keyColumns.map(column => row[column]).join('\u0000'));
+                return new Set(keys).size === keys.length;
+            });
+            if (unique && all.every(row => keyColumns.every(column => column in row))) {
+                return keyColumns;
+            }
+        }
+        return null;
+    }
+
+    static compareMaps(left, right) {
+        const changes = [];
+        new Set([...left.keys(), ...right.keys()]).forEach(key => {
+            if (!left.has(key)) {
+                changes.push({ key, type: 'added', before: null, after: right.get(key) });
+            } else if (!right.has(key)) {
+                changes.push({ key, type: 'removed', before: left.get(key), after: null });
+            } else if (!this.sameValue(left.get(key), right.get(key))) {
+                changes.push({ key, type: 'changed', before: left.get(key), after: right.get(key) });
+            }
+        });
+        return changes;
+    }
+
+    static sameValue(a, b) {
+        if (a instanceof Date || b instanceof Date) {
+            return new Date(a).getTime() === new Date(b).getTime();
+        }
+        if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return a === b || (a ?? null) === (b ?? null);
+    }
+}
@@ -0,0 +1,372 @@
+// src/services/ruleExpression.js
+
+// Small, side-effect free expression language for health rules, e.g.
+//   disk_used_pct > 85%
+//   max(pending_jobs) > 1000 and status == 'SUCCESS'
+//   output contains 'SQLSTATE' or output matches '/deadlock/i'
+// Metric names (from the command's extractors) resolve to every value extracted on the node;
+// a comparison on them is true when any value matches, and the matching values are the evidence.
+
+export const BUILTIN_IDENTIFIERS = ['output', 'status', 'node'];
+const FUNCTIONS = {
+    max: (values) => numbers(values).length > 0 ? Math.max(...numbers(values)) : undefined,
+    min: (values) => numbers(values).length > 0 ? Math.min(...numbers(values)) : undefined,
+    sum: (values) => numbers(values).reduce((total, value) => total + value, 0),
+    avg: (values) => numbers(values).length > 0 ? FUNCTIONS.sum(values) / numbers(values).length : undefined,
+    count: (values) => list(values).filter(value => value !== undefined && value !== null).length,
+    lower: (value) => typeof value === 'string' ? value.toLowerCase() : value,
+    occurrences: (text, pattern) => typeof text === 'string' ? (text.match(toRegExp(pattern, 'g')) || []).length : 0
+};
+const KEYWORDS = ['and', 'or', 'not', 'contains', 'matches', 'true', 'false', 'null'];
+const COMPARISONS = ['>', '>=', '<', '<=', '==', '!=', 'contains', 'matches'];
+const MAX_EXPRESSION_LENGTH = 1000;
+
+function expressionError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_RULE_EXPRESSION';
+    return error;
+}
+
+// A metric reference evaluates to a list of { value, labels }; everything else to a scalar
+function isList(value) {
+    return Array.isArray(value);
+}
+
+function list(value) {
+    if (value === undefined) return [];
+    return isList(value) ? value.map(item => item.value) : [value];
+}
+
+function numbers(value) {
+    return list(value).filter(item => typeof item === 'number' && Number.isFinite(item));
+}
+
+const regexCache = new Map();
+function toRegExp(pattern, extraFlags = '') {
+    const key = `${pattern}\u0000${extraFlags}`;
+    if (!regexCache.has(key)) {
+        const literal = String(pattern).match(/^\/(.*)\/([gimsuy]*)$/s);
+        const source = literal ? literal[1] : String(pattern);
+        const flags = [...new Set(`${literal ? literal[2] : ''}m${extraFlags}`)].join('');
+        if (regexCache.size > 500) regexCache.clear();
+        regexCache.set(key, new RegExp(source, flags));
+    }
+    const regex = regexCache.get(key);
+    regex.lastIndex = 0;
+    return regex;
+}
+
+function tokenize(text) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const rest = text.slice(index);
+        const space = rest.match(/^\s+/);
+        if (space) {
+            index += space[0].length;
+            continue;
+        }
+
+        const number = rest.match(/^\d+(?:\.\d+)?%?/);
+        if (number) {
+            tokens.push({ type: 'literal', value: parseFloat(number[0]) });
+            index += number[0].length;
+            continue;
+        }
+
+        if (rest[0] === '"' || rest[0] === '\'') {
+            const quote = rest[0];
+            let value = '';
+            let position = 1;
+            while (position < rest.length && rest[position] !== quote) {
+                if (rest[position] === '\\' && position + 1 < rest.length) {
+                    position++;
+                }
+                value += rest[position];
+                position++;
+            }
+            if (position >= rest.length) {
+                throw expressionError('Unterminated string');
+            }
+            tokens.push({ type: 'literal', value });
+            index += position + 1;
+            continue;
+        }
+
+        const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (word) {
+            const lower = word[0].toLowerCase();
+            if (KEYWORDS.includes(lower)) {
+                if (lower === 'true' || lower === 'false') {
+                    tokens.push({ type: 'literal', value: lower === 'true' });
+                } else if (lower === 'null') {
+                    tokens.push({ type: 'literal', value: null });
+                } else {
+                    tokens.push({ type: 'operator', value: lower });
+                }
+            } else {
+                tokens.push({ type: 'identifier', value: word[0] });
+            }
+            index += word[0].length;
+            continue;
+        }
+
+        const operator = rest.match(/^(>=|<=|==|!=|&&|\|\||[><!()+\-*/,])/);
+        if (operator) {
+            const aliases = { '&&': 'and', '||': 'or', '!': 'not' };
+            tokens.push({ type: 'operator', value: aliases[operator[0]] || operator[0] });
+            index += operator[0].length;
+            continue;
+        }
+
+        throw expressionError(`Unexpected character "${rest[0]}" at position ${index + 1}`);
+    }
+
+    return tokens;
+}
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    peek(value) {
+        const token = this.tokens[this.position];
+        return token && token.type === 'operator' && (value === undefined || token.value === value) ? token : null;
+    }
+
+    take(value) {
+        if (this.peek(value)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) {
+            throw expressionError('Expression is empty');
+        }
+        const node = this.parseOr();
+        if (this.position < this.tokens.length) {
+            throw expressionError(`Unexpected "${this.tokens[this.position].value}"`);
+        }
+        return node;
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.take('or')) {
+            node = { type: 'logical', op: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.take('and')) {
+            node = { type: 'logical', op: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.take('not')) {
+            return { type: 'not', arg: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        const token = this.tokens[this.position];
+        if (token?.type === 'operator' && COMPARISONS.includes(token.value)) {
+            this.position++;
+            return { type: 'compare', op: token.value, left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let node = this.parseTerm();
+        while (this.peek('+') || this.peek('-')) {
+            const op = this.tokens[this.position++].value;
+            node = { type: 'arithmetic', op, left: node, right: this.parseTerm() };
+        }
+        return node;
+    }
+
+    parseTerm() {
+        let node = this.parseUnary();
+        while (this.peek('*') || this.peek('/')) {
+            const op = this.tokens[this.position++].value;
+            node = { type: 'arithmetic', op, left: node, right: this.parseUnary() };
+        }
+        return node;
+    }
+
+    parseUnary() {
+        if (this.take('-')) {
+            return { type: 'arithmetic', op: '-', left: { type: 'literal', value: 0 }, right: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.position++];
+        if (!token) {
+            throw expressionError('Unexpected end of expression');
+        }
+        if (token.type === 'literal') {
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'identifier') {
+            if (this.take('(')) {
+                if (!FUNCTIONS[token.value]) {
+                    throw expressionError(`Unknown function "${token.value}"`);
+                }
+                const args = [];
+                if (!this.take(')')) {
+                    do {
+                        args.push(this.parseOr());
+                    } while (this.take(','));
+                    if (!this.take(')')) {
+                        throw expressionError(`Missing ")" after the arguments of ${token.value}`);
+                    }
+                }
+                return { type: 'call', name: token.value, args };
+            }
+            return { type: 'identifier', name: token.value };
+        }
+        if (token.value === '(') {
+            const node = this.parseOr();
+            if (!this.take(')')) {
+                throw expressionError('Missing ")"');
+            }
+            return node;
+        }
+        throw expressionError(`Unexpected "${token.value}"`);
+    }
+}
+
+/**
+ * Parses an expression
+ * @param {string} expression
+ * @returns {Object} - { ast, identifiers } where identifiers are the names it reads
+ * @throws {Error} - code INVALID_RULE_EXPRESSION
+ */
+export function compileRuleExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw expressionError('Expression is required');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw expressionError(`Expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    const ast = new Parser(tokenize(expression)).parse();
+    const identifiers = new Set();
+    const visit = (node) => {
+        if (!node) return;
+        if (node.type === 'identifier') identifiers.add(node.name);
+        [node.left, node.right, node.arg, ...(node.args || [])].forEach(visit);
+    };
+    visit(ast);
+
+    return { ast, identifiers: [...identifiers] };
+}
+
+function compareValues(op, left, right) {
+    switch (op) {
+        case '>': return typeof left === 'number' && typeof right === 'number' && left > right;
+        case '>=': return typeof left === 'number' && typeof right === 'number' && left >= right;
+        case '<': return typeof left === 'number' && typeof right === 'number' && left < right;
+        case '<=': return typeof left === 'number' && typeof right === 'number' && left <= right;
+        case '==': return left === right || (left !== null && right !== null && String(left) === String(right));
+        case '!=': return !compareValues('==', left, right);
+        case 'contains': return typeof left === 'string' && left.includes(String(right));
+        case 'matches': return typeof left === 'string' && toRegExp(right).test(left);
+        default: return false;
+    }
+}
+
+function arithmetic(op, left, right) {
+    if (typeof left !== 'number' || typeof right !== 'number') return undefined;
+    switch (op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? undefined : left / right;
+        default: return undefined;
+    }
+}
+
+function evaluateNode(node, context, evidence) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'identifier':
+            return context.resolve(node.name);
+        case 'call': {
+            const args = node.args.map(arg => evaluateNode(arg, context, evidence));
+            // Aggregates take the whole list; other functions work on plain values
+            if (['max', 'min', 'sum', 'avg', 'count'].includes(node.name)) {
+                return FUNCTIONS[node.name](args[0]);
+            }
+            return FUNCTIONS[node.name](...args.map(arg => isList(arg) ? arg[0]?.value : arg));
+        }
+        case 'arithmetic': {
+            const left = evaluateNode(node.left, context, evidence);
+            const right = evaluateNode(node.right, context, evidence);
+            if (isList(left) && isList(right)) {
+                throw new Error('Cannot combine two metrics with several values; aggregate one with max(), min(), sum() or avg()');
+            }
+            if (isList(left)) return left.map(item => ({ ...item, value: arithmetic(node.op, item.value, right) }));
+            if (isList(right)) return right.map(item => ({ ...item, value: arithmetic(node.op, left, item.value) }));
+            return arithmetic(node.op, left, right);
+        }
+        case 'compare': {
+            const left = evaluateNode(node.left, context, evidence);
+            const right = evaluateNode(node.right, context, evidence);
+            if (isList(left) && isList(right)) {
+                throw new Error('Cannot compare two metrics with several values; aggregate one with max(), min(), sum() or avg()');
+            }
+            if (isList(left) || isList(right)) {
+                const items = isList(left) ? left : right;
+                const matching = items.filter(item => isList(left)
+                    ? compareValues(node.op, item.value, right)
+                    : compareValues(node.op, left, item.value));
+                evidence.push(...matching);
+                return matching.length > 0;
+            }
+            const result = compareValues(node.op, left, right);
+            if (result && node.left.type === 'call') {
+                evidence.push({ name: `${node.left.name}(${node.left.args.map(arg => arg.name ?? JSON.stringify(arg.value ?? null)).join(', ')})`, value: left, labels: {} });
+            }
+            return result;
+        }
+        case 'logical': {
+            const left = Boolean(evaluateNode(node.left, context, evidence));
+            if (node.op === 'and' && !left) return false;
+            if (node.op === 'or' && left) return true;
+            return Boolean(evaluateNode(node.right, context, evidence));
+        }
+        case 'not':
+            return !evaluateNode(node.arg, context, []);
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Evaluates a compiled expression
+ * @param {Object} compiled - Result of compileRuleExpression
+ * @param {Object} context - { resolve(name) } returning a scalar, a list of { name, value, labels } or undefined
+ * @returns {Object} - { matched, evidence: [{ name, value, labels }] }
+ */
+export function evaluateRuleExpression(compiled, context) {
+    const evidence = [];
+    const matched = Boolean(evaluateNode(compiled.ast, context, evidence));
+    return { matched, evidence: matched ? evidence : [] };
+}
@@ -3,6 +3,8 @@ import dotenv from 'dotenv';
 import { logger } from './logger.js';
 import { initializeApp } from '../app.js';
 import { WebSocketService } from './webSocketService.js';
+import { commandScheduleWorker } from './commandScheduleWorker.js';
+import { tunnelSupervisor } from './tunnelSupervisor.js';
 import url from 'url';
 
 dotenv.config();
@@ -60,6 +62,13 @@ initializeApp()
         global.wss = wss;
         logger.info('WebSocket server initialized successfully');
 
+        if (process.env.COMMAND_SCHEDULER_ENABLED !== 'false') {
+            commandScheduleWorker.start();
+        }
+        if (process.env.TUNNEL_SUPERVISOR_ENABLED !== 'false') {
+            tunnelSupervisor.start();
+        }
+
         server.on('error', (error) => {
             logger.error('Server error:', error);
             process.exit(1);
@@ -71,6 +80,9 @@ initializeApp()
                 // Cleanup all Redis sessions
                 await cleanupAllSessions();
                 
+                commandScheduleWorker.stop();
+                tunnelSupervisor.stop();
+
                 // Close WebSocket connections
                 wss.clients.forEach(client => {
                     client.terminate();
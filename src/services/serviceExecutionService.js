@@ -1,34 +1,48 @@
 // src/services/serviceExecutionService.js
 import { logger, sshLogger, logSSHOperation } from './logger.js';
 import MagentoCloudAdapter from '../adapters/magentoCloud.js';
-import { execute as getNodes } from '../api/app/nodes.js';
+import { nodeInventory } from './nodeInventoryService.js';
 import { tunnelManager } from './tunnelService.js';
 import { SQLService } from './sqlService.js';
 import { RedisCliService } from './redisCliService.js';
 import { RabbitMQAdminService } from './rabbitmqAdminService.js';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { ExecutionReporter } from './executionReporter.js';
+import { cancelledError, failureResult, execCancellable, timeoutError, TIMEOUT_STATUS } from './executionCancellationService.js';
+import { ExecutionPolicyService } from './executionPolicyService.js';
+import { cliExecutionScheduler } from './cliExecutionScheduler.js';
 import { paths } from '../config/paths.js';
 import path from 'path';
 import os from 'os';
 
-const execAsync = promisify(exec);
+// Marker lines written around every command of an SSH script, see createScriptContent()
+const SCRIPT_MARKER_PATTERN = /^(.*?)ACCS_CMD_(START|END|ERROR|TIMEOUT)_(\d+)(?:_\d+)?$/;
+// Exit status of coreutils `timeout` when it stopped the command
+const TIMEOUT_EXIT_CODE = 124;
+// Time allowed on top of the commands' own timeouts for opening the SSH connection
+const SSH_CONNECT_GRACE_MS = 30 * 1000;
+// SSH certificate errors are usually transient (the CLI renews the certificate), so they are
+// retried this many times even when the policy has no retries
+const SSH_AUTH_RETRIES = 2;
 
 export class ServiceExecutionService {
     constructor() {
         this.logger = logger;
+        this.policyService = new ExecutionPolicyService();
     }
 
     /**
      * Execute SSH commands on nodes
      * @param {string} projectId - Project ID
      * @param {string} environment - Environment name
-     * @param {Array} commands - Array of SSH commands
+     * @param {Array} commands - Array of SSH commands; each runs on the nodes of its node target
+     *                           (nodeTarget, else executeOnAllNodes), see NodeInventoryService
      * @param {string} apiToken - API token
      * @param {string} userId - User ID
+     * @param {Object} [options] - { reporter, signal, policies } ExecutionReporter; when it is enabled output streams line by line.
+     *                              Aborting the signal kills the ssh processes. policies: { [commandId]: execution policy }
      * @returns {Object} - Execution results
      */
-    async executeSSHCommands(projectId, environment, commands, apiToken, userId) {
+    async executeSSHCommands(projectId, environment, commands, apiToken, userId, { reporter = new ExecutionReporter(), signal, policies } = {}) {
         logSSHOperation('info', 'Starting SSH command execution process', {
             projectId: projectId,
             environment: environment,
@@ -38,7 +52,7 @@ export class ServiceExecutionService {
         });
 
         // Get nodes for the project/environment
-        const nodes = await getNodes(projectId, environment, apiToken, userId);
+        const nodes = await nodeInventory.getNodes(projectId, environment, apiToken, userId);
         
         if (!nodes || nodes.length === 0) {
             logSSHOperation('error', 'No nodes found for project/environment', {
@@ -56,7 +70,7 @@ export class ServiceExecutionService {
             environment: environment,
             userId: userId,
             nodeCount: nodes.length,
-            nodes: nodes.map(node => ({ id: node.id, sshUrl: node.sshUrl, status: node.status })),
+            nodes: nodes.map(node => ({ id: node.id, sshUrl: node.sshUrl, role: node.role, status: node.status })),
             timestamp: new Date().toISOString()
         });
 
@@ -64,14 +78,22 @@ export class ServiceExecutionService {
         const isSingleNode = !nodes || nodes.length <= 1;
         const results = [];
 
-        if (isSingleNode) {
-            // Execute commands on single node
-            logSSHOperation('debug', 'Executing commands on single node', {
+        // Nodes each command runs on, from its node target (all, first, a role or node ids)
+        const targets = new Map(commands.map(cmd => [cmd.id, nodeInventory.resolveTarget(nodes, nodeInventory.targetOf(cmd))]));
+
+        // Nodes run one after the other, each with every command that targets it in a single SSH session
+        for (const node of nodes) {
+            const nodeCommands = commands.filter(cmd => targets.get(cmd.id).includes(node));
+            if (nodeCommands.length === 0) continue;
+
+            logSSHOperation('debug', `Executing commands on node: ${node.sshUrl}`, {
                 projectId: projectId,
                 environment: environment,
                 userId: userId,
-                nodeId: 'single-node',
-                commandCount: commands.length,
+                nodeId: isSingleNode ? 'single-node' : node.id,
+                sshUrl: node.sshUrl,
+                role: node.role,
+                commandCount: nodeCommands.length,
                 timestamp: new Date().toISOString()
             });
 
@@ -79,80 +101,25 @@ export class ServiceExecutionService {
                 magentoCloud,
                 projectId,
                 environment,
-                null, // nodeId is null for single node
-                commands,
-                true, // isSingleNode
+                isSingleNode ? null : node, // No --instance for a single node
+                nodeCommands,
+                isSingleNode,
                 apiToken,
-                userId
+                userId,
+                reporter,
+                signal,
+                policies
             );
 
             results.push(...nodeResults);
-        } else {
-            // Multi-node execution - Optimized to reduce duplicate connections to node 1
-            const allNodesCommands = commands.filter(cmd => cmd.executeOnAllNodes);
-            const singleNodeCommands = commands.filter(cmd => !cmd.executeOnAllNodes);
-
-            // Execute combined commands on first node (single-node + all-nodes commands)
-            if (singleNodeCommands.length > 0 || allNodesCommands.length > 0) {
-                const node1Commands = [...singleNodeCommands, ...allNodesCommands];
-                
-                logSSHOperation('debug', `Executing combined commands on first node: ${nodes[0].sshUrl}`, {
-                    projectId: projectId,
-                    environment: environment,
-                    userId: userId,
-                    nodeId: nodes[0].id,
-                    sshUrl: nodes[0].sshUrl,
-                    singleNodeCommandCount: singleNodeCommands.length,
-                    allNodesCommandCount: allNodesCommands.length,
-                    totalCommandCount: node1Commands.length,
-                    timestamp: new Date().toISOString()
-                });
-
-                const nodeResults = await this.executeSSHCommandsOnNode(
-                    magentoCloud,
-                    projectId,
-                    environment,
-                    nodes[0].id,
-                    node1Commands,
-                    false, // isSingleNode
-                    apiToken,
-                    userId
-                );
-
-                results.push(...nodeResults);
-            }
-
-            // Execute all-nodes commands on remaining nodes (skip first node to avoid duplication)
-            if (allNodesCommands.length > 0 && nodes.length > 1) {
-                for (let i = 1; i < nodes.length; i++) {
-                    const node = nodes[i];
-                    
-                    logSSHOperation('debug', `Executing all-nodes commands on node: ${node.sshUrl}`, {
-                        projectId: projectId,
-                        environment: environment,
-                        userId: userId,
-                        nodeId: node.id,
-                        sshUrl: node.sshUrl,
-                        commandCount: allNodesCommands.length,
-                        timestamp: new Date().toISOString()
-                    });
-
-                    const nodeResults = await this.executeSSHCommandsOnNode(
-                        magentoCloud,
-                        projectId,
-                        environment,
-                        node.id,
-                        allNodesCommands,
-                        false, // isSingleNode
-                        apiToken,
-                        userId
-                    );
-
-                    results.push(...nodeResults);
-                }
-            }
         }
 
+        commands.filter(cmd => targets.get(cmd.id).length === 0).forEach(cmd => {
+            const unmatched = { output: null, error: nodeInventory.noMatchingNodes(nodeInventory.targetOf(cmd)), status: 'ERROR' };
+            reporter.finished(cmd.id, null, unmatched);
+            results.push({ commandId: cmd.id, nodeId: null, ...unmatched });
+        });
+
         // Group results by command
         const commandResults = [];
         const commandsById = {};
@@ -225,14 +192,23 @@ export class ServiceExecutionService {
      * @param {Object} magentoCloud - Magento Cloud adapter instance
      * @param {string} projectId - Project ID
      * @param {string} environment - Environment name
-     * @param {string} nodeId - Node ID
+     * @param {Object|null} node - Inventory node (see NodeInventoryService); null for a single node
      * @param {Array} commands - Array of commands
      * @param {boolean} isSingleNode - Whether this is a single node execution
      * @param {string} apiToken - API token
      * @param {string} userId - User ID
+     * @param {ExecutionReporter} [reporter] - Receives per-command progress and output
+     * @param {AbortSignal} [signal] - Kills the ssh process when aborted
+     * @param {Object} [policies] - { [commandId]: execution policy }; each command runs under its own
+     *                              timeout, the ssh process under their sum
      * @returns {Array} - Node execution results
      */
-    async executeSSHCommandsOnNode(magentoCloud, projectId, environment, nodeId, commands, isSingleNode, apiToken, userId) {
+    async executeSSHCommandsOnNode(magentoCloud, projectId, environment, node, commands, isSingleNode, apiToken, userId, reporter = new ExecutionReporter(), signal = undefined, policies = undefined) {
+        const nodeId = node?.id ?? null;
+        const commandPolicies = Object.fromEntries(commands.map(cmd => [cmd.id, this.policyService.policyFor(policies, cmd.id)]));
+        const scriptPolicy = this.policyService.combine(Object.values(commandPolicies));
+        scriptPolicy.timeoutMs += SSH_CONNECT_GRACE_MS;
+        const reportedNodeId = isSingleNode ? 'single-node' : nodeId;
         try {
             logSSHOperation('info', 'Starting SSH command execution on node', {
                 projectId: projectId,
@@ -246,12 +222,12 @@ export class ServiceExecutionService {
             });
 
             // Create the script content with all commands.
-            const scriptContent = this.createScriptContent(commands);
+            const scriptContent = this.createScriptContent(commands, commandPolicies);
 
             // Use a here-document to pass the script to `bash -s` via SSH.
             const sshPrefix = isSingleNode
                 ? `ssh -p ${projectId} -e ${environment}`
-                : `ssh -p ${projectId} -e ${environment} --instance ${nodeId}`;
+                : `ssh -p ${projectId} -e ${environment} --instance ${node.instance}`;
 
             const sshCommand = `${sshPrefix} "bash -s" <<'MAGENTO_SCRIPT'
 ${scriptContent}
@@ -273,7 +249,11 @@ MAGENTO_SCRIPT`;
                 sshCommand,
                 apiToken,
                 userId,
-                { maxRetries: 3, delay: 1000 }
+                {
+                    policy: scriptPolicy,
+                    signal,
+                    ...(reporter.enabled && { stream: this.createScriptStreamHandlers(reporter, reportedNodeId, commandPolicies) })
+                }
             );
 
             const output = stdout + stderr;
@@ -289,14 +269,17 @@ MAGENTO_SCRIPT`;
                 timestamp: new Date().toISOString()
             });
             
-            const results = this.parseCommandOutput(output, commands).map(result => ({
+            const results = this.parseCommandOutput(output, commands, commandPolicies).map(result => ({
                 ...result,
                 nodeId: isSingleNode ? 'single-node' : nodeId
             }));
+            // Commands already reported while streaming are skipped by the reporter
+            results.forEach(result => reporter.finished(result.commandId, reportedNodeId, result));
 
             // Log parsing results
             const successCount = results.filter(r => r.status === 'SUCCESS').length;
             const errorCount = results.filter(r => r.status === 'ERROR').length;
+            const timeoutCount = results.filter(r => r.status === TIMEOUT_STATUS).length;
             
             logSSHOperation('info', 'SSH command parsing completed', {
                 projectId: projectId,
@@ -305,6 +288,7 @@ MAGENTO_SCRIPT`;
                 totalCommands: commands.length,
                 successCount: successCount,
                 errorCount: errorCount,
+                timeoutCount: timeoutCount,
                 userId: userId,
                 timestamp: new Date().toISOString()
             });
@@ -321,13 +305,18 @@ MAGENTO_SCRIPT`;
                 timestamp: new Date().toISOString()
             });
 
-            return commands.map(cmd => ({
+            // Commands the script got through before it was killed keep their output
+            const completed = signal?.aborted || error.code === 'EXECUTION_TIMEOUT'
+                ? this.parseCommandOutput(`${error.stdout || ''}${error.stderr || ''}`, commands, commandPolicies)
+                    .filter(result => result.output !== null)
+                : [];
+            const results = commands.map(cmd => completed.find(result => result.commandId === cmd.id) || {
                 commandId: cmd.id,
-                nodeId: isSingleNode ? 'single-node' : nodeId,
                 output: null,
-                error: error.message,
-                status: "ERROR"
-            }));
+                ...failureResult(error, signal)
+            }).map(result => ({ ...result, nodeId: reportedNodeId }));
+            results.forEach(result => reporter.finished(result.commandId, reportedNodeId, result));
+            return results;
         }
     }
 
@@ -335,38 +324,54 @@ MAGENTO_SCRIPT`;
      * Execute SQL queries with different strategies
      * @param {string} projectId - Project ID
      * @param {string} environment - Environment name
-     * @param {Array} queries - Array of SQL queries
+     * @param {Array} queries - Array of SQL queries; tunnel queries with a relationship run against that
+     *                          relationship (e.g. database-slave) instead of the primary database
      * @param {string} apiToken - API token
      * @param {string} userId - User ID
+     * @param {Object} [options] - { reporter, signal, policies } ExecutionReporter for per-query, per-node progress;
+     *                              aborting the signal kills running queries. policies: { [queryId]: execution policy }
      * @returns {Array} - Query execution results
      */
-    async executeSQLQueries(projectId, environment, queries, apiToken, userId) {
+    async executeSQLQueries(projectId, environment, queries, apiToken, userId, { reporter = new ExecutionReporter(), signal, policies } = {}) {
         try {
             const magentoCloud = new MagentoCloudAdapter();
             await magentoCloud.validateExecutable();
 
             // Get all nodes first
-            const nodes = await getNodes(projectId, environment, apiToken, userId);
+            const nodes = await nodeInventory.getNodes(projectId, environment, apiToken, userId);
             if (!nodes || nodes.length === 0) {
                 throw new Error('No nodes found in the environment');
             }
 
             const results = [];
-            const multiNodeQueries = queries.filter(q => q.executeOnAllNodes);
-            const singleNodeQueries = queries.filter(q => !q.executeOnAllNodes);
+            // Queries for the first node go through the tunnel; any other node target runs over SSH
+            const multiNodeQueries = queries.filter(q => nodeInventory.targetOf(q) !== 'first');
+            const singleNodeQueries = queries.filter(q => nodeInventory.targetOf(q) === 'first');
 
             // Handle queries that should run through tunnel
             if (singleNodeQueries.length > 0) {
-                // Ensure tunnel is open and get connection info
-                const tunnelInfo = await tunnelManager.getServiceTunnelInfo(projectId, environment, 'database', apiToken, userId);
-                const sqlService = new SQLService(tunnelInfo);
+                // One client per relationship: the primary database, or the one a query names (database-slave, ...).
+                // The primary has to be there; a missing named relationship only fails the queries that use it.
+                const relationships = [...new Set(singleNodeQueries.map(query => query.relationship || null))];
+                const sqlServices = new Map(await Promise.all(relationships.map(async (relationship) => {
+                    try {
+                        const tunnelInfo = await tunnelManager.getServiceTunnelInfo(projectId, environment, 'database', apiToken, userId, relationship);
+                        return [relationship, new SQLService(tunnelInfo, { projectId, environment, relationship })];
+                    } catch (error) {
+                        if (!relationship) throw error;
+                        return [relationship, error];
+                    }
+                })));
 
-                // Format tunnel query results to match the structure of multi-node results
-                for (const query of singleNodeQueries) {
+                // Queries run side by side; the tunnel's connection pool caps how many reach the database at once
+                const tunnelResults = await Promise.all(singleNodeQueries.map(async (query) => {
+                    const sqlService = sqlServices.get(query.relationship || null);
+                    // Format tunnel query results to match the structure of multi-node results
                     const queryResult = {
                         id: query.id,
                         title: query.title,
                         query: query.query,
+                        relationship: query.relationship || null,
                         results: [],
                         allowAi: query.allowAi,
                         summary: {
@@ -377,9 +382,21 @@ MAGENTO_SCRIPT`;
                         }
                     };
 
+                    reporter.started(query.id, 'tunnel');
                     try {
-                        logger.debug('Executing query through tunnel');
-                        const result = await sqlService.executeQuery(query.query, false);
+                        if (sqlService instanceof Error) throw sqlService;
+                        logger.debug('Executing query through tunnel', { relationship: query.relationship || 'database' });
+                        const allowWrite = query.allowWrite === true;
+                        const result = await this.policyService.run(
+                            this.policyService.policyFor(policies, query.id),
+                            signal,
+                            (attemptSignal) => sqlService.executeQuery(query.query, false, query.params || [], {
+                                allowWrite,
+                                signal: attemptSignal
+                            }),
+                            // A write may have been applied before the failure, so it never runs twice
+                            { shouldRetry: () => !allowWrite }
+                        );
                         queryResult.results.push({
                             nodeId: 'tunnel',
                             output: result,
@@ -390,38 +407,58 @@ MAGENTO_SCRIPT`;
                     } catch (error) {
                         logger.error('Tunnel query execution failed:', {
                             error: error.message,
-                            query: query.title
+                            query: query.title,
+                            relationship: query.relationship || null
                         });
                         queryResult.results.push({
                             nodeId: 'tunnel',
                             output: null,
-                            error: error.message,
-                            status: 'ERROR'
+                            ...failureResult(error, signal)
                         });
                         queryResult.summary.failed = 1;
                     }
 
-                    results.push(queryResult);
-                }
+                    reporter.finished(query.id, 'tunnel', queryResult.results[0]);
+                    return queryResult;
+                }));
+                results.push(...tunnelResults);
             }
 
-            // Handle queries that should run on all nodes via SSH
+            // Handle queries that should run on several or specific nodes via SSH
             if (multiNodeQueries.length > 0) {
-                // Execute queries on all nodes in parallel
-                const nodePromises = nodes.map(node =>
-                    this.executeQueriesOnNode(
+                // The mysql client on the nodes reaches the primary database only; named relationships run through the tunnel
+                const targets = new Map(multiNodeQueries.map(query => [
+                    query.id,
+                    query.relationship ? [] : nodeInventory.resolveTarget(nodes, nodeInventory.targetOf(query))
+                ]));
+
+                // Execute queries on their nodes in parallel
+                const nodePromises = nodes.map(node => {
+                    const nodeQueries = multiNodeQueries.filter(query => targets.get(query.id).includes(node));
+                    return nodeQueries.length === 0 ? [] : this.executeQueriesOnNode(
                         magentoCloud,
                         projectId,
                         environment,
-                        node.id,
-                        multiNodeQueries,
+                        node,
+                        nodeQueries,
                         apiToken,
-                        userId
-                    )
-                );
+                        userId,
+                        reporter,
+                        signal,
+                        policies
+                    );
+                });
 
                 const nodeResults = await Promise.all(nodePromises);
                 const flattenedResults = nodeResults.flat();
+                multiNodeQueries.filter(query => targets.get(query.id).length === 0).forEach(query => {
+                    const error = query.relationship
+                        ? `Relationship ${query.relationship} can only be queried with the node target first`
+                        : nodeInventory.noMatchingNodes(nodeInventory.targetOf(query));
+                    const unmatched = { output: null, error, status: 'ERROR' };
+                    reporter.finished(query.id, null, unmatched);
+                    flattenedResults.push({ queryId: query.id, nodeId: null, ...unmatched });
+                });
 
                 // Group results by query
                 multiNodeQueries.forEach(query => {
@@ -432,10 +469,10 @@ MAGENTO_SCRIPT`;
                         allowAi: query.allowAi,
                         results: flattenedResults.filter(r => r.queryId === query.id),
                         summary: {
-                            total: nodes.length,
+                            total: targets.get(query.id).length || 1,
                             successful: flattenedResults.filter(r => r.queryId === query.id && r.status === 'SUCCESS').length,
                             notRunning: flattenedResults.filter(r => r.queryId === query.id && r.status === 'NOT_RUNNING').length,
-                            failed: flattenedResults.filter(r => r.queryId === query.id && r.status === 'ERROR').length
+                            failed: flattenedResults.filter(r => r.queryId === query.id && ['ERROR', TIMEOUT_STATUS].includes(r.status)).length
                         }
                     });
                 });
@@ -457,68 +494,62 @@ MAGENTO_SCRIPT`;
      * Execute Redis commands
      * @param {string} projectId - Project ID
      * @param {string} environment - Environment name
-     * @param {Array} queries - Array of Redis commands
+     * @param {Array} queries - Array of Redis commands; a relationship (e.g. redis-session) picks the instance
      * @param {string} apiToken - API token
      * @param {string} userId - User ID
+     * @param {Object} [options] - { reporter, signal, policies } ExecutionReporter for per-command progress;
+     *                              aborting the signal drops the connection. policies: { [commandId]: execution policy }
      * @returns {Object} - Redis execution results
      */
-    async executeRedisCommands(projectId, environment, queries, apiToken, userId) {
-        // Get Redis-specific tunnel info
-        const tunnelInfo = await tunnelManager.getServiceTunnelInfo(projectId, environment, 'redis', apiToken, userId);
+    async executeRedisCommands(projectId, environment, queries, apiToken, userId, { reporter = new ExecutionReporter(), signal, policies } = {}) {
+        // One pipeline per relationship: the primary redis, or the one a command names (redis-session, ...)
+        const groups = new Map();
+        queries.forEach(query => {
+            const relationship = query.relationship || null;
+            if (!groups.has(relationship)) groups.set(relationship, []);
+            groups.get(relationship).push(query);
+        });
 
-        if (!tunnelInfo) {
-            logger.error('Failed to retrieve tunnel information for Redis', {
-                projectId,
-                environment,
-                userId
+        const replies = new Map(); // Map<query, reply>
+        await Promise.all([...groups.entries()].map(async ([relationship, group]) => {
+            const groupReplies = await this.executeRedisPipeline(projectId, environment, relationship, group, apiToken, userId, {
+                reporter,
+                signal,
+                policies
             });
-            throw new Error('Failed to retrieve tunnel information');
-        }
+            group.forEach((query, index) => replies.set(query, groupReplies[index]));
+        }));
 
-        const redisService = new RedisCliService(tunnelInfo);
         const results = [];
-
-        for (const query of queries) {
+        queries.forEach(query => {
             const queryResult = {
                 id: query.id,
                 title: query.title,
                 query: query.query,
+                relationship: query.relationship || null,
                 results: [],
                 allowAi: query.allowAi,
             };
 
-            try {
-                const output = await redisService.executeCommand(query.query);
-                queryResult.results.push({
-                    nodeId: 'tunnel',
-                    output,
-                    error: null,
-                    status: 'SUCCESS'
-                });
-            } catch (error) {
-                logger.error('Redis query execution failed:', {
-                    error: error.message,
-                    query: query.title,
-                    projectId,
-                    environment,
-                    userId
-                });
-                queryResult.results.push({
-                    nodeId: 'tunnel',
-                    output: null,
-                    error: error.message,
-                    status: 'ERROR'
-                });
-            }
+            const reply = replies.get(query);
+            queryResult.results.push({
+                nodeId: 'tunnel',
+                output: reply.output,
+                type: reply.type,
+                value: reply.value,
+                error: reply.error,
+                status: reply.status || (reply.error ? 'ERROR' : 'SUCCESS')
+            });
+            reporter.finished(query.id, 'tunnel', queryResult.results[0]);
 
             queryResult.summary = {
                 total: queryResult.results.length,
                 successful: queryResult.results.filter(r => r.status === 'SUCCESS').length,
-                failed: queryResult.results.filter(r => r.status === 'ERROR').length
+                failed: queryResult.results.filter(r => ['ERROR', TIMEOUT_STATUS].includes(r.status)).length
             };
 
             results.push(queryResult);
-        }
+        });
 
         return {
             projectId,
@@ -528,18 +559,64 @@ MAGENTO_SCRIPT`;
         };
     }
 
+    /**
+     * Sends the commands of one relationship as a single pipeline over one connection
+     * @param {string|null} relationship - Named relationship, or null for the primary redis/valkey
+     * @returns {Promise<Array<Object>>} - Reply per command; a connection failure is the reply of every command.
+     *                                     Only a missing primary relationship throws.
+     */
+    async executeRedisPipeline(projectId, environment, relationship, queries, apiToken, userId, { reporter, signal, policies }) {
+        let redisService;
+        try {
+            const tunnelInfo = await tunnelManager.getServiceTunnelInfo(projectId, environment, 'redis', apiToken, userId, relationship);
+            if (!tunnelInfo) {
+                logger.error('Failed to retrieve tunnel information for Redis', {
+                    projectId,
+                    environment,
+                    userId
+                });
+                throw new Error('Failed to retrieve tunnel information');
+            }
+            redisService = new RedisCliService(tunnelInfo);
+        } catch (error) {
+            if (!relationship) throw error;
+            queries.forEach(query => reporter.started(query.id, 'tunnel'));
+            return queries.map(() => ({ output: null, type: null, value: null, ...failureResult(error, signal) }));
+        }
+
+        queries.forEach(query => reporter.started(query.id, 'tunnel'));
+        try {
+            const policy = this.policyService.combine(queries.map(query => this.policyService.policyFor(policies, query.id)));
+            return await this.policyService.run(policy, signal, (attemptSignal) =>
+                redisService.executeCommands(queries.map(query => query.query), { signal: attemptSignal }));
+        } catch (error) {
+            logger.error('Redis query execution failed:', {
+                error: error.message,
+                projectId,
+                environment,
+                relationship,
+                userId
+            });
+            return queries.map(() => ({ output: null, type: null, value: null, ...failureResult(error, signal) }));
+        }
+    }
+
     /**
      * Execute Bash commands
      * @param {Array} commands - Array of Bash commands
      * @param {string} userId - User ID
      * @param {Object} context - Execution context
      * @param {string} apiToken - API token for environment setup
+     * @param {Object} [options] - { reporter, signal, policies } ExecutionReporter for per-command progress;
+     *                              aborting the signal kills the running command and skips the rest.
+     *                              policies: { [commandId]: execution policy }
      * @returns {Array} - Bash execution results
      */
-    async executeBashCommands(commands, userId, context, apiToken) {
+    async executeBashCommands(commands, userId, context, apiToken, { reporter = new ExecutionReporter(), signal, policies } = {}) {
         const results = [];
 
         for (const cmd of commands) {
+            reporter.started(cmd.id, 'bash');
             try {
                 const userHomeDir = this.generateUserHomeDir(userId);
                 
@@ -557,16 +634,18 @@ MAGENTO_SCRIPT`;
                     });
                 }
 
-                const { stdout, stderr } = await execAsync(processedCommand, {
-                    maxBuffer: 1024 * 1024 * 10, // 10MB buffer
+                const policy = this.policyService.policyFor(policies, cmd.id);
+                const { stdout, stderr } = await this.policyService.run(policy, signal, (attemptSignal) => execCancellable(processedCommand, {
+                    maxBuffer: policy.maxOutputBytes,
                     env: {
                         ...process.env, // Inherit existing environment variables
                         MAGENTO_CLOUD_CLI_TOKEN: apiToken,
                         MAGENTO_CLOUD_HOME: userHomeDir,
                         // Add magento-cloud resources directory to PATH
                         PATH: `${path.dirname(paths.resources.magentoCloud)}:${process.env.PATH}`
-                    }
-                });
+                    },
+                    signal: attemptSignal
+                }), { shouldRetry: (error) => error.code !== 'OUTPUT_LIMIT_EXCEEDED' });
 
                 results.push({
                     id: cmd.id,
@@ -602,9 +681,9 @@ MAGENTO_SCRIPT`;
                     allowAi: cmd.allowAi,
                     results: [{
                         nodeId: 'bash',
-                        output: null,
-                        error: error.message,
-                        status: 'ERROR'
+                        // The output is kept up to the limit when it overflowed or the command timed out
+                        output: ['OUTPUT_LIMIT_EXCEEDED', 'EXECUTION_TIMEOUT'].includes(error.code) ? error.stdout || null : null,
+                        ...failureResult(error, signal)
                     }],
                     summary: {
                         total: 1,
@@ -613,6 +692,8 @@ MAGENTO_SCRIPT`;
                     }
                 });
             }
+
+            reporter.finished(cmd.id, 'bash', results[results.length - 1].results[0]);
         }
 
         return {
@@ -622,29 +703,36 @@ MAGENTO_SCRIPT`;
     }
 
     // Helper methods for SSH execution
-    createScriptContent(commands) {
+    createScriptContent(commands, policies = {}) {
         return commands.map(cmd => {
             const startMarker = `ACCS_CMD_START_${cmd.id}_${Date.now()}`;
             const endMarker = `ACCS_CMD_END_${cmd.id}`;
             const errorMarker = `ACCS_CMD_ERROR_${cmd.id}`;
+            const timeoutMarker = `ACCS_CMD_TIMEOUT_${cmd.id}`;
+            const timeoutSeconds = Math.ceil(this.policyService.policyFor(policies, cmd.id).timeoutMs / 1000);
 
             const trimmedCommand = cmd.command.trim();
 
+            // The command runs in its own shell under `timeout`, fed through a here-document so it needs no quoting
             return `echo "${startMarker}";
-${trimmedCommand};
-if [ $? -ne 0 ]; then echo "${errorMarker}"; fi;
+timeout -k 5 ${timeoutSeconds} bash <<'ACCS_CMD_BODY_${cmd.id}'
+${trimmedCommand}
+ACCS_CMD_BODY_${cmd.id}
+accs_status=$?;
+if [ $accs_status -eq ${TIMEOUT_EXIT_CODE} ]; then echo "${timeoutMarker}"; elif [ $accs_status -ne 0 ]; then echo "${errorMarker}"; fi;
 echo "${endMarker}";
 `;
         }).join('\n');
     }
 
-    parseCommandOutput(output, commands) {
+    parseCommandOutput(output, commands, policies = {}) {
         const results = [];
 
         commands.forEach(cmd => {
             const startMarker = `ACCS_CMD_START_${cmd.id}`;
             const endMarker = `ACCS_CMD_END_${cmd.id}`;
             const errorMarker = `ACCS_CMD_ERROR_${cmd.id}`;
+            const timeoutMarker = `ACCS_CMD_TIMEOUT_${cmd.id}`;
 
             const regex = new RegExp(`${startMarker}_\\d+([\\s\\S]*?)${endMarker}`, 'g');
             let match;
@@ -654,7 +742,18 @@ echo "${endMarker}";
                 foundMatch = true;
                 const commandOutputWithMeta = match[1];
                 const hasError = commandOutputWithMeta.includes(errorMarker);
-                const finalOutput = commandOutputWithMeta.replace(errorMarker, '').trim();
+                const timedOut = commandOutputWithMeta.includes(timeoutMarker);
+                const finalOutput = commandOutputWithMeta.replace(errorMarker, '').replace(timeoutMarker, '').trim();
+
+                if (timedOut) {
+                    results.push({
+                        commandId: cmd.id,
+                        output: finalOutput,
+                        error: timeoutError(this.policyService.policyFor(policies, cmd.id).timeoutMs).message,
+                        status: TIMEOUT_STATUS
+                    });
+                    continue;
+                }
 
                 results.push({
                     commandId: cmd.id,
@@ -677,21 +776,33 @@ echo "${endMarker}";
         return results;
     }
 
-    async executeWithRetry(magentoCloud, command, apiToken, userId, options = { maxRetries: 3, delay: 1000 }) {
-        let lastError;
+    /**
+     * Runs an SSH command under an execution policy: the process is killed at the policy's timeout
+     * and failures are retried with backoff. Timeouts are not retried, as the whole script would run again.
+     * @param {Object} options - { policy, signal, stream } stream: line handlers, see executeStreamed()
+     * @returns {Promise<Object>} - { stdout, stderr }
+     */
+    async executeWithRetry(magentoCloud, command, apiToken, userId, { policy = this.policyService.resolve(null), signal, stream } = {}) {
+        const isAuthError = (error) => error.message.includes('SSH certificate authentication is required') ||
+            error.message.includes('Access denied') ||
+            error.message.includes('authentication failures');
+        const maxRetries = Math.max(policy.retries, SSH_AUTH_RETRIES);
 
-        for (let attempt = 1; attempt <= options.maxRetries; attempt++) {
-            try {
-                logSSHOperation('debug', `Attempting SSH command execution (attempt ${attempt}/${options.maxRetries})`, {
+        try {
+            return await this.policyService.run({ ...policy, retries: maxRetries }, signal, async (attemptSignal, attempt) => {
+                logSSHOperation('debug', `Attempting SSH command execution (attempt ${attempt}/${maxRetries + 1})`, {
                     command: command,
                     attempt: attempt,
-                    maxRetries: options.maxRetries,
+                    maxRetries: maxRetries,
+                    timeoutMs: policy.timeoutMs,
                     userId: userId,
                     timestamp: new Date().toISOString()
                 });
 
-                const result = await magentoCloud.executeCommand(command, apiToken, userId);
-                
+                const result = stream
+                    ? await this.executeStreamed(magentoCloud, command, apiToken, userId, stream, attemptSignal, policy.maxOutputBytes)
+                    : await magentoCloud.executeCommand(command, apiToken, userId, { signal: attemptSignal, maxBuffer: policy.maxOutputBytes });
+
                 if (attempt > 1) {
                     logSSHOperation('info', 'SSH command succeeded after retry', {
                         command: command,
@@ -706,85 +817,207 @@ echo "${endMarker}";
                         timestamp: new Date().toISOString()
                     });
                 }
-                
-                return result;
-            } catch (error) {
-                lastError = error;
-                const isAuthError = error.message.includes('SSH certificate authentication is required') ||
-                    error.message.includes('Access denied') ||
-                    error.message.includes('authentication failures');
-
-                logSSHOperation('warn', `SSH command execution failed (attempt ${attempt}/${options.maxRetries})`, {
-                    command: command,
-                    attempt: attempt,
-                    maxRetries: options.maxRetries,
-                    userId: userId,
-                    errorMessage: error.message,
-                    errorCode: error.code,
-                    isAuthError: isAuthError,
-                    stderr: error.stderr ? error.stderr.substring(0, 500) : null,
-                    stdout: error.stdout ? error.stdout.substring(0, 500) : null,
-                    timestamp: new Date().toISOString()
-                });
 
-                if (!isAuthError) throw error;
-
-                if (attempt < options.maxRetries) {
-                    logSSHOperation('info', `Retrying SSH command in ${options.delay}ms due to authentication error`, {
+                return result;
+            }, {
+                shouldRetry: (error, attempt) => error.code !== 'EXECUTION_TIMEOUT'
+                    && error.code !== 'OUTPUT_LIMIT_EXCEEDED'
+                    && (isAuthError(error) || attempt <= policy.retries),
+                onRetry: (error, attempt, delay) => {
+                    logSSHOperation('warn', `SSH command execution failed (attempt ${attempt}/${maxRetries + 1}), retrying in ${delay}ms`, {
                         command: command,
                         attempt: attempt,
                         nextAttempt: attempt + 1,
-                        delay: options.delay,
+                        delay: delay,
                         userId: userId,
+                        errorMessage: error.message,
+                        errorCode: error.code,
+                        isAuthError: isAuthError(error),
+                        stderr: error.stderr ? error.stderr.substring(0, 500) : null,
+                        stdout: error.stdout ? error.stdout.substring(0, 500) : null,
                         timestamp: new Date().toISOString()
                     });
-                    
-                    await new Promise(resolve => setTimeout(resolve, options.delay));
                 }
-            }
+            });
+        } catch (error) {
+            logSSHOperation('error', 'SSH command failed', {
+                command: command,
+                maxRetries: maxRetries,
+                userId: userId,
+                finalError: error.message,
+                errorCode: error.code,
+                timestamp: new Date().toISOString()
+            });
+            throw error;
         }
+    }
 
-        logSSHOperation('error', 'SSH command failed after all retry attempts', {
-            command: command,
-            maxRetries: options.maxRetries,
-            userId: userId,
-            finalError: lastError.message,
-            timestamp: new Date().toISOString()
-        });
+    /**
+     * Runs a command like MagentoCloudAdapter.executeCommand, but hands stdout/stderr to the
+     * handlers line by line while the process is still running. Like executeCommand, it waits
+     * for a CLI scheduler slot first.
+     * @param {Object} handlers - { onStdoutLine(line), onStderrLine(line) }
+     * @param {AbortSignal} [signal] - Kills the process when aborted
+     * @param {number} [maxOutputBytes] - Kills the process once its output grows past this size
+     * @returns {Promise<Object>} - { stdout, stderr }; rejects with stdout/stderr attached on a non-zero exit
+     */
+    executeStreamed(magentoCloud, command, apiToken, userId, { onStdoutLine, onStderrLine }, signal = undefined, maxOutputBytes = Infinity) {
+        const label = `ssh ${command.match(/-p\s+(\S+)/)?.[1] || 'unknown'}/${command.match(/-e\s+(\S+)/)?.[1] || 'unknown'}`;
+        return cliExecutionScheduler.run(userId, () => new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(cancelledError());
+                return;
+            }
+            const { tunnelProcess: child } = magentoCloud.executeCommandStream(command, apiToken, userId, { signal });
+            const output = { stdout: '', stderr: '' };
+            const pending = { stdout: '', stderr: '' };
+            let overflowed = false;
+
+            const collect = (stream, onLine) => (data) => {
+                if (overflowed) return;
+                const text = data.toString();
+                output[stream] += text;
+                if (output.stdout.length + output.stderr.length > maxOutputBytes) {
+                    overflowed = true;
+                    child.kill();
+                    return;
+                }
+                const lines = (pending[stream] + text).split('\n');
+                pending[stream] = lines.pop();
+                lines.forEach(onLine);
+            };
+
+            child.stdout.on('data', collect('stdout', onStdoutLine));
+            child.stderr.on('data', collect('stderr', onStderrLine));
+            child.on('error', reject);
+            child.on('close', (code) => {
+                if (pending.stdout) onStdoutLine(pending.stdout);
+                if (pending.stderr) onStderrLine(pending.stderr);
+
+                if (code === 0) {
+                    resolve(output);
+                    return;
+                }
+                let error;
+                if (signal?.aborted) {
+                    error = cancelledError();
+                } else if (overflowed) {
+                    error = new Error(`Output exceeded ${maxOutputBytes} bytes`);
+                    error.code = 'OUTPUT_LIMIT_EXCEEDED';
+                } else {
+                    error = new Error(`Command failed with exit code ${code}: ${output.stderr.trim()}`);
+                    error.code = code;
+                }
+                error.stdout = output.stdout;
+                error.stderr = output.stderr;
+                reject(error);
+            });
+        }), { signal, label });
+    }
+
+    /**
+     * Follows the ACCS_CMD_* markers of a script's output and reports each command as it
+     * starts, prints and finishes on a node
+     * @param {Object} [policies] - { [commandId]: policy }, for the timeout reported on ACCS_CMD_TIMEOUT
+     */
+    createScriptStreamHandlers(reporter, nodeId, policies = undefined) {
+        let current = null; // { id, lines, failed, timedOut }
 
-        throw lastError;
+        return {
+            onStdoutLine: (line) => {
+                const marker = line.match(SCRIPT_MARKER_PATTERN);
+                // Output that does not end with a newline shares its last line with the next marker
+                const text = marker ? marker[1] : line;
+
+                if (current && (!marker || text)) {
+                    current.lines.push(text);
+                    reporter.chunk(current.id, nodeId, `${text}\n`);
+                }
+                if (!marker) return;
+
+                const [, , kind, rawId] = marker;
+                const commandId = parseInt(rawId);
+                if (kind === 'START') {
+                    current = { id: commandId, lines: [], failed: false, timedOut: false };
+                    reporter.started(commandId, nodeId);
+                } else if (kind === 'ERROR' && current?.id === commandId) {
+                    current.failed = true;
+                } else if (kind === 'TIMEOUT' && current?.id === commandId) {
+                    current.timedOut = true;
+                } else if (kind === 'END' && current?.id === commandId) {
+                    const output = current.lines.join('\n').trim();
+                    if (current.timedOut) {
+                        const { timeoutMs } = this.policyService.policyFor(policies, commandId);
+                        reporter.finished(commandId, nodeId, { status: TIMEOUT_STATUS, output, error: timeoutError(timeoutMs).message });
+                    } else {
+                        reporter.finished(commandId, nodeId, {
+                            status: current.failed ? 'ERROR' : 'SUCCESS',
+                            output,
+                            error: current.failed ? 'Command executed with a non-zero exit code.' : null
+                        });
+                    }
+                    current = null;
+                }
+            },
+            onStderrLine: (line) => {
+                if (current) {
+                    reporter.chunk(current.id, nodeId, `${line}\n`, 'stderr');
+                }
+            }
+        };
     }
 
     // Helper methods for SQL execution
-    async executeQueriesOnNode(magentoCloud, projectId, environment, nodeId, queries, apiToken, userId) {
+    async executeQueriesOnNode(magentoCloud, projectId, environment, node, queries, apiToken, userId, reporter = new ExecutionReporter(), signal = undefined, policies = undefined) {
+        const nodeId = node.id;
+        queries.forEach(query => reporter.started(query.id, nodeId));
+        const report = (results) => {
+            results.forEach(result => reporter.finished(result.queryId, nodeId, result));
+            return results;
+        };
+
         try {
             const mysqlCommand = this.createMySQLCommand(queries);
-            const sshCommand = `ssh -p ${projectId} -e ${environment} --instance ${nodeId} ${mysqlCommand}`;
+            const sshCommand = `ssh -p ${projectId} -e ${environment} --instance ${node.instance} ${mysqlCommand}`;
 
             logger.debug('Executing SSH command:', {
                 nodeId,
                 queries: queries.map(q => q.title)
             });
 
-            const { stdout, stderr } = await magentoCloud.executeCommand(sshCommand, apiToken, userId);
+            // The queries of a node run in one mysql session, under their combined policy
+            const policy = this.policyService.combine(queries.map(query => this.policyService.policyFor(policies, query.id)));
+            const { stdout, stderr } = await this.policyService.run(policy, signal, (attemptSignal) =>
+                magentoCloud.executeCommand(sshCommand, apiToken, userId, { signal: attemptSignal, maxBuffer: policy.maxOutputBytes }),
+                { shouldRetry: (error) => error.code !== 'OUTPUT_LIMIT_EXCEEDED' && !queries.some(query => query.allowWrite === true) }
+            );
 
             if (stderr.includes('MySQL is not running on this node')) {
-                return queries.map(query => ({
+                return report(queries.map(query => ({
                     queryId: query.id,
                     nodeId,
                     output: null,
                     error: 'MySQL is not running on this node',
                     status: 'NOT_RUNNING'
-                }));
+                })));
             }
 
             const results = this.parseQueryOutput(stdout + stderr, queries);
-            return results.map(result => ({
+            return report(results.map(result => ({
                 ...result,
                 nodeId,
                 status: result.error ? 'ERROR' : 'SUCCESS'
-            }));
+            })));
         } catch (error) {
+            if (signal?.aborted || error.code === 'EXECUTION_TIMEOUT') {
+                return report(queries.map(query => ({
+                    queryId: query.id,
+                    nodeId,
+                    output: null,
+                    ...failureResult(error, signal)
+                })));
+            }
+
             const errorMessage = error.message.includes('ERROR 2002') ?
                 'MySQL is not running on this node' : error.message;
             const status = error.message.includes('ERROR 2002') ?
@@ -795,13 +1028,13 @@ echo "${endMarker}";
                 error: errorMessage
             });
 
-            return queries.map(query => ({
+            return report(queries.map(query => ({
                 queryId: query.id,
                 nodeId,
                 output: null,
                 error: errorMessage,
                 status
-            }));
+            })));
         }
     }
 
@@ -903,9 +1136,12 @@ ${this.bundleQueries(queries)} | mysql -u"$username" -p"$password" -D"$database"
      * @param {Array} commands - Array of RabbitMQ commands
      * @param {string} apiToken - API token
      * @param {string} userId - User ID
+     * @param {Object} [options] - { reporter, signal, policies } ExecutionReporter for per-command progress;
+     *                              aborting the signal kills the running command and skips the rest.
+     *                              policies: { [commandId]: execution policy }
      * @returns {Object} - RabbitMQ execution results
      */
-    async executeRabbitMQCommands(projectId, environment, commands, apiToken, userId) {
+    async executeRabbitMQCommands(projectId, environment, commands, apiToken, userId, { reporter = new ExecutionReporter(), signal, policies } = {}) {
         try {
             // Initialize RabbitMQAdminService with projectId, environment, and apiToken
             const rabbitmqService = new RabbitMQAdminService(projectId, environment, apiToken, userId);
@@ -920,8 +1156,12 @@ ${this.bundleQueries(queries)} | mysql -u"$username" -p"$password" -D"$database"
                     allowAi: command.allowAi
                 };
 
+                reporter.started(command.id, 'single-node');
                 try {
-                    const output = await rabbitmqService.executeCommand(command.command);
+                    const output = await rabbitmqService.executeCommand(command.command, {
+                        signal,
+                        policy: this.policyService.policyFor(policies, command.id)
+                    });
                     commandResult.results.push({
                         nodeId: 'single-node', // Update as needed for your use case
                         output,
@@ -936,15 +1176,16 @@ ${this.bundleQueries(queries)} | mysql -u"$username" -p"$password" -D"$database"
                     commandResult.results.push({
                         nodeId: 'single-node', // Update as needed for your use case
                         output: null,
-                        error: error.message,
-                        status: 'ERROR'
+                        ...failureResult(error, signal)
                     });
                 }
 
+                reporter.finished(command.id, 'single-node', commandResult.results[0]);
+
                 commandResult.summary = {
                     total: commandResult.results.length,
                     successful: commandResult.results.filter(r => r.status === 'SUCCESS').length,
-                    failed: commandResult.results.filter(r => r.status === 'ERROR').length
+                    failed: commandResult.results.filter(r => ['ERROR', TIMEOUT_STATUS].includes(r.status)).length
                 };
 
                 results.push(commandResult);
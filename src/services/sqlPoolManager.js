@@ -0,0 +1,182 @@
+// src/services/sqlPoolManager.js
+import mysql from 'mysql2/promise';
+import { logger } from './logger.js';
+import { cancelledError, throwIfCancelled } from './executionCancellationService.js';
+
+// Connections per tunnel, which is also the number of queries that run at once against it
+const MAX_CONCURRENT_QUERIES = parseInt(process.env.SQL_MAX_CONCURRENT_QUERIES || '4');
+// Server side limit for every statement (MariaDB max_statement_time)
+const QUERY_TIMEOUT_MS = parseInt(process.env.SQL_QUERY_TIMEOUT_MS || '30000');
+// Same as the tunnel idle timeout: an unused pool is closed even if the tunnel stays open
+const POOL_IDLE_TIMEOUT_MS = parseInt(process.env.SQL_POOL_IDLE_TIMEOUT_MS || '120000');
+// Queries waiting for a free connection beyond this are rejected instead of piling up
+const MAX_QUEUED_QUERIES = 100;
+
+/**
+ * Keeps one mysql2 pool per tunnel (project/environment). Pools are closed when the tunnel
+ * closes, when the tunnel's connection details change, or after being idle.
+ */
+class SqlPoolManager {
+    constructor() {
+        this.pools = new Map(); // Map<key, { pool, signature, idleTimer }>
+    }
+
+    /**
+     * Runs a query on a pooled connection
+     * @param {string} key - Pool key, see SqlPoolManager.key()
+     * @param {Object} config - mysql2 connection config
+     * @param {string} query - SQL text
+     * @param {Array} params - Bound parameter values
+     * @param {Object} [options] - { signal } aborting it kills the running statement on the server
+     * @returns {Promise<Array>} - Query results
+     */
+    async query(key, config, query, params = [], { signal } = {}) {
+        throwIfCancelled(signal);
+        const pool = this.getPool(key, config);
+        let connection = null;
+        const onAbort = () => this.killQuery(key, config, connection.threadId);
+
+        try {
+            connection = await pool.getConnection();
+            throwIfCancelled(signal);
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            // Bound parameters are escaped client side so they also work where the server
+            // rejects prepared statement placeholders (e.g. LIMIT ?). The client timeout is a
+            // backstop for when max_statement_time is not honoured (e.g. a stuck connection).
+            const options = { sql: query, timeout: QUERY_TIMEOUT_MS + 5000 };
+            const [results] = params.length > 0
+                ? await connection.query(options, params)
+                : await connection.execute(options);
+            return results;
+        } catch (error) {
+            if (signal?.aborted) {
+                throw cancelledError();
+            }
+            // ER_STATEMENT_TIMEOUT (MariaDB) or the client side timeout
+            if (error.errno === 1969 || error.code === 'PROTOCOL_SEQUENCE_TIMEOUT') {
+                const timeout = new Error(`Query exceeded the ${QUERY_TIMEOUT_MS / 1000}s time limit`);
+                timeout.code = 'SQL_QUERY_TIMEOUT';
+                throw timeout;
+            }
+            if (error.message === 'Queue limit reached.') {
+                const busy = new Error('Too many queries are waiting for this database; try again shortly');
+                busy.code = 'SQL_POOL_BUSY';
+                throw busy;
+            }
+            throw error;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            connection?.release();
+            this.touch(key);
+        }
+    }
+
+    /**
+     * Stops a running statement. KILL QUERY goes over a separate connection because every
+     * pooled one may be busy; the interrupted connection stays usable and returns to the pool.
+     */
+    async killQuery(key, config, threadId) {
+        let connection;
+        try {
+            connection = await mysql.createConnection(config);
+            await connection.query(`KILL QUERY ${Number(threadId)}`);
+            logger.debug('Killed cancelled SQL query', { key, threadId });
+        } catch (error) {
+            logger.warn('Could not kill cancelled SQL query:', { key, threadId, error: error.message });
+        } finally {
+            await connection?.end().catch(() => {});
+        }
+    }
+
+    /**
+     * @param {string} projectId - Project ID (optional)
+     * @param {string} environment - Environment (optional)
+     * @param {Object} config - mysql2 connection config
+     * @param {boolean} useLocalNode - The query goes to the local MariaDB port
+     * @param {string} [relationship] - Relationship other than the primary database, e.g. database-slave
+     * @returns {string}
+     */
+    key(projectId, environment, config, useLocalNode = false, relationship = null) {
+        let base = projectId && environment ? `${projectId}-${environment}` : `${config.host}:${config.port}`;
+        if (relationship) base = `${base}:${relationship}`;
+        return useLocalNode ? `${base}:local` : base;
+    }
+
+    getPool(key, config) {
+        const signature = `${config.user}@${config.host}:${config.port}/${config.database}`;
+        const entry = this.pools.get(key);
+
+        if (entry && entry.signature === signature) {
+            return entry.pool;
+        }
+        if (entry) {
+            // The tunnel was reopened on another port or with other credentials
+            logger.debug('SQL pool connection details changed, replacing pool', { key });
+            this.closePool(key);
+        }
+
+        const pool = mysql.createPool({
+            ...config,
+            connectionLimit: MAX_CONCURRENT_QUERIES,
+            maxIdle: MAX_CONCURRENT_QUERIES,
+            idleTimeout: POOL_IDLE_TIMEOUT_MS,
+            queueLimit: MAX_QUEUED_QUERIES,
+            waitForConnections: true
+        });
+
+        pool.on('connection', (connection) => {
+            connection.query(`SET SESSION max_statement_time = ${QUERY_TIMEOUT_MS / 1000}`, (error) => {
+                if (error) {
+                    logger.warn('Could not set max_statement_time on SQL connection:', { key, error: error.message });
+                }
+            });
+        });
+
+        this.pools.set(key, { pool, signature, idleTimer: null });
+        logger.debug('SQL pool created', { key, host: config.host, port: config.port, connectionLimit: MAX_CONCURRENT_QUERIES });
+
+        return pool;
+    }
+
+    touch(key) {
+        const entry = this.pools.get(key);
+        if (!entry) return;
+
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = setTimeout(() => {
+            logger.debug('Closing idle SQL pool', { key });
+            this.closePool(key);
+        }, POOL_IDLE_TIMEOUT_MS);
+        entry.idleTimer.unref();
+    }
+
+    async closePool(key) {
+        const entry = this.pools.get(key);
+        if (!entry) return;
+
+        this.pools.delete(key);
+        clearTimeout(entry.idleTimer);
+        try {
+            await entry.pool.end();
+            logger.debug('SQL pool closed', { key });
+        } catch (error) {
+            logger.error('Error closing SQL pool:', { key, error: error.message });
+        }
+    }
+
+    /**
+     * Closes every pool that belongs to a project environment's tunnel
+     */
+    async closeTunnelPools(projectId, environment) {
+        const base = `${projectId}-${environment}`;
+        const keys = [...this.pools.keys()].filter(key => key === base || key.startsWith(`${base}:`));
+        await Promise.all(keys.map(key => this.closePool(key)));
+    }
+
+    async closeAll() {
+        await Promise.all([...this.pools.keys()].map(key => this.closePool(key)));
+    }
+}
+
+export const sqlPoolManager = new SqlPoolManager();
@@ -1,9 +1,15 @@
 //src/services/sqlService.js
-import mysql from 'mysql2/promise';
 import { logger } from './logger.js';
+import { CommandValidationService } from './commandValidationService.js';
+import { sqlPoolManager } from './sqlPoolManager.js';
 
 export class SQLService {
-    constructor(tunnelInfo) {
+    /**
+     * @param {Object} tunnelInfo - Tunnel info with a database relationship
+     * @param {Object} [scope] - { projectId, environment, relationship } of the tunnel; queries share its
+     *                          connection pool, one per relationship (database, database-slave, ...)
+     */
+    constructor(tunnelInfo, { projectId = null, environment = null, relationship = null } = {}) {
         if (!tunnelInfo?.database?.[0]) {
             throw new Error('Invalid tunnel info: missing database configuration');
         }
@@ -18,6 +24,9 @@ export class SQLService {
             port: parseInt(dbInfo.port),
             connectTimeout: 10000
         };
+        this.projectId = projectId;
+        this.environment = environment;
+        this.relationship = relationship;
 
         logger.debug('SQL Service initialized with config:', {
             host: this.connectionConfig.host,
@@ -38,12 +47,31 @@ export class SQLService {
         };
     }
 
-    async executeQuery(query, useLocalNode = false) {
+    /**
+     * Runs a single query. Unless the caller holds the write capability the query must be
+     * classified as read-only first.
+     * @param {string} query - SQL text
+     * @param {boolean} useLocalNode - Use the local MariaDB port instead of the tunnel
+     * @param {Array} params - Bound parameter values
+     * @param {Object} options - { allowWrite, signal } aborting the signal kills the running statement
+     */
+    async executeQuery(query, useLocalNode = false, params = [], { allowWrite = false, signal } = {}) {
+        if (!allowWrite) {
+            const { violations } = new CommandValidationService().classifySQL(query);
+            if (violations.length > 0) {
+                const error = new Error(violations.map(violation => violation.message).join('; '));
+                error.code = 'SQL_NOT_READ_ONLY';
+                error.violations = violations;
+                throw error;
+            }
+        }
+
         const config = this.getConnectionConfig(useLocalNode);
-        let connection;
+        const poolKey = sqlPoolManager.key(this.projectId, this.environment, config, useLocalNode, this.relationship);
 
         try {
-            logger.debug('Attempting SQL connection:', {
+            logger.debug('Executing SQL query:', {
+                pool: poolKey,
                 config: {
                     host: config.host,
                     user: config.user,
@@ -54,8 +82,7 @@ export class SQLService {
                 useLocalNode
             });
 
-            connection = await mysql.createConnection(config);
-            const [results] = await connection.execute(query);
+            const results = await sqlPoolManager.query(poolKey, config, query, params, { signal });
 
             logger.debug('Query executed successfully:', {
                 query,
@@ -76,16 +103,6 @@ export class SQLService {
                 }
             });
             throw error;
-        } finally {
-            if (connection) {
-                try {
-                    await connection.end();
-                } catch (err) {
-                    logger.error('Error closing connection:', {
-                        error: err.message
-                    });
-                }
-            }
         }
     }
-}
\ No newline at end of file
+}
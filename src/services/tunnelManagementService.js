@@ -1,7 +1,10 @@
 // src/services/tunnelManagementService.js
 import { tunnelManager } from './tunnelService.js';
+import { tunnelRegistry } from './tunnelRegistryService.js';
 import { logger } from './logger.js';
 
+const MAX_EXTENSION_MINUTES = 60;
+
 export class TunnelManagementService {
     constructor() {
         this.logger = logger;
@@ -67,4 +70,132 @@ export class TunnelManagementService {
             };
         }
     }
+
+    /**
+     * Relationships of the environment's tunnel by name (database, database-slave, redis-session, ...),
+     * without credentials. Opens the tunnel when it is not open yet.
+     * @returns {Object} - Result with relationships or error
+     */
+    async listRelationships(projectId, environment, apiToken, userId) {
+        const validation = this.validateTunnelParams(projectId, environment, apiToken, userId);
+        if (!validation.valid) {
+            return {
+                success: false,
+                error: validation.error,
+                statusCode: 400
+            };
+        }
+
+        try {
+            const tunnelInfo = await tunnelManager.openTunnel(projectId, environment, apiToken, userId);
+            return {
+                success: true,
+                relationships: tunnelManager.describeRelationships(tunnelInfo),
+                statusCode: 200
+            };
+        } catch (error) {
+            this.logger.error('Failed to list tunnel relationships:', {
+                error: error.message,
+                projectId,
+                environment,
+                userId
+            });
+            return {
+                success: false,
+                error: 'Failed to list tunnel relationships',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                statusCode: 500
+            };
+        }
+    }
+
+    /**
+     * List registered tunnels
+     * @param {string|null} userId - Only the tunnels of this user; null for all (admin)
+     * @returns {Object} - Result with tunnels or error
+     */
+    async listTunnels(userId = null) {
+        try {
+            const tunnels = await tunnelRegistry.list({ userId });
+            return {
+                success: true,
+                tunnels,
+                statusCode: 200
+            };
+        } catch (error) {
+            this.logger.error('Failed to list tunnels:', { error: error.message, userId });
+            return {
+                success: false,
+                error: 'Failed to list tunnels',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                statusCode: 500
+            };
+        }
+    }
+
+    /**
+     * Keep a tunnel open longer without activity
+     * @param {number} minutes - Extra idle minutes (1 - MAX_EXTENSION_MINUTES)
+     * @param {Object} [options] - { allUsers } extends every user's idle timer (admin)
+     * @returns {Object} - Result with the tunnel or error
+     */
+    async extendTunnel(projectId, environment, apiToken, userId, minutes, { allUsers = false } = {}) {
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_EXTENSION_MINUTES) {
+            return {
+                success: false,
+                error: `minutes must be an integer between 1 and ${MAX_EXTENSION_MINUTES}`,
+                statusCode: 400
+            };
+        }
+
+        try {
+            const entry = await tunnelManager.extendIdle(projectId, environment, apiToken, userId, minutes * 60000, { allUsers });
+            return {
+                success: true,
+                tunnel: entry ? tunnelRegistry.describe(entry) : null,
+                statusCode: 200
+            };
+        } catch (error) {
+            if (error.code === 'TUNNEL_NOT_FOUND') {
+                return { success: false, error: error.message, statusCode: 404 };
+            }
+            this.logger.error('Failed to extend tunnel:', { error: error.message, projectId, environment, userId });
+            return {
+                success: false,
+                error: 'Failed to extend tunnel',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                statusCode: 500
+            };
+        }
+    }
+
+    /**
+     * Close a tunnel regardless of its users (admin)
+     * @returns {Object} - Result or error
+     */
+    async forceCloseTunnel(projectId, environment, apiToken, userId) {
+        try {
+            const closed = await tunnelManager.forceCloseTunnel(projectId, environment, apiToken, userId);
+            if (!closed) {
+                return {
+                    success: false,
+                    error: 'The tunnel is being opened or closed by another request; try again shortly',
+                    statusCode: 409
+                };
+            }
+            return { success: true, statusCode: 200 };
+        } catch (error) {
+            if (error.code === 'TUNNEL_CLOSE_FAILED') {
+                this.logger.warn('Force-close of tunnel opened elsewhere failed', { error: error.message, projectId, environment, userId });
+                return { success: false, error: error.message, statusCode: 502 };
+            }
+            this.logger.error('Failed to force-close tunnel:', { error: error.message, projectId, environment, userId });
+            return {
+                success: false,
+                error: 'Failed to close tunnel',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                statusCode: 500
+            };
+        }
+    }
 }
@@ -0,0 +1,326 @@
+// src/services/tunnelRegistryService.js
+import { logger } from './logger.js';
+import { redisClient } from './redisService.js';
+import { WebSocketService } from './webSocketService.js';
+
+const KEY_PREFIX = 'tunnel_registry';
+// Entries of tunnels that were never closed (crashed process) expire after this
+const ENTRY_TTL_SECONDS = 24 * 60 * 60;
+
+export const TUNNEL_HEALTH = ['healthy', 'unhealthy', 'unknown'];
+
+/**
+ * Shared record of the SSH tunnels this backend holds open, kept in Redis so every process and
+ * the admin view see the same list. Each tunnel is a Redis hash, and every update writes only its
+ * own fields, so processes updating the same tunnel at once do not overwrite each other:
+ *   tunnel_registry:<projectId>-<environment> => {
+ *     projectId, environment, openedAt, openedBy, lastActivity, health, healthCheckedAt,
+ *     recoveries, lastRecovery (JSON),
+ *     service:<relationship> => 1,
+ *     user:<userId> => joinedAt, active:<userId> => lastActivity, idle:<userId> => idleExpiresAt,
+ *     probe:<relationship> => { healthy, checkedAt } (JSON)
+ *   }
+ * get() returns it as { projectId, environment, openedAt, openedBy, services: ['redis', 'database', ...],
+ *   users: { [userId]: { joinedAt, lastActivity, idleExpiresAt } }, lastActivity, health, healthCheckedAt,
+ *   probes: { [relationship]: { healthy, checkedAt } }, recoveries, lastRecovery }.
+ * A hash without openedAt (an update that raced the tunnel closing) is not a tunnel and expires.
+ * TunnelManager keeps it up to date; the timers that close idle tunnels stay in TunnelManager.
+ *
+ * Lifecycle changes are broadcast over WebSocket:
+ *   tunnel_event { event: opened | user_joined | user_left | health_changed | idle_extended | closed |
+ *                         recovery_started | recovered | recovery_failed,
+ *                  projectId, environment, userId, users, health, reason }
+ */
+class TunnelRegistryService {
+    key(projectId, environment) {
+        return `${KEY_PREFIX}:${projectId}-${environment}`;
+    }
+
+    async get(projectId, environment) {
+        try {
+            return this.parse(await redisClient.hGetAll(this.key(projectId, environment)));
+        } catch (error) {
+            logger.warn('Failed to read tunnel registry entry', { projectId, environment, error: error.message });
+            await this.dropLegacy(this.key(projectId, environment), error);
+            return null;
+        }
+    }
+
+    // Entries written before the registry used hashes are JSON strings; they are dropped and the
+    // next use of the tunnel registers it again
+    async dropLegacy(key, error) {
+        if (!String(error.message).startsWith('WRONGTYPE')) return;
+        try {
+            await redisClient.del(key);
+        } catch (deleteError) {
+            logger.warn('Failed to drop legacy tunnel registry entry', { key, error: deleteError.message });
+        }
+    }
+
+    /**
+     * Builds the entry from the fields of a tunnel hash
+     * @returns {Object|null} - null when the hash is empty or was never opened
+     */
+    parse(fields) {
+        if (!fields || !fields.openedAt) return null;
+        const entry = {
+            projectId: fields.projectId,
+            environment: fields.environment,
+            openedAt: fields.openedAt,
+            openedBy: fields.openedBy,
+            services: [],
+            users: {},
+            lastActivity: fields.lastActivity || fields.openedAt,
+            health: fields.health || 'unknown',
+            healthCheckedAt: fields.healthCheckedAt || null,
+            probes: {},
+            recoveries: parseInt(fields.recoveries || '0'),
+            lastRecovery: fields.lastRecovery ? JSON.parse(fields.lastRecovery) : undefined
+        };
+
+        Object.entries(fields).forEach(([field, value]) => {
+            const separator = field.indexOf(':');
+            if (separator === -1) return;
+            const kind = field.slice(0, separator);
+            const name = field.slice(separator + 1);
+            if (kind === 'service') {
+                entry.services.push(name);
+            } else if (kind === 'probe') {
+                entry.probes[name] = JSON.parse(value);
+            } else if (kind === 'user') {
+                entry.users[name] = {
+                    joinedAt: value,
+                    lastActivity: fields[`active:${name}`] || value,
+                    idleExpiresAt: fields[`idle:${name}`] || null
+                };
+            }
+        });
+        return entry;
+    }
+
+    /**
+     * Runs the writes of one update as a transaction and renews the entry's expiry
+     * @param {Function} build - Adds commands to the transaction
+     * @returns {Promise<Array|null>} - Transaction replies, null when Redis failed
+     */
+    async write(projectId, environment, build) {
+        const key = this.key(projectId, environment);
+        try {
+            const transaction = redisClient.multi();
+            build(transaction, key);
+            transaction.expire(key, ENTRY_TTL_SECONDS);
+            return await transaction.exec();
+        } catch (error) {
+            logger.warn('Failed to write tunnel registry entry', { projectId, environment, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Records a tunnel that was just opened, or adds the services of a reopened one
+     * @param {Array<string>} services - Relationship names reported by tunnel:open
+     */
+    async opened(projectId, environment, userId, services = []) {
+        const now = new Date().toISOString();
+        await this.write(projectId, environment, (transaction, key) => {
+            transaction.hSetNX(key, 'openedAt', now);
+            transaction.hSetNX(key, 'openedBy', String(userId));
+            transaction.hSetNX(key, 'lastActivity', now);
+            transaction.hSet(key, {
+                projectId,
+                environment,
+                health: 'healthy',
+                healthCheckedAt: now,
+                ...Object.fromEntries(services.map(service => [`service:${service}`, '1']))
+            });
+        });
+        const entry = await this.get(projectId, environment) || { projectId, environment, users: {}, health: 'healthy' };
+        this.emit('opened', entry, { userId });
+        return entry;
+    }
+
+    /**
+     * Records use of the tunnel by a user; the user joins the tunnel on first use
+     * @param {number} idleTimeoutMs - Time until the user's idle timer closes their use of it
+     */
+    async touch(projectId, environment, userId, idleTimeoutMs) {
+        if (!await this.exists(projectId, environment)) return null;
+
+        const now = new Date();
+        const replies = await this.write(projectId, environment, (transaction, key) => {
+            transaction.hSetNX(key, `user:${userId}`, now.toISOString());
+            transaction.hSet(key, {
+                [`active:${userId}`]: now.toISOString(),
+                [`idle:${userId}`]: new Date(now.getTime() + idleTimeoutMs).toISOString(),
+                lastActivity: now.toISOString()
+            });
+        });
+        const entry = await this.get(projectId, environment);
+        // HSETNX answers true when the user field was created, i.e. the user joined
+        if (entry && replies?.[0] === true) this.emit('user_joined', entry, { userId });
+        return entry;
+    }
+
+    async extended(projectId, environment, userIds, idleTimeoutMs, actorId) {
+        const entry = await this.get(projectId, environment);
+        if (!entry) return null;
+
+        const idleExpiresAt = new Date(Date.now() + idleTimeoutMs).toISOString();
+        const users = userIds.map(String).filter(userId => entry.users[userId]);
+        if (users.length > 0) {
+            await this.write(projectId, environment, (transaction, key) => {
+                transaction.hSet(key, Object.fromEntries(users.map(userId => [`idle:${userId}`, idleExpiresAt])));
+            });
+        }
+        users.forEach(userId => {
+            entry.users[userId].idleExpiresAt = idleExpiresAt;
+        });
+        this.emit('idle_extended', entry, { userId: actorId, idleExpiresAt });
+        return entry;
+    }
+
+    async userLeft(projectId, environment, userId) {
+        const replies = await this.write(projectId, environment, (transaction, key) => {
+            transaction.hDel(key, [`user:${userId}`, `active:${userId}`, `idle:${userId}`]);
+        });
+        // Nothing was deleted when the user was not on the tunnel
+        if (!replies?.[0]) return;
+
+        const entry = await this.get(projectId, environment);
+        if (entry) this.emit('user_left', entry, { userId });
+    }
+
+    /**
+     * @param {string} health - One of TUNNEL_HEALTH; only changes are broadcast
+     */
+    async setHealth(projectId, environment, health) {
+        if (!await this.exists(projectId, environment)) return;
+
+        const replies = await this.write(projectId, environment, (transaction, key) => {
+            transaction.hGet(key, 'health');
+            transaction.hSet(key, { health, healthCheckedAt: new Date().toISOString() });
+        });
+        if (replies && replies[0] !== health) this.emitCurrent('health_changed', projectId, environment);
+    }
+
+    /**
+     * Records the result of the supervisor's per-service probes
+     * @param {Object} probes - { [relationship]: healthy }
+     */
+    async recordProbes(projectId, environment, probes) {
+        if (!await this.exists(projectId, environment)) return;
+
+        const checkedAt = new Date().toISOString();
+        const tunnelHealth = Object.values(probes).every(Boolean) ? 'healthy' : 'unhealthy';
+        const replies = await this.write(projectId, environment, (transaction, key) => {
+            transaction.hGet(key, 'health');
+            transaction.hSet(key, {
+                ...Object.fromEntries(Object.entries(probes).map(([name, healthy]) => [
+                    `probe:${name}`,
+                    JSON.stringify({ healthy, checkedAt })
+                ])),
+                health: tunnelHealth,
+                healthCheckedAt: checkedAt
+            });
+        });
+        if (replies && replies[0] !== tunnelHealth) this.emitCurrent('health_changed', projectId, environment);
+    }
+
+    /**
+     * @param {string} status - started | recovered | failed
+     * @param {Object} details - { reason, userId, error }
+     */
+    async recovery(projectId, environment, status, details = {}) {
+        if (await this.exists(projectId, environment)) {
+            await this.write(projectId, environment, (transaction, key) => {
+                transaction.hSet(key, 'lastRecovery', JSON.stringify({ status, ...details, at: new Date().toISOString() }));
+                if (status === 'started') transaction.hIncrBy(key, 'recoveries', 1);
+                if (status === 'failed') transaction.hSet(key, 'health', 'unhealthy');
+            });
+        }
+        const entry = await this.get(projectId, environment) || { projectId, environment, users: {}, health: 'unknown' };
+        const events = { started: 'recovery_started', recovered: 'recovered', failed: 'recovery_failed' };
+        this.emit(events[status], entry, details);
+    }
+
+    /**
+     * @param {string} reason - idle | force_closed | shutdown
+     */
+    async closed(projectId, environment, { reason = 'idle', userId = null } = {}) {
+        const entry = await this.get(projectId, environment);
+        try {
+            await redisClient.del(this.key(projectId, environment));
+        } catch (error) {
+            logger.warn('Failed to delete tunnel registry entry', { projectId, environment, error: error.message });
+        }
+        this.emit('closed', entry || { projectId, environment, users: {}, health: 'unknown' }, { userId, reason });
+    }
+
+    async exists(projectId, environment) {
+        try {
+            return Boolean(await redisClient.hExists(this.key(projectId, environment), 'openedAt'));
+        } catch (error) {
+            logger.warn('Failed to read tunnel registry entry', { projectId, environment, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Every registered tunnel, most recently used first
+     * @param {Object} [filter] - { userId } keeps the tunnels the user is using or opened
+     */
+    async list({ userId = null } = {}) {
+        const entries = [];
+        const iterator = redisClient.scanIterator({ MATCH: `${KEY_PREFIX}:*`, COUNT: 100 });
+        for await (const key of iterator) {
+            try {
+                const entry = this.parse(await redisClient.hGetAll(key));
+                if (entry) entries.push(entry);
+            } catch (error) {
+                logger.warn('Skipping unreadable tunnel registry entry', { key, error: error.message });
+                await this.dropLegacy(key, error);
+            }
+        }
+
+        return entries
+            .filter(entry => userId === null || entry.users[userId] || String(entry.openedBy) === String(userId))
+            .map(entry => this.describe(entry))
+            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+    }
+
+    /**
+     * Entry as returned by the API: users as a list and the idle time
+     */
+    describe(entry) {
+        const now = Date.now();
+        return {
+            ...entry,
+            idleSeconds: Math.max(0, Math.round((now - new Date(entry.lastActivity).getTime()) / 1000)),
+            users: Object.entries(entry.users).map(([userId, user]) => ({ userId, ...user }))
+        };
+    }
+
+    async emitCurrent(event, projectId, environment) {
+        const entry = await this.get(projectId, environment);
+        if (entry) this.emit(event, entry);
+    }
+
+    emit(event, entry, details = {}) {
+        try {
+            WebSocketService.broadcast({
+                type: 'tunnel_event',
+                event,
+                projectId: entry.projectId,
+                environment: entry.environment,
+                users: Object.keys(entry.users || {}).length,
+                health: entry.health,
+                ...details,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Failed to broadcast tunnel event:', { event, error: error.message });
+        }
+    }
+}
+
+export const tunnelRegistry = new TunnelRegistryService();
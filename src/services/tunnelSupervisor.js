@@ -0,0 +1,120 @@
+// src/services/tunnelSupervisor.js
+import { logger } from './logger.js';
+import { tunnelManager, PROBED_SERVICES, isPrimaryRelationship } from './tunnelService.js';
+import { tunnelRegistry } from './tunnelRegistryService.js';
+
+const PROBE_INTERVAL_MS = parseInt(process.env.TUNNEL_PROBE_INTERVAL_MS || '30000');
+// Consecutive failed probe rounds before a tunnel is reopened; one failure may be a slow service
+const FAILURES_BEFORE_RECOVERY = parseInt(process.env.TUNNEL_PROBE_FAILURES || '2');
+// Wait before a tunnel is recovered again, doubled after each recovery that does not last a round
+const RECOVERY_BACKOFF_MS = parseInt(process.env.TUNNEL_RECOVERY_BACKOFF_MS || '60000');
+const MAX_RECOVERY_BACKOFF_MS = 30 * 60 * 1000;
+
+/**
+ * Probes every service of the tunnels this process holds open (see TunnelManager.activeTunnels)
+ * and reopens tunnels whose primary services stop answering, so a tunnel that died between two
+ * runs is back before the next command needs it. Probe results go to the tunnel registry.
+ *
+ * Only primary relationships (database, redis, valkey, opensearch) trigger a recovery: reopening
+ * closes the SQL pools and queries of every user, and would not bring back a replica that is down
+ * on its own. Failed replicas are recorded as tunnel health only. Repeated recoveries of a tunnel
+ * are spaced by an exponential backoff.
+ */
+class TunnelSupervisor {
+    constructor() {
+        this.timer = null;
+        this.probing = false;
+        this.failures = new Map(); // Map<tunnelKey, consecutive failed rounds>
+        this.backoff = new Map();  // Map<tunnelKey, { attempts, nextRecoveryAt }>
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.probe(), PROBE_INTERVAL_MS);
+        this.timer.unref();
+        logger.info('Tunnel supervisor started', { probeIntervalMs: PROBE_INTERVAL_MS, failuresBeforeRecovery: FAILURES_BEFORE_RECOVERY });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async probe() {
+        if (this.probing) return;
+        this.probing = true;
+
+        try {
+            // Tunnels closed since the last round
+            [...this.failures.keys(), ...this.backoff.keys()]
+                .filter(key => !tunnelManager.activeTunnels.has(key))
+                .forEach(key => {
+                    this.failures.delete(key);
+                    this.backoff.delete(key);
+                });
+
+            for (const [key, tunnel] of tunnelManager.activeTunnels.entries()) {
+                if (tunnelManager.recoveries.has(key)) continue;
+                await this.probeTunnel(key, tunnel);
+            }
+        } catch (error) {
+            logger.error('Tunnel probe round failed:', { error: error.message });
+        } finally {
+            this.probing = false;
+        }
+    }
+
+    async probeTunnel(key, { projectId, environment, tunnelInfo, apiToken, userId }) {
+        const probes = await tunnelManager.probeServices(tunnelInfo);
+        await tunnelRegistry.recordProbes(projectId, environment, probes);
+
+        const failed = Object.keys(probes).filter(name => !probes[name]);
+        const failedPrimary = failed.filter(isPrimaryRelationship);
+        if (failed.length > failedPrimary.length) {
+            logger.warn('Tunnel replica probe failed; not recovering the tunnel for it', {
+                projectId,
+                environment,
+                failed: failed.filter(name => !isPrimaryRelationship(name))
+            });
+        }
+        if (failedPrimary.length === 0) {
+            this.failures.delete(key);
+            // The last recovery held for a full round
+            this.backoff.delete(key);
+            return;
+        }
+
+        const failures = (this.failures.get(key) || 0) + 1;
+        this.failures.set(key, failures);
+        logger.warn('Tunnel service probe failed', { projectId, environment, failed: failedPrimary, failures });
+        if (failures < FAILURES_BEFORE_RECOVERY) return;
+
+        const backoff = this.backoff.get(key);
+        if (backoff && Date.now() < backoff.nextRecoveryAt) {
+            logger.debug('Tunnel recovery backing off', {
+                projectId,
+                environment,
+                attempts: backoff.attempts,
+                nextRecoveryAt: new Date(backoff.nextRecoveryAt).toISOString()
+            });
+            return;
+        }
+
+        this.failures.delete(key);
+        const attempts = (backoff?.attempts || 0) + 1;
+        this.backoff.set(key, {
+            attempts,
+            nextRecoveryAt: Date.now() + Math.min(RECOVERY_BACKOFF_MS * 2 ** (attempts - 1), MAX_RECOVERY_BACKOFF_MS)
+        });
+        try {
+            // Recovery waits for the service that failed
+            const serviceType = PROBED_SERVICES[failedPrimary[0]];
+            await tunnelManager.recoverTunnel(projectId, environment, apiToken, userId, serviceType, { reason: 'probe_failed' });
+        } catch (error) {
+            // Already logged and broadcast by recoverTunnel; the next command run tries again
+            tunnelManager.activeTunnels.delete(key);
+        }
+    }
+}
+
+export const tunnelSupervisor = new TunnelSupervisor();
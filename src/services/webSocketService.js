@@ -5,6 +5,10 @@ import { logActivity } from './activityLogger.js';
 import url from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import chatAgent from './ai/agents/chat/chat.js';
+import { executionCancellation } from './executionCancellationService.js';
+
+// A tab that reconnects within this window keeps its running executions
+const TAB_CLOSE_CANCEL_DELAY_MS = 5000;
 
 // Sanitize user input for safe processing while preserving original content
 const sanitizeUserInput = (content) => {
@@ -153,6 +157,13 @@ export class WebSocketService {
                     }
                     if (connections.length === 0) {
                         connectionsByTabId.delete(tabId);
+
+                        // Nobody is left to see the results of the tab's command executions
+                        setTimeout(() => {
+                            if (!connectionsByTabId.has(tabId)) {
+                                executionCancellation.cancel(tabId);
+                            }
+                        }, TAB_CLOSE_CANCEL_DELAY_MS).unref();
                     }
                 }
 
@@ -271,6 +282,13 @@ export class WebSocketService {
                             break;
                         }
 
+                        case 'cancel_execution': {
+                            const cancelTabId = parsedMessage.tabId || ws.tabId;
+                            const report = executionCancellation.cancel(cancelTabId, ws.userID || null);
+                            WebSocketService.broadcastToTab({ type: 'execution_cancelled', ...report }, cancelTabId);
+                            break;
+                        }
+
                         default:
                             logger.warn('Unknown message type:', { type: parsedMessage.type });
                     }